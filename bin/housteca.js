@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+/**
+ * Runs scripts/housteca.js through `truffle exec`, forwarding the arguments.
+ */
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+
+const root = path.join(__dirname, '..');
+const truffle = require.resolve('truffle/build/cli.bundled.js');
+const script = path.join(root, 'scripts', 'housteca.js');
+const { status } = spawnSync(
+    process.execPath,
+    [truffle, 'exec', script, ...process.argv.slice(2)],
+    { cwd: root, stdio: 'inherit' }
+);
+process.exit(status);
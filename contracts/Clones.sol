@@ -0,0 +1,26 @@
+pragma solidity 0.5.13;
+
+
+/// Creates minimal proxies (EIP-1167), which delegate every call to an
+/// implementation contract. Each clone keeps its own storage, so it needs an
+/// initializer instead of a constructor.
+library Clones
+{
+    /// Deploys a clone of the implementation and returns its address
+    function clone(
+        address implementation
+    )
+      internal
+      returns (address instance)
+    {
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            let code := mload(0x40)
+            mstore(code, 0x3d602d80600a3d3981f3363d3d373d3d3d363d73000000000000000000000000)
+            mstore(add(code, 0x14), shl(0x60, implementation))
+            mstore(add(code, 0x28), 0x5af43d82803e903d91602b57fd5bf30000000000000000000000000000000000)
+            instance := create(0, code, 0x37)
+        }
+        require(instance != address(0), "Housteca: The clone could not be created");
+    }
+}
@@ -0,0 +1,359 @@
+pragma solidity 0.5.13;
+pragma experimental ABIEncoderV2;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
+import "./Housteca.sol";
+import "./IPriceOracle.sol";
+import "./Loan.sol";
+
+
+/// Lets the investors fund a loan with other whitelisted tokens than the loan's own,
+/// such as other stablecoins. The local node picks the funding tokens of the proposal,
+/// and they follow the proposal to its loan. The gateway keeps the deposited tokens,
+/// converts them to the loan's token through Housteca's price oracle and the loan
+/// records the investment in its own token, while the gateway keeps track of its
+/// value. The deposits go to the local node as they are when the loan collects its
+/// funds, and back to the investors if they collect their investment instead.
+/// It lives in its own contract so that the loans stay under the contract size limit.
+contract FundingGateway
+{
+    ///////////// Constants /////////////
+
+    /// The number the oracle multiplies the prices for
+    uint constant public RATIO = 10 ** 18;
+
+
+    ///////////// Libraries /////////////
+
+    using SafeMath for uint;
+
+
+    ///////////// Events /////////////
+
+    event ProposalFundingTokensSet(
+        address indexed borrower,
+        string[] symbols
+    );
+    event FundingTokensAttached(
+        address indexed loan,
+        string[] symbols
+    );
+    event Deposited(
+        address indexed loan,
+        address indexed investor,
+        address indexed token,
+        uint amount,
+        uint value
+    );
+    event DepositRefunded(
+        address indexed loan,
+        address indexed investor,
+        address indexed token,
+        uint amount
+    );
+    event DepositsReleased(
+        address indexed loan,
+        address indexed to,
+        address indexed token,
+        uint amount
+    );
+
+
+    ///////////// Attributes /////////////
+
+    /// Address of Housteca's main contract
+    Housteca public _housteca;
+    /// Symbols of the funding tokens of the proposals, by borrower
+    mapping (address => string[]) internal _proposalTokens;
+    /// Number of proposals that can be funded with each token symbol
+    mapping (string => uint) public _tokenProposals;
+    /// Symbols of the funding tokens of a loan
+    mapping (address => string[]) internal _loanSymbols;
+    /// Addresses of the funding tokens of a loan, in the order of its symbols
+    mapping (address => address[]) internal _loanTokens;
+    /// Number of loans that did not end yet that can be funded with each token symbol
+    mapping (string => uint) public _tokenLoans;
+    /// Amount of each token every investor deposited for a loan
+    mapping (address => mapping (address => mapping (address => uint))) public _deposits;
+    /// Amount of each token deposited for a loan by all of its investors
+    mapping (address => mapping (address => uint)) public _loanDeposits;
+    /// Value in the loan's token of the deposits of every investor of a loan
+    mapping (address => mapping (address => uint)) public _depositValues;
+    /// Value in the loan's token of all the deposits of a loan
+    mapping (address => uint) public _depositedValues;
+
+
+    ///////////// Modifiers /////////////
+
+    modifier onlyHousteca()
+    {
+        require(msg.sender == address(_housteca), "Housteca Funding: Only Housteca can perform this operation");
+        _;
+    }
+
+    modifier onlyLoan()
+    {
+        require(_housteca.isLoan(msg.sender), "Housteca Funding: Only loans can perform this operation");
+        _;
+    }
+
+
+    ///////////// View functions /////////////
+
+    function proposalFundingTokens(
+        address borrower
+    )
+      public
+      view
+      returns (string[] memory)
+    {
+        return _proposalTokens[borrower];
+    }
+
+    /// Gets the symbols the investors can fund a loan with, besides the loan's own token
+    function fundingTokens(
+        address loan
+    )
+      public
+      view
+      returns (string[] memory)
+    {
+        return _loanSymbols[loan];
+    }
+
+    /// Gets the address of a funding token of a loan, or zero if the loan does not accept it
+    function fundingToken(
+        address loan,
+        string memory symbol
+    )
+      public
+      view
+      returns (address)
+    {
+        string[] storage symbols = _loanSymbols[loan];
+        for (uint i = 0; i < symbols.length; i++) {
+            if (_equals(symbols[i], symbol)) {
+                return _loanTokens[loan][i];
+            }
+        }
+        return address(0);
+    }
+
+    /// Gets the value in the loan's token of an amount of one of its funding tokens
+    function convert(
+        address loan,
+        string memory symbol,
+        uint amount
+    )
+      public
+      view
+      returns (uint)
+    {
+        address token = fundingToken(loan, symbol);
+        require(token != address(0), "Housteca Funding: The loan cannot be funded with this token");
+        IPriceOracle oracle = _housteca._priceOracle();
+        require(address(oracle) != address(0), "Housteca Funding: The price oracle is not set");
+
+        return amount.mul(oracle.price(token, address(Loan(loan)._token()))).div(RATIO);
+    }
+
+    /// Checks whether a proposal, or a loan that did not end yet, can be funded with the token of the symbol
+    function isTokenInUse(
+        string memory symbol
+    )
+      public
+      view
+      returns (bool)
+    {
+        return _tokenProposals[symbol] > 0 || _tokenLoans[symbol] > 0;
+    }
+
+
+    ///////////// Gateway functions /////////////
+
+    constructor(address housteca)
+      public
+    {
+        _housteca = Housteca(housteca);
+    }
+
+    /// Sets the tokens the investors can fund the loan of a proposal with, besides its own.
+    /// Only the local node of the proposal can do it
+    function setProposalFundingTokens(
+        address borrower,
+        string[] memory symbols
+    )
+      public
+    {
+        Housteca.InvestmentProposal memory proposal = _housteca.getProposal(borrower);
+        require(proposal.targetAmount > 0, "Housteca Funding: There is no investment proposal for this address");
+        require(proposal.localNode == msg.sender, "Housteca Funding: permission denied");
+        for (uint i = 0; i < symbols.length; i++) {
+            require(_housteca._tokens(symbols[i]) != address(0), "Housteca Funding: Invalid token symbol");
+            require(!_equals(symbols[i], proposal.symbol), "Housteca Funding: The loan's own token is always accepted");
+            for (uint j = 0; j < i; j++) {
+                require(!_equals(symbols[i], symbols[j]), "Housteca Funding: Duplicated token symbol");
+            }
+        }
+
+        _discardProposalFundingTokens(borrower);
+        for (uint i = 0; i < symbols.length; i++) {
+            _tokenProposals[symbols[i]] += 1;
+            _proposalTokens[borrower].push(symbols[i]);
+        }
+        emit ProposalFundingTokensSet(borrower, symbols);
+    }
+
+    /// Housteca calls it when the proposal of the borrower is replaced or removed
+    function discardProposalFundingTokens(
+        address borrower
+    )
+      external
+      onlyHousteca
+    {
+        _discardProposalFundingTokens(borrower);
+    }
+
+    /// Housteca calls it when the proposal of the borrower becomes a loan
+    function attachLoan(
+        address borrower,
+        address loan
+    )
+      external
+      onlyHousteca
+    {
+        string[] storage symbols = _proposalTokens[borrower];
+        if (symbols.length > 0) {
+            for (uint i = 0; i < symbols.length; i++) {
+                _loanSymbols[loan].push(symbols[i]);
+                _loanTokens[loan].push(_housteca.getToken(symbols[i]));
+                _tokenLoans[symbols[i]] += 1;
+            }
+            emit FundingTokensAttached(loan, symbols);
+        }
+        _discardProposalFundingTokens(borrower);
+    }
+
+    /// Housteca calls it when the loan ends. The investors can still get their deposits back
+    function detachLoan(
+        address loan
+    )
+      external
+      onlyHousteca
+    {
+        string[] storage symbols = _loanSymbols[loan];
+        for (uint i = 0; i < symbols.length; i++) {
+            _tokenLoans[symbols[i]] -= 1;
+        }
+    }
+
+    /// Funds a loan with one of its funding tokens, which the investor must have approved.
+    /// The loan records the investment at the value of the tokens in its own token.
+    /// The insurance has to be funded with the loan's token, since the loan pays it
+    /// to the investors when the borrower misses a payment.
+    function deposit(
+        address loan,
+        string calldata symbol,
+        uint amount
+    )
+      external
+    {
+        require(_housteca.isLoan(loan), "Housteca Funding: Unknown loan");
+        uint value = convert(loan, symbol, amount);
+        require(value > 0, "Housteca Funding: The deposit is worth nothing");
+
+        _depositValues[loan][msg.sender] = _depositValues[loan][msg.sender].add(value);
+        _depositedValues[loan] = _depositedValues[loan].add(value);
+        require(
+            _depositedValues[loan].add(Loan(loan)._paymentAmount().mul(Loan(loan)._insuredPayments())) <= Loan(loan)._targetAmount(),
+            "Housteca Funding: The insurance must be funded with the loan's token"
+        );
+
+        IERC20 token = IERC20(fundingToken(loan, symbol));
+        _deposits[loan][msg.sender][address(token)] = _deposits[loan][msg.sender][address(token)].add(amount);
+        _loanDeposits[loan][address(token)] = _loanDeposits[loan][address(token)].add(amount);
+        require(token.transferFrom(msg.sender, address(this), amount), "Housteca Funding: Token transfer failed");
+        emit Deposited(loan, msg.sender, address(token), amount, value);
+        Loan(loan).investFor(msg.sender, value);
+    }
+
+    /// The loan calls it when the investor collects the investment, to return the deposits.
+    /// It gives the value of the deposits, which the loan does not pay back in its token
+    function refund(
+        address investor
+    )
+      external
+      onlyLoan
+      returns (uint value)
+    {
+        value = _depositValues[msg.sender][investor];
+        _depositValues[msg.sender][investor] = 0;
+        _depositedValues[msg.sender] = _depositedValues[msg.sender].sub(value);
+        address[] storage tokens = _loanTokens[msg.sender];
+        for (uint i = 0; i < tokens.length; i++) {
+            uint amount = _deposits[msg.sender][investor][tokens[i]];
+            if (amount > 0) {
+                _deposits[msg.sender][investor][tokens[i]] = 0;
+                _loanDeposits[msg.sender][tokens[i]] = _loanDeposits[msg.sender][tokens[i]].sub(amount);
+                emit DepositRefunded(msg.sender, investor, tokens[i], amount);
+                _transfer(tokens[i], investor, amount);
+            }
+        }
+    }
+
+    /// The loan calls it when the local node collects its funds, to send the local node every deposit.
+    /// It gives the value of the deposits, which the loan does not send in its token
+    function release(
+        address to
+    )
+      external
+      onlyLoan
+      returns (uint value)
+    {
+        value = _depositedValues[msg.sender];
+        _depositedValues[msg.sender] = 0;
+        address[] storage tokens = _loanTokens[msg.sender];
+        for (uint i = 0; i < tokens.length; i++) {
+            uint amount = _loanDeposits[msg.sender][tokens[i]];
+            if (amount > 0) {
+                _loanDeposits[msg.sender][tokens[i]] = 0;
+                emit DepositsReleased(msg.sender, to, tokens[i], amount);
+                _transfer(tokens[i], to, amount);
+            }
+        }
+    }
+
+    function _discardProposalFundingTokens(
+        address borrower
+    )
+      internal
+    {
+        string[] storage symbols = _proposalTokens[borrower];
+        for (uint i = 0; i < symbols.length; i++) {
+            _tokenProposals[symbols[i]] -= 1;
+        }
+        delete _proposalTokens[borrower];
+    }
+
+    function _transfer(
+        address token,
+        address to,
+        uint amount
+    )
+      internal
+    {
+        require(IERC20(token).transfer(to, amount), "Housteca Funding: Token transfer failed");
+    }
+
+    function _equals(
+        string memory a,
+        string memory b
+    )
+      internal
+      pure
+      returns (bool)
+    {
+        return keccak256(bytes(a)) == keccak256(bytes(b));
+    }
+}
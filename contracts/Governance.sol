@@ -0,0 +1,237 @@
+pragma solidity 0.5.13;
+
+import "./Housteca.sol";
+
+
+/// Confirmation workflow for Housteca's sensitive operations, such as changing
+/// the fee or the accepted tokens. Once Housteca requires several confirmations,
+/// an admin submits the call and it is executed as soon as enough admins confirm it.
+/// Every action requires the administration level of the Housteca function it calls,
+/// and only the confirmations of admins with that level count.
+/// It lives in its own contract so that Housteca stays under the contract size limit.
+contract Governance
+{
+    ///////////// Structs /////////////
+
+    struct Action
+    {
+        address proposer;
+        bytes data;                 // calldata of the call to Housteca
+        address[] confirmers;
+        bool executed;
+        uint8 level;                // administration level the confirmers need
+    }
+
+
+    ///////////// Events /////////////
+
+    event ActionSubmitted(
+        uint indexed actionId,
+        address indexed proposer,
+        bytes data
+    );
+    event ActionConfirmed(
+        uint indexed actionId,
+        address indexed admin
+    );
+    event ActionRevoked(
+        uint indexed actionId,
+        address indexed admin
+    );
+    event ActionExecuted(
+        uint indexed actionId
+    );
+
+
+    ///////////// Attributes /////////////
+
+    /// Address of Housteca's main contract
+    Housteca public _housteca;
+    Action[] internal _actions;
+    /// Level the Housteca functions need, by selector. Those not listed need a root
+    mapping (bytes4 => uint8) public _actionLevels;
+    /// Level of the action being executed, so that Housteca can check it
+    uint8 public _executingLevel;
+
+
+    ///////////// Modifiers /////////////
+
+    modifier onlyAdmin()
+    {
+        require(_housteca.isAdmin(msg.sender), "Housteca Governance: Insufficient administrator privileges");
+        _;
+    }
+
+    modifier isPending(uint actionId)
+    {
+        require(actionId < _actions.length, "Housteca Governance: Unknown action");
+        require(!_actions[actionId].executed, "Housteca Governance: The action was already executed");
+        _;
+    }
+
+
+    ///////////// View functions /////////////
+
+    function actionCount()
+      public
+      view
+      returns (uint)
+    {
+        return _actions.length;
+    }
+
+    function getAction(
+        uint actionId
+    )
+      public
+      view
+      returns (address proposer, bytes memory data, address[] memory confirmers, bool executed, uint8 level)
+    {
+        Action storage action = _actions[actionId];
+        return (action.proposer, action.data, action.confirmers, action.executed, action.level);
+    }
+
+    /// Gets the administration level needed to submit and confirm a call to Housteca
+    function actionLevel(
+        bytes memory data
+    )
+      public
+      view
+      returns (uint8)
+    {
+        require(data.length >= 4, "Housteca Governance: Invalid action");
+
+        bytes4 selector = bytes4(data[0]) | (bytes4(data[1]) >> 8) | (bytes4(data[2]) >> 16) | (bytes4(data[3]) >> 24);
+        uint8 level = _actionLevels[selector];
+        return level > 0 ? level : _housteca.ADMIN_ROOT_LEVEL();
+    }
+
+    /// Counts the confirmations given by accounts that still have the level of the action
+    function confirmationCount(
+        uint actionId
+    )
+      public
+      view
+      returns (uint count)
+    {
+        Action storage action = _actions[actionId];
+        for (uint i = 0; i < action.confirmers.length; i++) {
+            if (_adminLevel(action.confirmers[i]) >= action.level) {
+                count += 1;
+            }
+        }
+    }
+
+    function hasConfirmed(
+        uint actionId,
+        address admin
+    )
+      public
+      view
+      returns (bool)
+    {
+        address[] storage confirmers = _actions[actionId].confirmers;
+        for (uint i = 0; i < confirmers.length; i++) {
+            if (confirmers[i] == admin) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+
+    ///////////// Governance functions /////////////
+
+    constructor(address housteca)
+      public
+    {
+        _housteca = Housteca(housteca);
+        uint8 adminLevel = _housteca.ADMIN_LEVEL();
+        _actionLevels[bytes4(keccak256("setLoanVersion(uint256)"))] = adminLevel;
+        _actionLevels[bytes4(keccak256("setHoustecaFeeRatio(uint256)"))] = adminLevel;
+        _actionLevels[bytes4(keccak256("addToken(string,address)"))] = adminLevel;
+        _actionLevels[bytes4(keccak256("removeToken(string)"))] = adminLevel;
+        _actionLevels[bytes4(keccak256("removeInvestmentProposal(address)"))] = adminLevel;
+    }
+
+    /// Proposes a call to Housteca, given its calldata, and confirms it
+    function submitAction(
+        bytes calldata data
+    )
+      external
+      onlyAdmin
+      returns (uint actionId)
+    {
+        actionId = _actions.length;
+        _actions.length += 1;
+        _actions[actionId].proposer = msg.sender;
+        _actions[actionId].data = data;
+        _actions[actionId].level = actionLevel(data);
+        emit ActionSubmitted(actionId, msg.sender, data);
+        confirmAction(actionId);
+    }
+
+    /// Confirms a pending action, which is executed as soon as it gathers the confirmations
+    /// Housteca requires. If the call fails the confirmation is reverted too, so the
+    /// action stays pending
+    function confirmAction(
+        uint actionId
+    )
+      public
+      onlyAdmin
+      isPending(actionId)
+    {
+        Action storage action = _actions[actionId];
+        require(_adminLevel(msg.sender) >= action.level, "Housteca Governance: Insufficient administrator privileges");
+        require(!hasConfirmed(actionId, msg.sender), "Housteca Governance: The action was already confirmed");
+
+        action.confirmers.push(msg.sender);
+        emit ActionConfirmed(actionId, msg.sender);
+        if (confirmationCount(actionId) < _housteca._requiredConfirmations()) {
+            return;
+        }
+
+        action.executed = true;
+        emit ActionExecuted(actionId);
+        _executingLevel = action.level;
+        // solium-disable-next-line security/no-low-level-calls
+        (bool success, bytes memory result) = address(_housteca).call(action.data);
+        _executingLevel = 0;
+        if (!success) {
+            // bubble up Housteca's revert reason
+            // solium-disable-next-line security/no-inline-assembly
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    /// Withdraws the caller's confirmation of a pending action
+    function revokeConfirmation(
+        uint actionId
+    )
+      external
+      isPending(actionId)
+    {
+        address[] storage confirmers = _actions[actionId].confirmers;
+        for (uint i = 0; i < confirmers.length; i++) {
+            if (confirmers[i] == msg.sender) {
+                confirmers[i] = confirmers[confirmers.length - 1];
+                confirmers.length -= 1;
+                emit ActionRevoked(actionId, msg.sender);
+                return;
+            }
+        }
+        revert("Housteca Governance: The action was not confirmed");
+    }
+
+    function _adminLevel(
+        address admin
+    )
+      internal
+      view
+      returns (uint8 level)
+    {
+        (level, ) = _housteca._admins(admin);
+    }
+}
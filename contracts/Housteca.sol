@@ -1,8 +1,18 @@
 pragma solidity 0.5.13;
+pragma experimental ABIEncoderV2;
 
+import "./Clones.sol";
+import "./FundingGateway.sol";
+import "./Governance.sol";
+import "./IPriceOracle.sol";
+import "./InvestorRegistry.sol";
 import "./Loan.sol";
+import "./Period.sol";
 import "./Property.sol";
+import "./PropertyRegistry.sol";
+import "./Treasury.sol";
 import "openzeppelin-solidity/contracts/math/Math.sol";
+import "openzeppelin-solidity/contracts/utils/Address.sol";
 import "openzeppelin-solidity/contracts/math/SafeMath.sol";
 
 
@@ -12,8 +22,12 @@ contract Housteca
 
     /// Maximum level of administration of Housteca's contract
     uint8 constant public ADMIN_ROOT_LEVEL = 255;
-    /// Number of seconds to keep a proposal alive
-    uint constant public PROPOSAL_GRACE_PERIOD = 15 days;
+    uint8 constant public ADMIN_LEVEL = 254;
+    uint8 constant public LOCAL_NODE_LEVEL = 253;
+    /// Roles granted on top of the administration levels. Roots hold every role
+    bytes32 constant public KYC_OFFICER_ROLE = "KYC_OFFICER";
+    bytes32 constant public TREASURER_ROLE = "TREASURER";
+    bytes32 constant public APPRAISER_ROLE = "APPRAISER";
     /// The number to multiply ratios for (solidity doesn't store floating point numbers)
     uint constant public RATIO = 10 ** 18;
 
@@ -31,6 +45,18 @@ contract Housteca
         uint feeRatio;
     }
 
+    /// Deadlines of a loan, in seconds, and the time between its payments
+    struct LoanTiming
+    {
+        uint proposalGracePeriod;   // time for the borrower to turn the proposal into a loan
+        uint initialStakePeriod;    // time for the borrower to deposit the initial stake
+        uint fundingPeriod;         // time for the investors to fund the loan
+        uint signingPeriod;         // time to sign the document once the loan is funded
+        uint paymentGracePeriod;    // time after a due date before the payment counts as missed
+        uint periodicity;           // time between payments, in periodUnit units
+        Period.Unit periodUnit;
+    }
+
     struct InvestmentProposal
     {
         address localNode;
@@ -41,9 +67,32 @@ contract Housteca
         uint insuredPayments;
         uint paymentAmount;
         uint perPaymentInterestRatio;
+        uint prepaymentPenaltyRatio;
+        uint lateFeeRatio;          // fee charged over the payments made after their due date
         uint localNodeFeeAmount;
         uint houstecaFeeAmount;
         uint created;
+        LoanTiming timing;
+    }
+
+    /// What an investor holds in a loan, and what he can collect from it right now
+    struct Position
+    {
+        address loan;
+        Loan.Status status;
+        uint invested;              // principal invested, or bought from other investors
+        uint collectablePayments;   // share of the payments made by the borrower
+        uint collectableInsurance;  // share of the insured payments the borrower did not make
+        uint collectablePrepayment; // share of the principal the borrower returned in advance and of the late fees
+        uint propertyTokens;        // Property tokens owed once the loan finishes or goes bankrupt
+    }
+
+    /// Signers of the document besides the borrower and the local node
+    struct SignerSet
+    {
+        address[] signers;
+        bytes32[] roles;            // role of each signer, such as "NOTARY" or "SELLER"
+        uint threshold;             // signatures needed, counting the borrower's and the local node's. 0 means all
     }
 
 
@@ -57,11 +106,16 @@ contract Housteca
         address indexed admin,
         uint8 indexed level
     );
-    event InvestorAdded(
-        address indexed investor
+    event RoleGranted(
+        bytes32 indexed role,
+        address indexed account
     );
-    event InvestorRemoved(
-        address indexed investor
+    event RoleRevoked(
+        bytes32 indexed role,
+        address indexed account
+    );
+    event RequiredConfirmationsSet(
+        uint confirmations
     );
     event TokenAdded(
         string symbol,
@@ -83,6 +137,12 @@ contract Housteca
     event InvestmentProposalRemoved(
         address indexed borrower
     );
+    event InvestmentProposalSignersSet(
+        address indexed borrower,
+        address[] signers,
+        bytes32[] roles,
+        uint threshold
+    );
     event InvestmentCreated(
         address contractAddress,
         address borrower,
@@ -94,26 +154,83 @@ contract Housteca
         uint insuredPayments,
         uint paymentAmount,
         uint localNodeFeeAmount,
-        uint houstecaFeeAmount
+        uint houstecaFeeAmount,
+        uint loanVersion
+    );
+    event LoanVersionAdded(
+        uint indexed version,
+        address indexed implementation
+    );
+    event LoanVersionSet(
+        uint indexed version
     );
 
 
     ///////////// Attributes /////////////
 
     mapping (address => Administrator) public _admins;
-    mapping (address => bool) public _investors;
+    /// Roles of each account besides its administration level
+    mapping (bytes32 => mapping (address => bool)) public _roles;
+    uint public _rootCount;
+    /// Admin confirmations the sensitive operations need. With a single one
+    /// they are called directly, otherwise they go through the governance contract
+    uint public _requiredConfirmations;
+    Governance public _governance;
+    /// KYC records of the investors
+    InvestorRegistry public _investorRegistry;
+    /// Metadata and images of the properties
+    PropertyRegistry public _propertyRegistry;
+    /// Funding of the loans with other tokens than their own
+    FundingGateway public _fundingGateway;
+    /// Converts the funding tokens to the tokens of the loans
+    IPriceOracle public _priceOracle;
     mapping (string => address) public _tokens;
-    mapping (address => InvestmentProposal) public _proposals;
+    /// Number of investment proposals that use each token symbol
+    mapping (string => uint) public _tokenProposals;
+    /// Number of loans that did not end yet that use each token symbol
+    mapping (string => uint) public _tokenLoans;
+    /// Token symbol of every loan
+    mapping (address => string) internal _loanSymbols;
+    mapping (address => InvestmentProposal) internal _proposals;
+    mapping (address => SignerSet) internal _proposalSigners;
+    mapping (address => bool) public _loanContracts;
     uint public _houstecaFeeRatio;
     Property public _propertyToken;
+    /// Implementations the loans are cloned from. Version N is at index N - 1
+    address[] public _loanVersions;
+    /// Version of the loans created from now on
+    uint public _loanVersion;
+    /// Contract that keeps Housteca's fees
+    Treasury public _treasury;
+    /// Fees of the loans held while there was no treasury, by loan
+    mapping (address => uint) public _heldFees;
+    /// Bounds of the loans' timing. The periodicity bounds are given in seconds
+    LoanTiming public _minTiming;
+    LoanTiming public _maxTiming;
     address[] public _loans;
+    /// Loans every investor took a position in, so that the portfolios do not go through every loan
+    mapping (address => address[]) internal _investorLoans;
 
 
     ///////////// Modifiers /////////////
 
     modifier hasPermissions(uint8 level)
     {
-        require(_admins[msg.sender].level >= level, "Housteca: Insufficient administrator privileges");
+        _checkPermissions(level);
+        _;
+    }
+
+    /// Sensitive operations. Once several confirmations are required, only
+    /// the governance contract can call them, after the admins confirm the call
+    modifier governed(uint8 level)
+    {
+        _checkGoverned(level);
+        _;
+    }
+
+    modifier onlyLoan()
+    {
+        _checkLoan();
         _;
     }
 
@@ -133,6 +250,23 @@ contract Housteca
         return tokenAddress;
     }
 
+    /// Gets the implementation the new loans are cloned from
+    function loanImplementation()
+      public
+      view
+      returns (address)
+    {
+        return _loanVersions[_loanVersion - 1];
+    }
+
+    function loanVersionCount()
+      external
+      view
+      returns (uint)
+    {
+        return _loanVersions.length;
+    }
+
     function isInvestor(
         address addr
     )
@@ -140,7 +274,23 @@ contract Housteca
       view
       returns (bool)
     {
-        return _investors[addr];
+        return address(_investorRegistry) != address(0) && _investorRegistry.isVerified(addr);
+    }
+
+    /// Loans check with it that a verified investor can hold his investment in them.
+    /// It reverts if the investment exceeds the loan share cap of the investor's tier
+    function canHold(
+        address investor
+    )
+      external
+      view
+      returns (bool)
+    {
+        if (!isInvestor(investor)) {
+            return false;
+        }
+        _investorRegistry.checkHolding(msg.sender, investor);
+        return true;
     }
 
     function isAdmin(
@@ -150,7 +300,7 @@ contract Housteca
       view
       returns (bool)
     {
-        return _admins[addr].level >= ADMIN_ROOT_LEVEL - 1;
+        return _admins[addr].level >= ADMIN_LEVEL;
     }
 
     function isLocalNode(
@@ -160,7 +310,84 @@ contract Housteca
       view
       returns (bool)
     {
-        return _admins[addr].level >= ADMIN_ROOT_LEVEL - 2;
+        return _admins[addr].level >= LOCAL_NODE_LEVEL;
+    }
+
+    function isRoot(
+        address addr
+    )
+      public
+      view
+      returns (bool)
+    {
+        return _admins[addr].level == ADMIN_ROOT_LEVEL;
+    }
+
+    function hasRole(
+        bytes32 role,
+        address addr
+    )
+      public
+      view
+      returns (bool)
+    {
+        return isRoot(addr) || _roles[role][addr];
+    }
+
+    function isLoan(
+        address addr
+    )
+      public
+      view
+      returns (bool)
+    {
+        return _loanContracts[addr];
+    }
+
+    function getProposal(
+        address borrower
+    )
+      public
+      view
+      returns (InvestmentProposal memory)
+    {
+        return _proposals[borrower];
+    }
+
+    function getProposalSigners(
+        address borrower
+    )
+      public
+      view
+      returns (address[] memory signers, bytes32[] memory roles, uint threshold)
+    {
+        SignerSet storage signerSet = _proposalSigners[borrower];
+        return (signerSet.signers, signerSet.roles, signerSet.threshold);
+    }
+
+    /// Gets the number of extra signers of a proposal and its signature threshold.
+    /// Loans read their signers one by one, which keeps their bytecode smaller.
+    function getProposalSignerCount(
+        address borrower
+    )
+      public
+      view
+      returns (uint count, uint threshold)
+    {
+        SignerSet storage signerSet = _proposalSigners[borrower];
+        return (signerSet.signers.length, signerSet.threshold);
+    }
+
+    function getProposalSigner(
+        address borrower,
+        uint index
+    )
+      public
+      view
+      returns (address signer, bytes32 role)
+    {
+        SignerSet storage signerSet = _proposalSigners[borrower];
+        return (signerSet.signers[index], signerSet.roles[index]);
     }
 
     function loans()
@@ -171,28 +398,316 @@ contract Housteca
         return _loans;
     }
 
+    /// Checks whether an investment proposal, or a loan that did not end yet,
+    /// uses the token of the symbol to be funded or paid
+    function isTokenInUse(
+        string memory symbol
+    )
+      public
+      view
+      returns (bool)
+    {
+        return (
+            _tokenProposals[symbol] > 0 ||
+            _tokenLoans[symbol] > 0 ||
+            (address(_fundingGateway) != address(0) && _fundingGateway.isTokenInUse(symbol))
+        );
+    }
+
+    /// Gets every loan the investor holds a position in
+    function portfolio(
+        address investor
+    )
+      public
+      view
+      returns (Position[] memory positions)
+    {
+        address[] storage investorLoans = _investorLoans[investor];
+        uint count = 0;
+        for (uint i = 0; i < investorLoans.length; i++) {
+            if (Loan(investorLoans[i]).hasInvested(investor)) {
+                count += 1;
+            }
+        }
+        positions = new Position[](count);
+        count = 0;
+        for (uint i = 0; i < investorLoans.length; i++) {
+            if (Loan(investorLoans[i]).hasInvested(investor)) {
+                positions[count] = _position(Loan(investorLoans[i]), investor);
+                count += 1;
+            }
+        }
+    }
+
+    function _position(
+        Loan loan,
+        address investor
+    )
+      internal
+      view
+      returns (Position memory position)
+    {
+        uint ratio = loan.investmentRatio(investor);
+        position.loan = address(loan);
+        position.status = loan._status();
+        position.invested = loan._investments(investor);
+        // each payment is rounded on its own, the same way the loan does when collecting them
+        for (uint i = loan._timesCollected(investor) + 1; i <= loan._timesPaid(); i++) {
+            position.collectablePayments = position.collectablePayments.add(loan._paidAmounts(i).mul(ratio).div(RATIO));
+        }
+        uint insuredPayments = loan._timesDefault().sub(loan._timesCollectedDefault(investor));
+        position.collectableInsurance = loan._paymentAmount().mul(ratio).div(RATIO).mul(insuredPayments);
+        position.collectablePrepayment = loan.pendingPrepayment(investor);
+        if (!loan._propertyCollected(investor)) {
+            position.propertyTokens = loan.propertyTokenAmount(investor);
+        }
+    }
+
 
     ///////////// Admin functions /////////////
 
-    constructor(address propertyToken)
+    constructor(address propertyToken, address implementation)
       public
     {
         _admins[msg.sender].level = ADMIN_ROOT_LEVEL;
+        _rootCount = 1;
+        _requiredConfirmations = 1;
         _propertyToken = Property(propertyToken);
+        _addLoanVersion(implementation);
+        _setLoanVersion(1);
         _houstecaFeeRatio = RATIO / 100;  // 1% fee by default for Housteca
+        _minTiming = LoanTiming({
+            proposalGracePeriod: 1 days,
+            initialStakePeriod: 1 days,
+            fundingPeriod: 7 days,
+            signingPeriod: 1 days,
+            paymentGracePeriod: 0,
+            periodicity: 1 days,
+            periodUnit: Period.Unit.SECONDS
+        });
+        _maxTiming = LoanTiming({
+            proposalGracePeriod: 90 days,
+            initialStakePeriod: 90 days,
+            fundingPeriod: 365 days,
+            signingPeriod: 180 days,
+            paymentGracePeriod: 90 days,
+            periodicity: 372 days,
+            periodUnit: Period.Unit.SECONDS
+        });
         emit AdminAdded(msg.sender, ADMIN_ROOT_LEVEL);
     }
 
+    function setTimingBounds(
+        LoanTiming memory minTiming,
+        LoanTiming memory maxTiming
+    )
+      public
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        require(
+            minTiming.proposalGracePeriod <= maxTiming.proposalGracePeriod &&
+            minTiming.initialStakePeriod <= maxTiming.initialStakePeriod &&
+            minTiming.fundingPeriod <= maxTiming.fundingPeriod &&
+            minTiming.signingPeriod <= maxTiming.signingPeriod &&
+            minTiming.paymentGracePeriod <= maxTiming.paymentGracePeriod &&
+            minTiming.periodicity <= maxTiming.periodicity,
+            "Housteca: The minimum timing cannot be greater than the maximum"
+        );
+        require(minTiming.periodicity > 0, "Housteca: The minimum periodicity must be greater than zero");
+
+        _minTiming = minTiming;
+        _maxTiming = maxTiming;
+        _minTiming.periodUnit = Period.Unit.SECONDS;
+        _maxTiming.periodUnit = Period.Unit.SECONDS;
+    }
+
+    /// Registers a new implementation for the loans. The loans that already
+    /// exist keep the implementation they were created with
+    function addLoanVersion(
+        address implementation
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        _addLoanVersion(implementation);
+    }
+
+    function _addLoanVersion(
+        address implementation
+    )
+      internal
+    {
+        require(Address.isContract(implementation), "Housteca: The loan implementation must be a contract");
+
+        _loanVersions.push(implementation);
+        emit LoanVersionAdded(_loanVersions.length, implementation);
+    }
+
+    /// Switches the version the new loans are created with, such as to roll back
+    /// to a previous one
+    function setLoanVersion(
+        uint version
+    )
+      external
+      governed(ADMIN_LEVEL)
+    {
+        _setLoanVersion(version);
+    }
+
+    function _setLoanVersion(
+        uint version
+    )
+      internal
+    {
+        require(version > 0 && version <= _loanVersions.length, "Housteca: Unknown loan version");
+
+        _loanVersion = version;
+        emit LoanVersionSet(version);
+    }
+
+    function setTreasury(
+        address treasury
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        _treasury = Treasury(treasury);
+    }
+
+    function setInvestorRegistry(
+        address investorRegistry
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        _investorRegistry = InvestorRegistry(investorRegistry);
+    }
+
+    function setPropertyRegistry(
+        address propertyRegistry
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        _propertyRegistry = PropertyRegistry(propertyRegistry);
+    }
+
+    function setGovernance(
+        address governance
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        _governance = Governance(governance);
+    }
+
+    function setFundingGateway(
+        address fundingGateway
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        _fundingGateway = FundingGateway(fundingGateway);
+    }
+
+    function setPriceOracle(
+        address priceOracle
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        _priceOracle = IPriceOracle(priceOracle);
+    }
+
+    /// Sets the admin confirmations the sensitive operations need from now on
+    function setRequiredConfirmations(
+        uint confirmations
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        require(confirmations > 0, "Housteca: At least one confirmation is required");
+
+        emit RequiredConfirmationsSet(confirmations);
+        _requiredConfirmations = confirmations;
+    }
+
+    function addRoot(
+        address addr
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        require(addr != address(0) && !isRoot(addr), "Housteca: Invalid address");
+
+        _rootCount += 1;
+        emit AdminAdded(addr, ADMIN_ROOT_LEVEL);
+        _admins[addr].level = ADMIN_ROOT_LEVEL;
+    }
+
+    function removeRoot(
+        address addr
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        require(isRoot(addr), "Housteca: The address is not root");
+        require(_rootCount > 1, "Housteca: The last root cannot be removed");
+
+        _rootCount -= 1;
+        emit AdminRemoved(addr, ADMIN_ROOT_LEVEL);
+        delete _admins[addr];
+    }
+
+    /// Hands the root privileges of an account to another one
+    function transferRoot(
+        address from,
+        address to
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        require(isRoot(from), "Housteca: The address is not root");
+        require(to != address(0) && !isRoot(to), "Housteca: Invalid address");
+
+        emit AdminRemoved(from, ADMIN_ROOT_LEVEL);
+        emit AdminAdded(to, ADMIN_ROOT_LEVEL);
+        _admins[to] = _admins[from];
+        delete _admins[from];
+    }
+
+    function grantRole(
+        bytes32 role,
+        address addr
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        emit RoleGranted(role, addr);
+        _roles[role][addr] = true;
+    }
+
+    function revokeRole(
+        bytes32 role,
+        address addr
+    )
+      external
+      governed(ADMIN_ROOT_LEVEL)
+    {
+        emit RoleRevoked(role, addr);
+        delete _roles[role][addr];
+    }
+
     function addAdmin(
         address addr,
         uint8 level,
         uint feeRatio
     )
       external
-      hasPermissions(ADMIN_ROOT_LEVEL - 1)
+      governed(ADMIN_ROOT_LEVEL)
     {
-        require(addr != msg.sender, "Housteca: cannot change yourself");
         require(level > 0 && level < ADMIN_ROOT_LEVEL, "Housteca: Must provide a level greater than zero");
+        require(!isRoot(addr), "Housteca: Roots are changed with transferRoot or removeRoot");
 
         emit AdminAdded(addr, level);
         _admins[addr] = Administrator({
@@ -205,8 +720,10 @@ contract Housteca
         address addr
     )
       external
-      hasPermissions(_admins[addr].level + 1)
+      governed(ADMIN_ROOT_LEVEL)
     {
+        require(!isRoot(addr), "Housteca: Roots are changed with transferRoot or removeRoot");
+
         emit AdminRemoved(addr, _admins[addr].level);
         delete _admins[addr];
     }
@@ -215,7 +732,7 @@ contract Housteca
         uint houstecaFeeRatio
     )
       external
-      hasPermissions(ADMIN_ROOT_LEVEL - 1)
+      governed(ADMIN_LEVEL)
     {
         _houstecaFeeRatio = houstecaFeeRatio;
     }
@@ -225,40 +742,66 @@ contract Housteca
         address tokenAddress
     )
       external
-      hasPermissions(ADMIN_ROOT_LEVEL - 1)
+      governed(ADMIN_LEVEL)
     {
         emit TokenAdded(symbol, tokenAddress);
         _tokens[symbol] = tokenAddress;
     }
 
+    /// Tokens cannot be removed while a proposal or a loan that did not end uses them
     function removeToken(
         string calldata symbol
     )
       external
-      hasPermissions(ADMIN_ROOT_LEVEL - 1)
+      governed(ADMIN_LEVEL)
     {
+        require(!isTokenInUse(symbol), "Housteca: The token is used by investment proposals or loans");
+
         emit TokenRemoved(symbol, address(_tokens[symbol]));
         delete _tokens[symbol];
     }
 
-    function addInvestor(
-        address investor
+    function _checkPermissions(
+        uint8 level
     )
-      external
-      hasPermissions(ADMIN_ROOT_LEVEL - 2)
+      internal
+      view
     {
-        emit InvestorAdded(investor);
-        _investors[investor] = true;
+        require(_admins[msg.sender].level >= level, "Housteca: Insufficient administrator privileges");
     }
 
-    function removeInvestor(
-        address investor
+    function _checkGoverned(
+        uint8 level
     )
-      external
-      hasPermissions(ADMIN_ROOT_LEVEL - 2)
+      internal
+      view
+    {
+        if (msg.sender != address(_governance)) {
+            require(_requiredConfirmations <= 1, "Housteca: The operation must be confirmed by the admins");
+            _checkPermissions(level);
+        } else {
+            // the confirmers of the action must have the level of the operation
+            require(_governance._executingLevel() >= level, "Housteca: Insufficient administrator privileges");
+        }
+    }
+
+    function _checkLoan()
+      internal
+      view
+    {
+        require(isLoan(msg.sender), "Housteca: Only loans can perform this operation");
+    }
+
+    function _sendHeldFee(
+        address loan
+    )
+      internal
     {
-        emit InvestorRemoved(investor);
-        delete _investors[investor];
+        uint amount = _heldFees[loan];
+        _heldFees[loan] = 0;
+        IERC20 token = Loan(loan)._token();
+        require(token.transfer(address(_treasury), amount), "Housteca: Token transfer failed");
+        _treasury.receiveFee(loan, address(token), amount);
     }
 
     function _getFee(
@@ -272,25 +815,95 @@ contract Housteca
         return amount.mul(feeRatio).div(RATIO);
     }
 
+    /// Checks whether the payments return the whole target amount, following the same
+    /// math as Loan._pay: every payment but the last one must pay more than its interest
+    /// without returning more than the remaining principal, and the last one must cover
+    /// the remaining principal plus its interest.
+    function _canAmortize(
+        uint targetAmount,
+        uint totalPayments,
+        uint paymentAmount,
+        uint perPaymentInterestRatio
+    )
+      internal
+      pure
+      returns (bool)
+    {
+        uint remainingAmount = targetAmount;
+        for (uint i = 1; i < totalPayments; i++) {
+            uint interestAmount = remainingAmount.mul(perPaymentInterestRatio).div(RATIO);
+            if (paymentAmount <= interestAmount || paymentAmount.sub(interestAmount) > remainingAmount) {
+                return false;
+            }
+            remainingAmount = remainingAmount.sub(paymentAmount.sub(interestAmount));
+        }
+        return paymentAmount >= remainingAmount.add(remainingAmount.mul(perPaymentInterestRatio).div(RATIO));
+    }
+
+    /// Checks whether the timing of a loan is within the platform bounds.
+    /// Months are checked to be within bounds whatever their length is.
+    function _isTimingValid(
+        LoanTiming memory timing
+    )
+      internal
+      view
+      returns (bool)
+    {
+        (uint shortestPeriod, uint longestPeriod) = Period.length(timing.periodicity, timing.periodUnit);
+        return (
+            _isInRange(timing.proposalGracePeriod, _minTiming.proposalGracePeriod, _maxTiming.proposalGracePeriod) &&
+            _isInRange(timing.initialStakePeriod, _minTiming.initialStakePeriod, _maxTiming.initialStakePeriod) &&
+            _isInRange(timing.fundingPeriod, _minTiming.fundingPeriod, _maxTiming.fundingPeriod) &&
+            _isInRange(timing.signingPeriod, _minTiming.signingPeriod, _maxTiming.signingPeriod) &&
+            _isInRange(timing.paymentGracePeriod, _minTiming.paymentGracePeriod, _maxTiming.paymentGracePeriod) &&
+            shortestPeriod >= _minTiming.periodicity &&
+            longestPeriod <= _maxTiming.periodicity
+        );
+    }
+
+    function _isInRange(
+        uint value,
+        uint min,
+        uint max
+    )
+      internal
+      pure
+      returns (bool)
+    {
+        return value >= min && value <= max;
+    }
+
     function createInvestmentProposal(
         address borrower,
-        string calldata symbol,
+        string memory symbol,
         uint downpaymentRatio,
         uint targetAmount,
         uint totalPayments,
         uint insuredPayments,
         uint paymentAmount,
-        uint perPaymentInterestRatio
+        uint perPaymentInterestRatio,
+        uint prepaymentPenaltyRatio,
+        uint lateFeeRatio,
+        LoanTiming memory timing
     )
-      external
-      hasPermissions(ADMIN_ROOT_LEVEL - 2)
+      public
+      hasPermissions(LOCAL_NODE_LEVEL)
     {
         require(targetAmount > 0, "Housteca: Target amount must be greater than zero");
         require(paymentAmount > 0, "Housteca: The payment amount must be greater than zero");
         require(totalPayments > 0, "Housteca: The total number of payments must be greater than zero");
         require(downpaymentRatio < RATIO, "Housteca: The borrower cannot already own 100% of the property");
         require(address(_tokens[symbol]) != address(0), "Housteca: Invalid token symbol");
+        require(
+            _canAmortize(targetAmount, totalPayments, paymentAmount, perPaymentInterestRatio),
+            "Housteca: The payments cannot amortize the target amount"
+        );
+        require(paymentAmount.mul(insuredPayments) < targetAmount, "Housteca: Invalid insured payments");
+        require(prepaymentPenaltyRatio <= RATIO && lateFeeRatio <= RATIO, "Housteca: Invalid penalty ratios");
+        require(_isTimingValid(timing), "Housteca: The loan timing is out of bounds");
 
+        _discardProposal(borrower);
+        _tokenProposals[symbol] += 1;
         Administrator storage admin = _admins[msg.sender];
         _proposals[borrower] = InvestmentProposal({
             localNode: msg.sender,
@@ -301,22 +914,139 @@ contract Housteca
             insuredPayments: insuredPayments,
             paymentAmount: paymentAmount,
             perPaymentInterestRatio: perPaymentInterestRatio,
+            prepaymentPenaltyRatio: prepaymentPenaltyRatio,
+            lateFeeRatio: lateFeeRatio,
             localNodeFeeAmount: _getFee(admin.feeRatio, targetAmount),
             houstecaFeeAmount: _getFee(_houstecaFeeRatio, targetAmount),
-            created: block.timestamp
+            created: block.timestamp,
+            timing: timing
         });
+        delete _proposalSigners[borrower];
+        if (address(_propertyRegistry) != address(0)) {
+            _propertyRegistry.discardProposalMetadata(borrower);
+        }
 
         emit InvestmentProposalCreated(borrower, symbol, targetAmount, insuredPayments, totalPayments, paymentAmount, perPaymentInterestRatio);
     }
 
+    /// Sets who else has to sign the document of the proposal's loan, and how many
+    /// signatures are needed. Only the local node that created the proposal can do it.
+    function setProposalSigners(
+        address borrower,
+        address[] memory signers,
+        bytes32[] memory roles,
+        uint threshold
+    )
+      public
+    {
+        InvestmentProposal storage proposal = _proposals[borrower];
+        require(proposal.targetAmount > 0, "Housteca: There is no investment proposal for this address");
+        require(proposal.localNode == msg.sender, "Housteca: Only the local node of the proposal can set its signers");
+        require(signers.length == roles.length, "Housteca: Every signer needs a role");
+        require(threshold == 0 || (threshold >= 2 && threshold <= signers.length + 2), "Housteca: Invalid signature threshold");
+        for (uint i = 0; i < signers.length; i++) {
+            require(
+                signers[i] != address(0) && signers[i] != borrower && signers[i] != msg.sender && roles[i] != 0,
+                "Housteca: Invalid signer"
+            );
+            for (uint j = 0; j < i; j++) {
+                require(signers[i] != signers[j], "Housteca: Duplicated signer");
+            }
+        }
+
+        _proposalSigners[borrower] = SignerSet({
+            signers: signers,
+            roles: roles,
+            threshold: threshold
+        });
+        emit InvestmentProposalSignersSet(borrower, signers, roles, threshold);
+    }
+
     function removeInvestmentProposal(
         address borrower
     )
       external
-      hasPermissions(ADMIN_ROOT_LEVEL - 1)
+      governed(ADMIN_LEVEL)
     {
         emit InvestmentProposalRemoved(borrower);
+        _discardProposal(borrower);
         delete _proposals[borrower];
+        delete _proposalSigners[borrower];
+    }
+
+    /// The proposal of the borrower no longer uses its tokens, since it is replaced or removed
+    function _discardProposal(
+        address borrower
+    )
+      internal
+    {
+        InvestmentProposal storage proposal = _proposals[borrower];
+        if (proposal.targetAmount > 0) {
+            _tokenProposals[proposal.symbol] -= 1;
+        }
+        if (address(_fundingGateway) != address(0)) {
+            _fundingGateway.discardProposalFundingTokens(borrower);
+        }
+    }
+
+    /// Collects the pending earnings of every loan the caller invested in
+    function collectAll()
+      external
+    {
+        address[] storage investorLoans = _investorLoans[msg.sender];
+        for (uint i = 0; i < investorLoans.length; i++) {
+            Loan loan = Loan(investorLoans[i]);
+            if (loan.hasInvested(msg.sender) && !loan.hasCollectedEarnings(msg.sender)) {
+                loan.collectAllEarnings(msg.sender);
+            }
+        }
+    }
+
+    /// Loans call it after sending Housteca's fee, which is moved to the treasury.
+    /// Without a treasury Housteca holds the fee, so that the loan can go on
+    function receiveFee(
+        uint amount
+    )
+      external
+      onlyLoan
+    {
+        _heldFees[msg.sender] = _heldFees[msg.sender].add(amount);
+        if (address(_treasury) != address(0)) {
+            _sendHeldFee(msg.sender);
+        }
+    }
+
+    /// Moves the fee held for a loan to the treasury once it is set. Anybody can call it
+    function sendHeldFee(
+        address loan
+    )
+      external
+    {
+        require(address(_treasury) != address(0), "Housteca: The treasury is not set");
+        require(_heldFees[loan] > 0, "Housteca: There is no fee held for the loan");
+
+        _sendHeldFee(loan);
+    }
+
+    /// Loans call it once they end, so that their tokens are no longer in use
+    function loanEnded()
+      external
+      onlyLoan
+    {
+        _tokenLoans[_loanSymbols[msg.sender]] -= 1;
+        if (address(_fundingGateway) != address(0)) {
+            _fundingGateway.detachLoan(msg.sender);
+        }
+    }
+
+    /// Loans call it the first time an investor takes a position in them
+    function positionOpened(
+        address investor
+    )
+      external
+      onlyLoan
+    {
+        _investorLoans[investor].push(msg.sender);
     }
 
     function createInvestment()
@@ -325,24 +1055,19 @@ contract Housteca
         address borrower = msg.sender;
         InvestmentProposal storage proposal = _proposals[borrower];
         require(proposal.targetAmount > 0, "Housteca: There is no investment proposal for this address");
-        require(block.timestamp < proposal.created.add(PROPOSAL_GRACE_PERIOD), "Housteca: the period to create the investment has expired");
-
-        // first create the contract
-        address tokenAddress = getToken(proposal.symbol);
-        Loan loan = new Loan(
-            borrower,
-            proposal.localNode,
-            tokenAddress,
-            proposal.downpaymentRatio,
-            proposal.targetAmount,
-            proposal.totalPayments,
-            proposal.insuredPayments,
-            proposal.paymentAmount,
-            proposal.perPaymentInterestRatio,
-            proposal.localNodeFeeAmount,
-            proposal.houstecaFeeAmount
+        require(
+            block.timestamp < proposal.created.add(proposal.timing.proposalGracePeriod),
+            "Housteca: the period to create the investment has expired"
         );
+
+        // first create the contract, as a clone of the current loan version. Cloning
+        // keeps the Loan's bytecode out of Housteca, which would not fit the contract size limit
+        Loan loan = Loan(Clones.clone(loanImplementation()));
+        loan.initialize(borrower);
         _loans.push(address(loan));
+        _loanContracts[address(loan)] = true;
+        _loanSymbols[address(loan)] = proposal.symbol;
+        _tokenLoans[proposal.symbol] += 1;
 
         // once we have the contract's address, create the tokens
         _propertyToken.issueByPartition(
@@ -352,6 +1077,15 @@ contract Housteca
             hex"10"
         );
 
+        // the metadata of the proposal describes the loan's property from now on,
+        // and the investors can fund it with the funding tokens of the proposal
+        if (address(_propertyRegistry) != address(0)) {
+            _propertyRegistry.attachLoan(borrower, address(loan));
+        }
+        if (address(_fundingGateway) != address(0)) {
+            _fundingGateway.attachLoan(borrower, address(loan));
+        }
+
         // lastly, emit the event
         emit InvestmentCreated(
             address(loan),
@@ -364,11 +1098,14 @@ contract Housteca
             proposal.insuredPayments,
             proposal.paymentAmount,
             proposal.localNodeFeeAmount,
-            proposal.houstecaFeeAmount
+            proposal.houstecaFeeAmount,
+            _loanVersion
         );
 
         // remove the proposal since it has just become an actual Investment
+        _tokenProposals[proposal.symbol] -= 1;
         delete _proposals[msg.sender];
+        delete _proposalSigners[msg.sender];
     }
 }
 
@@ -0,0 +1,12 @@
+pragma solidity 0.5.13;
+
+
+/// Prices Housteca converts the funding tokens of the loans with, such as
+/// a price feed of stablecoins.
+interface IPriceOracle
+{
+    /// Gets the amount of `base` tokens one `token` is worth, multiplied by 10 ** 18.
+    /// Both amounts are given in the smallest unit of each token, so the price
+    /// accounts for their decimals. It reverts if there is no price for the pair.
+    function price(address token, address base) external view returns (uint);
+}
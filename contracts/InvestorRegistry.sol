@@ -0,0 +1,285 @@
+pragma solidity 0.5.13;
+
+import "openzeppelin-solidity/contracts/introspection/ERC1820Implementer.sol";
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "./Housteca.sol";
+import "./Loan.sol";
+
+
+/// KYC and accreditation records of Housteca's investors.
+/// Every record expires, belongs to a jurisdiction, which can be blocked as a whole,
+/// and has an accreditation tier with a loan share cap, the largest share of each loan
+/// the investor can hold. It does not cap the total the investor invests across loans.
+/// Only the local node or KYC officer that verified an investor, or an admin, changes its record.
+/// It validates the transfers of the Property token too, so that the property
+/// partitions only go to loans and verified investors.
+contract InvestorRegistry is IERC1400TokensValidator, ERC1820Implementer
+{
+    ///////////// Constants /////////////
+
+    bytes32 constant public ERC1400_TOKENS_VALIDATOR_INTERFACE_HASH = keccak256("ERC1400TokensValidator");
+
+
+    ///////////// Libraries /////////////
+
+    using SafeMath for uint;
+
+
+    ///////////// Structs /////////////
+
+    struct Investor
+    {
+        uint expiry;                // timestamp the verification expires at
+        bytes2 jurisdiction;        // ISO 3166-1 alpha-2 country code, such as "ES"
+        uint8 tier;                 // accreditation tier, zero is not a valid one
+        address verifier;           // local node or KYC officer that verified the investor
+    }
+
+
+    ///////////// Events /////////////
+
+    event InvestorAdded(
+        address indexed investor,
+        uint expiry,
+        bytes2 indexed jurisdiction,
+        uint8 tier,
+        address indexed officer
+    );
+    event InvestorRemoved(
+        address indexed investor,
+        address indexed officer
+    );
+    event TierShareCapSet(
+        uint8 indexed tier,
+        uint cap
+    );
+    event JurisdictionBlocked(
+        bytes2 indexed jurisdiction,
+        bool blocked
+    );
+
+
+    ///////////// Attributes /////////////
+
+    /// Address of Housteca's main contract
+    Housteca public _housteca;
+    mapping (address => Investor) public _investors;
+    /// Loan share cap of each tier, the maximum ratio of a loan's target amount an
+    /// investor of the tier can hold in that loan. Zero means the tier has no cap
+    mapping (uint8 => uint) public _tierShareCaps;
+    mapping (bytes2 => bool) public _blockedJurisdictions;
+
+
+    ///////////// Modifiers /////////////
+
+    /// Local nodes verify their investors, and KYC officers can do it for any local node
+    modifier onlyKycOfficer()
+    {
+        require(
+            _housteca.isLocalNode(msg.sender) || _housteca.hasRole(_housteca.KYC_OFFICER_ROLE(), msg.sender),
+            "Housteca Registry: Insufficient administrator privileges"
+        );
+        _;
+    }
+
+    /// Nobody else can change or remove a record, so that a local node cannot take over
+    /// the investors of another one. Admins can, in case the verifier loses the role
+    modifier onlyVerifierOf(address investor)
+    {
+        address verifier = _investors[investor].verifier;
+        require(
+            verifier == address(0) || verifier == msg.sender || _housteca.isAdmin(msg.sender),
+            "Housteca Registry: The investor was verified by somebody else"
+        );
+        _;
+    }
+
+    modifier onlyAdmin()
+    {
+        require(_housteca.isAdmin(msg.sender), "Housteca Registry: Insufficient administrator privileges");
+        _;
+    }
+
+
+    ///////////// View functions /////////////
+
+    /// Checks whether the investor has a valid record in a jurisdiction that is not blocked
+    function isVerified(
+        address addr
+    )
+      public
+      view
+      returns (bool)
+    {
+        Investor storage investor = _investors[addr];
+        return investor.tier > 0 && block.timestamp < investor.expiry && !_blockedJurisdictions[investor.jurisdiction];
+    }
+
+    /// Checks that what the investor holds in a loan is within the loan share cap of the investor's tier
+    function checkHolding(
+        address loan,
+        address investor
+    )
+      external
+      view
+    {
+        uint cap = _tierShareCaps[_investors[investor].tier];
+        require(
+            cap == 0 || Loan(loan)._investments(investor).mul(_housteca.RATIO()) <= Loan(loan)._targetAmount().mul(cap),
+            "Housteca Registry: The investment exceeds the tier's loan share cap"
+        );
+    }
+
+    /// Checks whether the Property token can be sent to the holder. Issuing goes
+    /// to the loans and redeeming to the zero address, and the loans send it back
+    /// to their borrowers and to their investors, even if their records expired,
+    /// so that no claim gets stuck. Anything else only goes to verified investors
+    function canValidate(
+        bytes4 /* functionSig */,
+        bytes32 /* partition */,
+        address /* operator */,
+        address from,
+        address to,
+        uint /* value */,
+        bytes calldata /* data */,
+        bytes calldata /* operatorData */
+    )
+      external
+      view
+      returns (bool)
+    {
+        return _canHoldProperty(from, to);
+    }
+
+    function _canHoldProperty(
+        address from,
+        address to
+    )
+      internal
+      view
+      returns (bool)
+    {
+        if (to == address(0) || _housteca.isLoan(to) || isVerified(to)) {
+            return true;
+        }
+        return _housteca.isLoan(from) && (Loan(from)._borrower() == to || Loan(from).hasInvested(to));
+    }
+
+
+    ///////////// Registry functions /////////////
+
+    constructor(address housteca)
+      public
+    {
+        _housteca = Housteca(housteca);
+        _registerInterfaceForAddress(ERC1400_TOKENS_VALIDATOR_INTERFACE_HASH, address(_housteca._propertyToken()));
+    }
+
+    /// Hook the Property token calls before every transfer
+    function tokensToValidate(
+        bytes4 /* functionSig */,
+        bytes32 /* partition */,
+        address /* operator */,
+        address from,
+        address to,
+        uint /* value */,
+        bytes calldata /* data */,
+        bytes calldata /* operatorData */
+    )
+      external
+    {
+        require(_canHoldProperty(from, to), "Housteca Registry: The holder is not a verified investor");
+    }
+
+    /// Adds or updates the record of an investor
+    function addInvestor(
+        address investor,
+        uint expiry,
+        bytes2 jurisdiction,
+        uint8 tier
+    )
+      public
+      onlyKycOfficer
+      onlyVerifierOf(investor)
+    {
+        require(investor != address(0), "Housteca Registry: Invalid address");
+        require(expiry > block.timestamp, "Housteca Registry: The expiry must be in the future");
+        require(jurisdiction != bytes2(0), "Housteca Registry: A jurisdiction is required");
+        require(tier > 0, "Housteca Registry: The tier must be greater than zero");
+
+        _investors[investor] = Investor({
+            expiry: expiry,
+            jurisdiction: jurisdiction,
+            tier: tier,
+            verifier: msg.sender
+        });
+        emit InvestorAdded(investor, expiry, jurisdiction, tier, msg.sender);
+    }
+
+    /// Adds the records of several investors at once, such as after an onboarding session
+    function addInvestors(
+        address[] calldata investors,
+        uint[] calldata expiries,
+        bytes2[] calldata jurisdictions,
+        uint8[] calldata tiers
+    )
+      external
+    {
+        require(
+            investors.length == expiries.length && investors.length == jurisdictions.length && investors.length == tiers.length,
+            "Housteca Registry: Every investor needs an expiry, a jurisdiction and a tier"
+        );
+
+        for (uint i = 0; i < investors.length; i++) {
+            addInvestor(investors[i], expiries[i], jurisdictions[i], tiers[i]);
+        }
+    }
+
+    function removeInvestor(
+        address investor
+    )
+      public
+      onlyKycOfficer
+      onlyVerifierOf(investor)
+    {
+        emit InvestorRemoved(investor, msg.sender);
+        delete _investors[investor];
+    }
+
+    function removeInvestors(
+        address[] calldata investors
+    )
+      external
+    {
+        for (uint i = 0; i < investors.length; i++) {
+            removeInvestor(investors[i]);
+        }
+    }
+
+    function setTierShareCap(
+        uint8 tier,
+        uint cap
+    )
+      external
+      onlyAdmin
+    {
+        require(tier > 0, "Housteca Registry: The tier must be greater than zero");
+        require(cap <= _housteca.RATIO(), "Housteca Registry: The cap cannot be greater than the whole loan");
+
+        _tierShareCaps[tier] = cap;
+        emit TierShareCapSet(tier, cap);
+    }
+
+    /// Blocks or allows the investors of a jurisdiction. Blocked investors cannot
+    /// invest nor receive positions or property tokens, but keep their records
+    function setJurisdictionBlocked(
+        bytes2 jurisdiction,
+        bool blocked
+    )
+      external
+      onlyAdmin
+    {
+        _blockedJurisdictions[jurisdiction] = blocked;
+        emit JurisdictionBlocked(jurisdiction, blocked);
+    }
+}
@@ -1,25 +1,24 @@
 pragma solidity 0.5.13;
 pragma experimental ABIEncoderV2;
 
+import "openzeppelin-solidity/contracts/math/Math.sol";
 import "openzeppelin-solidity/contracts/math/SafeMath.sol";
 import "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
 import "openzeppelin-solidity/contracts/token/ERC777/IERC777Recipient.sol";
 import "openzeppelin-solidity/contracts/cryptography/ECDSA.sol";
 import "openzeppelin-solidity/contracts/introspection/IERC1820Registry.sol";
+import "./FundingGateway.sol";
 import "./Housteca.sol";
+import "./Period.sol";
 import "./Property.sol";
 
 
+/// Implementation of Housteca's loans. Housteca creates every loan as a minimal
+/// proxy of the implementation of the current loan version, see `Housteca.addLoanVersion`.
 contract Loan is IERC777Recipient, IERC1400TokensRecipient
 {
     ///////////// Constants /////////////
 
-    /// Period of time for the investors to send funds to the contract
-    uint constant public FUNDING_PERIOD = 90 days;
-    /// Period of time for the borrower to deposit the initial stake
-    uint constant public INITIAL_STAKE_PERIOD = 15 days;
-    /// The number of seconds to make the next payment
-    uint constant public PERIODICITY = 1;
     /// The number to multiply ratios for (solidity doesn't store floating point numbers)
     uint constant public RATIO = 10 ** 18;
     /// Total amount of property tokens
@@ -49,6 +48,17 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
     ///////////// Events /////////////
 
     event StatusChanged(Status indexed from, Status indexed to);
+    event Invested(address indexed investor, uint amount);
+    event InvestmentCollected(address indexed investor, uint amount);
+    event DocumentSigned(address indexed signer, bytes32 documentHash);
+    event SignaturesCompleted(bytes32 documentHash, uint signatures);
+    event PaymentReceived(address indexed borrower, uint amount, uint timesPaid);
+    event EarningsCollected(address indexed investor, uint amount, bool fromInsurance);
+    event PropertyCollected(address indexed holder, uint amount);
+    event Prepaid(address indexed borrower, uint principal, uint penalty);
+    event ArrearsPaid(address indexed borrower, uint payments, uint amount, uint lateFee);
+    event PositionTransferred(address indexed from, address indexed to, uint amount);
+    event PositionOperatorSet(address indexed investor, address indexed operator, bool approved);
 
 
     ///////////// Attributes /////////////
@@ -57,27 +67,43 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
     IERC1820Registry constant public ERC1820 = IERC1820Registry(0x1820a4B7618BdE71Dce8cdc73aAB6C95905faD24);
     bytes32 constant public ERC777_TOKENS_RECIPIENT_INTERFACE_HASH = keccak256("ERC777TokensRecipient");
     bytes32 constant public ERC1400_TOKENS_RECIPIENT_INTERFACE_HASH = keccak256("ERC1400TokensRecipient");
+    /// EIP-712 types of the document signatures
+    bytes32 constant public EIP712_DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+    bytes32 constant public DOCUMENT_SIGNATURE_TYPEHASH = keccak256("DocumentSignature(bytes32 documentHash)");
+    /// Roles of the signers that are always required
+    bytes32 constant public BORROWER_ROLE = "BORROWER";
+    bytes32 constant public LOCAL_NODE_ROLE = "LOCAL_NODE";
 
     /// User that buys a house
     address public _borrower;
-    /// Token used to pay and fund
+    /// Token used to pay and fund. The amounts of the loan are given in it
     IERC20 public _token;
     /// Current status of the contract
     Status public _status;
     /// Address of Housteca's main contract
     Housteca public _housteca;
-    /// Array of images
-    string[] public _images;
     /// Address of the local node
     address public _localNode;
     /// Map to keep track of investor's funding
     mapping(address => uint) public _investments;
+    /// Contract the investors fund the loan through with other tokens
+    FundingGateway public _fundingGateway;
     /// Map to keep track of the times each investor collected his earnings
     mapping(address => uint) public _timesCollected;
     /// Map to keep track of the times each investor collected his earnings from the insurance
     mapping(address => uint) public _timesCollectedDefault;
-    /// Checks whether the investor collected the property in case of bankrupt or not
+    /// Checks whether the borrower or an investor collected his Property tokens
     mapping(address => bool) public _propertyCollected;
+    /// Amount actually paid in each scheduled payment, starting at 1
+    mapping(uint => uint) public _paidAmounts;
+    /// Map to keep track of the amount each investor collected from prepayments
+    mapping(address => uint) public _prepaymentCollected;
+    /// Addresses allowed to transfer the position of an investor, like a market
+    mapping(address => mapping(address => bool)) public _positionOperators;
+    /// Investors Housteca already added this loan to the portfolio of
+    mapping(address => bool) internal _positionOpened;
     /// Amount investors have to reach
     uint public _targetAmount;
     /// Number of payments to be made to return the initial investment
@@ -86,6 +112,10 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
     uint public _timesPaid;
     /// Times the contract is in default State
     uint public _timesDefault;
+    /// Missed payments the borrower paid back, which replenished the insurance
+    uint public _timesReplenished;
+    /// Insurance left to cover the missed payments, with what the paid arrears replenished
+    uint public _insuranceBalance;
     /// Timestamp of the next payment
     uint public _nextPayment;
     /// Timestamp that exposes the maximum date available to send the initial stake to this contract
@@ -94,6 +124,18 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
     uint public _fundingDeadline;
     /// Timestamp that exposes the maximum date available to get the signatures
     uint public _signingDeadline;
+    /// Period of time for the investors to send funds to the contract
+    uint public _fundingPeriod;
+    /// Period of time to get the signatures once the loan is funded
+    uint public _signingPeriod;
+    /// Period of time after a due date before the payment counts as missed
+    uint public _paymentGracePeriod;
+    /// Number of units between payments
+    uint public _periodicity;
+    /// Unit the periodicity is measured in
+    Period.Unit public _periodUnit;
+    /// Timestamp the payments are scheduled from
+    uint public _paymentsStart;
     /// Number of payments that will be given as insurance
     uint public _insuredPayments;
     /// Percentage of the property already owned by the borrower
@@ -102,6 +144,13 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
     uint public _paymentAmount;
     /// Interest paid per payment
     uint public _perPaymentInterestRatio;
+    /// Penalty charged over the principal returned before its time
+    uint public _prepaymentPenaltyRatio;
+    /// Fee charged over the payments made after their due date
+    uint public _lateFeeRatio;
+    /// Total amount received through prepayments, penalties included, and the late
+    /// fees of the arrears. The investors collect it pro rata outside the schedule
+    uint public _prepaidAmount;
     /// Total amount of the property that has been paid by returning the loan
     uint public _amortizedAmount;
     /// Total amount deposited by the investors
@@ -112,10 +161,17 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
     uint public _houstecaFeeAmount;
     /// Extra amount for the investors taken from the stake in case of unsuccessful events
     uint public _extraAmount;
-    /// Signature of the local node
-    bytes public _localNodeSignature;
-    /// Signature of the borrower;
-    bytes public _borrowerSignature;
+    /// Everybody who has to sign the document: the borrower, the local node and
+    /// the extra signers of the proposal, such as the notary or the seller
+    address[] internal _signers;
+    /// Role of each signer. Addresses without a role cannot sign
+    mapping (address => bytes32) public _signerRoles;
+    /// Signature of each signer
+    mapping (address => bytes) internal _signatures;
+    /// Number of signers that have signed the current document
+    uint public _signatureCount;
+    /// Signatures needed to collect the funds. The borrower's and the local node's are always needed
+    uint public _signatureThreshold;
     /// Hash of the document that proves the actual acquisition of the property
     bytes32 public _documentHash;
     /// Amount of tokens that belong to the borrower
@@ -129,7 +185,7 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
     /// Checks if the contract is in the given status.
     modifier checkStatus(Status status)
     {
-        require(_status == status, "Housteca Loan: Invalid status for this operation");
+        _checkStatus(status);
         _;
     }
 
@@ -158,15 +214,49 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         return addr == _localNode;
     }
 
-    /// Checks if the address is a Housteca's verified investor.
-    function isVerifiedInvestor(
-        address addr
+    /// Like `_checkStatus`, the checks repeated across functions keep their
+    /// revert messages in the bytecode only once
+    function _checkLocalNode()
+      internal
+      view
+    {
+        require(isLocalNode(msg.sender), "Housteca Loan: Only the local node can perform this operation");
+    }
+
+    /// Checks the borrower pays exactly what he owes
+    function _checkPayment(
+        address addr,
+        uint amount,
+        uint expectedAmount
     )
-      public
+      internal
       view
-      returns (bool)
     {
-        return _housteca.isInvestor(addr);
+        require(addr == _borrower, "Housteca Loan: Only the borrower can pay");
+        require(amount == expectedAmount, "Housteca Loan: Invalid amount to pay");
+    }
+
+    /// Checks the investor is verified once his investment changes. Housteca
+    /// reverts too if he holds more than his accreditation tier allows
+    function _checkInvestor(
+        address investor
+    )
+      internal
+      view
+    {
+        require(_housteca.canHold(investor), "Housteca Loan: An investor is required");
+    }
+
+    /// Adds the loan to the portfolio of the investor in Housteca the first time the investor takes a position
+    function _openPosition(
+        address investor
+    )
+      internal
+    {
+        if (!_positionOpened[investor]) {
+            _positionOpened[investor] = true;
+            _housteca.positionOpened(investor);
+        }
     }
 
     /// Checks if the address has invested in this contract.
@@ -180,6 +270,15 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         return _investments[addr] > 0;
     }
 
+    /// Checks whether the loan no longer supports operations besides collecting
+    function hasEnded()
+      public
+      view
+      returns (bool)
+    {
+        return _status == Status.FINISHED || _status == Status.UNCOMPLETED || _status == Status.BANKRUPT;
+    }
+
     /// Gets the initial amount the borrower will have to transfer to this contract as stake.
     function initialStakeAmount()
       public
@@ -209,13 +308,47 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         return _investments[addr].mul(RATIO).div(_targetAmount);
     }
 
+    /// Gets what the investor takes back when collecting his investment: the amount
+    /// he invested plus his share of the extra amount. The share is taken over what
+    /// the investors still in the loan invested, so the last one collects the rest.
+    /// The funding tokens count at the value they had when he deposited them
+    function refundAmount(
+        address investor
+    )
+      public
+      view
+      returns (uint)
+    {
+        uint investment = _investments[investor];
+        if (investment == 0) {
+            return 0;
+        }
+        return investment.add(_extraAmount.mul(investment).div(_investedAmount));
+    }
+
     /// Checks whether the period for the borrower to pay has expired or not.
+    /// Once every scheduled payment was paid or missed, only the arrears are left
     function paymentPeriodExpired()
       public
       view
       returns (bool)
     {
-        return (_status == Status.ACTIVE || _status == Status.DEFAULT) && block.timestamp > _nextPayment;
+        return (
+            (_status == Status.ACTIVE || _status == Status.DEFAULT) &&
+            !scheduleEnded() &&
+            block.timestamp > _nextPayment.add(_paymentGracePeriod)
+        );
+    }
+
+    /// Checks whether the borrower has no scheduled payments left, only the arrears if any.
+    /// It happens once every payment was either paid or missed, or the prepayments
+    /// returned the whole principal
+    function scheduleEnded()
+      public
+      view
+      returns (bool)
+    {
+        return _timesPaid.add(_timesDefault) >= _totalPayments || outstandingPrincipal() == 0;
     }
 
     /// Check whether the period to deposit the initial stake has expired or not.
@@ -227,7 +360,52 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         return _status == Status.AWAITING_STAKE && block.timestamp > _stakeDepositDeadline && _stakeDepositDeadline > 0;
     }
 
-    /// Checks if the contract has been signed on time by the borrower and the local node.
+    /// Gets everybody who has to sign the document
+    function signers()
+      public
+      view
+      returns (address[] memory)
+    {
+        return _signers;
+    }
+
+    /// Checks if the address has signed the current document
+    function hasSigned(
+        address addr
+    )
+      public
+      view
+      returns (bool)
+    {
+        return _signatures[addr].length > 0;
+    }
+
+    /// Checks if the document has enough signatures for the local node to collect the funds
+    function signaturesReady()
+      public
+      view
+      returns (bool)
+    {
+        return hasSigned(_borrower) && hasSigned(_localNode) && _signatureCount >= _signatureThreshold;
+    }
+
+    /// Gets the signers that have not signed the current document yet
+    function outstandingSigners()
+      public
+      view
+      returns (address[] memory pending)
+    {
+        pending = new address[](_signers.length - _signatureCount);
+        uint count = 0;
+        for (uint i = 0; i < _signers.length; i++) {
+            if (!hasSigned(_signers[i])) {
+                pending[count] = _signers[i];
+                count += 1;
+            }
+        }
+    }
+
+    /// Checks if the period to sign the document has expired without enough signatures.
     function signingPeriodExpired()
       public
       view
@@ -242,7 +420,7 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
       view
       returns (bool)
     {
-        return _status == Status.AWAITING_STAKE && block.timestamp > _fundingDeadline && _fundingDeadline > 0;
+        return _status == Status.FUNDING && block.timestamp > _fundingDeadline && _fundingDeadline > 0;
     }
 
     /// Checks if this contract should be updated.
@@ -259,46 +437,130 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         );
     }
 
-    /// Gets the Property contract
-    function propertyToken()
+    /// Gets the date a payment is due, counting the payments from 1.
+    /// Each payment, paid or covered by the insurance, moves the next one a period forward.
+    function dueDate(
+        uint payment
+    )
       public
       view
-      returns (Property)
+      returns (uint)
     {
-        return _housteca._propertyToken();
+        return Period.add(_paymentsStart, _periodicity.mul(payment), _periodUnit);
     }
 
-    /// Gets the partition of the Property's security token
-    function partition()
+    /// Gets the principal the borrower still has to return
+    function outstandingPrincipal()
       public
       view
-      returns (bytes32)
+      returns (uint)
     {
-        return keccak256(abi.encodePacked(address(this)));
+        return _targetAmount.sub(_amortizedAmount);
+    }
+
+    /// Gets the amount of the next scheduled payment, plus the late fee once it is overdue.
+    function nextPaymentAmount()
+      public
+      view
+      returns (uint)
+    {
+        uint amount = _scheduledPaymentAmount(outstandingPrincipal());
+        return block.timestamp > _nextPayment ? amount.add(lateFee(amount)) : amount;
+    }
+
+    /// Gets the amount of a scheduled payment given the principal still to return.
+    /// It is the regular payment amount, unless the remaining principal plus its
+    /// interest is lower, which happens in the last payment and after prepayments.
+    function _scheduledPaymentAmount(
+        uint principal
+    )
+      internal
+      view
+      returns (uint)
+    {
+        return Math.min(_paymentAmount, principal.add(principal.mul(_perPaymentInterestRatio).div(RATIO)));
     }
 
-    function images()
+    /// Gets the fee charged over an amount paid after its due date
+    function lateFee(
+        uint amount
+    )
       public
       view
-      returns (string[] memory)
+      returns (uint)
     {
-        return _images;
+        return amount.mul(_lateFeeRatio).div(RATIO);
     }
 
+    /// Gets the number of missed payments the insurance covered and the borrower did not pay back yet
+    function arrears()
+      public
+      view
+      returns (uint)
+    {
+        return _timesDefault.sub(_timesReplenished);
+    }
 
-    /********** Generic functions *********/
+    /// Gets the amount the borrower has to pay to catch up with all the missed payments,
+    /// each of them with its late fee. They are due as scheduled payments, so they
+    /// amortize the principal the same way and the last ones might be lower.
+    function arrearsAmount()
+      public
+      view
+      returns (uint amount)
+    {
+        uint principal = outstandingPrincipal();
+        uint payments = _timesPaid.add(_timesReplenished);
+        for (uint i = 0; i < arrears() && payments.add(i) < _totalPayments && principal > 0; i++) {
+            uint payment = _scheduledPaymentAmount(principal);
+            amount = amount.add(payment).add(lateFee(payment));
+            principal = principal.add(principal.mul(_perPaymentInterestRatio).div(RATIO)).sub(payment);
+        }
+    }
 
-    /// Adds the IPFS hash of a new image of the property
-    function addImage(
-        string calldata hash
+    /// Gets the amount the borrower has to send to return the given principal in advance
+    function prepaymentAmount(
+        uint principal
     )
-      external
+      public
+      view
+      returns (uint)
+    {
+        return principal.add(principal.mul(_prepaymentPenaltyRatio).div(RATIO));
+    }
+
+    /// Gets the amount of prepayments the investor did not collect yet
+    function pendingPrepayment(
+        address addr
+    )
+      public
+      view
+      returns (uint)
     {
-        require(isLocalNode(msg.sender) || isBorrower(msg.sender), "Housteca Loan: permission denied");
+        return _prepaidAmount.mul(investmentRatio(addr)).div(RATIO).sub(_prepaymentCollected[addr]);
+    }
 
-        _images.push(hash);
+    /// Gets the Property contract
+    function propertyToken()
+      public
+      view
+      returns (Property)
+    {
+        return _housteca._propertyToken();
     }
 
+    /// Gets the partition of the Property's security token
+    function partition()
+      public
+      view
+      returns (bytes32)
+    {
+        return keccak256(abi.encodePacked(address(this)));
+    }
+
+
+    /********** Generic functions *********/
+
     /// Gets details of this investment
     function details()
       external
@@ -338,41 +600,65 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
 
     /*********** Status AWAITING_STAKE ************/
 
-    constructor(
-        address borrower,
-        address localNode,
-        address tokenAddress,
-        uint downpaymentRatio,
-        uint targetAmount,
-        uint totalPayments,
-        uint insuredPayments,
-        uint paymentAmount,
-        uint perPaymentInterestRatio,
-        uint localNodeFeeAmount,
-        uint houstecaFeeAmount
+    /// Loans are clones of an implementation registered in Housteca, so they are
+    /// initialized by Housteca right after being created instead of by a constructor.
+    /// The Loan takes its parameters from Housteca's investment proposal for the borrower.
+    function initialize(
+        address borrower
     )
-      public
+      external
     {
-        _borrower = borrower;
+        require(address(_housteca) == address(0), "Housteca Loan: The loan is already initialized");
+
         _housteca = Housteca(msg.sender);
-        _localNode = localNode;
-        _token = IERC20(tokenAddress);
-        _downpaymentRatio = downpaymentRatio;
-        _targetAmount = targetAmount;
-        _totalPayments = totalPayments;
-        _insuredPayments = insuredPayments;
-        _paymentAmount = paymentAmount;
-        _perPaymentInterestRatio = perPaymentInterestRatio;
-        _localNodeFeeAmount = localNodeFeeAmount;
-        _houstecaFeeAmount = houstecaFeeAmount;
-        _stakeDepositDeadline = block.timestamp.add(INITIAL_STAKE_PERIOD);
+        Housteca.InvestmentProposal memory proposal = _housteca.getProposal(borrower);
+        _borrower = borrower;
+        _localNode = proposal.localNode;
+        _token = IERC20(_housteca.getToken(proposal.symbol));
+        _fundingGateway = _housteca._fundingGateway();
+        _downpaymentRatio = proposal.downpaymentRatio;
+        _targetAmount = proposal.targetAmount;
+        _totalPayments = proposal.totalPayments;
+        _insuredPayments = proposal.insuredPayments;
+        _paymentAmount = proposal.paymentAmount;
+        _perPaymentInterestRatio = proposal.perPaymentInterestRatio;
+        _prepaymentPenaltyRatio = proposal.prepaymentPenaltyRatio;
+        _lateFeeRatio = proposal.lateFeeRatio;
+        _localNodeFeeAmount = proposal.localNodeFeeAmount;
+        _houstecaFeeAmount = proposal.houstecaFeeAmount;
+        _fundingPeriod = proposal.timing.fundingPeriod;
+        _signingPeriod = proposal.timing.signingPeriod;
+        _paymentGracePeriod = proposal.timing.paymentGracePeriod;
+        _periodicity = proposal.timing.periodicity;
+        _periodUnit = proposal.timing.periodUnit;
+        _stakeDepositDeadline = block.timestamp.add(proposal.timing.initialStakePeriod);
         _status = Status.AWAITING_STAKE;
 
+        _addSigner(borrower, BORROWER_ROLE);
+        _addSigner(proposal.localNode, LOCAL_NODE_ROLE);
+        (uint signerCount, uint threshold) = _housteca.getProposalSignerCount(borrower);
+        for (uint i = 0; i < signerCount; i++) {
+            (address signer, bytes32 role) = _housteca.getProposalSigner(borrower, i);
+            _addSigner(signer, role);
+        }
+        _signatureThreshold = threshold > 0 ? threshold : _signers.length;
+
         // We are dealing with a ERC777 and ERC1400 tokens, so we must register the interfaces
         ERC1820.setInterfaceImplementer(address(this), ERC777_TOKENS_RECIPIENT_INTERFACE_HASH, address(this));
         ERC1820.setInterfaceImplementer(address(this), ERC1400_TOKENS_RECIPIENT_INTERFACE_HASH, address(this));
     }
 
+    /// Adds somebody who has to sign the document
+    function _addSigner(
+        address signer,
+        bytes32 role
+    )
+      internal
+    {
+        _signers.push(signer);
+        _signerRoles[signer] = role;
+    }
+
     /// Internal function used to handle the received initial stake.
     /// It transitions to the FUNDING status.
     function _sendInitialStake(
@@ -386,7 +672,7 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         require(isBorrower(from), "Housteca Loan: Only the borrower can deposit the initial stake");
         require(amount == initialStakeAmount(), "Housteca Loan: invalid initial stake amount");
 
-        _fundingDeadline = block.timestamp.add(FUNDING_PERIOD);
+        _fundingDeadline = block.timestamp.add(_fundingPeriod);
         _changeStatus(Status.FUNDING);
     }
 
@@ -399,7 +685,7 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         require(isBorrower(msg.sender), "Housteca Loan: Only the borrower can perform this operation");
 
         uint amount = initialStakeAmount();
-        require(_token.transferFrom(_borrower, address(this), amount), "Housteca Loan: Token transfer failed");
+        _receive(_borrower, amount);
 
         _sendInitialStake(msg.sender, amount);
     }
@@ -415,13 +701,15 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
       internal
       checkStatus(Status.FUNDING)
     {
-        require(isVerifiedInvestor(investor), "Housteca Loan: An investor is required");
-
         _investedAmount = _investedAmount.add(amount);
         require(_investedAmount <= _targetAmount, "Housteca Loan: Amount sent over required one");
 
-        _investments[msg.sender] = _investments[msg.sender].add(amount);
+        _investments[investor] = _investments[investor].add(amount);
+        _checkInvestor(investor);
+        _openPosition(investor);
+        emit Invested(investor, amount);
         if (_investedAmount == _targetAmount) {
+            _signingDeadline = block.timestamp.add(_signingPeriod);
             _changeStatus(Status.AWAITING_SIGNATURES);
         }
     }
@@ -433,28 +721,45 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
     )
       external
     {
-        require(_token.transferFrom(msg.sender, address(this), amount), "Housteca Loan: Token transfer failed");
+        _receive(msg.sender, amount);
 
         _invest(msg.sender, amount);
     }
 
+    /// The funding gateway invests on behalf of an investor the value in `_token` of the
+    /// funding tokens he deposited. The gateway keeps track of their value.
+    function investFor(
+        address investor,
+        uint value
+    )
+      external
+    {
+        require(msg.sender == address(_fundingGateway), "Housteca Loan: permission denied");
+
+        _invest(investor, value);
+    }
+
     /// The investor takes his investment back.
     /// This can happen for two reasons:
     ///     1. He changed his mind during the FUNDING period.
     ///     2. The loan is in the UNCOMPLETED status.
     ///
-    /// The investor might take extra amount in the second case.
+    /// The investor might take extra amount in the second case, see `refundAmount`.
+    /// The gateway returns the funding tokens he deposited as they are.
     function collectInvestment()
       external
     {
-        require(_status == Status.FUNDING || _status == Status.UNCOMPLETED, "Housteca Loan: Invalid status");
+        _checkStatuses(Status.FUNDING, Status.UNCOMPLETED);
         require(hasInvested(msg.sender), "Housteca Loan: No amount invested");
 
-        uint extraAmount = _extraAmount.mul(investmentRatio(msg.sender)).div(RATIO);
-        uint amount = _investedAmount.add(extraAmount);
+        uint investment = _investments[msg.sender];
+        uint amount = refundAmount(msg.sender);
+        _extraAmount = _extraAmount.sub(amount.sub(investment));
+        _investedAmount = _investedAmount.sub(investment);
         _investments[msg.sender] = 0;
-        _investedAmount = _investedAmount.sub(amount);
-        _transfer(msg.sender, amount);
+        emit InvestmentCollected(msg.sender, amount);
+        uint depositValue = address(_fundingGateway) == address(0) ? 0 : _fundingGateway.refund(msg.sender);
+        _transfer(msg.sender, amount.sub(depositValue));
     }
 
 
@@ -467,25 +772,85 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
       external
       checkStatus(Status.AWAITING_SIGNATURES)
     {
-        require(isLocalNode(msg.sender), "Housteca Loan: Only the local node can perform this operation");
-        require(_borrowerSignature.length == 0 || _localNodeSignature.length == 0, "Housteca Loan: The document is already signed");
+        _checkLocalNode();
+        require(!signaturesReady(), "Housteca Loan: The document is already signed");
 
         _documentHash = documentHash;
-        _localNodeSignature.length = 0;
-        _borrowerSignature.length = 0;
+        for (uint i = 0; i < _signers.length; i++) {
+            delete _signatures[_signers[i]];
+        }
+        _signatureCount = 0;
     }
 
     /// The local node decided to abort the process.
-    /// The borrower looses the stake, and Housteca's fee goes to the investors.
+    /// The borrower looses the stake, see `_forfeitStake`.
     function abortLoan()
       external
     {
-        require(_status == Status.AWAITING_SIGNATURES || _status == Status.FUNDING, "Housteca Loan: Invalid status");
-        require(isLocalNode(msg.sender), "Housteca Loan: Only the local node can perform this operation");
+        _checkStatuses(Status.AWAITING_SIGNATURES, Status.FUNDING);
+        _checkLocalNode();
 
         _changeStatus(Status.UNCOMPLETED);
+        _forfeitStake();
+    }
+
+    /// The borrower gets the whole stake back, since the loan failed through no fault of his
+    function _refundStake()
+      internal
+    {
+        _transferUnsafe(_borrower, initialStakeAmount());
+    }
+
+    /// The borrower looses the stake, since the loan failed because of him. The local
+    /// node keeps its fee, and Housteca's goes to the investors as an extra for the time
+    /// their funds were locked. Housteca collects it as a regular fee if nobody invested
+    function _forfeitStake()
+      internal
+    {
         _transferUnsafe(_localNode, _localNodeFeeAmount);
-        _extraAmount = _extraAmount.add(_houstecaFeeAmount);
+        if (_investedAmount > 0) {
+            _extraAmount = _houstecaFeeAmount;
+        } else {
+            _payHoustecaFee();
+        }
+    }
+
+    /// Gets the identifier of the chain this contract lives in
+    function getChainId()
+      public
+      pure
+      returns (uint chainId)
+    {
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            chainId := chainid()
+        }
+    }
+
+    /// Gets the EIP-712 domain of the document signatures, bound to this loan and chain
+    function domainSeparator()
+      public
+      view
+      returns (bytes32)
+    {
+        bytes memory domain = abi.encode(
+            EIP712_DOMAIN_TYPEHASH,
+            keccak256("Housteca Loan"),
+            keccak256("1"),
+            getChainId(),
+            address(this)
+        );
+        return keccak256(domain);
+    }
+
+    /// Gets the EIP-712 digest signed by the borrower and the local node
+    function documentDigest()
+      public
+      view
+      returns (bytes32)
+    {
+        bytes32 structHash = keccak256(abi.encode(DOCUMENT_SIGNATURE_TYPEHASH, _documentHash));
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
     }
 
     /// Check the document has been actually signed
@@ -497,9 +862,7 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
       view
       returns (bool)
     {
-        bytes memory prefix = "\x19Ethereum Signed Message:\n32";
-        bytes32 prefixedHash = keccak256(abi.encodePacked(prefix, _documentHash));
-        return ECDSA.recover(prefixedHash, signature) == addr;
+        return ECDSA.recover(documentDigest(), signature) == addr;
     }
 
     /// Submits the signature of the document using the private key
@@ -507,17 +870,48 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         bytes calldata signature
     )
       external
+    {
+        _signDocument(msg.sender, signature);
+    }
+
+    /// Submits the signature of the document on behalf of the signer, so
+    /// anybody can relay it
+    function signDocumentFor(
+        address signer,
+        bytes calldata signature
+    )
+      external
+    {
+        _signDocument(signer, signature);
+    }
+
+    function _signDocument(
+        address signer,
+        bytes memory signature
+    )
+      internal
       checkStatus(Status.AWAITING_SIGNATURES)
     {
-        require(checkDocumentSignature(signature, msg.sender), "Housteca Loan: Invalid signature");
+        require(_signerRoles[signer] != 0, "Housteca Loan: You cannot perform this operation");
+        require(checkDocumentSignature(signature, signer), "Housteca Loan: Invalid signature");
 
-        if (isBorrower(msg.sender)) {
-            _borrowerSignature = signature;
-        } else if (isLocalNode(msg.sender)) {
-            _localNodeSignature = signature;
-        } else {
-            revert("Housteca Loan: You cannot perform this operation");
+        bool ready = signaturesReady();
+        if (!hasSigned(signer)) {
+            _signatureCount += 1;
         }
+        _signatures[signer] = signature;
+        emit DocumentSigned(signer, _documentHash);
+        if (!ready && signaturesReady()) {
+            emit SignaturesCompleted(_documentHash, _signatureCount);
+        }
+    }
+
+    /// Sends Housteca's fee to Housteca, which takes it to the treasury
+    function _payHoustecaFee()
+      internal
+    {
+        _transfer(address(_housteca), _houstecaFeeAmount);
+        _housteca.receiveFee(_houstecaFeeAmount);
     }
 
     /// Transfers property tokens
@@ -530,22 +924,26 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         propertyToken().transferByPartition(partition(), to, amount, new bytes(0));
     }
 
-    /// The local node takes his funds after all signatures are OK.
+    /// The local node takes his funds after all signatures are OK,
+    /// and the funding tokens deposited in the gateway as they are.
     function collectAllFunds()
       external
       checkStatus(Status.AWAITING_SIGNATURES)
     {
-        require(_borrowerSignature.length > 0 && _localNodeSignature.length > 0, "Housteca Loan: Signatures not ready");
-        require(isLocalNode(msg.sender), "Housteca Locan: Only the local node can perform this operation");
+        require(signaturesReady(), "Housteca Loan: Signatures not ready");
+        _checkLocalNode();
 
         uint insuranceAmount = _paymentAmount.mul(_insuredPayments);
         uint amountToTransfer = _targetAmount.sub(insuranceAmount).add(_localNodeFeeAmount);
-        _nextPayment = block.timestamp.add(PERIODICITY);
+        _insuranceBalance = insuranceAmount;
+        _paymentsStart = block.timestamp;
+        _nextPayment = dueDate(1);
         _changeStatus(Status.ACTIVE);
         // This is important: funds are transferred to the local node, not the borrower
-        _transfer(_localNode, amountToTransfer);
+        uint depositedValue = address(_fundingGateway) == address(0) ? 0 : _fundingGateway.release(_localNode);
+        _transfer(_localNode, amountToTransfer.sub(depositedValue));
         // Also transfer funds to Housteca
-        _transfer(address(_housteca), _houstecaFeeAmount);
+        _payHoustecaFee();
         // transfer the tokens to the borrower
         _transferredTokens = _downpaymentRatio.mul(TOTAL_PROPERTY_TOKENS).div(RATIO);
     }
@@ -553,36 +951,91 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
 
     ///////////// Status ACTIVE - DEFAULT - FINISHED /////////////
 
-    /// Generic function used by the borrower to pay
+    /// Generic function used by the borrower to pay.
+    /// The late fee, if any, goes to the investors along with the payment.
+    /// Paying does not take the loan out of DEFAULT, the arrears have to be paid for it.
     function _pay(
         address addr,
         uint amount
     )
       internal
     {
-        require(_status == Status.ACTIVE || _status == Status.DEFAULT, "Housteca Loan: Cannot perform this operation in the current status");
-        require(addr == _borrower, "Housteca Loan: Only the borrower can pay");
-        require(amount == _paymentAmount, "Housteca Loan: Invalid amount to pay");
-        require(_nextPayment <= block.timestamp.add(PERIODICITY), "Housteca Loan: It is too soon to pay");
+        _checkStatuses(Status.ACTIVE, Status.DEFAULT);
+        _checkPayment(addr, amount, nextPaymentAmount());
+        require(!scheduleEnded(), "Housteca Loan: Only the arrears are left to pay");
+        require(dueDate(_timesPaid.add(_timesDefault)) <= block.timestamp, "Housteca Loan: It is too soon to pay");
 
+        uint payment = _scheduledPaymentAmount(outstandingPrincipal());
         _timesPaid += 1;
-        uint tokensToTransfer = 0;
-        if (_timesPaid >= _totalPayments) {
-            _amortizedAmount = _targetAmount;
-            _changeStatus(Status.FINISHED);
-            _nextPayment = 0;
-            _transferredTokens = TOTAL_PROPERTY_TOKENS;
-        } else {
-            // Switch to ACTIVE if it was in DEFAULT
+        _paidAmounts[_timesPaid] = amount;
+        emit PaymentReceived(addr, amount, _timesPaid);
+        _settlePayment(payment);
+        _scheduleNextPayment();
+    }
+
+    /// Generic function used by the borrower to pay all the arrears at once.
+    /// The investors already collected the missed payments from the insurance, so
+    /// the payments replenish it, and only the late fees go to the investors.
+    /// It switches the loan back to ACTIVE.
+    function _payArrears(
+        address addr,
+        uint amount
+    )
+      internal
+      checkStatus(Status.DEFAULT)
+    {
+        _checkPayment(addr, amount, arrearsAmount());
+
+        uint payments = arrears();
+        uint fees = 0;
+        for (uint i = 0; i < payments && _status != Status.FINISHED; i++) {
+            uint payment = _scheduledPaymentAmount(outstandingPrincipal());
+            fees = fees.add(lateFee(payment));
+            _timesReplenished += 1;
+            _insuranceBalance = _insuranceBalance.add(payment);
+            _settlePayment(payment);
+        }
+        _prepaidAmount = _prepaidAmount.add(fees);
+        emit ArrearsPaid(addr, payments, amount, fees);
+        if (_status != Status.FINISHED) {
             _changeStatus(Status.ACTIVE);
-            _nextPayment = _nextPayment.add(PERIODICITY);
-            uint remainingNonAmortizedAmount = _targetAmount.sub(_amortizedAmount);
-            uint interestAmount = remainingNonAmortizedAmount.mul(_perPaymentInterestRatio).div(RATIO);
-            uint amortization = _paymentAmount.sub(interestAmount);
-            _amortizedAmount = _amortizedAmount.add(amortization);
-            uint availableTokens = TOTAL_PROPERTY_TOKENS.mul(RATIO.sub(_downpaymentRatio)).div(RATIO);
-            tokensToTransfer = amortization.mul(availableTokens).div(_targetAmount);
-            _transferredTokens = _transferredTokens.add(tokensToTransfer);
+        }
+    }
+
+    /// Pure ERC20 function used by the borrower to pay all the arrears at once.
+    /// The borrower must approve arrearsAmount() tokens.
+    function payArrears()
+      external
+    {
+        uint amount = arrearsAmount();
+        _receive(msg.sender, amount);
+
+        _payArrears(msg.sender, amount);
+    }
+
+    /// Moves the due date to the next scheduled payment, unless the loan finished or
+    /// there are only arrears left
+    function _scheduleNextPayment()
+      internal
+    {
+        if (_status != Status.FINISHED && !scheduleEnded()) {
+            _nextPayment = dueDate(_timesPaid.add(_timesDefault).add(1));
+        }
+    }
+
+    /// Amortizes the principal of a scheduled payment, either a regular one or an arrear.
+    /// The last one finishes the loan, but never while there are arrears to pay
+    function _settlePayment(
+        uint payment
+    )
+      internal
+    {
+        uint principal = outstandingPrincipal();
+        uint interestAmount = principal.mul(_perPaymentInterestRatio).div(RATIO);
+        if (arrears() == 0 && (_timesPaid.add(_timesReplenished) >= _totalPayments || payment >= principal.add(interestAmount))) {
+            _finish();
+        } else {
+            _amortize(payment.sub(interestAmount));
         }
     }
 
@@ -590,18 +1043,107 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
     function pay()
       external
     {
-        require(_token.transferFrom(msg.sender, address(this), _paymentAmount), "Housteca Loan: Token transfer failed");
+        uint amount = nextPaymentAmount();
+        _receive(msg.sender, amount);
+
+        _pay(msg.sender, amount);
+    }
+
+    /// Generic function used by the borrower to return part of the principal before its time.
+    /// The prepaid principal transfers the matching Property tokens, and the whole amount,
+    /// penalty included, is shared among the investors through collectEarnings.
+    function _prepay(
+        address addr,
+        uint principal,
+        uint amount
+    )
+      internal
+    {
+        _checkStatuses(Status.ACTIVE, Status.DEFAULT);
+        require(addr == _borrower, "Housteca Loan: Only the borrower can prepay");
+        require(principal > 0 && principal <= outstandingPrincipal(), "Housteca Loan: Invalid principal to prepay");
+        require(amount == prepaymentAmount(principal), "Housteca Loan: Invalid amount to prepay");
+
+        _prepaidAmount = _prepaidAmount.add(amount);
+        emit Prepaid(addr, principal, amount.sub(principal));
+        if (principal == outstandingPrincipal()) {
+            _finish();
+        } else {
+            _amortize(principal);
+        }
+    }
+
+    /// Pure ERC20 function used by the borrower to return part of the principal before its time.
+    /// The borrower must approve prepaymentAmount(principal) tokens.
+    function prepay(
+        uint principal
+    )
+      public
+    {
+        uint amount = prepaymentAmount(principal);
+        _receive(msg.sender, amount);
+
+        _prepay(msg.sender, principal, amount);
+    }
+
+    /// Pure ERC20 function used by the borrower to return the whole outstanding principal
+    function repayInFull()
+      external
+    {
+        prepay(outstandingPrincipal());
+    }
+
+    /// Adds the amortized principal and transfers the matching Property tokens to the borrower
+    function _amortize(
+        uint amortization
+    )
+      internal
+    {
+        _amortizedAmount = _amortizedAmount.add(amortization);
+        uint availableTokens = TOTAL_PROPERTY_TOKENS.mul(RATIO.sub(_downpaymentRatio)).div(RATIO);
+        uint tokensToTransfer = amortization.mul(availableTokens).div(_targetAmount);
+        _transferredTokens = _transferredTokens.add(tokensToTransfer);
+    }
 
-        _pay(msg.sender, _paymentAmount);
+    /// The loan has been returned, so all the Property tokens belong to the borrower
+    function _finish()
+      internal
+    {
+        _amortizedAmount = _targetAmount;
+        _changeStatus(Status.FINISHED);
+        _nextPayment = 0;
+        _transferredTokens = TOTAL_PROPERTY_TOKENS;
     }
 
     /// Function used by the investors to collect the earnings
     /// It only collect one payment, so it will have to be called
-    /// several times to collect all of them, if needed
+    /// several times to collect all of them, if needed.
+    /// Prepayments are collected at once, after all the payments.
     function collectEarnings()
       external
     {
-        require(hasInvested(msg.sender), "Housteca Loan: Only an investor can perform this operation");
+        _collectEarnings(msg.sender, false);
+    }
+
+    /// Collects every pending payment of the investor in a single transfer.
+    /// Housteca calls it to collect the earnings of all the investor's loans at once.
+    function collectAllEarnings(
+        address investor
+    )
+      external
+    {
+        require(msg.sender == investor || msg.sender == address(_housteca), "Housteca Loan: permission denied");
+
+        _collectEarnings(investor, true);
+    }
+
+    function _collectEarnings(
+        address investor,
+        bool all
+    )
+      internal
+    {
+        require(hasInvested(investor), "Housteca Loan: Only an investor can perform this operation");
         require(
             _status == Status.FINISHED  ||
             _status == Status.BANKRUPT  ||
@@ -609,20 +1151,149 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
             _status == Status.DEFAULT,
             "Housteca Loan: Invalid status for this operation"
         );
-        uint amountToCollect = _paymentAmount.mul(investmentRatio(msg.sender)).div(RATIO);
-        if (_timesCollected[msg.sender] < _timesPaid) {
-            _timesCollected[msg.sender] += 1;
-        } else if (_timesCollectedDefault[msg.sender] < _timesDefault) {
-            _timesCollectedDefault[msg.sender] += 1;
-        } else {
-            revert("Housteca Loan: Not enough funds to collect");
-        }
-        _transfer(msg.sender, amountToCollect);
+        uint collected = 0;
+        do {
+            uint amountToCollect;
+            bool fromInsurance = false;
+            if (_timesCollected[investor] < _timesPaid) {
+                _timesCollected[investor] += 1;
+                amountToCollect = _paidAmounts[_timesCollected[investor]].mul(investmentRatio(investor)).div(RATIO);
+            } else if (_timesCollectedDefault[investor] < _timesDefault) {
+                _timesCollectedDefault[investor] += 1;
+                amountToCollect = _paymentAmount.mul(investmentRatio(investor)).div(RATIO);
+                fromInsurance = true;
+            } else if (pendingPrepayment(investor) > 0) {
+                amountToCollect = pendingPrepayment(investor);
+                _prepaymentCollected[investor] = _prepaymentCollected[investor].add(amountToCollect);
+            } else {
+                revert("Housteca Loan: Not enough funds to collect");
+            }
+            emit EarningsCollected(investor, amountToCollect, fromInsurance);
+            collected = collected.add(amountToCollect);
+        } while (all && !hasCollectedEarnings(investor));
+        _transfer(investor, collected);
+    }
+
+    /// Checks whether the investor collected everything the loan owes him so far
+    function hasCollectedEarnings(
+        address addr
+    )
+      public
+      view
+      returns (bool)
+    {
+        return (
+            _timesCollected[addr] == _timesPaid                 &&
+            _timesCollectedDefault[addr] == _timesDefault       &&
+            pendingPrepayment(addr) == 0
+        );
+    }
+
+    /// Lets an operator, like a market, transfer the position of the caller
+    function setPositionOperator(
+        address operator,
+        bool approved
+    )
+      external
+    {
+        _positionOperators[msg.sender][operator] = approved;
+        emit PositionOperatorSet(msg.sender, operator, approved);
+    }
+
+    /// Transfers part or all of the caller's investment to another investor
+    function transferPosition(
+        address to,
+        uint amount
+    )
+      external
+    {
+        _transferPosition(msg.sender, to, amount);
+    }
+
+    /// Transfers part or all of an investment on behalf of its investor
+    function transferPositionFrom(
+        address from,
+        address to,
+        uint amount
+    )
+      external
+    {
+        require(_positionOperators[from][msg.sender], "Housteca Loan: Not allowed to transfer this position");
+
+        _transferPosition(from, to, amount);
+    }
+
+    /// Moves an investment from an investor to another one.
+    /// Both must have collected all their earnings, so the receiver takes the
+    /// collection counters of the sender and no payment can be collected twice.
+    function _transferPosition(
+        address from,
+        address to,
+        uint amount
+    )
+      internal
+    {
+        _checkStatuses(Status.ACTIVE, Status.DEFAULT);
+        require(from != to, "Housteca Loan: Cannot transfer a position to the same investor");
+        require(amount > 0 && amount <= _investments[from], "Housteca Loan: Invalid amount to transfer");
+        require(
+            hasCollectedEarnings(from) && (!hasInvested(to) || hasCollectedEarnings(to)),
+            "Housteca Loan: Earnings must be collected before transferring a position"
+        );
+
+        _investments[from] = _investments[from].sub(amount);
+        _investments[to] = _investments[to].add(amount);
+        _checkInvestor(to);
+        _openPosition(to);
+        _timesCollected[to] = _timesPaid;
+        _timesCollectedDefault[to] = _timesDefault;
+        // the prepayments already collected follow the new investment ratios
+        _prepaymentCollected[from] = _prepaidAmount.mul(investmentRatio(from)).div(RATIO);
+        _prepaymentCollected[to] = _prepaidAmount.mul(investmentRatio(to)).div(RATIO);
+        emit PositionTransferred(from, to, amount);
+    }
+
+    /// Transfers to the caller the Property tokens that belong to him.
+    /// The borrower gets the tokens transferred to him once the loan is FINISHED or BANKRUPT,
+    /// and in case of BANKRUPT the investors get their share of the remaining ones.
+    function collectProperty()
+      external
+    {
+        _checkStatuses(Status.FINISHED, Status.BANKRUPT);
+        require(!_propertyCollected[msg.sender], "Housteca Loan: Property already collected");
+
+        uint amount = propertyTokenAmount(msg.sender);
+        require(amount > 0, "Housteca Loan: No Property tokens to collect");
+        _propertyCollected[msg.sender] = true;
+        emit PropertyCollected(msg.sender, amount);
+        _transferProperty(msg.sender, amount);
     }
 
 
     ///////////// Status change /////////////
 
+    /// Modifiers are inlined, so checkStatus calls this function to keep the
+    /// revert message in the bytecode only once
+    function _checkStatus(
+        Status status
+    )
+      internal
+      view
+    {
+        _checkStatuses(status, status);
+    }
+
+    /// Checks the loan is in either status
+    function _checkStatuses(
+        Status status,
+        Status otherStatus
+    )
+      internal
+      view
+    {
+        require(_status == status || _status == otherStatus, "Housteca Loan: Invalid status for this operation");
+    }
+
     /// Switches the contract to a new status
     function _changeStatus(Status status)
       internal
@@ -630,6 +1301,10 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         if (status != _status) {
             emit StatusChanged(_status, status);
             _status = status;
+            // Housteca counts the loans that use each token until they end
+            if (hasEnded()) {
+                _housteca.loanEnded();
+            }
         }
     }
 
@@ -639,19 +1314,32 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
       public
     {
         if (stakeDepositPeriodExpired()) {
+            // the borrower never sent the stake, so there is nothing to refund
             _changeStatus(Status.UNCOMPLETED);
         } else if (fundingPeriodExpired()) {
-            // the local node should have aborted the contract manually
-            // in this scenario the borrower gets all the stake back
-            _transferUnsafe(_borrower, initialStakeAmount());
+            // the investors did not fund the loan in time, so the borrower
+            // gets all the stake back and the investors their investments
+            _changeStatus(Status.UNCOMPLETED);
+            _refundStake();
+        } else if (signingPeriodExpired()) {
+            // the borrower gets the stake back if he did sign, otherwise
+            // he looses it the same way as when the local node aborts the loan
             _changeStatus(Status.UNCOMPLETED);
+            if (hasSigned(_borrower)) {
+                _refundStake();
+            } else {
+                _forfeitStake();
+            }
         } else if (paymentPeriodExpired()) {
-            if (_timesDefault >= _insuredPayments) {
+            // the insurance covers the missed payment, which the borrower owes as an arrear,
+            // only while it holds a whole payment. The arrears the borrower paid back replenished it
+            if (_insuranceBalance < _paymentAmount) {
                 _changeStatus(Status.BANKRUPT);
             } else {
                 _changeStatus(Status.DEFAULT);
                 _timesDefault += 1;
-                _nextPayment = _nextPayment.add(PERIODICITY);
+                _insuranceBalance = _insuranceBalance.sub(_paymentAmount);
+                _scheduleNextPayment();
             }
         }
     }
@@ -682,13 +1370,24 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
         require(_transferUnsafe(receiver, amount), "Housteca Loan: Token transfer failed");
     }
 
+    /// Takes tokens from the given address, which must have approved this contract.
+    /// Reverts if tokens could not be successfully transferred.
+    function _receive(
+        address sender,
+        uint amount
+    )
+      internal
+    {
+        require(_token.transferFrom(sender, address(this), amount), "Housteca Loan: Token transfer failed");
+    }
+
     /// Function used as a hook when transferring ERC777 tokens
     function tokensReceived(
         address,
         address from,
         address to,
         uint256 amount,
-        bytes calldata,
+        bytes calldata userData,
         bytes calldata
     )
       external
@@ -700,6 +1399,14 @@ contract Loan is IERC777Recipient, IERC1400TokensRecipient
             _sendInitialStake(from, amount);
         } else if (_status == Status.FUNDING) {
             _invest(from, amount);
+        } else if ((_status == Status.ACTIVE || _status == Status.DEFAULT) && userData.length > 0) {
+            // prepayments carry the principal to return as data, and the arrears a zero principal
+            uint principal = abi.decode(userData, (uint));
+            if (principal == 0) {
+                _payArrears(from, amount);
+            } else {
+                _prepay(from, principal, amount);
+            }
         } else if (_status == Status.ACTIVE || _status == Status.DEFAULT) {
             _pay(from, amount);
         } else {
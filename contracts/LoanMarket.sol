@@ -0,0 +1,131 @@
+pragma solidity 0.5.13;
+
+import "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
+import "./Housteca.sol";
+import "./Loan.sol";
+
+
+/// Secondary market for the investors' positions in Housteca's loans.
+/// Investors list part or all of their investment at a fixed price, paid in the
+/// loan's token, and any other verified investor can buy it.
+/// Sellers must approve this contract with Loan.setPositionOperator first.
+contract LoanMarket
+{
+    ///////////// Structs /////////////
+
+    struct Offer
+    {
+        address loan;
+        address seller;
+        uint amount;
+        uint price;
+    }
+
+
+    ///////////// Events /////////////
+
+    event OfferCreated(
+        uint indexed offerId,
+        address indexed loan,
+        address indexed seller,
+        uint amount,
+        uint price
+    );
+    event OfferCancelled(
+        uint indexed offerId
+    );
+    event OfferTaken(
+        uint indexed offerId,
+        address indexed buyer
+    );
+
+
+    ///////////// Attributes /////////////
+
+    /// Address of Housteca's main contract
+    Housteca public _housteca;
+    /// Open offers by identifier
+    mapping (uint => Offer) public _offers;
+    /// Number of offers created so far, which is also the identifier of the next one
+    uint public _offerCount;
+
+
+    ///////////// View functions /////////////
+
+    /// Checks whether the offer can still be taken
+    function isOpen(
+        uint offerId
+    )
+      public
+      view
+      returns (bool)
+    {
+        return _offers[offerId].amount > 0;
+    }
+
+
+    ///////////// Market functions /////////////
+
+    constructor(address housteca)
+      public
+    {
+        _housteca = Housteca(housteca);
+    }
+
+    /// Lists part or all of the caller's position in a loan for the given price
+    function createOffer(
+        address loan,
+        uint amount,
+        uint price
+    )
+      external
+      returns (uint)
+    {
+        require(_housteca.isLoan(loan), "Housteca Market: Unknown loan");
+        require(amount > 0 && amount <= Loan(loan)._investments(msg.sender), "Housteca Market: Invalid amount");
+        require(price > 0, "Housteca Market: Invalid price");
+
+        uint offerId = _offerCount;
+        _offerCount += 1;
+        _offers[offerId] = Offer({
+            loan: loan,
+            seller: msg.sender,
+            amount: amount,
+            price: price
+        });
+        emit OfferCreated(offerId, loan, msg.sender, amount, price);
+        return offerId;
+    }
+
+    /// The seller withdraws the offer
+    function cancelOffer(
+        uint offerId
+    )
+      external
+    {
+        require(isOpen(offerId), "Housteca Market: The offer is not open");
+        require(_offers[offerId].seller == msg.sender, "Housteca Market: Only the seller can cancel the offer");
+
+        emit OfferCancelled(offerId);
+        delete _offers[offerId];
+    }
+
+    /// Buys the whole offer. The buyer must approve the price in the loan's token.
+    function buy(
+        uint offerId
+    )
+      external
+    {
+        require(isOpen(offerId), "Housteca Market: The offer is not open");
+
+        Offer memory offer = _offers[offerId];
+        Loan loan = Loan(offer.loan);
+        // the seller keeps the position until the offer is taken, and may have transferred it meanwhile
+        require(offer.amount <= loan._investments(offer.seller), "Housteca Market: The seller no longer holds the position");
+
+        delete _offers[offerId];
+        emit OfferTaken(offerId, msg.sender);
+        require(loan._token().transferFrom(msg.sender, offer.seller, offer.price), "Housteca Market: Token transfer failed");
+        loan.transferPositionFrom(offer.seller, msg.sender, offer.amount);
+    }
+}
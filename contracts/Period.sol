@@ -0,0 +1,133 @@
+pragma solidity 0.5.13;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+
+
+/// Time periods measured either in seconds or in calendar months.
+/// Dates are converted with the Fliegel & Van Flandern algorithm, in UTC.
+library Period
+{
+    ///////////// Constants /////////////
+
+    uint constant DAY = 1 days;
+    /// Julian day of 1970-01-01
+    int constant UNIX_EPOCH_JULIAN_DAY = 2440588;
+
+
+    ///////////// Libraries /////////////
+
+    using SafeMath for uint;
+
+
+    ///////////// Enums /////////////
+
+    enum Unit
+    {
+        SECONDS,    // plain number of seconds
+        MONTHS      // calendar months, keeping the day of the month
+    }
+
+
+    ///////////// Functions /////////////
+
+    /// Adds the given amount of units to a timestamp.
+    /// Adding months keeps the day of the month and the time of the day, and falls
+    /// back to the last day of the month when the target month is shorter.
+    function add(
+        uint timestamp,
+        uint amount,
+        Unit unit
+    )
+      internal
+      pure
+      returns (uint)
+    {
+        if (unit == Unit.SECONDS) {
+            return timestamp.add(amount);
+        }
+        (uint year, uint month, uint day) = toDate(timestamp / DAY);
+        uint months = year.mul(12).add(month - 1).add(amount);
+        year = months / 12;
+        month = months % 12 + 1;
+        uint lastDay = daysInMonth(year, month);
+        if (day > lastDay) {
+            day = lastDay;
+        }
+        return toDays(year, month, day).mul(DAY).add(timestamp % DAY);
+    }
+
+    /// Gets the shortest and the longest length in seconds of the given amount of units
+    function length(
+        uint amount,
+        Unit unit
+    )
+      internal
+      pure
+      returns (uint shortest, uint longest)
+    {
+        if (unit == Unit.SECONDS) {
+            return (amount, amount);
+        }
+        return (amount.mul(28 days), amount.mul(31 days));
+    }
+
+    /// Converts a date to the number of days since 1970-01-01
+    function toDays(
+        uint year,
+        uint month,
+        uint day
+    )
+      internal
+      pure
+      returns (uint)
+    {
+        int y = int(year);
+        int m = int(month);
+        int d = int(day);
+        int julianDay = d - 32075 +
+            1461 * (y + 4800 + (m - 14) / 12) / 4 +
+            367 * (m - 2 - (m - 14) / 12 * 12) / 12 -
+            3 * ((y + 4900 + (m - 14) / 12) / 100) / 4;
+        return uint(julianDay - UNIX_EPOCH_JULIAN_DAY);
+    }
+
+    /// Converts the number of days since 1970-01-01 to a date
+    function toDate(
+        uint dayCount
+    )
+      internal
+      pure
+      returns (uint year, uint month, uint day)
+    {
+        int k = int(dayCount) + UNIX_EPOCH_JULIAN_DAY + 68569;
+        int n = 4 * k / 146097;
+        k = k - (146097 * n + 3) / 4;
+        int y = 4000 * (k + 1) / 1461001;
+        k = k - 1461 * y / 4 + 31;
+        int m = 80 * k / 2447;
+        int d = k - 2447 * m / 80;
+        k = m / 11;
+        m = m + 2 - 12 * k;
+        y = 100 * (n - 49) + y + k;
+        return (uint(y), uint(m), uint(d));
+    }
+
+    /// Gets the number of days of a month
+    function daysInMonth(
+        uint year,
+        uint month
+    )
+      internal
+      pure
+      returns (uint)
+    {
+        if (month == 2) {
+            bool leapYear = (year % 4 == 0 && year % 100 != 0) || year % 400 == 0;
+            return leapYear ? 29 : 28;
+        }
+        if (month == 4 || month == 6 || month == 9 || month == 11) {
+            return 30;
+        }
+        return 31;
+    }
+}
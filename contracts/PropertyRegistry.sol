@@ -0,0 +1,312 @@
+pragma solidity 0.5.13;
+pragma experimental ABIEncoderV2;
+
+import "./Housteca.sol";
+import "./Loan.sol";
+
+
+/// Describes the properties Housteca's loans finance, so that they can be listed.
+/// The local node attaches the metadata to the proposal, and it follows the proposal
+/// to its loan. Every later update keeps the previous versions. The images are IPFS
+/// hashes the borrower and the local node manage.
+/// It lives in its own contract so that the loans stay under the contract size limit.
+contract PropertyRegistry
+{
+    ///////////// Enums /////////////
+
+    enum PropertyType
+    {
+        APARTMENT,
+        HOUSE,
+        COMMERCIAL,
+        LAND,
+        OTHER
+    }
+
+
+    ///////////// Structs /////////////
+
+    struct Metadata
+    {
+        string location;            // postal address of the property
+        string cadastralReference;  // reference of the property in the land registry
+        uint valuation;             // appraised value, in the smallest unit of the loan's token
+        bytes32 appraisalHash;      // SHA-256 hash of the appraisal document
+        uint surface;               // built surface, in square metres
+        PropertyType propertyType;
+        string detailsHash;         // IPFS hash of a JSON document with the rest of the listing, if any
+    }
+
+    /// Metadata waiting for its proposal to become a loan
+    struct ProposalMetadata
+    {
+        Metadata metadata;
+        address editor;
+    }
+
+
+    ///////////// Events /////////////
+
+    event ProposalMetadataSet(
+        address indexed borrower,
+        address indexed editor
+    );
+    event MetadataUpdated(
+        address indexed loan,
+        uint indexed version,
+        address indexed editor
+    );
+    event ImageAdded(
+        address indexed loan,
+        uint index,
+        string hash
+    );
+    event ImageRemoved(
+        address indexed loan,
+        uint index,
+        string hash
+    );
+    event ImageMoved(
+        address indexed loan,
+        uint from,
+        uint to
+    );
+
+
+    ///////////// Attributes /////////////
+
+    /// Address of Housteca's main contract
+    Housteca public _housteca;
+    /// Metadata of the proposals, by borrower
+    mapping (address => ProposalMetadata) internal _proposalMetadata;
+    /// Every version of the metadata of a loan. Version N is at index N - 1
+    mapping (address => Metadata[]) internal _metadata;
+    /// IPFS hashes of the images of a loan's property, in the order they are shown
+    mapping (address => string[]) internal _images;
+
+
+    ///////////// Modifiers /////////////
+
+    modifier onlyHousteca()
+    {
+        require(msg.sender == address(_housteca), "Housteca Properties: Only Housteca can perform this operation");
+        _;
+    }
+
+    /// The local node of the loan describes the property, and appraisers can correct it
+    modifier onlyEditor(address loan)
+    {
+        require(_housteca.isLoan(loan), "Housteca Properties: Unknown loan");
+        require(
+            msg.sender == Loan(loan)._localNode() || _housteca.hasRole(_housteca.APPRAISER_ROLE(), msg.sender),
+            "Housteca Properties: permission denied"
+        );
+        _;
+    }
+
+    modifier onlyBorrowerOrLocalNode(address loan)
+    {
+        require(_housteca.isLoan(loan), "Housteca Properties: Unknown loan");
+        require(
+            msg.sender == Loan(loan)._borrower() || msg.sender == Loan(loan)._localNode(),
+            "Housteca Properties: permission denied"
+        );
+        _;
+    }
+
+
+    ///////////// View functions /////////////
+
+    function proposalMetadata(
+        address borrower
+    )
+      public
+      view
+      returns (Metadata memory)
+    {
+        return _proposalMetadata[borrower].metadata;
+    }
+
+    /// Gets the number of versions of the metadata of a loan, which is also the current version
+    function metadataVersion(
+        address loan
+    )
+      public
+      view
+      returns (uint)
+    {
+        return _metadata[loan].length;
+    }
+
+    /// Gets the current metadata of a loan
+    function metadata(
+        address loan
+    )
+      public
+      view
+      returns (Metadata memory)
+    {
+        return metadataAt(loan, metadataVersion(loan));
+    }
+
+    /// Gets a version of the metadata of a loan, starting at 1
+    function metadataAt(
+        address loan,
+        uint version
+    )
+      public
+      view
+      returns (Metadata memory)
+    {
+        require(version > 0 && version <= metadataVersion(loan), "Housteca Properties: Unknown metadata version");
+
+        return _metadata[loan][version - 1];
+    }
+
+    function images(
+        address loan
+    )
+      public
+      view
+      returns (string[] memory)
+    {
+        return _images[loan];
+    }
+
+
+    ///////////// Registry functions /////////////
+
+    constructor(address housteca)
+      public
+    {
+        _housteca = Housteca(housteca);
+    }
+
+    /// Sets the metadata of a proposal. Only its local node can do it
+    function setProposalMetadata(
+        address borrower,
+        Metadata memory data
+    )
+      public
+    {
+        Housteca.InvestmentProposal memory proposal = _housteca.getProposal(borrower);
+        require(proposal.targetAmount > 0, "Housteca Properties: There is no investment proposal for this address");
+        require(proposal.localNode == msg.sender, "Housteca Properties: permission denied");
+        _checkMetadata(data);
+
+        _proposalMetadata[borrower] = ProposalMetadata({
+            metadata: data,
+            editor: msg.sender
+        });
+        emit ProposalMetadataSet(borrower, msg.sender);
+    }
+
+    /// Housteca calls it when the borrower gets a new proposal, which replaces the former one
+    function discardProposalMetadata(
+        address borrower
+    )
+      external
+      onlyHousteca
+    {
+        delete _proposalMetadata[borrower];
+    }
+
+    /// Housteca calls it when the proposal of the borrower becomes a loan
+    function attachLoan(
+        address borrower,
+        address loan
+    )
+      external
+      onlyHousteca
+    {
+        ProposalMetadata storage proposal = _proposalMetadata[borrower];
+        if (proposal.editor != address(0)) {
+            _metadata[loan].push(proposal.metadata);
+            emit MetadataUpdated(loan, 1, proposal.editor);
+        }
+        delete _proposalMetadata[borrower];
+    }
+
+    /// Adds a new version of the metadata of a loan
+    function updateMetadata(
+        address loan,
+        Metadata memory data
+    )
+      public
+      onlyEditor(loan)
+    {
+        _checkMetadata(data);
+
+        _metadata[loan].push(data);
+        emit MetadataUpdated(loan, metadataVersion(loan), msg.sender);
+    }
+
+    /// Adds the IPFS hash of a new image of the property, after the others
+    function addImage(
+        address loan,
+        string calldata hash
+    )
+      external
+      onlyBorrowerOrLocalNode(loan)
+    {
+        require(bytes(hash).length > 0, "Housteca Properties: The image hash is required");
+
+        _images[loan].push(hash);
+        emit ImageAdded(loan, _images[loan].length - 1, hash);
+    }
+
+    /// Removes an image, keeping the order of the rest
+    function removeImage(
+        address loan,
+        uint index
+    )
+      external
+      onlyBorrowerOrLocalNode(loan)
+    {
+        string[] storage list = _images[loan];
+        require(index < list.length, "Housteca Properties: Unknown image");
+
+        string memory hash = list[index];
+        for (uint i = index; i < list.length - 1; i++) {
+            list[i] = list[i + 1];
+        }
+        list.length--;
+        emit ImageRemoved(loan, index, hash);
+    }
+
+    /// Moves an image to another position, shifting the ones in between
+    function moveImage(
+        address loan,
+        uint from,
+        uint to
+    )
+      external
+      onlyBorrowerOrLocalNode(loan)
+    {
+        string[] storage list = _images[loan];
+        require(from < list.length && to < list.length, "Housteca Properties: Unknown image");
+
+        string memory hash = list[from];
+        if (from < to) {
+            for (uint i = from; i < to; i++) {
+                list[i] = list[i + 1];
+            }
+        } else {
+            for (uint i = from; i > to; i--) {
+                list[i] = list[i - 1];
+            }
+        }
+        list[to] = hash;
+        emit ImageMoved(loan, from, to);
+    }
+
+    function _checkMetadata(
+        Metadata memory data
+    )
+      internal
+      pure
+    {
+        require(bytes(data.cadastralReference).length > 0, "Housteca Properties: The cadastral reference is required");
+        require(data.valuation > 0, "Housteca Properties: The valuation must be greater than zero");
+    }
+}
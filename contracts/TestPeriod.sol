@@ -0,0 +1,23 @@
+pragma solidity 0.5.13;
+
+
+import "./Period.sol";
+
+
+contract TestPeriod {
+    function add(uint timestamp, uint amount, Period.Unit unit)
+      external
+      pure
+      returns (uint)
+    {
+        return Period.add(timestamp, amount, unit);
+    }
+
+    function toDate(uint timestamp)
+      external
+      pure
+      returns (uint, uint, uint)
+    {
+        return Period.toDate(timestamp / 1 days);
+    }
+}
@@ -0,0 +1,26 @@
+pragma solidity 0.5.13;
+
+
+import "openzeppelin-solidity/contracts/ownership/Ownable.sol";
+import "./IPriceOracle.sol";
+
+
+contract TestPriceOracle is IPriceOracle, Ownable {
+    mapping (address => mapping (address => uint)) public _prices;
+
+    function setPrice(address token, address base, uint value)
+      external
+      onlyOwner
+    {
+        _prices[token][base] = value;
+    }
+
+    function price(address token, address base)
+      external
+      view
+      returns (uint)
+    {
+        require(_prices[token][base] > 0, "TestPriceOracle: There is no price for the pair");
+        return _prices[token][base];
+    }
+}
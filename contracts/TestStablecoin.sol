@@ -0,0 +1,15 @@
+pragma solidity 0.5.13;
+
+
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20Detailed.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/ERC20.sol";
+
+
+contract TestStablecoin is ERC20, ERC20Detailed {
+    constructor()
+      public
+      ERC20Detailed("TestStablecoin", "TUSD", 6)
+    {
+        _mint(msg.sender, 100000000000 * (10 ** 6));
+    }
+}
@@ -0,0 +1,395 @@
+pragma solidity 0.5.13;
+
+import "openzeppelin-solidity/contracts/math/SafeMath.sol";
+import "openzeppelin-solidity/contracts/token/ERC20/IERC20.sol";
+import "./Housteca.sol";
+
+
+/// Keeps the fees Housteca charges for every loan.
+/// Housteca's treasurers and roots withdraw them, after a timelock if there is one,
+/// and anybody can split them among the configured beneficiaries. The timelock
+/// applies to the distributions, and to the changes of the delay and of the
+/// beneficiaries, so that none of them takes the fees out before it expires.
+/// It lives in its own contract so that Housteca stays under the contract size limit.
+contract Treasury
+{
+    ///////////// Constants /////////////
+
+    /// The number to multiply ratios for (solidity doesn't store floating point numbers)
+    uint constant public RATIO = 10 ** 18;
+
+
+    ///////////// Libraries /////////////
+
+    using SafeMath for uint;
+
+
+    ///////////// Structs /////////////
+
+    /// Fees withdrawn from the treasury, waiting for the timelock to expire
+    struct Withdrawal
+    {
+        address token;
+        address to;
+        uint amount;
+        uint executableAt;
+    }
+
+    /// Somebody who gets part of the fees when they are distributed
+    struct Beneficiary
+    {
+        address account;
+        uint share;                 // ratio of the fees, all the shares add up to RATIO
+    }
+
+
+    ///////////// Events /////////////
+
+    event FeeReceived(
+        address indexed loan,
+        address indexed token,
+        uint amount
+    );
+    event WithdrawalScheduled(
+        uint indexed withdrawalId,
+        address indexed token,
+        address to,
+        uint amount,
+        uint executableAt
+    );
+    event WithdrawalCancelled(
+        uint indexed withdrawalId
+    );
+    event FeesWithdrawn(
+        uint indexed withdrawalId,
+        address indexed token,
+        address to,
+        uint amount
+    );
+    event FeesDistributed(
+        address indexed token,
+        address indexed beneficiary,
+        uint amount
+    );
+    event BeneficiariesSet(
+        address[] accounts,
+        uint[] shares
+    );
+    event WithdrawalDelaySet(
+        uint delay
+    );
+    event WithdrawalDelayScheduled(
+        uint delay,
+        uint executableAt
+    );
+    event BeneficiariesScheduled(
+        address[] accounts,
+        uint[] shares,
+        uint executableAt
+    );
+    event ChangesCancelled();
+
+
+    ///////////// Attributes /////////////
+
+    /// Address of Housteca's main contract
+    Housteca public _housteca;
+    /// Fees available, by token address. Scheduled withdrawals are already subtracted
+    mapping (address => uint) public _feeBalances;
+    /// Withdrawals waiting for their timelock, by identifier
+    mapping (uint => Withdrawal) public _withdrawals;
+    /// Number of withdrawals scheduled so far, which is also the identifier of the next one
+    uint public _withdrawalCount;
+    /// Time a withdrawal has to wait before it can be executed. Zero withdraws immediately
+    uint public _withdrawalDelay;
+    /// Withdrawal delay waiting for the timelock to expire
+    uint public _pendingWithdrawalDelay;
+    /// Time the pending withdrawal delay can be applied at, zero if there is none
+    uint public _withdrawalDelayChangeAt;
+    Beneficiary[] public _beneficiaries;
+    /// Beneficiaries waiting for the timelock to expire
+    Beneficiary[] public _pendingBeneficiaries;
+    /// Time the pending beneficiaries can be applied at, zero if there are none
+    uint public _beneficiariesChangeAt;
+
+
+    ///////////// Modifiers /////////////
+
+    /// Housteca's roots hold the treasurer role too
+    modifier onlyTreasurer()
+    {
+        require(
+            _housteca.hasRole(_housteca.TREASURER_ROLE(), msg.sender),
+            "Housteca Treasury: Insufficient administrator privileges"
+        );
+        _;
+    }
+
+
+    ///////////// View functions /////////////
+
+    function beneficiaryCount()
+      public
+      view
+      returns (uint)
+    {
+        return _beneficiaries.length;
+    }
+
+    function pendingBeneficiaryCount()
+      public
+      view
+      returns (uint)
+    {
+        return _pendingBeneficiaries.length;
+    }
+
+    /// Checks whether the withdrawal is waiting to be executed
+    function isPending(
+        uint withdrawalId
+    )
+      public
+      view
+      returns (bool)
+    {
+        return _withdrawals[withdrawalId].amount > 0;
+    }
+
+
+    ///////////// Treasury functions /////////////
+
+    constructor(address housteca)
+      public
+    {
+        _housteca = Housteca(housteca);
+    }
+
+    /// Housteca calls it after moving the fee of a loan to this contract
+    function receiveFee(
+        address loan,
+        address token,
+        uint amount
+    )
+      external
+    {
+        require(msg.sender == address(_housteca), "Housteca Treasury: Only Housteca can perform this operation");
+
+        _feeBalances[token] = _feeBalances[token].add(amount);
+        emit FeeReceived(loan, token, amount);
+    }
+
+    /// Changes the withdrawal delay once the current one expires, so that the delay
+    /// cannot be lifted to withdraw the fees at once. Without a delay it changes immediately
+    function setWithdrawalDelay(
+        uint delay
+    )
+      external
+      onlyTreasurer
+    {
+        _pendingWithdrawalDelay = delay;
+        _withdrawalDelayChangeAt = block.timestamp.add(_withdrawalDelay);
+        emit WithdrawalDelayScheduled(delay, _withdrawalDelayChangeAt);
+        if (_withdrawalDelay == 0) {
+            _applyWithdrawalDelay();
+        }
+    }
+
+    /// Sets the pending withdrawal delay once its timelock has expired. Anybody can call it
+    function applyWithdrawalDelay()
+      external
+    {
+        _applyWithdrawalDelay();
+    }
+
+    function _applyWithdrawalDelay()
+      internal
+    {
+        _checkChangeUnlocked(_withdrawalDelayChangeAt);
+
+        _withdrawalDelay = _pendingWithdrawalDelay;
+        _pendingWithdrawalDelay = 0;
+        _withdrawalDelayChangeAt = 0;
+        emit WithdrawalDelaySet(_withdrawalDelay);
+    }
+
+    /// Withdraws fees. If there is a withdrawal delay, the fees are set aside
+    /// and can be actually withdrawn once the delay expires.
+    function withdrawFees(
+        address token,
+        address to,
+        uint amount
+    )
+      external
+      onlyTreasurer
+      returns (uint withdrawalId)
+    {
+        require(to != address(0), "Housteca Treasury: Invalid address");
+        require(amount > 0 && amount <= _feeBalances[token], "Housteca Treasury: Not enough fees to withdraw");
+
+        return _withdraw(token, to, amount);
+    }
+
+    function _withdraw(
+        address token,
+        address to,
+        uint amount
+    )
+      internal
+      returns (uint withdrawalId)
+    {
+        withdrawalId = _withdrawalCount;
+        _withdrawalCount += 1;
+        _feeBalances[token] = _feeBalances[token].sub(amount);
+        uint executableAt = block.timestamp.add(_withdrawalDelay);
+        _withdrawals[withdrawalId] = Withdrawal({
+            token: token,
+            to: to,
+            amount: amount,
+            executableAt: executableAt
+        });
+        emit WithdrawalScheduled(withdrawalId, token, to, amount, executableAt);
+        if (_withdrawalDelay == 0) {
+            _executeWithdrawal(withdrawalId);
+        }
+    }
+
+    /// Sends the fees of a withdrawal whose timelock has expired. Anybody can call it,
+    /// since the fees go where the withdrawal was scheduled to
+    function executeWithdrawal(
+        uint withdrawalId
+    )
+      external
+    {
+        _executeWithdrawal(withdrawalId);
+    }
+
+    function _executeWithdrawal(
+        uint withdrawalId
+    )
+      internal
+    {
+        require(isPending(withdrawalId), "Housteca Treasury: The withdrawal is not pending");
+        Withdrawal memory withdrawal = _withdrawals[withdrawalId];
+        require(withdrawal.executableAt <= block.timestamp, "Housteca Treasury: The withdrawal is still locked");
+
+        delete _withdrawals[withdrawalId];
+        emit FeesWithdrawn(withdrawalId, withdrawal.token, withdrawal.to, withdrawal.amount);
+        require(IERC20(withdrawal.token).transfer(withdrawal.to, withdrawal.amount), "Housteca Treasury: Token transfer failed");
+    }
+
+    /// Cancels a pending withdrawal, giving the fees back to the treasury
+    function cancelWithdrawal(
+        uint withdrawalId
+    )
+      external
+      onlyTreasurer
+    {
+        require(isPending(withdrawalId), "Housteca Treasury: The withdrawal is not pending");
+
+        Withdrawal memory withdrawal = _withdrawals[withdrawalId];
+        delete _withdrawals[withdrawalId];
+        _feeBalances[withdrawal.token] = _feeBalances[withdrawal.token].add(withdrawal.amount);
+        emit WithdrawalCancelled(withdrawalId);
+    }
+
+    /// Sets who gets the fees when they are distributed, once the withdrawal delay expires.
+    /// The shares must add up to RATIO, and an empty list removes every beneficiary.
+    function setBeneficiaries(
+        address[] calldata accounts,
+        uint[] calldata shares
+    )
+      external
+      onlyTreasurer
+    {
+        require(accounts.length == shares.length, "Housteca Treasury: Every beneficiary needs a share");
+
+        delete _pendingBeneficiaries;
+        uint total = 0;
+        for (uint i = 0; i < accounts.length; i++) {
+            require(accounts[i] != address(0) && shares[i] > 0, "Housteca Treasury: Invalid beneficiary");
+            _pendingBeneficiaries.push(Beneficiary({
+                account: accounts[i],
+                share: shares[i]
+            }));
+            total = total.add(shares[i]);
+        }
+        require(total == RATIO || accounts.length == 0, "Housteca Treasury: The shares must add up to 100%");
+        _beneficiariesChangeAt = block.timestamp.add(_withdrawalDelay);
+        emit BeneficiariesScheduled(accounts, shares, _beneficiariesChangeAt);
+        if (_withdrawalDelay == 0) {
+            _applyBeneficiaries();
+        }
+    }
+
+    /// Sets the pending beneficiaries once their timelock has expired. Anybody can call it
+    function applyBeneficiaries()
+      external
+    {
+        _applyBeneficiaries();
+    }
+
+    function _applyBeneficiaries()
+      internal
+    {
+        _checkChangeUnlocked(_beneficiariesChangeAt);
+
+        address[] memory accounts = new address[](_pendingBeneficiaries.length);
+        uint[] memory shares = new uint[](_pendingBeneficiaries.length);
+        delete _beneficiaries;
+        for (uint i = 0; i < _pendingBeneficiaries.length; i++) {
+            _beneficiaries.push(_pendingBeneficiaries[i]);
+            accounts[i] = _pendingBeneficiaries[i].account;
+            shares[i] = _pendingBeneficiaries[i].share;
+        }
+        delete _pendingBeneficiaries;
+        _beneficiariesChangeAt = 0;
+        emit BeneficiariesSet(accounts, shares);
+    }
+
+    /// Discards the pending withdrawal delay and beneficiaries
+    function cancelChanges()
+      external
+      onlyTreasurer
+    {
+        _pendingWithdrawalDelay = 0;
+        _withdrawalDelayChangeAt = 0;
+        delete _pendingBeneficiaries;
+        _beneficiariesChangeAt = 0;
+        emit ChangesCancelled();
+    }
+
+    /// Splits all the available fees of a token among the beneficiaries. Anybody can call it.
+    /// Every share is withdrawn to its beneficiary, so it waits for the withdrawal delay.
+    /// The last beneficiary gets the remainder of the rounding.
+    function distributeFees(
+        address token
+    )
+      external
+    {
+        require(_beneficiaries.length > 0, "Housteca Treasury: There are no beneficiaries");
+
+        uint balance = _feeBalances[token];
+        uint distributed = 0;
+        for (uint i = 0; i < _beneficiaries.length; i++) {
+            Beneficiary memory beneficiary = _beneficiaries[i];
+            uint amount = i == _beneficiaries.length - 1
+                ? balance.sub(distributed)
+                : balance.mul(beneficiary.share).div(RATIO);
+            distributed = distributed.add(amount);
+            emit FeesDistributed(token, beneficiary.account, amount);
+            if (amount > 0) {
+                _withdraw(token, beneficiary.account, amount);
+            }
+        }
+    }
+
+    function _checkChangeUnlocked(
+        uint executableAt
+    )
+      internal
+      view
+    {
+        require(executableAt > 0, "Housteca Treasury: There is no pending change");
+        require(executableAt <= block.timestamp, "Housteca Treasury: The change is still locked");
+    }
+}
@@ -1,4 +1,12 @@
 const Housteca = artifacts.require("Housteca");
+const Loan = artifacts.require("Loan");
+const LoanMarket = artifacts.require("LoanMarket");
+const Treasury = artifacts.require("Treasury");
+const Governance = artifacts.require("Governance");
+const InvestorRegistry = artifacts.require("InvestorRegistry");
+const PropertyRegistry = artifacts.require("PropertyRegistry");
+const FundingGateway = artifacts.require("FundingGateway");
+const TestPriceOracle = artifacts.require("TestPriceOracle");
 const TestERC777Token = artifacts.require("TestERC777Token");
 const TestERC20Token = artifacts.require("TestERC20Token");
 const Property = artifacts.require("Property");
@@ -13,15 +21,33 @@ module.exports = async (deployer, network, accounts) => {
     }
 
     await deployer.deploy(Property, {gas: 75e5});
-    await deployer.deploy(Housteca, Property.address, {gas: 75e5});
+    // the loans are clones of this implementation, the first loan version
+    await deployer.deploy(Loan, {gas: 75e5});
+    await deployer.deploy(Housteca, Property.address, Loan.address, {gas: 75e5});
+    await deployer.deploy(LoanMarket, Housteca.address);
+    await deployer.deploy(Treasury, Housteca.address);
+    await deployer.deploy(Governance, Housteca.address);
+    await deployer.deploy(InvestorRegistry, Housteca.address);
+    await deployer.deploy(PropertyRegistry, Housteca.address);
+    await deployer.deploy(FundingGateway, Housteca.address);
+    await (await Housteca.deployed()).setTreasury(Treasury.address, {from: accounts[0]});
+    await (await Housteca.deployed()).setGovernance(Governance.address, {from: accounts[0]});
+    await (await Housteca.deployed()).setInvestorRegistry(InvestorRegistry.address, {from: accounts[0]});
+    await (await Housteca.deployed()).setPropertyRegistry(PropertyRegistry.address, {from: accounts[0]});
+    await (await Housteca.deployed()).setFundingGateway(FundingGateway.address, {from: accounts[0]});
     const instance = await Property.deployed();
     await instance.addMinter(Housteca.address, {from: accounts[0]});
+    // property partitions can only be transferred to verified investors
+    await instance.setHookContract(InvestorRegistry.address, "ERC1400TokensValidator", {from: accounts[0]});
     await instance.transferOwnership(Housteca.address, {from: accounts[0]});
 
     if (['development', 'ropsten'].includes(network)) {
         await deployer.deploy(TestERC777Token);
         await deployer.deploy(TestERC20Token);
+        // the price feed of a real network is set once the funding tokens are chosen
+        await deployer.deploy(TestPriceOracle);
         const housteca = await Housteca.deployed();
+        await housteca.setPriceOracle(TestPriceOracle.address, {from: accounts[0]});
         const T20 = await TestERC20Token.deployed();
         const T777 = await TestERC777Token.deployed();
 
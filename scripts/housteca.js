@@ -0,0 +1,20 @@
+/**
+ * Entry point of the `housteca` command line tool, run through truffle so it
+ * can use the networks in truffle-config.js:
+ *
+ *     yarn housteca --network ropsten add-investor 0x...
+ *
+ * Run it without a command to see the available ones.
+ */
+const { run } = require('../src/cli');
+const { scriptArgv } = require('../src/args');
+
+
+module.exports = async callback => {
+    try {
+        await run(scriptArgv('housteca.js'), { artifacts, web3 });
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * Indexes Housteca's events into a JSON file and keeps it up to date.
+ *
+ *     yarn indexer --network ropsten [--store index.json] [--from-block N] [--confirmations N] [--interval ms]
+ *
+ * The network is one of those in truffle-config.js. Stop it with Ctrl+C, it
+ * resumes from the last checkpoint the next time it runs.
+ */
+const { Indexer, JsonStore, loadContracts } = require('../src');
+const { parseArgs, option, scriptArgv } = require('../src/args');
+
+
+module.exports = async callback => {
+    try {
+        const { options } = parseArgs(scriptArgv('indexer.js'));
+        const contracts = loadContracts(artifacts);
+        const housteca = await contracts.Housteca.deployed();
+        const indexer = new Indexer({
+            contracts,
+            address: housteca.address,
+            store: new JsonStore(option(options, 'store', 'housteca-index.json')),
+            fromBlock: Number(option(options, 'from-block', 0)),
+            confirmations: Number(option(options, 'confirmations', 0))
+        });
+        process.on('SIGINT', () => indexer.stop());
+        await indexer.run(Number(option(options, 'interval', 15000)));
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
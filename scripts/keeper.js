@@ -0,0 +1,30 @@
+/**
+ * Updates the loans whose deadlines expired, and keeps doing it.
+ *
+ *     yarn keeper --network ropsten [--from address] [--interval ms]
+ *
+ * The network is one of those in truffle-config.js. The transactions are
+ * sent from the first account of the network unless `--from` is given.
+ */
+const { Keeper, loadContracts } = require('../src');
+const { parseArgs, option, scriptArgv } = require('../src/args');
+
+
+module.exports = async callback => {
+    try {
+        const { options } = parseArgs(scriptArgv('keeper.js'));
+        const contracts = loadContracts(artifacts);
+        const housteca = await contracts.Housteca.deployed();
+        const accounts = await web3.eth.getAccounts();
+        const keeper = new Keeper({
+            contracts,
+            housteca,
+            from: option(options, 'from', accounts[0])
+        });
+        process.on('SIGINT', () => keeper.stop());
+        await keeper.run(Number(option(options, 'interval', 60000)));
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
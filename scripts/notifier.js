@@ -0,0 +1,72 @@
+/**
+ * Notifies the users subscribed to Housteca's loans, and keeps doing it.
+ *
+ *     yarn notifier --network ropsten [--store notifications.json] [--from-block N]
+ *                   [--payment-notice days] [--mailer module --mail-from address] [--interval ms]
+ *     yarn notifier --network ropsten subscribe <address> <webhook|email> <url|email> [--kinds KIND,...]
+ *     yarn notifier --network ropsten unsubscribe <address> [webhook|email]
+ *
+ * The network is one of those in truffle-config.js. Webhooks are always
+ * available; emails need a module exporting a `sendMail({from, to, subject, text})`
+ * function, such as one wrapping a nodemailer transporter. Stop it with Ctrl+C.
+ */
+const path = require('path');
+const {
+    Notifier,
+    NOTIFICATION_KINDS,
+    SubscriptionStore,
+    WebhookTransport,
+    EmailTransport,
+    loadContracts
+} = require('../src');
+const { parseArgs, option, scriptArgv } = require('../src/args');
+
+
+const transports = options => {
+    const result = { webhook: new WebhookTransport() };
+    const mailer = option(options, 'mailer', null);
+    if (mailer) {
+        const { sendMail } = require(path.resolve(mailer));
+        result.email = new EmailTransport({ sendMail, from: option(options, 'mail-from') });
+    }
+    return result;
+};
+
+
+module.exports = async callback => {
+    try {
+        const { args, options } = parseArgs(scriptArgv('notifier.js'));
+        const store = new SubscriptionStore(option(options, 'store', 'housteca-notifications.json'));
+        const [name, address, transport, target] = args;
+        if (name === 'subscribe') {
+            const kinds = options.kinds ? option(options, 'kinds').split(',') : undefined;
+            const unknown = (kinds || []).filter(kind => !NOTIFICATION_KINDS.includes(kind));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown notification kinds ${unknown.join(', ')}`);
+            }
+            store.subscribe(web3.utils.toChecksumAddress(address), { transport, target, kinds });
+            store.save();
+            return callback();
+        }
+        if (name === 'unsubscribe') {
+            store.unsubscribe(address, transport);
+            store.save();
+            return callback();
+        }
+
+        const contracts = loadContracts(artifacts);
+        const notifier = new Notifier({
+            contracts,
+            housteca: await contracts.Housteca.deployed(),
+            store,
+            transports: transports(options),
+            fromBlock: Number(option(options, 'from-block', 0)),
+            paymentNotice: Number(option(options, 'payment-notice', 3)) * 24 * 60 * 60
+        });
+        process.on('SIGINT', () => notifier.stop());
+        await notifier.run(Number(option(options, 'interval', 60000)));
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
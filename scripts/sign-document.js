@@ -0,0 +1,38 @@
+/**
+ * Signs the document of a loan with a local private key, and submits the
+ * signature.
+ *
+ *     HOUSTECA_PRIVATE_KEY=0x... yarn sign-document --network ropsten --loan <address> --file deed.pdf [--dry-run]
+ *
+ * The file must be the one whose hash the local node submitted to the loan.
+ * The signature is relayed from the first account of the network unless
+ * `--from` is given, so the signer does not need any ether. With `--dry-run`
+ * the signature is only printed.
+ */
+const { LoanClient, loadContracts } = require('../src');
+const { parseArgs, option, scriptArgv } = require('../src/args');
+
+
+module.exports = async callback => {
+    try {
+        const { options } = parseArgs(scriptArgv('sign-document.js'), ['dry-run']);
+        const privateKey = process.env.HOUSTECA_PRIVATE_KEY;
+        if (!privateKey) {
+            throw new Error('Missing HOUSTECA_PRIVATE_KEY');
+        }
+        const loan = await LoanClient.at(loadContracts(artifacts), option(options, 'loan'));
+        if (!(await loan.isDocument(option(options, 'file')))) {
+            throw new Error('The file is not the document of the loan');
+        }
+        const { signer, signature } = await loan.signDocumentWithKey(privateKey);
+        console.log(`signer: ${signer}\nsignature: ${signature}`);
+        if (!options['dry-run']) {
+            const accounts = await web3.eth.getAccounts();
+            const tx = await loan.signDocumentFor(signer, signature, {from: option(options, 'from', accounts[0])});
+            console.log(`transactionHash: ${tx.tx}`);
+        }
+        callback();
+    } catch (error) {
+        callback(error);
+    }
+};
@@ -0,0 +1,45 @@
+/**
+ * Runs the loan scenarios of test/Scenarios.js against a ganache of its own.
+ *
+ *     yarn simulate [test files...]
+ *
+ * It starts ganache with the same settings as `yarn ganache`, so stop that one
+ * first, and runs `truffle test` on the development network, which deploys the
+ * contracts through the migrations. Other test files can be given instead of
+ * the scenarios.
+ */
+const path = require('path');
+const { spawn } = require('child_process');
+const ganache = require('ganache-cli');
+
+
+const PORT = 7545;
+const MNEMONIC = 'bone buddy apple lens wait evolve frame wish tragic east intact broken';
+
+const root = path.join(__dirname, '..');
+const truffle = require.resolve('truffle/build/cli.bundled.js');
+const files = process.argv.length > 2 ? process.argv.slice(2) : [path.join('test', 'Scenarios.js')];
+
+
+const main = async () => {
+    const server = ganache.server({ mnemonic: MNEMONIC, gasLimit: 8000000, network_id: 5777, hardfork: 'istanbul' });
+    await new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(PORT, resolve);
+    });
+    try {
+        // truffle runs in another process, so that ganache keeps answering meanwhile
+        return await new Promise((resolve, reject) => {
+            spawn(process.execPath, [truffle, 'test', '--network', 'development', ...files], { cwd: root, stdio: 'inherit' })
+                .on('error', reject)
+                .on('exit', resolve);
+        });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+};
+
+main().then(status => process.exit(status), error => {
+    console.error(error.message);
+    process.exit(1);
+});
@@ -0,0 +1,274 @@
+const BN = require('bn.js');
+const { LoanClient, statusName } = require('./LoanClient');
+const { DEFAULT_TIMING, PERIOD_UNITS } = require('./constants');
+
+
+/** Names of the truffle artifacts the clients need */
+const ARTIFACTS = ['Housteca', 'Loan', 'LoanMarket', 'InvestorRegistry', 'PropertyRegistry', 'FundingGateway', 'IERC20', 'IERC777', 'IERC1820Registry'];
+
+/**
+ * @typedef {object} InvestmentProposal
+ * @property {string} borrower
+ * @property {string} symbol symbol of a token registered with `addToken`
+ * @property {BN|string} downpaymentRatio
+ * @property {BN|string} targetAmount
+ * @property {BN|string} totalPayments
+ * @property {BN|string} insuredPayments
+ * @property {BN|string} paymentAmount
+ * @property {BN|string} perPaymentInterestRatio
+ * @property {BN|string} [prepaymentPenaltyRatio] penalty over the principal returned in advance, none by default
+ * @property {BN|string} [lateFeeRatio] fee over the payments made after their due date, none by default
+ * @property {LoanTiming} [timing] deadlines and periodicity, `DEFAULT_TIMING` for the missing ones
+ * @property {Signer[]} [signers] who has to sign the document besides the borrower and the local node
+ * @property {number} [signatureThreshold] signatures needed to collect the funds, counting the
+ * borrower's and the local node's. All of them by default
+ * @property {string[]} [fundingTokens] symbols of other registered tokens the investors can fund
+ * the loan with, converted through Housteca's price oracle
+ */
+
+/**
+ * @typedef {object} Signer
+ * @property {string} address
+ * @property {string} role such as `NOTARY` or `SELLER`, at most 32 bytes long
+ */
+
+/**
+ * @typedef {object} LoanTiming
+ * @property {number} [proposalGracePeriod] seconds for the borrower to create the loan
+ * @property {number} [initialStakePeriod] seconds for the borrower to deposit the initial stake
+ * @property {number} [fundingPeriod] seconds for the investors to fund the loan
+ * @property {number} [signingPeriod] seconds to sign the document once the loan is funded
+ * @property {number} [paymentGracePeriod] seconds after a due date before the payment counts as missed
+ * @property {number} [periodicity] number of `periodUnit`s between payments
+ * @property {number|string} [periodUnit] one of `PERIOD_UNITS`, by name or value
+ */
+
+/**
+ * @typedef {object} Position
+ * @property {string} loan address of the loan
+ * @property {string} status one of `STATUS`
+ * @property {BN} invested principal invested in the loan, or bought from other investors
+ * @property {BN} collectablePayments share of the payments made by the borrower
+ * @property {BN} collectableInsurance share of the insured payments the borrower did not make
+ * @property {BN} collectablePrepayment share of the principal returned in advance and of the late fees
+ * @property {BN} collectable everything above, what `collectAll` would transfer
+ * @property {BN} propertyTokens Property tokens owed once the loan finishes or goes bankrupt
+ */
+
+/**
+ * @typedef {object} LoanVersion
+ * @property {number} version starting at 1
+ * @property {string} implementation address of the Loan contract the loans are cloned from
+ * @property {boolean} current whether new loans are created with this version
+ */
+
+/** Amount fields of the `Housteca.Position` struct */
+const POSITION_AMOUNTS = ['invested', 'collectablePayments', 'collectableInsurance', 'collectablePrepayment', 'propertyTokens'];
+
+
+/**
+ * Wraps the main Housteca contract and creates `LoanClient`s for its loans.
+ */
+class HoustecaClient {
+    /**
+     * @param {object} contracts truffle contract abstractions, as returned by `loadContracts`
+     * @param {object} housteca deployed Housteca instance
+     */
+    constructor(contracts, housteca) {
+        this.contracts = contracts;
+        this.housteca = housteca;
+        this.address = housteca.address;
+    }
+
+    /**
+     * Creates a client using truffle's artifacts resolver, the `artifacts`
+     * global available in tests, migrations and `truffle exec` scripts.
+     *
+     * @param {object} artifacts
+     * @param {string} [address] Housteca's address, the deployed one by default
+     * @returns {Promise<HoustecaClient>}
+     */
+    static async fromArtifacts(artifacts, address) {
+        const contracts = loadContracts(artifacts);
+        const housteca = address
+            ? await contracts.Housteca.at(address)
+            : await contracts.Housteca.deployed();
+        return new HoustecaClient(contracts, housteca);
+    }
+
+    /**
+     * Creates an investment proposal for a borrower. Only local nodes can do it.
+     * The extra signers of the proposal are set in a second transaction.
+     *
+     * @param {InvestmentProposal} proposal
+     */
+    async createInvestmentProposal(proposal, txParams = {}) {
+        const tx = await this.housteca.createInvestmentProposal(
+            proposal.borrower,
+            proposal.symbol,
+            proposal.downpaymentRatio,
+            proposal.targetAmount,
+            proposal.totalPayments,
+            proposal.insuredPayments,
+            proposal.paymentAmount,
+            proposal.perPaymentInterestRatio,
+            proposal.prepaymentPenaltyRatio || 0,
+            proposal.lateFeeRatio || 0,
+            loanTiming(proposal.timing),
+            txParams
+        );
+        if (proposal.signers && proposal.signers.length > 0) {
+            await this.setProposalSigners(proposal.borrower, proposal.signers, proposal.signatureThreshold, txParams);
+        }
+        if (proposal.fundingTokens && proposal.fundingTokens.length > 0) {
+            await this.setProposalFundingTokens(proposal.borrower, proposal.fundingTokens, txParams);
+        }
+        return tx;
+    }
+
+    /**
+     * Sets who has to sign the document of a proposal besides the borrower and
+     * the local node. Only the local node of the proposal can do it.
+     *
+     * @param {string} borrower
+     * @param {Signer[]} signers
+     * @param {number} [threshold] signatures needed, all of them by default
+     */
+    async setProposalSigners(borrower, signers, threshold = 0, txParams = {}) {
+        const { utils } = this.contracts.Housteca.web3;
+        return this.housteca.setProposalSigners(
+            borrower,
+            signers.map(signer => signer.address),
+            signers.map(signer => utils.padRight(utils.utf8ToHex(signer.role), 64)),
+            threshold,
+            txParams
+        );
+    }
+
+    /**
+     * Sets the tokens the investors can fund the loan of a proposal with, besides
+     * its own. Only the local node of the proposal can do it.
+     *
+     * @param {string} borrower
+     * @param {string[]} symbols symbols of tokens registered with `addToken`
+     */
+    async setProposalFundingTokens(borrower, symbols, txParams = {}) {
+        const gateway = await this.contracts.FundingGateway.at(await this.housteca._fundingGateway());
+        return gateway.setProposalFundingTokens(borrower, symbols, txParams);
+    }
+
+    /**
+     * The borrower turns his proposal into a Loan.
+     *
+     * @returns {Promise<LoanClient>} client of the new loan
+     */
+    async createInvestment(txParams = {}) {
+        const tx = await this.housteca.createInvestment(txParams);
+        const event = tx.logs.find(log => log.event === 'InvestmentCreated');
+        return this.loan(event.args.contractAddress);
+    }
+
+    /**
+     * @param {string} address
+     * @returns {Promise<LoanClient>}
+     */
+    async loan(address) {
+        return LoanClient.at(this.contracts, address);
+    }
+
+    /**
+     * Gets every loan the investor holds a position in, and what he can collect.
+     *
+     * @param {string} investor
+     * @returns {Promise<Position[]>}
+     */
+    async portfolio(investor) {
+        const positions = await this.housteca.portfolio(investor);
+        return positions.map(position => {
+            const result = { loan: position.loan, status: statusName(position.status) };
+            for (const field of POSITION_AMOUNTS) {
+                result[field] = new BN(position[field].toString());
+            }
+            result.collectable = result.collectablePayments
+                .add(result.collectableInsurance)
+                .add(result.collectablePrepayment);
+            return result;
+        });
+    }
+
+    /**
+     * Collects the pending earnings of every loan the sender invested in, in
+     * a single transaction.
+     */
+    async collectAll(txParams = {}) {
+        return this.housteca.collectAll(txParams);
+    }
+
+    /**
+     * Lists the registered loan implementations, marking the one new loans are
+     * cloned from.
+     *
+     * @returns {Promise<LoanVersion[]>}
+     */
+    async loanVersions() {
+        const [count, current] = await Promise.all([
+            this.housteca.loanVersionCount(),
+            this.housteca._loanVersion()
+        ]);
+        const versions = Array.from({length: Number(count.toString())}, (_, i) => i + 1);
+        return Promise.all(versions.map(async version => ({
+            version,
+            implementation: await this.housteca._loanVersions(version - 1),
+            current: version === Number(current.toString())
+        })));
+    }
+
+    /** @returns {Promise<LoanClient[]>} clients for every loan created in Housteca */
+    async loans() {
+        const addresses = await this.housteca.loans();
+        return Promise.all(addresses.map(address => this.loan(address)));
+    }
+}
+
+/**
+ * Completes a timing with the default values, and converts it to the
+ * `Housteca.LoanTiming` struct.
+ *
+ * @param {LoanTiming} [timing]
+ * @returns {object}
+ */
+const loanTiming = (timing = {}) => {
+    const result = {...DEFAULT_TIMING, ...timing};
+    if (typeof result.periodUnit === 'string') {
+        const unit = PERIOD_UNITS.indexOf(result.periodUnit);
+        if (unit === -1) {
+            throw new Error(`Unknown period unit ${result.periodUnit}`);
+        }
+        result.periodUnit = unit;
+    }
+    for (const field of Object.keys(result)) {
+        result[field] = result[field].toString();
+    }
+    return result;
+};
+
+/**
+ * Resolves the contract abstractions the clients use.
+ *
+ * @param {object} artifacts truffle's artifacts resolver
+ * @returns {object}
+ */
+const loadContracts = artifacts => {
+    const contracts = {};
+    for (const name of ARTIFACTS) {
+        contracts[name] = artifacts.require(name);
+    }
+    return contracts;
+};
+
+
+module.exports = {
+    HoustecaClient,
+    loadContracts,
+    loanTiming
+};
@@ -0,0 +1,172 @@
+const { statusName } = require('./LoanClient');
+
+
+/** Statuses from which `update()` can no longer move a loan */
+const FINAL_STATUSES = ['FINISHED', 'UNCOMPLETED', 'BANKRUPT'];
+
+/** Views checked to explain why a loan has to be updated */
+const EXPIRATION_CHECKS = [
+    'stakeDepositPeriodExpired',
+    'fundingPeriodExpired',
+    'signingPeriodExpired',
+    'paymentPeriodExpired'
+];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+
+/**
+ * Calls `Loan.update()` on every loan of Housteca whose deadlines expired,
+ * since nothing else moves a loan to UNCOMPLETED, DEFAULT or BANKRUPT.
+ *
+ * Transactions are sent one by one from a single account. The keeper keeps
+ * track of that account's nonce itself, and reloads it from the node when a
+ * transaction fails before being mined.
+ */
+class Keeper {
+    /**
+     * @param {object} options
+     * @param {object} options.contracts truffle contract abstractions, `Loan` is required
+     * @param {object} options.housteca deployed Housteca instance
+     * @param {string} options.from account that sends the transactions
+     * @param {number} [options.retries] times a failed transaction is sent again
+     * @param {number} [options.retryDelay] milliseconds to wait before retrying
+     * @param {object} [options.logger]
+     */
+    constructor({ contracts, housteca, from, retries = 3, retryDelay = 5000, logger = console }) {
+        this.contracts = contracts;
+        this.housteca = housteca;
+        this.from = from;
+        this.retries = retries;
+        this.retryDelay = retryDelay;
+        this.logger = logger;
+        this.web3 = contracts.Loan.web3;
+        this._nonce = null;
+        this._finished = new Set();
+        this._running = false;
+    }
+
+    /**
+     * Checks whether a loan has to be updated.
+     *
+     * @param {object} loan deployed Loan instance
+     * @returns {Promise<string[]>} names of the expired periods, empty when there is nothing to do
+     */
+    async expiredPeriods(loan) {
+        if (!await loan.shouldUpdate()) {
+            return [];
+        }
+        const expired = [];
+        for (const check of EXPIRATION_CHECKS) {
+            if (await loan[check]()) {
+                expired.push(check);
+            }
+        }
+        return expired;
+    }
+
+    /**
+     * Walks all the loans once and updates those that need it.
+     *
+     * @returns {Promise<{loan: string, from: string, to: string}[]>} the status transitions
+     */
+    async tick() {
+        const transitions = [];
+        const addresses = await this.housteca.loans();
+        for (const address of addresses) {
+            if (this._finished.has(address)) {
+                continue;
+            }
+            const loan = await this.contracts.Loan.at(address);
+            const status = statusName(await loan._status());
+            if (FINAL_STATUSES.includes(status)) {
+                this._finished.add(address);
+                continue;
+            }
+            const expired = await this.expiredPeriods(loan);
+            if (expired.length === 0) {
+                continue;
+            }
+            this.logger.log(`Updating loan ${address} (${expired.join(', ')})`);
+            try {
+                const tx = await this._send(loan);
+                transitions.push(...this._transitions(address, tx));
+            } catch (error) {
+                this.logger.error(`Could not update loan ${address}: ${error.message}`);
+            }
+        }
+        return transitions;
+    }
+
+    /**
+     * Keeps walking the loans until `stop` is called.
+     *
+     * @param {number} [interval] milliseconds between walks
+     */
+    async run(interval = 60000) {
+        this._running = true;
+        while (this._running) {
+            try {
+                await this.tick();
+            } catch (error) {
+                this.logger.error(`Keeper error: ${error.message}`);
+            }
+            await sleep(interval);
+        }
+    }
+
+    stop() {
+        this._running = false;
+    }
+
+    /** Sends `update()`, retrying on failure. */
+    async _send(loan) {
+        let attempt = 0;
+        for (;;) {
+            if (this._nonce === null) {
+                this._nonce = await this.web3.eth.getTransactionCount(this.from, 'pending');
+            }
+            try {
+                const tx = await loan.update({ from: this.from, nonce: this._nonce });
+                this._nonce += 1;
+                return tx;
+            } catch (error) {
+                attempt += 1;
+                if (error.receipt) {
+                    // the transaction was mined but reverted, so the nonce was used
+                    this._nonce += 1;
+                } else {
+                    // the nonce might be wrong or taken, ask the node again
+                    this._nonce = null;
+                }
+                if (attempt > this.retries) {
+                    throw error;
+                }
+                this.logger.error(`Attempt ${attempt} to update ${loan.address} failed: ${error.message}`);
+                await sleep(this.retryDelay);
+            }
+        }
+    }
+
+    _transitions(address, tx) {
+        return tx.logs
+            .filter(log => log.event === 'StatusChanged')
+            .map(log => {
+                const transition = {
+                    loan: address,
+                    from: statusName(log.args.from),
+                    to: statusName(log.args.to)
+                };
+                this.logger.log(`Loan ${address} changed from ${transition.from} to ${transition.to}`);
+                if (FINAL_STATUSES.includes(transition.to)) {
+                    this._finished.add(address);
+                }
+                return transition;
+            });
+    }
+}
+
+
+module.exports = {
+    Keeper
+};
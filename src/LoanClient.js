@@ -0,0 +1,407 @@
+const { STATUS, ERC1820_ADDRESS, ERC777_TOKEN_INTERFACE, ZERO_ADDRESS } = require('./constants');
+const { hashFile, signDocumentHash, recoverDocumentSigner } = require('./documents');
+
+
+/**
+ * @typedef {object} LoanDetails
+ * @property {string} borrower
+ * @property {string} localNode
+ * @property {string} token address of the token used to fund and pay the loan
+ * @property {BN} downpaymentRatio
+ * @property {BN} targetAmount
+ * @property {BN} totalPayments
+ * @property {BN} insuredPayments
+ * @property {BN} paymentAmount
+ * @property {BN} perPaymentInterestRatio
+ * @property {BN} localNodeFeeAmount
+ * @property {BN} houstecaFeeAmount
+ * @property {string} status one of `STATUS`
+ */
+
+/**
+ * @typedef {object} SignerStatus
+ * @property {string} address
+ * @property {string} role `BORROWER`, `LOCAL_NODE` or one of the proposal's roles
+ * @property {boolean} signed whether the signer has signed the current document
+ */
+
+/** Field names of the tuple returned by `Loan.details()`, in order */
+const DETAILS_FIELDS = [
+    'borrower',
+    'localNode',
+    'token',
+    'downpaymentRatio',
+    'targetAmount',
+    'totalPayments',
+    'insuredPayments',
+    'paymentAmount',
+    'perPaymentInterestRatio',
+    'localNodeFeeAmount',
+    'houstecaFeeAmount',
+    'status'
+];
+
+/**
+ * Converts the numeric value of the `Loan.Status` enum to its name.
+ *
+ * @param {BN|number|string} status
+ * @returns {string}
+ */
+const statusName = status => {
+    const name = STATUS[Number(status.toString())];
+    if (name === undefined) {
+        throw new Error(`Unknown loan status ${status}`);
+    }
+    return name;
+};
+
+
+/**
+ * Wraps a deployed Loan contract.
+ *
+ * Every transaction method accepts the usual truffle transaction parameters
+ * (`{from, gas, ...}`) as its last argument. Methods that move tokens to the
+ * loan use ERC777 `send` when the loan's token is an ERC777 token, and an
+ * ERC20 `approve` followed by the loan's own function otherwise.
+ */
+class LoanClient {
+    /**
+     * @param {object} contracts truffle contract abstractions: `Loan`, `IERC20`, `IERC777` and `IERC1820Registry`
+     * @param {object} loan deployed Loan instance
+     */
+    constructor(contracts, loan) {
+        this.contracts = contracts;
+        this.loan = loan;
+        this.address = loan.address;
+        this._token = null;
+    }
+
+    /**
+     * Creates a client for the Loan deployed at the given address.
+     *
+     * @param {object} contracts see the constructor
+     * @param {string} address
+     * @returns {Promise<LoanClient>}
+     */
+    static async at(contracts, address) {
+        return new LoanClient(contracts, await contracts.Loan.at(address));
+    }
+
+    /**
+     * Gets the loan parameters and its current status.
+     *
+     * @returns {Promise<LoanDetails>}
+     */
+    async details() {
+        const result = await this.loan.details();
+        const details = {};
+        DETAILS_FIELDS.forEach((field, i) => {
+            details[field] = result[i];
+        });
+        details.status = statusName(details.status);
+        return details;
+    }
+
+    /** @returns {Promise<string>} the name of the current status */
+    async status() {
+        return statusName(await this.loan._status());
+    }
+
+    /**
+     * Gets the token used by this loan and whether it is an ERC777 token.
+     *
+     * @returns {Promise<{address: string, isERC777: boolean, contract: object}>}
+     */
+    async token() {
+        if (this._token === null) {
+            const address = await this.loan._token();
+            const isERC777 = await isERC777Token(this.contracts, address);
+            const contract = isERC777
+                ? await this.contracts.IERC777.at(address)
+                : await this.contracts.IERC20.at(address);
+            this._token = { address, isERC777, contract };
+        }
+        return this._token;
+    }
+
+    /**
+     * Lists everybody who has to sign the document, to show the signing progress.
+     *
+     * @returns {Promise<{signers: SignerStatus[], signatures: number, threshold: number, ready: boolean}>}
+     */
+    async signingProgress() {
+        const { utils } = this.contracts.Loan.web3;
+        const [addresses, signatures, threshold, ready] = await Promise.all([
+            this.loan.signers(),
+            this.loan._signatureCount(),
+            this.loan._signatureThreshold(),
+            this.loan.signaturesReady()
+        ]);
+        const signers = await Promise.all(addresses.map(async address => ({
+            address,
+            role: utils.hexToUtf8(await this.loan._signerRoles(address)),
+            signed: await this.loan.hasSigned(address)
+        })));
+        return {
+            signers,
+            signatures: signatures.toNumber(),
+            threshold: threshold.toNumber(),
+            ready
+        };
+    }
+
+    /** @returns {Promise<string[]>} the signers that have not signed the current document yet */
+    async outstandingSigners() {
+        return this.loan.outstandingSigners();
+    }
+
+    /**
+     * Deposits the initial stake. Only the borrower can do it.
+     */
+    async sendInitialStake(txParams = {}) {
+        const amount = await this.loan.initialStakeAmount();
+        return this._sendTokens(amount, () => this.loan.sendInitialStake(txParams), txParams);
+    }
+
+    /**
+     * Invests the given amount in the loan. Only verified investors can do it.
+     *
+     * @param {BN|string} amount
+     */
+    async invest(amount, txParams = {}) {
+        return this._sendTokens(amount, () => this.loan.invest(amount, txParams), txParams);
+    }
+
+    /** @returns {Promise<string[]>} symbols of the other tokens the loan can be funded with */
+    async fundingTokens() {
+        const gateway = await this._fundingGateway();
+        return gateway === null ? [] : gateway.fundingTokens(this.address);
+    }
+
+    /**
+     * Invests in the loan with one of its funding tokens, which the funding
+     * gateway converts to the loan's token through Housteca's price oracle.
+     * The tokens are approved to the gateway first, as plain ERC20 tokens.
+     *
+     * @param {string} symbol one of `fundingTokens`
+     * @param {BN|string} amount of the funding token
+     */
+    async investWith(symbol, amount, txParams = {}) {
+        const gateway = await this._fundingGateway();
+        const address = gateway === null ? ZERO_ADDRESS : await gateway.fundingToken(this.address, symbol);
+        if (address === ZERO_ADDRESS) {
+            throw new Error(`The loan cannot be funded with ${symbol}`);
+        }
+        const token = await this.contracts.IERC20.at(address);
+        await token.approve(gateway.address, amount, txParams);
+        return gateway.deposit(this.address, symbol, amount, txParams);
+    }
+
+    /**
+     * Gets what an investor takes back by collecting his investment: what he
+     * invested plus his share of the stake the borrower lost, if any.
+     *
+     * @param {string} investor
+     * @returns {Promise<BN>}
+     */
+    async refundAmount(investor) {
+        return this.loan.refundAmount(investor);
+    }
+
+    /**
+     * An investor takes his investment back, either while the loan is funding
+     * or once it is UNCOMPLETED.
+     */
+    async collectInvestment(txParams = {}) {
+        return this.loan.collectInvestment(txParams);
+    }
+
+    /** The local node aborts the loan before collecting the funds. The borrower looses the stake. */
+    async abortLoan(txParams = {}) {
+        return this.loan.abortLoan(txParams);
+    }
+
+    /**
+     * Submits a signature of the loan's document hash.
+     *
+     * @param {string} signature
+     */
+    async signDocument(signature, txParams = {}) {
+        return this.loan.signDocument(signature, txParams);
+    }
+
+    /**
+     * Submits somebody else's signature of the loan's document hash, so the
+     * signer does not need to send the transaction himself.
+     *
+     * @param {string} signer
+     * @param {string} signature
+     */
+    async signDocumentFor(signer, signature, txParams = {}) {
+        return this.loan.signDocumentFor(signer, signature, txParams);
+    }
+
+    /**
+     * Checks whether a file is the document submitted to the loan.
+     *
+     * @param {string} path
+     * @returns {Promise<boolean>}
+     */
+    async isDocument(path) {
+        const [fileHash, documentHash] = await Promise.all([hashFile(path), this.loan._documentHash()]);
+        return fileHash === documentHash;
+    }
+
+    /**
+     * Signs the loan's document with a local private key, and checks the loan
+     * accepts the signature before returning it.
+     *
+     * @param {string} privateKey
+     * @returns {Promise<{signer: string, signature: string}>}
+     */
+    async signDocumentWithKey(privateKey) {
+        const [documentHash, chainId] = await Promise.all([this.loan._documentHash(), this.loan.getChainId()]);
+        const document = { loan: this.address, chainId, documentHash };
+        const signature = signDocumentHash(document, privateKey);
+        const signer = this.contracts.Loan.web3.utils.toChecksumAddress(recoverDocumentSigner(document, signature));
+        if (!(await this.loan.checkDocumentSignature(signature, signer))) {
+            throw new Error(`The loan rejects the signature of ${signer}`);
+        }
+        return { signer, signature };
+    }
+
+    /** The local node collects the funds once the document is signed. */
+    async collectAllFunds(txParams = {}) {
+        return this.loan.collectAllFunds(txParams);
+    }
+
+    /** The borrower makes the next payment. */
+    async pay(txParams = {}) {
+        const amount = await this.loan.nextPaymentAmount();
+        return this._sendTokens(amount, () => this.loan.pay(txParams), txParams);
+    }
+
+    /**
+     * Gets the payments the borrower missed and the insurance covered, and what
+     * it costs to pay them back, late fees included.
+     *
+     * @returns {Promise<{payments: number, amount: BN}>}
+     */
+    async arrears() {
+        const [payments, amount] = await Promise.all([this.loan.arrears(), this.loan.arrearsAmount()]);
+        return { payments: payments.toNumber(), amount };
+    }
+
+    /** The borrower pays all the arrears at once, which takes the loan out of DEFAULT. */
+    async payArrears(txParams = {}) {
+        const amount = await this.loan.arrearsAmount();
+        // a zero principal tells the loan the ERC777 tokens pay the arrears
+        const data = this.contracts.Loan.web3.eth.abi.encodeParameter('uint256', '0');
+        return this._sendTokens(amount, () => this.loan.payArrears(txParams), txParams, data);
+    }
+
+    /**
+     * The borrower returns part of the principal in advance, paying the
+     * prepayment penalty on top of it.
+     *
+     * @param {BN|string} principal
+     */
+    async prepay(principal, txParams = {}) {
+        const amount = await this.loan.prepaymentAmount(principal);
+        const data = this.contracts.Loan.web3.eth.abi.encodeParameter('uint256', principal.toString());
+        return this._sendTokens(amount, () => this.loan.prepay(principal, txParams), txParams, data);
+    }
+
+    /** The borrower returns the whole outstanding principal, finishing the loan. */
+    async repayInFull(txParams = {}) {
+        const principal = await this.loan.outstandingPrincipal();
+        return this.prepay(principal, txParams);
+    }
+
+    /** An investor collects the earnings of one payment, or all his pending prepayments. */
+    async collectEarnings(txParams = {}) {
+        return this.loan.collectEarnings(txParams);
+    }
+
+    /**
+     * An investor collects all his pending earnings in a single transfer.
+     *
+     * @param {string} investor
+     */
+    async collectAllEarnings(investor, txParams = {}) {
+        return this.loan.collectAllEarnings(investor, {from: investor, ...txParams});
+    }
+
+    /**
+     * Transfers part or all of the caller's investment to another verified investor.
+     * Both must have collected their earnings first.
+     *
+     * @param {string} to
+     * @param {BN|string} amount
+     */
+    async transferPosition(to, amount, txParams = {}) {
+        return this.loan.transferPosition(to, amount, txParams);
+    }
+
+    /**
+     * Lets an operator, like the `LoanMarket`, transfer the caller's position.
+     *
+     * @param {string} operator
+     * @param {boolean} [approved]
+     */
+    async setPositionOperator(operator, approved = true, txParams = {}) {
+        return this.loan.setPositionOperator(operator, approved, txParams);
+    }
+
+    /** The borrower or an investor collects the Property tokens that belong to him. */
+    async collectProperty(txParams = {}) {
+        return this.loan.collectProperty(txParams);
+    }
+
+    /** Updates the status of the loan. Anybody can call it. */
+    async update(txParams = {}) {
+        return this.loan.update(txParams);
+    }
+
+    /** @returns {Promise<object|null>} the FundingGateway of the loan, if it has one */
+    async _fundingGateway() {
+        const address = await this.loan._fundingGateway();
+        return address === ZERO_ADDRESS ? null : this.contracts.FundingGateway.at(address);
+    }
+
+    /**
+     * Sends tokens to the loan, either through ERC777 `send` (which triggers
+     * `tokensReceived` with the given data) or by approving them and calling
+     * `erc20Call`.
+     */
+    async _sendTokens(amount, erc20Call, txParams, data = '0x') {
+        const token = await this.token();
+        if (token.isERC777) {
+            return token.contract.send(this.address, amount, data, txParams);
+        }
+        await token.contract.approve(this.address, amount, txParams);
+        return erc20Call();
+    }
+}
+
+/**
+ * Checks in the ERC1820 registry whether a token implements ERC777.
+ *
+ * @param {object} contracts truffle contract abstractions, `IERC1820Registry` is required
+ * @param {string} address token address
+ * @returns {Promise<boolean>}
+ */
+const isERC777Token = async (contracts, address) => {
+    const { IERC1820Registry } = contracts;
+    const registry = await IERC1820Registry.at(ERC1820_ADDRESS);
+    const interfaceHash = IERC1820Registry.web3.utils.keccak256(ERC777_TOKEN_INTERFACE);
+    const implementer = await registry.getInterfaceImplementer(address, interfaceHash);
+    return implementer !== ZERO_ADDRESS;
+};
+
+
+module.exports = {
+    LoanClient,
+    isERC777Token,
+    statusName
+};
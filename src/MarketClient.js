@@ -0,0 +1,131 @@
+const { LoanClient } = require('./LoanClient');
+const { loadContracts } = require('./HoustecaClient');
+
+
+/**
+ * @typedef {object} Offer
+ * @property {number} id
+ * @property {string} loan address of the loan
+ * @property {string} seller
+ * @property {BN} amount invested amount being sold
+ * @property {BN} price price of the whole offer, in the loan's token
+ */
+
+
+/**
+ * Wraps the LoanMarket contract, where investors sell their positions in
+ * Housteca's loans to other investors.
+ */
+class MarketClient {
+    /**
+     * @param {object} contracts truffle contract abstractions, as returned by `loadContracts`
+     * @param {object} market deployed LoanMarket instance
+     */
+    constructor(contracts, market) {
+        this.contracts = contracts;
+        this.market = market;
+        this.address = market.address;
+    }
+
+    /**
+     * Creates a client using truffle's artifacts resolver.
+     *
+     * @param {object} artifacts
+     * @param {string} [address] LoanMarket's address, the deployed one by default
+     * @returns {Promise<MarketClient>}
+     */
+    static async fromArtifacts(artifacts, address) {
+        const contracts = loadContracts(artifacts);
+        const market = address
+            ? await contracts.LoanMarket.at(address)
+            : await contracts.LoanMarket.deployed();
+        return new MarketClient(contracts, market);
+    }
+
+    /**
+     * Gets an offer, or `null` if it was taken or cancelled.
+     *
+     * @param {number|BN|string} id
+     * @returns {Promise<Offer|null>}
+     */
+    async offer(id) {
+        const offer = await this.market._offers(id);
+        if (offer.amount.isZero()) {
+            return null;
+        }
+        return {
+            id: Number(id.toString()),
+            loan: offer.loan,
+            seller: offer.seller,
+            amount: offer.amount,
+            price: offer.price
+        };
+    }
+
+    /**
+     * Lists the open offers, optionally only the ones of a loan.
+     *
+     * @param {string} [loan] address of the loan
+     * @returns {Promise<Offer[]>}
+     */
+    async offers(loan) {
+        const count = Number((await this.market._offerCount()).toString());
+        const ids = Array.from({length: count}, (_, id) => id);
+        const offers = await Promise.all(ids.map(id => this.offer(id)));
+        return offers.filter(offer => (
+            offer !== null && (loan === undefined || offer.loan.toLowerCase() === loan.toLowerCase())
+        ));
+    }
+
+    /**
+     * Puts part or all of the caller's position in a loan on sale, approving
+     * the market as operator of the position if needed.
+     *
+     * @param {string} loan address of the loan
+     * @param {BN|string} amount
+     * @param {BN|string} price
+     * @returns {Promise<number>} identifier of the new offer
+     */
+    async list(loan, amount, price, txParams = {}) {
+        const loanClient = await LoanClient.at(this.contracts, loan);
+        const seller = txParams.from || (await this.contracts.LoanMarket.web3.eth.getAccounts())[0];
+        const approved = await loanClient.loan._positionOperators(seller, this.address);
+        if (!approved) {
+            await loanClient.setPositionOperator(this.address, true, txParams);
+        }
+        const tx = await this.market.createOffer(loan, amount, price, txParams);
+        const event = tx.logs.find(log => log.event === 'OfferCreated');
+        return Number(event.args.offerId.toString());
+    }
+
+    /**
+     * Buys a whole offer, approving its price in the loan's token first.
+     * ERC777 tokens are approved through their ERC20 interface too.
+     *
+     * @param {number|BN|string} id
+     */
+    async buy(id, txParams = {}) {
+        const offer = await this.offer(id);
+        if (offer === null) {
+            throw new Error(`Offer ${id} is not open`);
+        }
+        const loanClient = await LoanClient.at(this.contracts, offer.loan);
+        const token = await this.contracts.IERC20.at((await loanClient.token()).address);
+        await token.approve(this.address, offer.price, txParams);
+        return this.market.buy(id, txParams);
+    }
+
+    /**
+     * The seller withdraws an offer.
+     *
+     * @param {number|BN|string} id
+     */
+    async cancel(id, txParams = {}) {
+        return this.market.cancelOffer(id, txParams);
+    }
+}
+
+
+module.exports = {
+    MarketClient
+};
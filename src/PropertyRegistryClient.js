@@ -0,0 +1,195 @@
+const BN = require('bn.js');
+const { PROPERTY_TYPES } = require('./constants');
+const { loadContracts } = require('./HoustecaClient');
+const { hashFile } = require('./documents');
+
+
+/**
+ * @typedef {object} PropertyMetadata
+ * @property {string} location postal address of the property
+ * @property {string} cadastralReference reference of the property in the land registry
+ * @property {BN|string} valuation appraised value, in the smallest unit of the loan's token
+ * @property {string} [appraisalHash] SHA-256 hash of the appraisal document, see `hashFile`
+ * @property {number} surface built surface, in square metres
+ * @property {string} propertyType one of `PROPERTY_TYPES`
+ * @property {string} [detailsHash] IPFS hash of a JSON document with the rest of the listing
+ */
+
+const ZERO_HASH = `0x${'0'.repeat(64)}`;
+
+/**
+ * Converts the metadata to the tuple `PropertyRegistry` takes.
+ *
+ * @param {PropertyMetadata} metadata
+ * @returns {Array}
+ */
+const encodeMetadata = metadata => {
+    const propertyType = PROPERTY_TYPES.indexOf(metadata.propertyType);
+    if (propertyType < 0) {
+        throw new Error(`Unknown property type ${metadata.propertyType}`);
+    }
+    return [
+        metadata.location,
+        metadata.cadastralReference,
+        metadata.valuation.toString(),
+        metadata.appraisalHash || ZERO_HASH,
+        metadata.surface.toString(),
+        propertyType,
+        metadata.detailsHash || ''
+    ];
+};
+
+/**
+ * @param {object} result `PropertyRegistry.Metadata` as truffle returns it
+ * @returns {PropertyMetadata}
+ */
+const decodeMetadata = result => ({
+    location: result.location,
+    cadastralReference: result.cadastralReference,
+    valuation: new BN(result.valuation.toString()),
+    appraisalHash: result.appraisalHash,
+    surface: Number(result.surface.toString()),
+    propertyType: PROPERTY_TYPES[Number(result.propertyType.toString())],
+    detailsHash: result.detailsHash
+});
+
+
+/**
+ * Wraps the PropertyRegistry contract, which keeps the metadata and the
+ * images of the properties Housteca's loans finance.
+ */
+class PropertyRegistryClient {
+    /**
+     * @param {object} contracts truffle contract abstractions, as returned by `loadContracts`
+     * @param {object} registry deployed PropertyRegistry instance
+     */
+    constructor(contracts, registry) {
+        this.contracts = contracts;
+        this.registry = registry;
+        this.address = registry.address;
+    }
+
+    /**
+     * Creates a client for the property registry Housteca uses.
+     *
+     * @param {object} artifacts
+     * @param {string} [address] Housteca's address, the deployed one by default
+     * @returns {Promise<PropertyRegistryClient>}
+     */
+    static async fromArtifacts(artifacts, address) {
+        const contracts = loadContracts(artifacts);
+        const housteca = address
+            ? await contracts.Housteca.at(address)
+            : await contracts.Housteca.deployed();
+        const registry = await contracts.PropertyRegistry.at(await housteca._propertyRegistry());
+        return new PropertyRegistryClient(contracts, registry);
+    }
+
+    /**
+     * Gets the current metadata of a loan's property, or `null` if it has none.
+     *
+     * @param {string} loan
+     * @returns {Promise<PropertyMetadata & {version: number}|null>}
+     */
+    async metadata(loan) {
+        const version = (await this.registry.metadataVersion(loan)).toNumber();
+        if (version === 0) {
+            return null;
+        }
+        return { version, ...decodeMetadata(await this.registry.metadataAt(loan, version)) };
+    }
+
+    /**
+     * Gets every version of the metadata of a loan's property, oldest first.
+     *
+     * @param {string} loan
+     * @returns {Promise<Array<PropertyMetadata & {version: number}>>}
+     */
+    async metadataHistory(loan) {
+        const count = (await this.registry.metadataVersion(loan)).toNumber();
+        const versions = Array.from({ length: count }, (_, i) => i + 1);
+        return Promise.all(versions.map(async version => ({
+            version,
+            ...decodeMetadata(await this.registry.metadataAt(loan, version))
+        })));
+    }
+
+    /**
+     * Checks whether a file is the appraisal document of the current metadata.
+     *
+     * @param {string} loan
+     * @param {string} path
+     * @returns {Promise<boolean>}
+     */
+    async isAppraisal(loan, path) {
+        const [fileHash, metadata] = await Promise.all([hashFile(path), this.metadata(loan)]);
+        return metadata !== null && fileHash === metadata.appraisalHash;
+    }
+
+    /**
+     * Sets the metadata of a proposal, which its loan gets once the borrower
+     * creates it. Only the proposal's local node can do it.
+     *
+     * @param {string} borrower
+     * @param {PropertyMetadata} metadata
+     */
+    async setProposalMetadata(borrower, metadata, txParams = {}) {
+        return this.registry.setProposalMetadata(borrower, encodeMetadata(metadata), txParams);
+    }
+
+    /**
+     * Adds a new version of the metadata of a loan's property. Only the loan's
+     * local node and Housteca's appraisers can do it.
+     *
+     * @param {string} loan
+     * @param {PropertyMetadata} metadata
+     */
+    async updateMetadata(loan, metadata, txParams = {}) {
+        return this.registry.updateMetadata(loan, encodeMetadata(metadata), txParams);
+    }
+
+    /**
+     * @param {string} loan
+     * @returns {Promise<string[]>} IPFS hashes of the images, in the order they are shown
+     */
+    async images(loan) {
+        return this.registry.images(loan);
+    }
+
+    /**
+     * Adds an image after the others. Only the borrower and the local node
+     * of the loan can manage its images.
+     *
+     * @param {string} loan
+     * @param {string} hash IPFS hash of the image
+     */
+    async addImage(loan, hash, txParams = {}) {
+        return this.registry.addImage(loan, hash, txParams);
+    }
+
+    /**
+     * @param {string} loan
+     * @param {number} index position of the image
+     */
+    async removeImage(loan, index, txParams = {}) {
+        return this.registry.removeImage(loan, index, txParams);
+    }
+
+    /**
+     * Moves an image to another position, shifting the ones in between.
+     *
+     * @param {string} loan
+     * @param {number} from
+     * @param {number} to
+     */
+    async moveImage(loan, from, to, txParams = {}) {
+        return this.registry.moveImage(loan, from, to, txParams);
+    }
+}
+
+
+module.exports = {
+    PropertyRegistryClient,
+    encodeMetadata,
+    decodeMetadata
+};
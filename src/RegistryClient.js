@@ -0,0 +1,114 @@
+const BN = require('bn.js');
+const { loadContracts } = require('./HoustecaClient');
+
+
+/**
+ * @typedef {object} InvestorRecord
+ * @property {string} address
+ * @property {number|string|BN} expiry timestamp the verification expires at
+ * @property {string} jurisdiction ISO 3166-1 alpha-2 country code, such as `ES`
+ * @property {number} tier accreditation tier, starting at 1
+ */
+
+/**
+ * Encodes a country code as the `bytes2` the registry stores.
+ *
+ * @param {string} code e.g. `ES`
+ * @returns {string}
+ */
+const encodeJurisdiction = code => {
+    if (!/^[A-Z]{2}$/.test(code)) {
+        throw new Error(`Invalid jurisdiction ${code}`);
+    }
+    return `0x${Buffer.from(code, 'ascii').toString('hex')}`;
+};
+
+/**
+ * @param {string} value `bytes2` as returned by the contract
+ * @returns {string} country code
+ */
+const decodeJurisdiction = value => Buffer.from(value.slice(2), 'hex').toString('ascii');
+
+
+/**
+ * Wraps the InvestorRegistry contract, which keeps the KYC and accreditation
+ * records of Housteca's investors.
+ */
+class RegistryClient {
+    /**
+     * @param {object} contracts truffle contract abstractions, as returned by `loadContracts`
+     * @param {object} registry deployed InvestorRegistry instance
+     */
+    constructor(contracts, registry) {
+        this.contracts = contracts;
+        this.registry = registry;
+        this.address = registry.address;
+    }
+
+    /**
+     * Creates a client for the registry Housteca uses.
+     *
+     * @param {object} artifacts
+     * @param {string} [address] Housteca's address, the deployed one by default
+     * @returns {Promise<RegistryClient>}
+     */
+    static async fromArtifacts(artifacts, address) {
+        const contracts = loadContracts(artifacts);
+        const housteca = address
+            ? await contracts.Housteca.at(address)
+            : await contracts.Housteca.deployed();
+        const registry = await contracts.InvestorRegistry.at(await housteca._investorRegistry());
+        return new RegistryClient(contracts, registry);
+    }
+
+    /**
+     * Gets the record of an investor, or `null` if there is none.
+     *
+     * @param {string} address
+     * @returns {Promise<InvestorRecord & {verifier: string, verified: boolean}|null>}
+     */
+    async investor(address) {
+        const record = await this.registry._investors(address);
+        if (Number(record.tier.toString()) === 0) {
+            return null;
+        }
+        return {
+            address,
+            expiry: new BN(record.expiry.toString()),
+            jurisdiction: decodeJurisdiction(record.jurisdiction),
+            tier: Number(record.tier.toString()),
+            verifier: record.verifier,
+            verified: await this.registry.isVerified(address)
+        };
+    }
+
+    /**
+     * Adds or updates the records of several investors in a single transaction.
+     * Only local nodes and KYC officers can do it.
+     *
+     * @param {InvestorRecord[]} records
+     */
+    async addInvestors(records, txParams = {}) {
+        return this.registry.addInvestors(
+            records.map(record => record.address),
+            records.map(record => record.expiry.toString()),
+            records.map(record => encodeJurisdiction(record.jurisdiction)),
+            records.map(record => record.tier),
+            txParams
+        );
+    }
+
+    /**
+     * @param {string[]} addresses
+     */
+    async removeInvestors(addresses, txParams = {}) {
+        return this.registry.removeInvestors(addresses, txParams);
+    }
+}
+
+
+module.exports = {
+    RegistryClient,
+    encodeJurisdiction,
+    decodeJurisdiction
+};
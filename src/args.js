@@ -0,0 +1,79 @@
+/**
+ * Parsing of the command line of the `housteca` tool and of the scripts run
+ * through `truffle exec`.
+ */
+
+
+/**
+ * Splits the command line into positional arguments and options. Options
+ * take every value up to the next option, so `--target 250000 T20` gets
+ * both the amount and the symbol.
+ *
+ * @param {string[]} argv
+ * @param {string[]} [flags] options that do not take a value
+ * @returns {{args: string[], options: object}}
+ */
+const parseArgs = (argv, flags = []) => {
+    const args = [];
+    const options = {};
+    let current = null;
+    for (const arg of argv) {
+        if (arg.startsWith('--')) {
+            const name = arg.slice(2);
+            if (flags.includes(name)) {
+                options[name] = true;
+                current = null;
+            } else {
+                options[name] = [];
+                current = options[name];
+            }
+        } else if (current !== null) {
+            current.push(arg);
+        } else {
+            args.push(arg);
+        }
+    }
+    return { args, options };
+};
+
+/**
+ * Gets the single value of an option.
+ *
+ * @param {object} options as returned by `parseArgs`
+ * @param {string} name
+ * @param {*} [defaultValue] returned when the option is missing, which is an error without it
+ */
+const option = (options, name, defaultValue) => {
+    const value = options[name];
+    if (value === undefined || value.length === 0) {
+        if (defaultValue === undefined) {
+            throw new Error(`Missing option --${name}`);
+        }
+        return defaultValue;
+    }
+    return value[0];
+};
+
+/**
+ * Gets the arguments after the path of a script run through `truffle exec`,
+ * without truffle's `--network`.
+ *
+ * @param {string} script file name of the script, such as `keeper.js`
+ * @returns {string[]}
+ */
+const scriptArgv = script => {
+    const start = process.argv.findIndex(arg => arg.endsWith(script)) + 1;
+    const argv = process.argv.slice(start);
+    const network = argv.indexOf('--network');
+    if (network >= 0) {
+        argv.splice(network, 2);
+    }
+    return argv;
+};
+
+
+module.exports = {
+    parseArgs,
+    option,
+    scriptArgv
+};
@@ -0,0 +1,583 @@
+const BN = require('bn.js');
+const { RATIO, DEFAULT_TIMING, ROLES } = require('./constants');
+const { encodeAction } = require('./governance');
+const { encodeJurisdiction } = require('./RegistryClient');
+const { loanTiming } = require('./HoustecaClient');
+const { parseArgs, option } = require('./args');
+
+
+/** Administration levels that can be given by name */
+const LEVELS = {
+    'admin': 254,
+    'local-node': 253
+};
+
+/** Options that do not take a value */
+const FLAGS = ['dry-run', 'json', 'propose'];
+
+const USAGE = `Usage: housteca --network <network> <command> [arguments] [options]
+
+Commands:
+  add-admin <address> <level> [--fee <ratio>]   level is a number, "admin" or "local-node"
+  remove-admin <address>
+  add-root <address>
+  remove-root <address>
+  transfer-root <from> <to>                 hands the root privileges of an account to another one
+  grant-role <role> <address>               role is KYC_OFFICER, TREASURER or APPRAISER
+  revoke-role <role> <address>
+  set-confirmations <number>                admin confirmations the sensitive operations need
+  confirm-action <id>                       confirms an action submitted with --propose
+  revoke-confirmation <id>
+  add-investor <address>... [--jurisdiction <code>] [--tier <number>] [--valid-for <duration>]
+                  verifies investors, in ES with tier 1 for 365d by default
+  remove-investor <address>...
+  set-tier-share-cap <tier> <ratio>         largest share of each loan an investor of the tier can hold, 0 for none
+  block-jurisdiction <code>                 e.g. US, its investors can no longer invest
+  unblock-jurisdiction <code>
+  add-token <symbol> <address>
+  remove-token <symbol>
+  set-fee <ratio>
+  add-loan-version <address>                registers a deployed Loan implementation as a new version
+  set-loan-version <version>                version the new loans are created with
+  create-proposal --borrower <address> --target <amount> <symbol> --payment <amount> <symbol>
+                  --payments <number> [--insured <number>] [--downpayment <ratio>] [--interest <ratio>]
+                  [--prepayment-penalty <ratio>] [--late-fee <ratio>] [--periodicity <duration>]
+                  [--grace-period <duration>] [--stake-period <duration>] [--funding-period <duration>]
+                  [--signing-period <duration>] [--payment-grace-period <duration>]
+  set-signers <borrower> <role>:<address>... [--threshold <number>]
+                  who else signs the document of the proposal, e.g. NOTARY:0x... SELLER:0x...
+                  The threshold counts the borrower and the local node, all signers by default
+  remove-proposal <borrower>
+  withdraw-fees <symbol> <to> <amount>      scheduled if the treasury has a withdrawal delay
+  execute-withdrawal <id>
+  cancel-withdrawal <id>
+  set-withdrawal-delay <duration>           applied once the current delay expires
+  set-beneficiaries <address>:<ratio>...    e.g. 0x...:70% 0x...:30%, nothing to remove them,
+                                            applied once the withdrawal delay expires
+  apply-withdrawal-delay
+  apply-beneficiaries
+  cancel-treasury-changes                   discards the pending delay and beneficiaries
+  distribute-fees <symbol>                  scheduled as withdrawals if the treasury has a delay
+  send-held-fee <loan>                      moves the fee Housteca held while there was no treasury
+  set-timing-bounds [--periodicity <min> <max>] [--grace-period <min> <max>] [--stake-period <min> <max>]
+                    [--funding-period <min> <max>] [--signing-period <min> <max>]
+                    [--payment-grace-period <min> <max>]
+
+Ratios are given either as a fraction (0.02) or as a percentage (2%).
+Durations are given in seconds (3600 or 3600s), minutes (30min), hours (12h),
+days (15d), weeks (2w), or, for the periodicity of a proposal, in calendar
+months (1mo, 3months) and years (1y).
+
+Options:
+  --from <address>       account sending the transaction, the first one by default
+  --housteca <address>   Housteca's address, the deployed one by default
+  --dry-run              print the encoded call and the estimated gas instead of sending it
+  --propose              submit the call to the governance contract for the admins to confirm it
+  --json                 print the output as JSON`;
+
+
+/**
+ * Converts a decimal number to an integer with the given number of decimals.
+ *
+ * @param {string} value e.g. `250000` or `1058.5`
+ * @param {number} decimals
+ * @returns {BN}
+ */
+const parseAmount = (value, decimals) => {
+    const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value));
+    if (match === null) {
+        throw new Error(`Invalid amount ${value}`);
+    }
+    const fraction = match[2] || '';
+    if (fraction.length > decimals) {
+        throw new Error(`The amount ${value} has more than ${decimals} decimals`);
+    }
+    return new BN(match[1] + fraction.padEnd(decimals, '0'));
+};
+
+/**
+ * Converts a ratio to the fixed point representation used by the contracts.
+ *
+ * @param {string} value a fraction such as `0.02` or a percentage such as `2%`
+ * @returns {BN}
+ */
+const parseRatio = value => {
+    const decimals = RATIO.length - 1;
+    const text = String(value);
+    if (text.endsWith('%')) {
+        return parseAmount(text.slice(0, -1), decimals).div(new BN(100));
+    }
+    return parseAmount(text, decimals);
+};
+
+/** Units of a duration, as `[seconds, months]` */
+const DURATION_UNITS = {
+    's': [1, 0],
+    'min': [60, 0],
+    'h': [60 * 60, 0],
+    'd': [24 * 60 * 60, 0],
+    'w': [7 * 24 * 60 * 60, 0],
+    'mo': [0, 1],
+    'month': [0, 1],
+    'months': [0, 1],
+    'y': [0, 12],
+    'year': [0, 12],
+    'years': [0, 12]
+};
+
+/**
+ * Converts a duration to the periodicity of a loan.
+ *
+ * @param {string} value e.g. `15d` or `3months`
+ * @returns {{periodicity: number, periodUnit: string}}
+ */
+const parseDuration = value => {
+    const match = /^(\d+)\s*([a-z]*)$/.exec(String(value));
+    const unit = match === null ? undefined : DURATION_UNITS[match[2] || 's'];
+    if (unit === undefined) {
+        throw new Error(`Invalid duration ${value}`);
+    }
+    const [seconds, months] = unit;
+    const amount = Number(match[1]);
+    return months > 0
+        ? { periodicity: amount * months, periodUnit: 'MONTHS' }
+        : { periodicity: amount * seconds, periodUnit: 'SECONDS' };
+};
+
+/**
+ * Converts a duration that cannot be measured in calendar months to seconds.
+ *
+ * @param {string} value
+ * @returns {number}
+ */
+const parseSeconds = value => {
+    const { periodicity, periodUnit } = parseDuration(value);
+    if (periodUnit !== 'SECONDS') {
+        throw new Error(`The duration ${value} must be given in seconds, minutes, hours, days or weeks`);
+    }
+    return periodicity;
+};
+
+/** Options of the timing periods given in seconds, by `LoanTiming` field */
+const PERIOD_OPTIONS = {
+    proposalGracePeriod: 'grace-period',
+    initialStakePeriod: 'stake-period',
+    fundingPeriod: 'funding-period',
+    signingPeriod: 'signing-period',
+    paymentGracePeriod: 'payment-grace-period'
+};
+
+/**
+ * Parses a `<role>:<address>` signer, encoding the role as bytes32.
+ *
+ * @param {string} value e.g. `NOTARY:0x5b1869D9A4C187F2EAa108f3062412ecf0526b24`
+ * @returns {{role: string, address: string}}
+ */
+const parseSigner = value => {
+    const separator = value.lastIndexOf(':');
+    const role = Buffer.from(value.slice(0, separator), 'utf8');
+    const address = value.slice(separator + 1);
+    if (separator <= 0 || role.length > 32 || !/^0x[0-9a-fA-F]{40}$/.test(address)) {
+        throw new Error(`Invalid signer ${value}`);
+    }
+    return { role: `0x${role.toString('hex').padEnd(64, '0')}`, address };
+};
+
+/**
+ * Parses an `<address>:<ratio>` beneficiary of the treasury.
+ *
+ * @param {string} value e.g. `0x5b1869D9A4C187F2EAa108f3062412ecf0526b24:70%`
+ * @returns {{account: string, share: BN}}
+ */
+const parseBeneficiary = value => {
+    const [account, share] = value.split(':');
+    if (!/^0x[0-9a-fA-F]{40}$/.test(account) || share === undefined) {
+        throw new Error(`Invalid beneficiary ${value}`);
+    }
+    return { account, share: parseRatio(share) };
+};
+
+/**
+ * Encodes one of `ROLES` as bytes32.
+ *
+ * @param {string} value e.g. `KYC_OFFICER`
+ * @returns {string}
+ */
+const parseRole = value => {
+    if (!ROLES.includes(value)) {
+        throw new Error(`Invalid role ${value}`);
+    }
+    return `0x${Buffer.from(value, 'utf8').toString('hex').padEnd(64, '0')}`;
+};
+
+const parseLevel = value => {
+    const level = LEVELS[value] !== undefined ? LEVELS[value] : Number(value);
+    if (!Number.isInteger(level) || level <= 0 || level >= 255) {
+        throw new Error(`Invalid level ${value}`);
+    }
+    return level;
+};
+
+const argument = (args, index, name) => {
+    if (args[index] === undefined) {
+        throw new Error(`Missing argument <${name}>`);
+    }
+    return args[index];
+};
+
+
+/** Housteca's getters of the contracts the commands can call */
+const CONTRACTS = {
+    Treasury: '_treasury',
+    Governance: '_governance',
+    InvestorRegistry: '_investorRegistry'
+};
+
+/**
+ * Each command resolves to the Housteca function to call and its arguments,
+ * or to a function of one of `CONTRACTS` when `contract` says so.
+ */
+const COMMANDS = {
+    'add-admin': async ({ args, options }) => ({
+        method: 'addAdmin',
+        params: [
+            argument(args, 0, 'address'),
+            parseLevel(argument(args, 1, 'level')),
+            parseRatio(option(options, 'fee', '0'))
+        ]
+    }),
+    'remove-admin': async ({ args }) => ({
+        method: 'removeAdmin',
+        params: [argument(args, 0, 'address')]
+    }),
+    'add-root': async ({ args }) => ({
+        method: 'addRoot',
+        params: [argument(args, 0, 'address')]
+    }),
+    'remove-root': async ({ args }) => ({
+        method: 'removeRoot',
+        params: [argument(args, 0, 'address')]
+    }),
+    'transfer-root': async ({ args }) => ({
+        method: 'transferRoot',
+        params: [argument(args, 0, 'from'), argument(args, 1, 'to')]
+    }),
+    'grant-role': async ({ args }) => ({
+        method: 'grantRole',
+        params: [parseRole(argument(args, 0, 'role')), argument(args, 1, 'address')]
+    }),
+    'revoke-role': async ({ args }) => ({
+        method: 'revokeRole',
+        params: [parseRole(argument(args, 0, 'role')), argument(args, 1, 'address')]
+    }),
+    'set-confirmations': async ({ args }) => ({
+        method: 'setRequiredConfirmations',
+        params: [new BN(argument(args, 0, 'number'))]
+    }),
+    'confirm-action': async ({ args }) => ({
+        contract: 'Governance',
+        method: 'confirmAction',
+        params: [new BN(argument(args, 0, 'id'))]
+    }),
+    'revoke-confirmation': async ({ args }) => ({
+        contract: 'Governance',
+        method: 'revokeConfirmation',
+        params: [new BN(argument(args, 0, 'id'))]
+    }),
+    'add-investor': async ({ args, options }, context) => {
+        argument(args, 0, 'address');
+        const expiry = (await context.now()) + parseSeconds(option(options, 'valid-for', '365d'));
+        const jurisdiction = encodeJurisdiction(option(options, 'jurisdiction', 'ES'));
+        const tier = Number(option(options, 'tier', '1'));
+        return {
+            contract: 'InvestorRegistry',
+            method: 'addInvestors',
+            params: [args, args.map(() => expiry), args.map(() => jurisdiction), args.map(() => tier)]
+        };
+    },
+    'remove-investor': async ({ args }) => {
+        argument(args, 0, 'address');
+        return {
+            contract: 'InvestorRegistry',
+            method: 'removeInvestors',
+            params: [args]
+        };
+    },
+    'set-tier-share-cap': async ({ args }) => ({
+        contract: 'InvestorRegistry',
+        method: 'setTierShareCap',
+        params: [Number(argument(args, 0, 'tier')), parseRatio(argument(args, 1, 'ratio'))]
+    }),
+    'block-jurisdiction': async ({ args }) => ({
+        contract: 'InvestorRegistry',
+        method: 'setJurisdictionBlocked',
+        params: [encodeJurisdiction(argument(args, 0, 'code')), true]
+    }),
+    'unblock-jurisdiction': async ({ args }) => ({
+        contract: 'InvestorRegistry',
+        method: 'setJurisdictionBlocked',
+        params: [encodeJurisdiction(argument(args, 0, 'code')), false]
+    }),
+    'add-token': async ({ args }) => ({
+        method: 'addToken',
+        params: [argument(args, 0, 'symbol'), argument(args, 1, 'address')]
+    }),
+    'remove-token': async ({ args }) => ({
+        method: 'removeToken',
+        params: [argument(args, 0, 'symbol')]
+    }),
+    'set-fee': async ({ args }) => ({
+        method: 'setHoustecaFeeRatio',
+        params: [parseRatio(argument(args, 0, 'ratio'))]
+    }),
+    'add-loan-version': async ({ args }) => ({
+        method: 'addLoanVersion',
+        params: [argument(args, 0, 'address')]
+    }),
+    'set-loan-version': async ({ args }) => ({
+        method: 'setLoanVersion',
+        params: [Number(argument(args, 0, 'version'))]
+    }),
+    'create-proposal': async ({ options }, context) => {
+        const [target, symbol] = options.target || [];
+        const [payment, paymentSymbol] = options.payment || [];
+        if (!target || !symbol || !payment) {
+            throw new Error('Missing option --target <amount> <symbol> or --payment <amount> <symbol>');
+        }
+        if (paymentSymbol !== undefined && paymentSymbol !== symbol) {
+            throw new Error('The target and the payment must use the same token');
+        }
+        const decimals = await context.decimals(symbol);
+        return {
+            method: 'createInvestmentProposal',
+            params: [
+                option(options, 'borrower'),
+                symbol,
+                parseRatio(option(options, 'downpayment', '0')),
+                parseAmount(target, decimals),
+                new BN(option(options, 'payments')),
+                new BN(option(options, 'insured', '0')),
+                parseAmount(payment, decimals),
+                parseRatio(option(options, 'interest', '0')),
+                parseRatio(option(options, 'prepayment-penalty', '0')),
+                parseRatio(option(options, 'late-fee', '0')),
+                parseTiming(options)
+            ]
+        };
+    },
+    'set-timing-bounds': async ({ options }, context) => {
+        const bounds = await context.timingBounds();
+        const min = {...bounds.min};
+        const max = {...bounds.max};
+        const names = {...PERIOD_OPTIONS, periodicity: 'periodicity'};
+        for (const [field, name] of Object.entries(names)) {
+            if (options[name] !== undefined) {
+                if (options[name].length !== 2) {
+                    throw new Error(`Option --${name} requires a minimum and a maximum`);
+                }
+                [min[field], max[field]] = options[name].map(parseSeconds);
+            }
+        }
+        return {
+            method: 'setTimingBounds',
+            params: [loanTiming({...min, periodUnit: 'SECONDS'}), loanTiming({...max, periodUnit: 'SECONDS'})]
+        };
+    },
+    'set-signers': async ({ args, options }) => {
+        const borrower = argument(args, 0, 'borrower');
+        const signers = args.slice(1).map(parseSigner);
+        return {
+            method: 'setProposalSigners',
+            params: [
+                borrower,
+                signers.map(signer => signer.address),
+                signers.map(signer => signer.role),
+                new BN(option(options, 'threshold', '0'))
+            ]
+        };
+    },
+    'remove-proposal': async ({ args }) => ({
+        method: 'removeInvestmentProposal',
+        params: [argument(args, 0, 'borrower')]
+    }),
+    'withdraw-fees': async ({ args }, context) => {
+        const symbol = argument(args, 0, 'symbol');
+        return {
+            contract: 'Treasury',
+            method: 'withdrawFees',
+            params: [
+                await context.tokenAddress(symbol),
+                argument(args, 1, 'to'),
+                parseAmount(argument(args, 2, 'amount'), await context.decimals(symbol))
+            ]
+        };
+    },
+    'execute-withdrawal': async ({ args }) => ({
+        contract: 'Treasury',
+        method: 'executeWithdrawal',
+        params: [new BN(argument(args, 0, 'id'))]
+    }),
+    'cancel-withdrawal': async ({ args }) => ({
+        contract: 'Treasury',
+        method: 'cancelWithdrawal',
+        params: [new BN(argument(args, 0, 'id'))]
+    }),
+    'set-withdrawal-delay': async ({ args }) => ({
+        contract: 'Treasury',
+        method: 'setWithdrawalDelay',
+        params: [parseSeconds(argument(args, 0, 'duration'))]
+    }),
+    'set-beneficiaries': async ({ args }) => {
+        const beneficiaries = args.map(parseBeneficiary);
+        return {
+            contract: 'Treasury',
+            method: 'setBeneficiaries',
+            params: [
+                beneficiaries.map(beneficiary => beneficiary.account),
+                beneficiaries.map(beneficiary => beneficiary.share)
+            ]
+        };
+    },
+    'apply-withdrawal-delay': async () => ({
+        contract: 'Treasury',
+        method: 'applyWithdrawalDelay',
+        params: []
+    }),
+    'apply-beneficiaries': async () => ({
+        contract: 'Treasury',
+        method: 'applyBeneficiaries',
+        params: []
+    }),
+    'cancel-treasury-changes': async () => ({
+        contract: 'Treasury',
+        method: 'cancelChanges',
+        params: []
+    }),
+    'distribute-fees': async ({ args }, context) => ({
+        contract: 'Treasury',
+        method: 'distributeFees',
+        params: [await context.tokenAddress(argument(args, 0, 'symbol'))]
+    }),
+    'send-held-fee': async ({ args }) => ({
+        method: 'sendHeldFee',
+        params: [argument(args, 0, 'loan')]
+    })
+};
+
+/**
+ * Gets the timing of a proposal out of its options, using `DEFAULT_TIMING`
+ * for the missing ones.
+ */
+const parseTiming = options => {
+    const timing = {};
+    for (const [field, name] of Object.entries(PERIOD_OPTIONS)) {
+        timing[field] = parseSeconds(option(options, name, String(DEFAULT_TIMING[field])));
+    }
+    if (options.periodicity !== undefined) {
+        Object.assign(timing, parseDuration(option(options, 'periodicity')));
+    }
+    return loanTiming(timing);
+};
+
+const format = (result, json) => {
+    if (json) {
+        return JSON.stringify(result, null, 2);
+    }
+    return Object.entries(result)
+        .map(([name, value]) => `${name}: ${Array.isArray(value) ? value.join(', ') : value}`)
+        .join('\n');
+};
+
+
+/**
+ * Runs a command.
+ *
+ * @param {string[]} argv command line, without truffle's own arguments
+ * @param {object} env
+ * @param {object} env.artifacts truffle's artifacts resolver
+ * @param {object} env.web3
+ * @param {function} [env.print] receives the output, `console.log` by default
+ * @returns {Promise<object>} the printed result
+ */
+const run = async (argv, { artifacts, web3, print = console.log }) => {
+    const { args, options } = parseArgs(argv, FLAGS);
+    const [name, ...commandArgs] = args;
+    const command = COMMANDS[name];
+    if (command === undefined) {
+        print(USAGE);
+        return null;
+    }
+
+    const Housteca = artifacts.require('Housteca');
+    const housteca = options.housteca
+        ? await Housteca.at(option(options, 'housteca'))
+        : await Housteca.deployed();
+    const from = option(options, 'from', (await web3.eth.getAccounts())[0]);
+    const context = {
+        now: async () => (await web3.eth.getBlock('latest')).timestamp,
+        tokenAddress: async symbol => housteca.getToken(symbol),
+        decimals: async symbol => {
+            const ERC20Detailed = artifacts.require('ERC20Detailed');
+            const token = await ERC20Detailed.at(await housteca.getToken(symbol));
+            return (await token.decimals()).toNumber();
+        },
+        timingBounds: async () => {
+            const fields = [...Object.keys(PERIOD_OPTIONS), 'periodicity'];
+            const pick = timing => Object.assign({}, ...fields.map(field => ({[field]: timing[field].toString()})));
+            return {
+                min: pick(await housteca._minTiming()),
+                max: pick(await housteca._maxTiming())
+            };
+        }
+    };
+
+    let { contract, method, params } = await command({ args: commandArgs, options }, context);
+    if (options.propose) {
+        if (contract !== undefined) {
+            throw new Error('Only calls to Housteca can be proposed');
+        }
+        [contract, method, params] = ['Governance', 'submitAction', [encodeAction(housteca, method, params)]];
+    }
+    const target = contract === undefined
+        ? housteca
+        : await artifacts.require(contract).at(await housteca[CONTRACTS[contract]]());
+    let result;
+    if (options['dry-run']) {
+        const gas = await target[method].estimateGas(...params, { from });
+        result = {
+            method,
+            from,
+            to: target.address,
+            data: target.contract.methods[method](...params).encodeABI(),
+            gas
+        };
+    } else {
+        const tx = await target[method](...params, { from });
+        result = {
+            method,
+            from,
+            transactionHash: tx.tx,
+            gasUsed: tx.receipt.gasUsed,
+            events: tx.logs.map(log => log.event)
+        };
+        const submitted = tx.logs.find(log => log.event === 'ActionSubmitted');
+        if (submitted !== undefined) {
+            result.actionId = submitted.args.actionId.toNumber();
+        }
+    }
+    print(format(result, options.json));
+    return result;
+};
+
+
+module.exports = {
+    USAGE,
+    COMMANDS,
+    FLAGS,
+    parseAmount,
+    parseRatio,
+    parseDuration,
+    parseSigner,
+    parseRole,
+    run
+};
@@ -0,0 +1,78 @@
+/**
+ * Values shared by the JavaScript tooling. They mirror the constants and
+ * enums declared in the Solidity contracts, so keep them in sync.
+ */
+
+/** Names of the `Loan.Status` enum, indexed by their numeric value */
+const STATUS = [
+    'AWAITING_STAKE',
+    'FUNDING',
+    'AWAITING_SIGNATURES',
+    'ACTIVE',
+    'FINISHED',
+    'UNCOMPLETED',
+    'DEFAULT',
+    'BANKRUPT'
+];
+
+/** Names of the `Period.Unit` enum, indexed by their numeric value */
+const PERIOD_UNITS = [
+    'SECONDS',
+    'MONTHS'
+];
+
+/** Names of the `PropertyRegistry.PropertyType` enum, indexed by their numeric value */
+const PROPERTY_TYPES = [
+    'APARTMENT',
+    'HOUSE',
+    'COMMERCIAL',
+    'LAND',
+    'OTHER'
+];
+
+/** Roles of `Housteca` given on top of the administration levels, stored as bytes32 */
+const ROLES = [
+    'KYC_OFFICER',
+    'TREASURER',
+    'APPRAISER'
+];
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * Timing of the proposals that do not set their own, with monthly payments.
+ * See `Housteca.LoanTiming`; periods are given in seconds.
+ */
+const DEFAULT_TIMING = {
+    proposalGracePeriod: 15 * DAY,
+    initialStakePeriod: 15 * DAY,
+    fundingPeriod: 90 * DAY,
+    signingPeriod: 30 * DAY,
+    paymentGracePeriod: 0,
+    periodicity: 1,
+    periodUnit: PERIOD_UNITS.indexOf('MONTHS')
+};
+
+/** The number ratios are multiplied by in the contracts */
+const RATIO = '1000000000000000000';
+
+/** Address of the ERC1820 registry, the same in every network */
+const ERC1820_ADDRESS = '0x1820a4B7618BdE71Dce8cdc73aAB6C95905faD24';
+
+/** Interface name ERC777 tokens register themselves with in the ERC1820 registry */
+const ERC777_TOKEN_INTERFACE = 'ERC777Token';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+
+module.exports = {
+    STATUS,
+    PERIOD_UNITS,
+    PROPERTY_TYPES,
+    ROLES,
+    DEFAULT_TIMING,
+    RATIO,
+    ERC1820_ADDRESS,
+    ERC777_TOKEN_INTERFACE,
+    ZERO_ADDRESS
+};
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const sigUtil = require('eth-sig-util');
+
+
+/**
+ * EIP-712 signatures of the documents that prove the acquisition of a
+ * property. They must match `Loan.domainSeparator` and `Loan.documentDigest`.
+ */
+
+const DOMAIN_NAME = 'Housteca Loan';
+const DOMAIN_VERSION = '1';
+
+const TYPES = {
+    EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'verifyingContract', type: 'address' }
+    ],
+    DocumentSignature: [
+        { name: 'documentHash', type: 'bytes32' }
+    ]
+};
+
+/**
+ * @typedef {object} DocumentToSign
+ * @property {string} loan address of the loan
+ * @property {number|string|BN} chainId chain of the loan, as `Loan.getChainId` returns it
+ * @property {string} documentHash
+ */
+
+/**
+ * Computes the SHA-256 hash of a file, the hash the local node submits to the
+ * loan with `submitDocumentHash`. It is the same value `sha256sum` prints.
+ *
+ * @param {string} path
+ * @returns {Promise<string>} 0x-prefixed hash
+ */
+const hashFile = path => new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(path)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(`0x${hash.digest('hex')}`));
+});
+
+/**
+ * Builds the EIP-712 typed data of a document signature, which can also be
+ * handed to a wallet through `eth_signTypedData_v4`.
+ *
+ * @param {DocumentToSign} document
+ * @returns {object}
+ */
+const documentTypedData = ({ loan, chainId, documentHash }) => ({
+    types: TYPES,
+    primaryType: 'DocumentSignature',
+    domain: {
+        name: DOMAIN_NAME,
+        version: DOMAIN_VERSION,
+        chainId: Number(chainId.toString()),
+        verifyingContract: loan
+    },
+    message: { documentHash }
+});
+
+/**
+ * Signs a document with a local private key.
+ *
+ * @param {DocumentToSign} document
+ * @param {string} privateKey 0x-prefixed private key
+ * @returns {string} signature
+ */
+const signDocumentHash = (document, privateKey) => {
+    const key = Buffer.from(privateKey.replace(/^0x/, ''), 'hex');
+    return sigUtil.signTypedData_v4(key, { data: documentTypedData(document) });
+};
+
+/**
+ * Gets the address that signed a document.
+ *
+ * @param {DocumentToSign} document
+ * @param {string} signature
+ * @returns {string} lowercase address
+ */
+const recoverDocumentSigner = (document, signature) => (
+    sigUtil.recoverTypedSignature_v4({ data: documentTypedData(document), sig: signature })
+);
+
+
+module.exports = {
+    hashFile,
+    documentTypedData,
+    signDocumentHash,
+    recoverDocumentSigner
+};
@@ -0,0 +1,98 @@
+const BN = require('bn.js');
+
+
+/**
+ * @typedef {object} PendingAction
+ * @property {number} id
+ * @property {string} proposer
+ * @property {string} data calldata of the call to Housteca
+ * @property {string|null} method name of the Housteca function, `null` if the data does not match any
+ * @property {object|null} params decoded arguments, by name and by position
+ * @property {string[]} confirmers admins that confirmed the action
+ * @property {number} level administration level the confirmers need
+ * @property {number} confirmations confirmations of accounts that still have that level
+ * @property {number} required confirmations Housteca requires right now
+ */
+
+/**
+ * Converts the BN arguments to strings, since web3's encoder does not take
+ * BNs created by other copies of bn.js.
+ */
+const plainParam = param => {
+    if (BN.isBN(param)) {
+        return param.toString();
+    }
+    return Array.isArray(param) ? param.map(plainParam) : param;
+};
+
+/**
+ * Encodes a call to Housteca, to be submitted to the governance contract.
+ *
+ * @param {object} housteca deployed Housteca instance
+ * @param {string} method e.g. `setHoustecaFeeRatio`
+ * @param {Array} params
+ * @returns {string} calldata
+ */
+const encodeAction = (housteca, method, params) => (
+    housteca.contract.methods[method](...params.map(plainParam)).encodeABI()
+);
+
+/**
+ * Finds the Housteca function a calldata calls and decodes its arguments.
+ *
+ * @param {object} housteca deployed Housteca instance
+ * @param {string} data
+ * @returns {{method: string|null, params: object|null}}
+ */
+const decodeAction = (housteca, data) => {
+    const { abi } = housteca.constructor.web3.eth;
+    const selector = data.slice(0, 10).toLowerCase();
+    const item = housteca.abi.find(entry => entry.type === 'function' && abi.encodeFunctionSignature(entry) === selector);
+    if (item === undefined) {
+        return { method: null, params: null };
+    }
+    return {
+        method: item.name,
+        params: abi.decodeParameters(item.inputs, `0x${data.slice(10)}`)
+    };
+};
+
+/**
+ * Lists the actions submitted to the governance contract that were not
+ * executed yet, with the Housteca call they would make.
+ *
+ * @param {object} housteca deployed Housteca instance
+ * @param {object} governance deployed Governance instance
+ * @returns {Promise<PendingAction[]>}
+ */
+const pendingActions = async (housteca, governance) => {
+    const [count, required] = await Promise.all([
+        governance.actionCount(),
+        housteca._requiredConfirmations()
+    ]);
+    const ids = Array.from({length: Number(count.toString())}, (_, id) => id);
+    const actions = await Promise.all(ids.map(async id => {
+        const action = await governance.getAction(id);
+        if (action.executed) {
+            return null;
+        }
+        return {
+            id,
+            proposer: action.proposer,
+            data: action.data,
+            ...decodeAction(housteca, action.data),
+            confirmers: action.confirmers,
+            level: Number(action.level.toString()),
+            confirmations: Number((await governance.confirmationCount(id)).toString()),
+            required: Number(required.toString())
+        };
+    }));
+    return actions.filter(action => action !== null);
+};
+
+
+module.exports = {
+    encodeAction,
+    decodeAction,
+    pendingActions
+};
@@ -0,0 +1,51 @@
+const { HoustecaClient, loadContracts } = require('./HoustecaClient');
+const { LoanClient, isERC777Token, statusName } = require('./LoanClient');
+const { MarketClient } = require('./MarketClient');
+const { RegistryClient, encodeJurisdiction, decodeJurisdiction } = require('./RegistryClient');
+const { PropertyRegistryClient } = require('./PropertyRegistryClient');
+const { gatewayStore, resolveListing } = require('./listing');
+const { Indexer, JsonStore } = require('./indexer');
+const { Keeper } = require('./Keeper');
+const notifications = require('./notifications');
+const schedule = require('./schedule');
+const documents = require('./documents');
+const { reconcileFees } = require('./treasury');
+const governance = require('./governance');
+const constants = require('./constants');
+
+
+module.exports = {
+    HoustecaClient,
+    LoanClient,
+    MarketClient,
+    RegistryClient,
+    encodeJurisdiction,
+    decodeJurisdiction,
+    PropertyRegistryClient,
+    gatewayStore,
+    resolveListing,
+    loadContracts,
+    isERC777Token,
+    statusName,
+    Indexer,
+    JsonStore,
+    Keeper,
+    Notifier: notifications.Notifier,
+    NOTIFICATION_KINDS: notifications.NOTIFICATION_KINDS,
+    SubscriptionStore: notifications.SubscriptionStore,
+    WebhookTransport: notifications.WebhookTransport,
+    EmailTransport: notifications.EmailTransport,
+    StubTransport: notifications.StubTransport,
+    annuityPayment: schedule.annuityPayment,
+    amortizationSchedule: schedule.amortizationSchedule,
+    validateProposal: schedule.validateProposal,
+    hashFile: documents.hashFile,
+    documentTypedData: documents.documentTypedData,
+    signDocumentHash: documents.signDocumentHash,
+    recoverDocumentSigner: documents.recoverDocumentSigner,
+    reconcileFees,
+    encodeAction: governance.encodeAction,
+    decodeAction: governance.decodeAction,
+    pendingActions: governance.pendingActions,
+    ...constants
+};
@@ -0,0 +1,224 @@
+const { project } = require('./projection');
+const { STATUS } = require('../constants');
+
+
+/**
+ * Builds a function that decodes raw logs using the events of an ABI.
+ *
+ * @param {object} web3
+ * @param {string} contract name stored in the normalized events
+ * @param {object[]} abi
+ */
+const logDecoder = (web3, contract, abi) => {
+    const events = {};
+    abi.filter(item => item.type === 'event').forEach(item => {
+        events[web3.eth.abi.encodeEventSignature(item)] = item;
+    });
+
+    return log => {
+        const item = events[log.topics[0]];
+        if (!item) {
+            return null;
+        }
+        const decoded = web3.eth.abi.decodeLog(item.inputs, log.data, log.topics.slice(1));
+        const args = {};
+        item.inputs.forEach(input => {
+            args[input.name] = decoded[input.name];
+        });
+        return {
+            contract,
+            address: log.address,
+            event: item.name,
+            args,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex
+        };
+    };
+};
+
+const byPosition = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+
+/**
+ * Replays the events of Housteca, its investor registry and its loans into a
+ * store, and answers queries about the resulting state.
+ *
+ * Blocks are indexed in batches. The hash of the last block of every batch
+ * is kept as a checkpoint: when the chain no longer has that hash a reorg
+ * happened, so the index is rolled back to the newest checkpoint still in the
+ * chain and the blocks after it are indexed again.
+ */
+class Indexer {
+    /**
+     * @param {object} options
+     * @param {object} options.contracts truffle contract abstractions, `Housteca`, `InvestorRegistry` and `Loan` are required
+     * @param {string} options.address Housteca's address
+     * @param {object} options.store a store such as `JsonStore`
+     * @param {number} [options.fromBlock] block Housteca was deployed at
+     * @param {number} [options.confirmations] blocks to wait before indexing a block
+     * @param {number} [options.batchSize] maximum number of blocks requested at once
+     * @param {object} [options.logger]
+     */
+    constructor({ contracts, address, store, fromBlock = 0, confirmations = 0, batchSize = 1000, logger = console }) {
+        this.web3 = contracts.Housteca.web3;
+        this.address = address;
+        this.store = store;
+        this.fromBlock = fromBlock;
+        this.confirmations = confirmations;
+        this.batchSize = batchSize;
+        this.logger = logger;
+        this.decodeHousteca = logDecoder(this.web3, 'Housteca', contracts.Housteca.abi);
+        this.decodeLoan = logDecoder(this.web3, 'Loan', contracts.Loan.abi);
+        this.decodeRegistry = logDecoder(this.web3, 'InvestorRegistry', contracts.InvestorRegistry.abi);
+        this.housteca = new this.web3.eth.Contract(contracts.Housteca.abi, address);
+        this._state = null;
+        this._running = false;
+    }
+
+    /** @returns {object} the current platform state, see `projection` */
+    get state() {
+        if (this._state === null) {
+            this._state = project(this.store.events);
+        }
+        return this._state;
+    }
+
+    /**
+     * Indexes every block up to the latest confirmed one.
+     *
+     * @returns {Promise<number>} number of new events
+     */
+    async sync() {
+        await this._handleReorg();
+        const head = await this.web3.eth.getBlockNumber() - this.confirmations;
+        const checkpoint = this.store.checkpoint;
+        let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.fromBlock;
+        let total = 0;
+        while (fromBlock <= head) {
+            const toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+            const events = await this._fetchEvents(fromBlock, toBlock);
+            const block = await this.web3.eth.getBlock(toBlock);
+            this.store.append(events, { blockNumber: toBlock, blockHash: block.hash });
+            this.store.save();
+            this._state = null;
+            total += events.length;
+            fromBlock = toBlock + 1;
+        }
+        return total;
+    }
+
+    /**
+     * Keeps syncing until `stop` is called.
+     *
+     * @param {number} [interval] milliseconds between syncs
+     */
+    async run(interval = 15000) {
+        this._running = true;
+        while (this._running) {
+            try {
+                const total = await this.sync();
+                if (total > 0) {
+                    this.logger.log(`Indexed ${total} events up to block ${this.store.checkpoint.blockNumber}`);
+                }
+            } catch (error) {
+                this.logger.error(`Indexer error: ${error.message}`);
+            }
+            await sleep(interval);
+        }
+    }
+
+    stop() {
+        this._running = false;
+    }
+
+    /**
+     * @param {string} status one of `STATUS`, e.g. `DEFAULT`
+     * @returns {object[]} loans in the given status
+     */
+    loansByStatus(status) {
+        if (!STATUS.includes(status)) {
+            throw new Error(`Unknown loan status ${status}`);
+        }
+        return Object.values(this.state.loans).filter(loan => loan.status === status);
+    }
+
+    /**
+     * @param {string} investor
+     * @returns {{loan: string, amount: string, earnings: string}[]} investments of the given address
+     */
+    investmentsByInvestor(investor) {
+        const investorKey = investor.toLowerCase();
+        return Object.values(this.state.loans)
+            .filter(loan => loan.investments[investorKey] !== undefined)
+            .map(loan => ({
+                loan: loan.address,
+                amount: loan.investments[investorKey],
+                earnings: loan.earnings[investorKey] || '0'
+            }));
+    }
+
+    /**
+     * @param {string} address
+     * @returns {object|undefined}
+     */
+    loan(address) {
+        return this.state.loans[address.toLowerCase()];
+    }
+
+    /** Rolls the store back if the latest checkpoint is no longer in the chain. */
+    async _handleReorg() {
+        const checkpoints = this.store.checkpoints;
+        if (checkpoints.length === 0) {
+            return;
+        }
+        for (let i = checkpoints.length - 1; i >= 0; i--) {
+            const { blockNumber, blockHash } = checkpoints[i];
+            const block = await this.web3.eth.getBlock(blockNumber);
+            if (block && block.hash === blockHash) {
+                if (i < checkpoints.length - 1) {
+                    this._rollback(blockNumber);
+                }
+                return;
+            }
+        }
+        // the reorg is deeper than the kept checkpoints, so index everything again
+        this._rollback(this.fromBlock - 1);
+    }
+
+    _rollback(blockNumber) {
+        this.logger.log(`Reorg detected, rolling back to block ${blockNumber}`);
+        this.store.rollback(blockNumber);
+        this.store.save();
+        this._state = null;
+    }
+
+    async _fetchEvents(fromBlock, toBlock) {
+        const houstecaLogs = await this.web3.eth.getPastLogs({ fromBlock, toBlock, address: this.address });
+        const houstecaEvents = houstecaLogs.map(this.decodeHousteca).filter(Boolean);
+        const registry = await this.housteca.methods._investorRegistry().call();
+        const registryLogs = await this.web3.eth.getPastLogs({ fromBlock, toBlock, address: registry });
+        const registryEvents = registryLogs.map(this.decodeRegistry).filter(Boolean);
+
+        // loans created in this range can already have events in it
+        const loans = new Set(Object.keys(this.state.loans));
+        houstecaEvents
+            .filter(event => event.event === 'InvestmentCreated')
+            .forEach(event => loans.add(event.args.contractAddress.toLowerCase()));
+
+        let loanEvents = [];
+        if (loans.size > 0) {
+            const loanLogs = await this.web3.eth.getPastLogs({ fromBlock, toBlock, address: [...loans] });
+            loanEvents = loanLogs.map(this.decodeLoan).filter(Boolean);
+        }
+        return houstecaEvents.concat(registryEvents, loanEvents).sort(byPosition);
+    }
+}
+
+
+module.exports = {
+    Indexer
+};
@@ -0,0 +1,79 @@
+const fs = require('fs');
+
+
+/**
+ * Keeps the indexed events and the checkpoints in a JSON file.
+ *
+ * Without a path the data only lives in memory, which is handy for tests.
+ * The file is written to a temporary path first and then renamed, so a crash
+ * in the middle of a write never leaves a corrupted index behind.
+ */
+class JsonStore {
+    /**
+     * @param {string} [path]
+     * @param {number} [maxCheckpoints] number of checkpoints kept to recover from reorgs
+     */
+    constructor(path, maxCheckpoints = 64) {
+        this.path = path;
+        this.maxCheckpoints = maxCheckpoints;
+        this.data = { checkpoints: [], events: [] };
+        if (path && fs.existsSync(path)) {
+            this.data = JSON.parse(fs.readFileSync(path, 'utf8'));
+        }
+    }
+
+    /** @returns {object[]} indexed events, sorted by block and log index */
+    get events() {
+        return this.data.events;
+    }
+
+    /** @returns {{blockNumber: number, blockHash: string}|null} the latest checkpoint */
+    get checkpoint() {
+        const { checkpoints } = this.data;
+        return checkpoints.length > 0 ? checkpoints[checkpoints.length - 1] : null;
+    }
+
+    /** @returns {object[]} the kept checkpoints, oldest first */
+    get checkpoints() {
+        return this.data.checkpoints;
+    }
+
+    /**
+     * Adds the events of a range of blocks, and the checkpoint at its end.
+     *
+     * @param {object[]} events
+     * @param {{blockNumber: number, blockHash: string}} checkpoint
+     */
+    append(events, checkpoint) {
+        this.data.events.push(...events);
+        this.data.checkpoints.push(checkpoint);
+        if (this.data.checkpoints.length > this.maxCheckpoints) {
+            this.data.checkpoints.shift();
+        }
+    }
+
+    /**
+     * Removes everything indexed after the given block.
+     *
+     * @param {number} blockNumber
+     */
+    rollback(blockNumber) {
+        this.data.events = this.data.events.filter(event => event.blockNumber <= blockNumber);
+        this.data.checkpoints = this.data.checkpoints.filter(checkpoint => checkpoint.blockNumber <= blockNumber);
+    }
+
+    /** Persists the data, if the store has a path. */
+    save() {
+        if (!this.path) {
+            return;
+        }
+        const tmpPath = `${this.path}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+        fs.renameSync(tmpPath, this.path);
+    }
+}
+
+
+module.exports = {
+    JsonStore
+};
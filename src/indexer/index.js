@@ -0,0 +1,10 @@
+const { Indexer } = require('./Indexer');
+const { JsonStore } = require('./JsonStore');
+const projection = require('./projection');
+
+
+module.exports = {
+    Indexer,
+    JsonStore,
+    projection
+};
@@ -0,0 +1,200 @@
+const BN = require('bn.js');
+const { STATUS } = require('../constants');
+
+
+/**
+ * Rebuilds the platform state out of the indexed Housteca, InvestorRegistry
+ * and Loan events.
+ *
+ * Addresses are used as lowercase keys, and amounts are kept as decimal
+ * strings so the state can be serialized as is.
+ */
+
+const key = address => address.toLowerCase();
+
+const add = (a, b) => new BN(a).add(new BN(b)).toString();
+
+const sub = (a, b) => new BN(a).sub(new BN(b)).toString();
+
+/** Decodes a bytes32 role, such as `0x4e4f54415259...`, to its name */
+const roleName = role => Buffer.from(role.slice(2), 'hex').toString('utf8').replace(/\0+$/, '');
+
+const initialState = () => ({
+    admins: {},
+    investors: {},
+    tokens: {},
+    proposals: {},
+    loans: {}
+});
+
+const houstecaHandlers = {
+    AdminAdded: (state, { admin, level }) => {
+        state.admins[key(admin)] = Number(level);
+    },
+    AdminRemoved: (state, { admin }) => {
+        delete state.admins[key(admin)];
+    },
+    TokenAdded: (state, { symbol, contractAddress }) => {
+        state.tokens[symbol] = key(contractAddress);
+    },
+    TokenRemoved: (state, { symbol }) => {
+        delete state.tokens[symbol];
+    },
+    InvestmentProposalCreated: (state, args) => {
+        state.proposals[key(args.borrower)] = {
+            symbol: args.symbol,
+            targetAmount: args.targetAmount,
+            insuredPayments: args.insuredPayments,
+            totalPayments: args.totalPayments,
+            paymentAmount: args.paymentAmount,
+            perPaymentInterestRatio: args.perPaymentInterestRatio
+        };
+    },
+    InvestmentProposalSignersSet: (state, { borrower, signers, roles, threshold }) => {
+        const proposal = state.proposals[key(borrower)];
+        if (proposal) {
+            proposal.signers = signers.map((signer, i) => ({ address: key(signer), role: roleName(roles[i]) }));
+            proposal.signatureThreshold = Number(threshold);
+        }
+    },
+    InvestmentProposalRemoved: (state, { borrower }) => {
+        delete state.proposals[key(borrower)];
+    },
+    InvestmentCreated: (state, args, event) => {
+        const address = key(args.contractAddress);
+        const proposal = state.proposals[key(args.borrower)] || {};
+        const signers = [
+            { address: key(args.borrower), role: 'BORROWER' },
+            { address: key(args.localNode), role: 'LOCAL_NODE' },
+            ...(proposal.signers || [])
+        ];
+        state.loans[address] = {
+            address,
+            borrower: key(args.borrower),
+            localNode: key(args.localNode),
+            symbol: args.symbol,
+            downpaymentRatio: args.downpaymentRatio,
+            targetAmount: args.targetAmount,
+            totalPayments: args.totalPayments,
+            insuredPayments: args.insuredPayments,
+            paymentAmount: args.paymentAmount,
+            localNodeFeeAmount: args.localNodeFeeAmount,
+            houstecaFeeAmount: args.houstecaFeeAmount,
+            loanVersion: Number(args.loanVersion),
+            createdAtBlock: event.blockNumber,
+            status: STATUS[0],
+            investedAmount: '0',
+            investments: {},
+            timesPaid: 0,
+            paidAmount: '0',
+            prepaidPrincipal: '0',
+            prepaidAmount: '0',
+            timesReplenished: 0,
+            arrearsPaidAmount: '0',
+            earnings: {},
+            signers,
+            signatureThreshold: proposal.signatureThreshold || signers.length,
+            signatures: {},
+            propertyCollected: {}
+        };
+        delete state.proposals[key(args.borrower)];
+    }
+};
+
+const registryHandlers = {
+    InvestorAdded: (state, { investor, expiry, jurisdiction, tier }) => {
+        state.investors[key(investor)] = {
+            expiry: Number(expiry),
+            jurisdiction: Buffer.from(jurisdiction.slice(2, 6), 'hex').toString('ascii'),
+            tier: Number(tier)
+        };
+    },
+    InvestorRemoved: (state, { investor }) => {
+        delete state.investors[key(investor)];
+    }
+};
+
+const loanHandlers = {
+    StatusChanged: (loan, { to }) => {
+        loan.status = STATUS[Number(to)];
+    },
+    Invested: (loan, { investor, amount }) => {
+        const investorKey = key(investor);
+        loan.investments[investorKey] = add(loan.investments[investorKey] || '0', amount);
+        loan.investedAmount = add(loan.investedAmount, amount);
+    },
+    PositionTransferred: (loan, { from, to, amount }) => {
+        const fromKey = key(from);
+        const toKey = key(to);
+        loan.investments[fromKey] = sub(loan.investments[fromKey], amount);
+        if (loan.investments[fromKey] === '0') {
+            delete loan.investments[fromKey];
+        }
+        loan.investments[toKey] = add(loan.investments[toKey] || '0', amount);
+    },
+    InvestmentCollected: (loan, { investor }) => {
+        const investorKey = key(investor);
+        loan.investedAmount = sub(loan.investedAmount, loan.investments[investorKey] || '0');
+        delete loan.investments[investorKey];
+    },
+    DocumentSigned: (loan, { signer, documentHash }) => {
+        loan.signatures[key(signer)] = documentHash;
+    },
+    PaymentReceived: (loan, { amount, timesPaid }) => {
+        loan.timesPaid = Number(timesPaid);
+        loan.paidAmount = add(loan.paidAmount, amount);
+    },
+    Prepaid: (loan, { principal, penalty }) => {
+        loan.prepaidPrincipal = add(loan.prepaidPrincipal, principal);
+        loan.prepaidAmount = add(loan.prepaidAmount, add(principal, penalty));
+    },
+    ArrearsPaid: (loan, { payments, amount }) => {
+        loan.timesReplenished += Number(payments);
+        loan.arrearsPaidAmount = add(loan.arrearsPaidAmount, amount);
+    },
+    EarningsCollected: (loan, { investor, amount }) => {
+        const investorKey = key(investor);
+        loan.earnings[investorKey] = add(loan.earnings[investorKey] || '0', amount);
+    },
+    PropertyCollected: (loan, { holder, amount }) => {
+        loan.propertyCollected[key(holder)] = amount;
+    }
+};
+
+/**
+ * Applies a single event to the state. Unknown events are ignored, so old
+ * indexes keep working when new events are added to the contracts.
+ *
+ * @param {object} state
+ * @param {object} event normalized event, see `Indexer`
+ * @returns {object} the same state
+ */
+const applyEvent = (state, event) => {
+    if (event.contract === 'Housteca' || event.contract === 'InvestorRegistry') {
+        const handlers = event.contract === 'Housteca' ? houstecaHandlers : registryHandlers;
+        const handler = handlers[event.event];
+        if (handler) {
+            handler(state, event.args, event);
+        }
+    } else {
+        const loan = state.loans[key(event.address)];
+        const handler = loanHandlers[event.event];
+        if (loan && handler) {
+            handler(loan, event.args, event);
+        }
+    }
+    return state;
+};
+
+/**
+ * @param {object[]} events normalized events, sorted by block and log index
+ * @returns {object}
+ */
+const project = events => events.reduce(applyEvent, initialState());
+
+
+module.exports = {
+    initialState,
+    applyEvent,
+    project
+};
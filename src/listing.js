@@ -0,0 +1,77 @@
+const http = require('http');
+const https = require('https');
+
+
+/**
+ * Listings of the properties, as the frontend renders them: the metadata the
+ * `PropertyRegistry` keeps, plus the listing details and the images, which
+ * live in IPFS and are resolved from a store.
+ *
+ * A store is any object with a `get(hash)` method that resolves to the
+ * content of the hash as a `Buffer`, or to `null` if it does not have it.
+ */
+
+/**
+ * @typedef {object} ListingImage
+ * @property {string} hash IPFS hash of the image
+ * @property {Buffer|null} content `null` if the store does not have it
+ */
+
+/**
+ * @typedef {object} Listing
+ * @property {string} loan address of the loan
+ * @property {object|null} metadata current metadata, as `PropertyRegistryClient.metadata` returns it
+ * @property {object|null} details the JSON document of `metadata.detailsHash`, if any
+ * @property {ListingImage[]} images in the order they are shown
+ */
+
+/**
+ * Creates a store that reads from the HTTP gateway of an IPFS node, the local
+ * one by default.
+ *
+ * @param {string} [url] base URL of the gateway
+ * @returns {{get: function(string): Promise<Buffer|null>}}
+ */
+const gatewayStore = (url = 'http://127.0.0.1:8080') => ({
+    get: hash => new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        client.get(`${url}/ipfs/${hash}`, response => {
+            if (response.statusCode !== 200) {
+                response.resume();
+                if (response.statusCode === 404) {
+                    return resolve(null);
+                }
+                return reject(new Error(`The IPFS gateway answered ${response.statusCode} for ${hash}`));
+            }
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve(Buffer.concat(chunks)));
+            response.on('error', reject);
+        }).on('error', reject);
+    })
+});
+
+/**
+ * Resolves the listing of a loan's property.
+ *
+ * @param {PropertyRegistryClient} client
+ * @param {string} loan address of the loan
+ * @param {{get: function(string): Promise<Buffer|null>}} store
+ * @returns {Promise<Listing>}
+ */
+const resolveListing = async (client, loan, store) => {
+    const [metadata, hashes] = await Promise.all([client.metadata(loan), client.images(loan)]);
+    let details = null;
+    if (metadata !== null && metadata.detailsHash) {
+        const content = await store.get(metadata.detailsHash);
+        details = content === null ? null : JSON.parse(content.toString('utf8'));
+    }
+    const images = await Promise.all(hashes.map(async hash => ({ hash, content: await store.get(hash) })));
+    return { loan, metadata, details, images };
+};
+
+
+module.exports = {
+    gatewayStore,
+    resolveListing
+};
@@ -0,0 +1,301 @@
+const { HoustecaClient } = require('../HoustecaClient');
+const { statusName } = require('../LoanClient');
+
+
+/** Kinds of notifications, users subscribe to all of them or to some */
+const NOTIFICATION_KINDS = [
+    'PAYMENT_DUE',              // to the borrower, before the due date of the next payment
+    'STATUS_CHANGED',           // to the borrower, the local node and the investors
+    'FUNDING_PROGRESS',         // to the borrower and the local node, as the investments reach each milestone
+    'SIGNATURE_REQUIRED',       // to the signers that have not signed the submitted document yet
+    'SIGNATURES_READY',         // to the borrower and the local node, who can collect the funds then
+    'EARNINGS_COLLECTABLE'      // to the investors, once the borrower pays or the insurance covers a payment
+];
+
+/** Statuses in which the borrower has a payment scheduled */
+const PAYING_STATUSES = ['ACTIVE', 'DEFAULT'];
+
+const DAY = 24 * 60 * 60;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+
+/**
+ * Watches Housteca's loans and notifies the users subscribed to them: the
+ * borrowers before their payments are due, the investors when they have
+ * earnings to collect, and everybody involved in a loan when it moves forward.
+ *
+ * Every notification is delivered once per subscription. The store remembers
+ * what was delivered, so a notification whose delivery fails is tried again
+ * in the next tick, and restarting the notifier does not send it twice.
+ */
+class Notifier {
+    /**
+     * @param {object} options
+     * @param {object} options.contracts truffle contract abstractions, `Housteca` and `Loan` are required
+     * @param {object} options.housteca deployed Housteca instance
+     * @param {object} options.store a store such as `SubscriptionStore`
+     * @param {object} options.transports transports by name, such as `{webhook: new WebhookTransport()}`
+     * @param {number} [options.fromBlock] first block whose status changes are notified
+     * @param {number} [options.paymentNotice] seconds before a due date the borrower is notified
+     * @param {number[]} [options.fundingMilestones] percentages of the target amount notified while funding
+     * @param {object} [options.logger]
+     */
+    constructor({
+        contracts,
+        housteca,
+        store,
+        transports,
+        fromBlock = 0,
+        paymentNotice = 3 * DAY,
+        fundingMilestones = [25, 50, 75, 100],
+        logger = console
+    }) {
+        this.contracts = contracts;
+        this.client = new HoustecaClient(contracts, housteca);
+        this.store = store;
+        this.transports = transports;
+        this.fromBlock = fromBlock;
+        this.paymentNotice = paymentNotice;
+        this.fundingMilestones = fundingMilestones;
+        this.logger = logger;
+        this.web3 = contracts.Loan.web3;
+        this._running = false;
+    }
+
+    /**
+     * Checks every loan once and delivers the notifications that are due.
+     *
+     * @returns {Promise<object[]>} the delivered notifications, see `Notification`
+     */
+    async tick() {
+        const block = await this.web3.eth.getBlock('latest');
+        const fromBlock = this.store.lastBlock === null ? this.fromBlock : this.store.lastBlock + 1;
+        const positions = await this._positions();
+        const notifications = [];
+        for (const address of await this.client.housteca.loans()) {
+            const loan = await this.contracts.Loan.at(address);
+            const investors = positions.filter(position => position.loan === address);
+            notifications.push(...await this._statusChanges(loan, investors, fromBlock, block.number));
+            notifications.push(...await this._loanNotifications(loan, block.timestamp));
+            notifications.push(...await this._earnings(loan, investors));
+        }
+
+        const { delivered, failed } = await this._deliver(notifications, block.timestamp);
+        // the status changes are looked up by block, so they are looked up again until delivered
+        if (failed === 0) {
+            this.store.lastBlock = block.number;
+        }
+        this.store.save();
+        return delivered;
+    }
+
+    /**
+     * Keeps checking the loans until `stop` is called.
+     *
+     * @param {number} [interval] milliseconds between checks
+     */
+    async run(interval = 60000) {
+        this._running = true;
+        while (this._running) {
+            try {
+                const delivered = await this.tick();
+                if (delivered.length > 0) {
+                    this.logger.log(`Delivered ${delivered.length} notifications`);
+                }
+            } catch (error) {
+                this.logger.error(`Notifier error: ${error.message}`);
+            }
+            await sleep(interval);
+        }
+    }
+
+    stop() {
+        this._running = false;
+    }
+
+    /** Gets the positions of the subscribed addresses, since only they are notified as investors. */
+    async _positions() {
+        const positions = [];
+        for (const address of this.store.addresses) {
+            const investor = this.web3.utils.toChecksumAddress(address);
+            for (const position of await this.client.portfolio(investor)) {
+                positions.push({ ...position, investor });
+            }
+        }
+        return positions;
+    }
+
+    async _statusChanges(loan, investors, fromBlock, toBlock) {
+        if (fromBlock > toBlock) {
+            return [];
+        }
+        const events = await loan.getPastEvents('StatusChanged', { fromBlock, toBlock });
+        if (events.length === 0) {
+            return [];
+        }
+        const recipients = [await loan._borrower(), await loan._localNode(), ...investors.map(position => position.investor)];
+        const notifications = [];
+        for (const event of events) {
+            const from = statusName(event.args.from);
+            const to = statusName(event.args.to);
+            for (const recipient of recipients) {
+                notifications.push(notification('STATUS_CHANGED', loan.address, recipient, `${event.transactionHash}:${event.logIndex}`, {
+                    subject: `Loan ${loan.address} is ${to}`,
+                    message: `Loan ${loan.address} changed from ${from} to ${to}.`,
+                    data: { from, to, blockNumber: event.blockNumber }
+                }));
+            }
+        }
+        return notifications;
+    }
+
+    async _loanNotifications(loan, now) {
+        const status = statusName(await loan._status());
+        if (PAYING_STATUSES.includes(status)) {
+            return this._paymentDue(loan, now);
+        }
+        if (status === 'FUNDING' || status === 'AWAITING_SIGNATURES') {
+            return [
+                ...await this._fundingProgress(loan),
+                ...(status === 'AWAITING_SIGNATURES' ? await this._signatures(loan) : [])
+            ];
+        }
+        return [];
+    }
+
+    async _paymentDue(loan, now) {
+        // only the arrears are left once the schedule ends
+        if (await loan.scheduleEnded()) {
+            return [];
+        }
+        const nextPayment = Number((await loan._nextPayment()).toString());
+        if (now < nextPayment - this.paymentNotice) {
+            return [];
+        }
+        const amount = (await loan.nextPaymentAmount()).toString();
+        const due = new Date(nextPayment * 1000).toISOString();
+        const message = now > nextPayment
+            ? `The payment of loan ${loan.address} was due on ${due}. Pay ${amount} before the grace period ends.`
+            : `The next payment of loan ${loan.address} is due on ${due}. Pay ${amount} before then.`;
+        return [notification('PAYMENT_DUE', loan.address, await loan._borrower(), nextPayment, {
+            subject: `Payment of loan ${loan.address} due on ${due}`,
+            message,
+            data: { nextPayment, amount }
+        })];
+    }
+
+    async _fundingProgress(loan) {
+        const invested = await loan._investedAmount();
+        const target = await loan._targetAmount();
+        const percentage = invested.muln(100).div(target).toNumber();
+        const reached = this.fundingMilestones.filter(milestone => percentage >= milestone);
+        if (reached.length === 0) {
+            return [];
+        }
+        const milestone = reached[reached.length - 1];
+        const recipients = [await loan._borrower(), await loan._localNode()];
+        return recipients.map(recipient => notification('FUNDING_PROGRESS', loan.address, recipient, milestone, {
+            subject: `Loan ${loan.address} is ${milestone}% funded`,
+            message: `Investors have funded ${invested.toString()} of the ${target.toString()} loan ${loan.address} needs.`,
+            data: { milestone, invested: invested.toString(), target: target.toString() }
+        }));
+    }
+
+    async _signatures(loan) {
+        const documentHash = await loan._documentHash();
+        if (/^0x0*$/.test(documentHash)) {
+            return [];
+        }
+        if (await loan.signaturesReady()) {
+            const recipients = [await loan._borrower(), await loan._localNode()];
+            return recipients.map(recipient => notification('SIGNATURES_READY', loan.address, recipient, documentHash, {
+                subject: `The document of loan ${loan.address} is signed`,
+                message: `Everybody needed signed the document ${documentHash}, so the local node can collect the funds of loan ${loan.address}.`,
+                data: { documentHash }
+            }));
+        }
+        const signers = await loan.outstandingSigners();
+        const deadline = Number((await loan._signingDeadline()).toString());
+        return signers.map(signer => notification('SIGNATURE_REQUIRED', loan.address, signer, documentHash, {
+            subject: `Sign the document of loan ${loan.address}`,
+            message: `The document ${documentHash} of loan ${loan.address} is waiting for your signature.`,
+            data: { documentHash, deadline }
+        }));
+    }
+
+    async _earnings(loan, investors) {
+        const collecting = investors.filter(position => !position.collectable.isZero());
+        if (collecting.length === 0) {
+            return [];
+        }
+        // the same amount can become collectable again after collecting, but not for the same payments
+        const timesPaid = (await loan._timesPaid()).toString();
+        const timesDefault = (await loan._timesDefault()).toString();
+        return collecting.map(position => {
+            const amount = position.collectable.toString();
+            return notification('EARNINGS_COLLECTABLE', loan.address, position.investor, `${timesPaid}:${timesDefault}:${amount}`, {
+                subject: `Earnings of loan ${loan.address} ready to collect`,
+                message: `You can collect ${amount} from loan ${loan.address}.`,
+                data: {
+                    amount,
+                    payments: position.collectablePayments.toString(),
+                    insurance: position.collectableInsurance.toString(),
+                    prepayments: position.collectablePrepayment.toString()
+                }
+            });
+        });
+    }
+
+    /** Delivers every notification through the subscriptions of its recipient that were not delivered yet. */
+    async _deliver(notifications, timestamp) {
+        const delivered = [];
+        let failed = 0;
+        for (const { key, ...item } of notifications) {
+            for (const subscription of this.store.subscriptions(item.recipient)) {
+                if (subscription.kinds && !subscription.kinds.includes(item.kind)) {
+                    continue;
+                }
+                const deliveryKey = `${key}:${subscription.transport}:${subscription.target}`;
+                if (this.store.isDelivered(deliveryKey)) {
+                    continue;
+                }
+                const transport = this.transports[subscription.transport];
+                if (!transport) {
+                    this.logger.error(`Unknown transport ${subscription.transport} for ${item.recipient}`);
+                    continue;
+                }
+                try {
+                    await transport.deliver(subscription.target, item);
+                    this.store.markDelivered(deliveryKey, timestamp);
+                    delivered.push(item);
+                } catch (error) {
+                    failed += 1;
+                    this.logger.error(`Could not notify ${item.recipient} through ${subscription.transport}: ${error.message}`);
+                }
+            }
+        }
+        return { delivered, failed };
+    }
+}
+
+/**
+ * @param {string} kind one of `NOTIFICATION_KINDS`
+ * @param {string} loan
+ * @param {string} recipient
+ * @param {string|number} id tells apart the notifications of the same kind, loan and recipient
+ * @param {{subject: string, message: string, data: object}} content
+ */
+const notification = (kind, loan, recipient, id, content) => ({
+    key: `${kind}:${loan.toLowerCase()}:${recipient.toLowerCase()}:${id}`,
+    kind,
+    loan,
+    recipient,
+    ...content
+});
+
+
+module.exports = {
+    Notifier,
+    NOTIFICATION_KINDS
+};
@@ -0,0 +1,121 @@
+const fs = require('fs');
+
+
+/**
+ * @typedef {object} Subscription
+ * @property {string} transport name of a transport given to the `Notifier`, such as `webhook` or `email`
+ * @property {string} target where the transport delivers, such as a URL or an email address
+ * @property {string[]} [kinds] `NOTIFICATION_KINDS` to deliver, all of them by default
+ */
+
+/**
+ * Keeps the subscriptions of every address, the notifications already
+ * delivered and the last block whose events were notified, in a JSON file.
+ *
+ * Without a path the data only lives in memory, which is handy for tests.
+ * Like `JsonStore`, the file is written to a temporary path first and then
+ * renamed, so a crash in the middle of a write never loses a subscription.
+ */
+class SubscriptionStore {
+    /**
+     * @param {string} [path]
+     */
+    constructor(path) {
+        this.path = path;
+        this.data = { subscriptions: {}, delivered: {}, lastBlock: null };
+        if (path && fs.existsSync(path)) {
+            this.data = JSON.parse(fs.readFileSync(path, 'utf8'));
+        }
+    }
+
+    /** @returns {string[]} the addresses with subscriptions, in lower case */
+    get addresses() {
+        return Object.keys(this.data.subscriptions);
+    }
+
+    /** @returns {number|null} the last block whose events were notified */
+    get lastBlock() {
+        return this.data.lastBlock;
+    }
+
+    set lastBlock(blockNumber) {
+        this.data.lastBlock = blockNumber;
+    }
+
+    /**
+     * @param {string} address
+     * @returns {Subscription[]}
+     */
+    subscriptions(address) {
+        return this.data.subscriptions[address.toLowerCase()] || [];
+    }
+
+    /**
+     * Subscribes an address, replacing its subscription with the same transport and target.
+     *
+     * @param {string} address
+     * @param {Subscription} subscription
+     */
+    subscribe(address, subscription) {
+        if (!subscription.transport || !subscription.target) {
+            throw new Error('A subscription needs a transport and a target');
+        }
+        const key = address.toLowerCase();
+        const subscriptions = this.subscriptions(key).filter(current => !sameChannel(current, subscription));
+        subscriptions.push({ ...subscription });
+        this.data.subscriptions[key] = subscriptions;
+    }
+
+    /**
+     * Removes the subscriptions of an address, only those with the given transport if there is one.
+     *
+     * @param {string} address
+     * @param {string} [transport]
+     * @param {string} [target]
+     */
+    unsubscribe(address, transport, target) {
+        const key = address.toLowerCase();
+        const subscriptions = this.subscriptions(key).filter(current => (
+            (transport !== undefined && current.transport !== transport) ||
+            (target !== undefined && current.target !== target)
+        ));
+        if (subscriptions.length > 0) {
+            this.data.subscriptions[key] = subscriptions;
+        } else {
+            delete this.data.subscriptions[key];
+        }
+    }
+
+    /**
+     * @param {string} key identifier of a notification sent through a subscription
+     * @returns {boolean}
+     */
+    isDelivered(key) {
+        return this.data.delivered[key] !== undefined;
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} timestamp when it was delivered, in seconds
+     */
+    markDelivered(key, timestamp) {
+        this.data.delivered[key] = timestamp;
+    }
+
+    /** Persists the data, if the store has a path. */
+    save() {
+        if (!this.path) {
+            return;
+        }
+        const tmpPath = `${this.path}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.data));
+        fs.renameSync(tmpPath, this.path);
+    }
+}
+
+const sameChannel = (a, b) => a.transport === b.transport && a.target === b.target;
+
+
+module.exports = {
+    SubscriptionStore
+};
@@ -0,0 +1,13 @@
+const { Notifier, NOTIFICATION_KINDS } = require('./Notifier');
+const { SubscriptionStore } = require('./SubscriptionStore');
+const { WebhookTransport, EmailTransport, StubTransport } = require('./transports');
+
+
+module.exports = {
+    Notifier,
+    NOTIFICATION_KINDS,
+    SubscriptionStore,
+    WebhookTransport,
+    EmailTransport,
+    StubTransport
+};
@@ -0,0 +1,142 @@
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+
+/**
+ * @typedef {object} Notification
+ * @property {string} kind one of `NOTIFICATION_KINDS`
+ * @property {string} loan address of the loan
+ * @property {string} recipient address of the user notified
+ * @property {string} subject one line summary
+ * @property {string} message
+ * @property {object} data values of the notification, amounts as strings
+ */
+
+/**
+ * A transport delivers notifications to the target of a subscription through
+ * `deliver(target, notification)`, which returns a promise that rejects when
+ * the notification could not be delivered, so that it is tried again.
+ */
+
+
+/**
+ * POSTs every notification as JSON to the URL of the subscription.
+ */
+class WebhookTransport {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.headers] sent with every request, such as a shared secret
+     * @param {number} [options.timeout] milliseconds to wait for the response
+     */
+    constructor({ headers = {}, timeout = 10000 } = {}) {
+        this.headers = headers;
+        this.timeout = timeout;
+    }
+
+    /**
+     * @param {string} target URL of the webhook
+     * @param {Notification} notification
+     * @returns {Promise<number>} the status code of the response
+     */
+    deliver(target, notification) {
+        const url = new URL(target);
+        const body = JSON.stringify(notification);
+        const client = url.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const request = client.request(url, {
+                method: 'POST',
+                headers: {
+                    ...this.headers,
+                    'Content-Type': 'application/json',
+                    'Content-Length': Buffer.byteLength(body)
+                },
+                timeout: this.timeout
+            }, response => {
+                response.resume();
+                response.on('end', () => {
+                    if (response.statusCode >= 200 && response.statusCode < 300) {
+                        resolve(response.statusCode);
+                    } else {
+                        reject(new Error(`Webhook ${target} answered ${response.statusCode}`));
+                    }
+                });
+            });
+            request.on('timeout', () => request.destroy(new Error(`Webhook ${target} timed out`)));
+            request.on('error', reject);
+            request.end(body);
+        });
+    }
+}
+
+/**
+ * Emails every notification to the address of the subscription. The mail is
+ * handed to the given function, so any mailer can be plugged in, such as
+ * the `sendMail` method of a nodemailer transporter.
+ */
+class EmailTransport {
+    /**
+     * @param {object} options
+     * @param {function(object): Promise} options.sendMail takes `{from, to, subject, text}`
+     * @param {string} options.from sender of the emails
+     */
+    constructor({ sendMail, from }) {
+        if (typeof sendMail !== 'function') {
+            throw new Error('The email transport needs a sendMail function');
+        }
+        this.sendMail = sendMail;
+        this.from = from;
+    }
+
+    /**
+     * @param {string} target email address
+     * @param {Notification} notification
+     */
+    async deliver(target, notification) {
+        return this.sendMail({
+            from: this.from,
+            to: target,
+            subject: notification.subject,
+            text: notification.message
+        });
+    }
+}
+
+/**
+ * Keeps the notifications in memory instead of delivering them, for tests
+ * and for trying subscriptions out locally.
+ */
+class StubTransport {
+    constructor() {
+        this.delivered = [];
+    }
+
+    /**
+     * @param {string} target
+     * @param {Notification} notification
+     */
+    async deliver(target, notification) {
+        this.delivered.push({ target, notification });
+    }
+
+    /**
+     * @param {string} [kind] only the notifications of this kind
+     * @returns {Notification[]}
+     */
+    notifications(kind) {
+        return this.delivered
+            .map(delivery => delivery.notification)
+            .filter(notification => kind === undefined || notification.kind === kind);
+    }
+
+    clear() {
+        this.delivered = [];
+    }
+}
+
+
+module.exports = {
+    WebhookTransport,
+    EmailTransport,
+    StubTransport
+};
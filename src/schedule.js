@@ -0,0 +1,152 @@
+const BN = require('bn.js');
+const { RATIO } = require('./constants');
+
+
+/**
+ * Payment calculations for investment proposals.
+ *
+ * The schedule reproduces the integer math of `Loan._pay`, rounding included,
+ * so its figures are exactly the ones the contract will store after each
+ * payment. All amounts are `BN`s in the token's smallest unit.
+ */
+
+const RATIO_BN = new BN(RATIO);
+/** Total amount of Property tokens of a loan, `Loan.TOTAL_PROPERTY_TOKENS` */
+const TOTAL_PROPERTY_TOKENS = new BN(RATIO);
+
+const toBN = value => new BN(value.toString());
+
+/**
+ * Computes the constant payment that returns the target amount plus its
+ * interest in the given number of payments (the annuity formula), rounded up.
+ *
+ * @param {object} params
+ * @param {BN|string} params.targetAmount
+ * @param {BN|string|number} params.totalPayments
+ * @param {BN|string} params.perPaymentInterestRatio interest per payment, multiplied by `RATIO`
+ * @returns {BN}
+ */
+const annuityPayment = ({ targetAmount, totalPayments, perPaymentInterestRatio }) => {
+    const amount = toBN(targetAmount);
+    const payments = Number(totalPayments.toString());
+    const rate = toBN(perPaymentInterestRatio);
+    if (payments <= 0) {
+        throw new Error('The total number of payments must be greater than zero');
+    }
+    if (rate.isZero()) {
+        return divCeil(amount, new BN(payments));
+    }
+    // payment = amount * rate * (1 + rate)^n / ((1 + rate)^n - 1), kept as an exact fraction
+    const growth = RATIO_BN.add(rate).pow(new BN(payments));
+    const base = RATIO_BN.pow(new BN(payments));
+    const numerator = amount.mul(rate).mul(growth);
+    const denominator = RATIO_BN.mul(growth.sub(base));
+    return divCeil(numerator, denominator);
+};
+
+const divCeil = (a, b) => {
+    const { div, mod } = a.divmod(b);
+    return mod.isZero() ? div : div.addn(1);
+};
+
+/**
+ * @typedef {object} ScheduledPayment
+ * @property {number} payment number of the payment, starting at 1
+ * @property {BN} amount amount the borrower pays, as `Loan.nextPaymentAmount` returns it
+ * @property {BN} interest
+ * @property {BN} amortization principal returned by this payment
+ * @property {BN} remainingPrincipal principal still owed after this payment
+ * @property {BN} propertyTokens Property tokens transferred to the borrower by this payment
+ * @property {BN} transferredTokens Property tokens owned by the borrower after this payment
+ */
+
+/**
+ * Computes the full schedule of a loan, as `Loan._pay` will apply it.
+ *
+ * The last payment settles whatever principal is left, and transfers every
+ * remaining Property token to the borrower. It costs the remaining principal
+ * plus its interest when that is lower than the regular payment. Throws when the parameters would
+ * make the contract revert, like `validateProposal` explains.
+ *
+ * @param {object} params
+ * @param {BN|string} params.targetAmount
+ * @param {BN|string|number} params.totalPayments
+ * @param {BN|string} params.paymentAmount
+ * @param {BN|string} params.perPaymentInterestRatio
+ * @param {BN|string} [params.downpaymentRatio]
+ * @returns {ScheduledPayment[]}
+ */
+const amortizationSchedule = params => {
+    const targetAmount = toBN(params.targetAmount);
+    const totalPayments = Number(params.totalPayments.toString());
+    const paymentAmount = toBN(params.paymentAmount);
+    const rate = toBN(params.perPaymentInterestRatio);
+    const downpaymentRatio = toBN(params.downpaymentRatio || 0);
+
+    const availableTokens = TOTAL_PROPERTY_TOKENS.mul(RATIO_BN.sub(downpaymentRatio)).div(RATIO_BN);
+    let transferredTokens = downpaymentRatio.mul(TOTAL_PROPERTY_TOKENS).div(RATIO_BN);
+    let amortizedAmount = new BN(0);
+    const schedule = [];
+    for (let payment = 1; payment <= totalPayments; payment++) {
+        const remaining = targetAmount.sub(amortizedAmount);
+        const interest = remaining.mul(rate).div(RATIO_BN);
+        let amount = paymentAmount, amortization, propertyTokens;
+        if (payment === totalPayments) {
+            if (paymentAmount.lt(remaining.add(interest))) {
+                throw new Error('The last payment does not cover the remaining principal and its interest');
+            }
+            amount = remaining.add(interest);
+            amortization = remaining;
+            propertyTokens = TOTAL_PROPERTY_TOKENS.sub(transferredTokens);
+        } else {
+            if (paymentAmount.lte(interest)) {
+                throw new Error(`Payment ${payment} does not amortize anything: the interest is ${interest}`);
+            }
+            amortization = paymentAmount.sub(interest);
+            if (amortization.gt(remaining)) {
+                throw new Error(`Payment ${payment} returns more than the remaining principal`);
+            }
+            propertyTokens = amortization.mul(availableTokens).div(targetAmount);
+        }
+        amortizedAmount = amortizedAmount.add(amortization);
+        transferredTokens = transferredTokens.add(propertyTokens);
+        schedule.push({
+            payment,
+            amount,
+            interest,
+            amortization,
+            remainingPrincipal: targetAmount.sub(amortizedAmount),
+            propertyTokens,
+            transferredTokens
+        });
+    }
+    return schedule;
+};
+
+/**
+ * Checks whether the payments of a proposal amortize its target amount, the
+ * same check `Housteca.createInvestmentProposal` performs:
+ *
+ *   - every payment but the last one must be greater than its interest,
+ *   - no payment but the last one can return more than the remaining principal,
+ *   - the last payment must cover the remaining principal and its interest.
+ *
+ * @param {object} params same as `amortizationSchedule`
+ * @returns {{valid: boolean, reason: string|undefined}}
+ */
+const validateProposal = params => {
+    try {
+        amortizationSchedule(params);
+        return { valid: true };
+    } catch (error) {
+        return { valid: false, reason: error.message };
+    }
+};
+
+
+module.exports = {
+    TOTAL_PROPERTY_TOKENS,
+    annuityPayment,
+    amortizationSchedule,
+    validateProposal
+};
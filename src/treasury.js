@@ -0,0 +1,60 @@
+const BN = require('bn.js');
+
+
+/**
+ * @typedef {object} FeeReconciliation
+ * @property {string} loan address of the loan
+ * @property {string} token address of the loan's token
+ * @property {BN} expected `houstecaFeeAmount` announced in `InvestmentCreated`
+ * @property {BN} received fee the treasury got through `FeeReceived`
+ * @property {string} status `RECEIVED`, `PENDING` while the loan did not collect its funds,
+ * `HELD` while Housteca keeps the fee for the lack of a treasury, or `MISMATCH`
+ */
+
+/**
+ * Matches the fees announced when the loans were created against the ones
+ * the treasury received. Loans that never become active do not pay the fee,
+ * so they stay `PENDING`.
+ *
+ * @param {object} housteca deployed Housteca instance
+ * @param {object} treasury deployed Treasury instance
+ * @param {number} [fromBlock] block Housteca was deployed at
+ * @returns {Promise<FeeReconciliation[]>}
+ */
+const reconcileFees = async (housteca, treasury, fromBlock = 0) => {
+    const [created, received] = await Promise.all([
+        housteca.getPastEvents('InvestmentCreated', { fromBlock }),
+        treasury.getPastEvents('FeeReceived', { fromBlock })
+    ]);
+    const fees = {};
+    for (const event of received) {
+        fees[event.args.loan.toLowerCase()] = event.args;
+    }
+    const results = created.map(event => {
+        const fee = fees[event.args.contractAddress.toLowerCase()];
+        const expected = new BN(event.args.houstecaFeeAmount.toString());
+        const result = {
+            loan: event.args.contractAddress,
+            token: fee ? fee.token : null,
+            expected,
+            received: fee ? new BN(fee.amount.toString()) : new BN(0)
+        };
+        if (!fee) {
+            result.status = 'PENDING';
+        } else {
+            result.status = result.received.eq(expected) ? 'RECEIVED' : 'MISMATCH';
+        }
+        return result;
+    });
+    for (const result of results) {
+        if (result.status === 'PENDING' && !(await housteca._heldFees(result.loan)).isZero()) {
+            result.status = 'HELD';
+        }
+    }
+    return results;
+};
+
+
+module.exports = {
+    reconcileFees
+};
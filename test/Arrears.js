@@ -0,0 +1,172 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const TestERC777Token = artifacts.require('TestERC777Token');
+const truffleAssert = require('truffle-assertions');
+const { HoustecaClient, loadContracts } = require('../src');
+const { travel } = require('./helpers/time');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+const DAY = 24 * 60 * 60;
+const DOCUMENT_HASH = web3.utils.keccak256('Arrears test deed');
+const TOKENS = [
+    ['ERC20', TestERC20Token],
+    ['ERC777', TestERC777Token]
+];
+
+
+contract('Arrears', accounts => {
+    const localNode = accounts[1];
+    const investor = accounts[6];
+    const otherInvestor = accounts[7];
+    const borrower = accounts[8];
+    const paymentAmount = toAmount(8009, 18);
+    // 2% of the payment
+    const lateFee = paymentAmount.divn(50);
+
+    for (const [name, Token] of TOKENS) {
+        contract(name, () => {
+            let token, loan;
+
+            const balance = address => token.balanceOf(address);
+
+            /** Both investors collect everything pending, and get their share of the expected amount */
+            const collectEarnings = async expected => {
+                const shares = [[investor, expected.divn(4)], [otherInvestor, expected.muln(3).divn(4)]];
+                for (const [account, share] of shares) {
+                    const before = await balance(account);
+                    await loan.collectAllEarnings(account);
+                    assert.equal((await balance(account)).sub(before).toString(), share.toString());
+                }
+            };
+
+            const missPayment = async () => {
+                await travel(36);
+                await loan.update({from: investor});
+                assert.equal(await loan.status(), 'DEFAULT');
+            };
+
+            beforeEach(async () => {
+                token = await Token.new();
+                const { housteca, registry } = await deployHousteca();
+                for (const account of [borrower, investor, otherInvestor]) {
+                    await token.transfer(account, toAmount(1000000, 18));
+                }
+                await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, 0);
+                await housteca.addToken(await token.symbol(), token.address);
+                await verifyInvestors(registry, [investor, otherInvestor]);
+                const client = new HoustecaClient(loadContracts(artifacts), housteca);
+                await client.createInvestmentProposal({
+                    borrower,
+                    symbol: await token.symbol(),
+                    downpaymentRatio: toAmount(2, 17),
+                    targetAmount: toAmount(96000, 18),
+                    totalPayments: toBN(12),
+                    insuredPayments: toBN(1),
+                    paymentAmount,
+                    perPaymentInterestRatio: toAmount(1619, 11),
+                    lateFeeRatio: toAmount(2, 16),
+                    timing: { paymentGracePeriod: 5 * DAY, periodicity: 30 * DAY, periodUnit: 0 }
+                }, {from: localNode});
+                loan = await client.createInvestment({from: borrower});
+                await loan.sendInitialStake({from: borrower});
+                await loan.invest(toAmount(24000, 18), {from: investor});
+                await loan.invest(toAmount(72000, 18), {from: otherInvestor});
+                await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+                await loan.signDocument(await signDocument(loan.loan, localNode), {from: localNode});
+                await loan.signDocument(await signDocument(loan.loan, borrower), {from: borrower});
+                await loan.collectAllFunds({from: localNode});
+                assert.equal(await loan.status(), 'ACTIVE');
+            });
+
+            it('should charge the late fee during the grace period without defaulting', async () => {
+                assert.equal((await loan.loan.nextPaymentAmount()).toString(), paymentAmount.toString());
+                await travel(32);
+                assert.isNotOk(await loan.loan.paymentPeriodExpired());
+                await loan.update({from: investor});
+                assert.equal(await loan.status(), 'ACTIVE');
+                assert.equal((await loan.loan.nextPaymentAmount()).toString(), paymentAmount.add(lateFee).toString());
+                await loan.pay({from: borrower});
+                assert.equal(await loan.status(), 'ACTIVE');
+                await collectEarnings(paymentAmount.add(lateFee));
+            });
+
+            it('should pay the arrears back and return to ACTIVE', async () => {
+                await missPayment();
+                await truffleAssert.reverts(
+                    loan.payArrears({from: investor}),
+                    'Housteca Loan: Only the borrower can pay'
+                );
+                const arrears = await loan.arrears();
+                assert.equal(arrears.payments, 1);
+                assert.equal(arrears.amount.toString(), paymentAmount.add(lateFee).toString());
+                // the insurance covers the missed payment
+                await collectEarnings(paymentAmount);
+                const principal = await loan.loan.outstandingPrincipal();
+
+                const tx = await loan.payArrears({from: borrower});
+                const events = await loan.loan.getPastEvents('ArrearsPaid', {fromBlock: tx.receipt.blockNumber});
+                assert.equal(events[0].args.payments.toNumber(), 1);
+                assert.equal(events[0].args.lateFee.toString(), lateFee.toString());
+                assert.equal(await loan.status(), 'ACTIVE');
+                assert.equal((await loan.arrears()).payments, 0);
+                assert.equal((await loan.loan.arrearsAmount()).toString(), '0');
+                assert.isOk((await loan.loan.outstandingPrincipal()).lt(principal));
+                // the missed payment replenishes the insurance, so the investors only get the late fee
+                assert.equal((await loan.loan.pendingPrepayment(investor)).toString(), lateFee.divn(4).toString());
+                await collectEarnings(lateFee);
+            });
+
+            it('should keep the loan in DEFAULT until the arrears are paid', async () => {
+                await missPayment();
+                await loan.pay({from: borrower});
+                assert.equal(await loan.status(), 'DEFAULT');
+                assert.equal((await loan.loan._timesPaid()).toNumber(), 1);
+                assert.equal((await loan.arrears()).payments, 1);
+                await loan.payArrears({from: borrower});
+                assert.equal(await loan.status(), 'ACTIVE');
+            });
+
+            it('should only finish the loan once the arrears of the schedule are paid', async () => {
+                await missPayment();
+                for (let i = 0; i < 11; i++) {
+                    await loan.pay({from: borrower});
+                    await travel(30);
+                }
+                assert.isOk(await loan.loan.scheduleEnded());
+                assert.equal(await loan.status(), 'DEFAULT');
+                await truffleAssert.reverts(
+                    loan.pay({from: borrower}),
+                    'Housteca Loan: Only the arrears are left to pay'
+                );
+                // there are no payments left to miss, so the insurance is not drawn again
+                await travel(60);
+                assert.isNotOk(await loan.loan.paymentPeriodExpired());
+                await loan.update({from: investor});
+                assert.equal(await loan.status(), 'DEFAULT');
+                assert.equal((await loan.loan._timesDefault()).toNumber(), 1);
+                assert.equal((await loan.arrears()).payments, 1);
+                await loan.payArrears({from: borrower});
+                assert.equal(await loan.status(), 'FINISHED');
+                assert.equal((await loan.loan.outstandingPrincipal()).toString(), '0');
+            });
+
+            it('should only go BANKRUPT when the insurance is used up', async () => {
+                await missPayment();
+                assert.equal((await loan.loan._insuranceBalance()).toString(), '0');
+                await loan.payArrears({from: borrower});
+                assert.equal((await loan.loan._insuranceBalance()).toString(), paymentAmount.toString());
+                // the replenished insurance covers another missed payment
+                await missPayment();
+                assert.equal((await loan.loan._insuranceBalance()).toString(), '0');
+                await travel(36);
+                await loan.update({from: investor});
+                assert.equal(await loan.status(), 'BANKRUPT');
+            });
+        });
+    }
+});
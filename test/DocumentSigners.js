@@ -0,0 +1,148 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const truffleAssert = require('truffle-assertions');
+const { singletons } = require('@openzeppelin/test-helpers');
+const { HoustecaClient, loadContracts } = require('../src');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+const toRole = role => web3.utils.padRight(web3.utils.utf8ToHex(role), 64);
+
+const LOCAL_NODE_LEVEL = 253;
+const DOCUMENT_HASH = web3.utils.keccak256('DocumentSigners test deed');
+
+
+contract('Document signers', accounts => {
+    const manager = accounts[0];
+    const localNode = accounts[1];
+    const notary = accounts[3];
+    const seller = accounts[4];
+    const outsider = accounts[5];
+    const investor = accounts[7];
+    const borrower = accounts[8];
+    const targetAmount = toAmount(96000, 18);
+    let erc20, housteca, client;
+
+    const proposal = () => ({
+        borrower,
+        symbol: 'T20',
+        downpaymentRatio: toAmount(2, 17),
+        targetAmount,
+        totalPayments: toBN(12),
+        insuredPayments: toBN(6),
+        paymentAmount: toAmount(8009, 18),
+        perPaymentInterestRatio: toAmount(1619, 11)
+    });
+
+    const createLoan = async (signers, signatureThreshold) => {
+        await client.createInvestmentProposal({...proposal(), signers, signatureThreshold}, {from: localNode});
+        const loan = await client.createInvestment({from: borrower});
+        await loan.sendInitialStake({from: borrower});
+        await loan.invest(targetAmount, {from: investor});
+        await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+        return loan;
+    };
+
+    const sign = async (loan, account) => (
+        loan.signDocumentFor(account, await signDocument(loan.loan, account), {from: outsider})
+    );
+
+    beforeEach(async () => {
+        await singletons.ERC1820Registry(manager);
+        erc20 = await TestERC20Token.new();
+        let registry;
+        ({ housteca, registry } = await deployHousteca());
+        await erc20.transfer(borrower, toAmount(1000000, 18));
+        await erc20.transfer(investor, toAmount(1000000, 18));
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addToken(await erc20.symbol(), erc20.address);
+        await verifyInvestors(registry, [investor]);
+        client = new HoustecaClient(loadContracts(artifacts), housteca);
+    });
+
+    it('should require every signer by default', async () => {
+        const loan = await createLoan([{address: notary, role: 'NOTARY'}, {address: seller, role: 'SELLER'}]);
+        let progress = await loan.signingProgress();
+        assert.deepEqual(progress.signers.map(signer => [signer.address, signer.role, signer.signed]), [
+            [borrower, 'BORROWER', false],
+            [localNode, 'LOCAL_NODE', false],
+            [notary, 'NOTARY', false],
+            [seller, 'SELLER', false]
+        ]);
+        assert.equal(progress.threshold, 4);
+        await sign(loan, borrower);
+        await sign(loan, notary);
+        await sign(loan, localNode);
+        assert.deepEqual(await loan.outstandingSigners(), [seller]);
+        await truffleAssert.reverts(loan.collectAllFunds({from: localNode}), 'Housteca Loan: Signatures not ready');
+        const tx = await sign(loan, seller);
+        truffleAssert.eventEmitted(tx, 'SignaturesCompleted', ev => ev.documentHash === DOCUMENT_HASH && ev.signatures.eqn(4));
+        progress = await loan.signingProgress();
+        assert.isOk(progress.ready);
+        assert.equal(progress.signatures, 4);
+        assert.deepEqual(await loan.outstandingSigners(), []);
+        await loan.collectAllFunds({from: localNode});
+        assert.equal(await loan.status(), 'ACTIVE');
+    });
+
+    it('should collect the funds once the threshold is met', async () => {
+        const loan = await createLoan([{address: notary, role: 'NOTARY'}, {address: seller, role: 'SELLER'}], 3);
+        await sign(loan, notary);
+        await sign(loan, seller);
+        await sign(loan, localNode);
+        assert.isNotOk(await loan.loan.signaturesReady(), 'the borrower must always sign');
+        const tx = await sign(loan, borrower);
+        truffleAssert.eventEmitted(tx, 'SignaturesCompleted');
+        await loan.collectAllFunds({from: localNode});
+        assert.equal(await loan.status(), 'ACTIVE');
+    });
+
+    it('should only accept signatures of the signers of the current document', async () => {
+        const loan = await createLoan([{address: notary, role: 'NOTARY'}]);
+        await truffleAssert.reverts(sign(loan, seller), 'Housteca Loan: You cannot perform this operation');
+        await sign(loan, notary);
+        assert.isOk(await loan.loan.hasSigned(notary));
+        const newHash = web3.utils.keccak256('DocumentSigners amended deed');
+        await loan.loan.submitDocumentHash(newHash, {from: localNode});
+        assert.isNotOk(await loan.loan.hasSigned(notary));
+        assert.equal((await loan.loan._signatureCount()).toNumber(), 0);
+        await sign(loan, notary);
+        await sign(loan, borrower);
+        await sign(loan, localNode);
+        await truffleAssert.reverts(
+            loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode}),
+            'Housteca Loan: The document is already signed'
+        );
+    });
+
+    it('should validate the signers of a proposal', async () => {
+        await client.createInvestmentProposal(proposal(), {from: localNode});
+        await truffleAssert.reverts(
+            housteca.setProposalSigners(borrower, [notary], [toRole('NOTARY')], 0, {from: manager}),
+            'Housteca: Only the local node of the proposal can set its signers'
+        );
+        await truffleAssert.reverts(
+            housteca.setProposalSigners(borrower, [notary], [], 0, {from: localNode}),
+            'Housteca: Every signer needs a role'
+        );
+        await truffleAssert.reverts(
+            housteca.setProposalSigners(borrower, [notary], [toRole('NOTARY')], 4, {from: localNode}),
+            'Housteca: Invalid signature threshold'
+        );
+        await truffleAssert.reverts(
+            housteca.setProposalSigners(borrower, [borrower], [toRole('NOTARY')], 0, {from: localNode}),
+            'Housteca: Invalid signer'
+        );
+        await truffleAssert.reverts(
+            housteca.setProposalSigners(borrower, [notary, notary], [toRole('NOTARY'), toRole('SELLER')], 0, {from: localNode}),
+            'Housteca: Duplicated signer'
+        );
+        const tx = await housteca.setProposalSigners(borrower, [notary], [toRole('NOTARY')], 2, {from: localNode});
+        truffleAssert.eventEmitted(tx, 'InvestmentProposalSignersSet', ev => ev.borrower === borrower && ev.threshold.eqn(2));
+        await client.createInvestmentProposal(proposal(), {from: localNode});
+        const { signers } = await housteca.getProposalSigners(borrower);
+        assert.deepEqual(signers, [], 'a new proposal starts without extra signers');
+    });
+});
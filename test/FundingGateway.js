@@ -0,0 +1,238 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const TestStablecoin = artifacts.require('TestStablecoin');
+const truffleAssert = require('truffle-assertions');
+const { HoustecaClient, loadContracts } = require('../src');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+const DOCUMENT_HASH = web3.utils.keccak256('Funding gateway test deed');
+// one TUSD, with 6 decimals, is worth 1.1 T20, with 18 decimals
+const PRICE = toAmount(11, 29);
+
+
+contract('FundingGateway', accounts => {
+    const localNode = accounts[1];
+    const otherLocalNode = accounts[2];
+    const investor = accounts[6];
+    const otherInvestor = accounts[7];
+    const borrower = accounts[8];
+    let housteca, gateway, oracle, client, erc20, stablecoin;
+
+    const createProposal = async (fundingTokens = ['TUSD']) => client.createInvestmentProposal({
+        borrower,
+        symbol: 'T20',
+        downpaymentRatio: toAmount(2, 17),
+        targetAmount: toAmount(96000, 18),
+        totalPayments: toBN(12),
+        insuredPayments: toBN(6),
+        paymentAmount: toAmount(8009, 18),
+        perPaymentInterestRatio: toAmount(1619, 11),
+        fundingTokens
+    }, {from: localNode});
+
+    const createLoan = async () => {
+        await createProposal();
+        const loan = await client.createInvestment({from: borrower});
+        await loan.sendInitialStake({from: borrower});
+        return loan;
+    };
+
+    const assertBalance = async (token, address, expected) => {
+        assert.equal((await token.balanceOf(address)).toString(), expected.toString());
+    };
+
+    beforeEach(async () => {
+        erc20 = await TestERC20Token.new();
+        stablecoin = await TestStablecoin.new();
+        let registry;
+        ({ housteca, registry, fundingGateway: gateway, priceOracle: oracle } = await deployHousteca());
+        for (const account of [borrower, investor, otherInvestor]) {
+            await erc20.transfer(account, toAmount(1000000, 18));
+            await stablecoin.transfer(account, toAmount(1000000, 6));
+        }
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, toAmount(2, 16));
+        await housteca.addAdmin(otherLocalNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addToken('T20', erc20.address);
+        await housteca.addToken('TUSD', stablecoin.address);
+        await oracle.setPrice(stablecoin.address, erc20.address, PRICE);
+        await verifyInvestors(registry, [investor, otherInvestor]);
+        client = new HoustecaClient(loadContracts(artifacts), housteca);
+    });
+
+    it('should carry the funding tokens of the proposal over to its loan', async () => {
+        await truffleAssert.reverts(
+            gateway.setProposalFundingTokens(borrower, ['TUSD'], {from: localNode}),
+            'Housteca Funding: There is no investment proposal for this address'
+        );
+        await createProposal([]);
+        await truffleAssert.reverts(
+            gateway.setProposalFundingTokens(borrower, ['TUSD'], {from: otherLocalNode}),
+            'Housteca Funding: permission denied'
+        );
+        await truffleAssert.reverts(
+            gateway.setProposalFundingTokens(borrower, ['DAI'], {from: localNode}),
+            'Housteca Funding: Invalid token symbol'
+        );
+        await truffleAssert.reverts(
+            gateway.setProposalFundingTokens(borrower, ['T20'], {from: localNode}),
+            "Housteca Funding: The loan's own token is always accepted"
+        );
+        await truffleAssert.reverts(
+            gateway.setProposalFundingTokens(borrower, ['TUSD', 'TUSD'], {from: localNode}),
+            'Housteca Funding: Duplicated token symbol'
+        );
+        await client.setProposalFundingTokens(borrower, ['TUSD'], {from: localNode});
+        assert.deepEqual(await gateway.proposalFundingTokens(borrower), ['TUSD']);
+
+        const loan = await client.createInvestment({from: borrower});
+        assert.deepEqual(await loan.fundingTokens(), ['TUSD']);
+        assert.equal(await gateway.fundingToken(loan.address, 'TUSD'), stablecoin.address);
+        assert.deepEqual(await gateway.proposalFundingTokens(borrower), []);
+        assert.equal((await gateway._tokenProposals('TUSD')).toString(), '0');
+    });
+
+    it('should record the deposits in the loan at the value of its token', async () => {
+        const loan = await createLoan();
+        assert.equal((await gateway.convert(loan.address, 'TUSD', toAmount(20000, 6))).toString(), toAmount(22000, 18).toString());
+
+        await loan.investWith('TUSD', toAmount(20000, 6), {from: investor});
+        const events = await gateway.getPastEvents('Deposited', {fromBlock: 0});
+        assert.equal(events.length, 1);
+        assert.equal(events[0].args.investor, investor);
+        assert.equal(events[0].args.amount.toString(), toAmount(20000, 6).toString());
+        assert.equal(events[0].args.value.toString(), toAmount(22000, 18).toString());
+        assert.equal((await loan.loan._investments(investor)).toString(), toAmount(22000, 18).toString());
+        assert.equal((await gateway._depositValues(loan.address, investor)).toString(), toAmount(22000, 18).toString());
+        assert.equal((await loan.loan._investedAmount()).toString(), toAmount(22000, 18).toString());
+        await assertBalance(stablecoin, gateway.address, toAmount(20000, 6));
+
+        try {
+            await loan.investWith('T20', toAmount(1000, 18), {from: investor});
+            assert.fail('the loan\'s own token should be invested directly');
+        } catch (error) {
+            assert.match(error.message, /cannot be funded with T20/);
+        }
+        await truffleAssert.reverts(
+            gateway.deposit(loan.address, 'TUSD', 0, {from: investor}),
+            'Housteca Funding: The deposit is worth nothing'
+        );
+        await truffleAssert.reverts(
+            loan.loan.investFor(investor, toAmount(1000, 18), {from: investor}),
+            'Housteca Loan: permission denied'
+        );
+        // 96000 - 6 * 8009 of the loan has to be funded with T20, since it is the insurance
+        await truffleAssert.reverts(
+            loan.investWith('TUSD', toAmount(24000, 6), {from: otherInvestor}),
+            "Housteca Funding: The insurance must be funded with the loan's token"
+        );
+    });
+
+    it('should revert without a price for the token', async () => {
+        const loan = await createLoan();
+        await oracle.setPrice(stablecoin.address, erc20.address, 0);
+        await stablecoin.approve(gateway.address, toAmount(20000, 6), {from: investor});
+        await truffleAssert.reverts(
+            gateway.deposit(loan.address, 'TUSD', toAmount(20000, 6), {from: investor}),
+            'TestPriceOracle: There is no price for the pair'
+        );
+    });
+
+    it('should return the deposits as they are to the investors that leave', async () => {
+        const loan = await createLoan();
+        const before = await erc20.balanceOf(investor);
+        await loan.investWith('TUSD', toAmount(20000, 6), {from: investor});
+        await loan.invest(toAmount(10000, 18), {from: investor});
+        assert.equal((await loan.refundAmount(investor)).toString(), toAmount(32000, 18).toString());
+
+        await loan.collectInvestment({from: investor});
+        await assertBalance(stablecoin, investor, toAmount(1000000, 6));
+        await assertBalance(erc20, investor, before);
+        await assertBalance(stablecoin, gateway.address, 0);
+        assert.equal((await gateway._depositedValues(loan.address)).toString(), '0');
+        assert.equal((await loan.loan._investedAmount()).toString(), '0');
+    });
+
+    it('should share the lost stake with the investors that deposited other tokens', async () => {
+        const loan = await createLoan();
+        const houstecaFee = await loan.loan._houstecaFeeAmount();
+        await loan.investWith('TUSD', toAmount(20000, 6), {from: investor});
+        await loan.invest(toAmount(22000, 18), {from: otherInvestor});
+        await loan.abortLoan({from: localNode});
+
+        const before = await erc20.balanceOf(investor);
+        await loan.collectInvestment({from: investor});
+        await assertBalance(stablecoin, investor, toAmount(1000000, 6));
+        await assertBalance(erc20, investor, before.add(houstecaFee.divn(2)));
+        await loan.collectInvestment({from: otherInvestor});
+        await assertBalance(erc20, loan.address, 0);
+    });
+
+    it('should send the deposits to the local node with the rest of the funds', async () => {
+        const loan = await createLoan();
+        await loan.investWith('TUSD', toAmount(20000, 6), {from: investor});
+        await loan.invest(toAmount(74000, 18), {from: otherInvestor});
+        assert.equal(await loan.status(), 'AWAITING_SIGNATURES');
+        await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, borrower), {from: borrower});
+        await loan.signDocument(await signDocument(loan.loan, localNode), {from: localNode});
+
+        const localNodeFee = await loan.loan._localNodeFeeAmount();
+        await loan.collectAllFunds({from: localNode});
+        // the target amount minus the insurance, plus the local node's fee
+        const funds = toAmount(96000 - 6 * 8009, 18).add(localNodeFee);
+        await assertBalance(erc20, localNode, funds.sub(toAmount(22000, 18)));
+        await assertBalance(stablecoin, localNode, toAmount(20000, 6));
+        await assertBalance(stablecoin, gateway.address, 0);
+        await assertBalance(erc20, loan.address, toAmount(6 * 8009, 18));
+    });
+
+    it('should not remove the tokens that proposals or loans use', async () => {
+        await createProposal();
+        assert.isOk(await housteca.isTokenInUse('T20'));
+        assert.isOk(await housteca.isTokenInUse('TUSD'));
+        await truffleAssert.reverts(
+            housteca.removeToken('TUSD'),
+            'Housteca: The token is used by investment proposals or loans'
+        );
+
+        const loan = await client.createInvestment({from: borrower});
+        await loan.sendInitialStake({from: borrower});
+        assert.equal((await housteca._tokenProposals('T20')).toString(), '0');
+        assert.equal((await housteca._tokenLoans('T20')).toString(), '1');
+        assert.equal((await gateway._tokenLoans('TUSD')).toString(), '1');
+        await truffleAssert.reverts(
+            housteca.removeToken('T20'),
+            'Housteca: The token is used by investment proposals or loans'
+        );
+        await truffleAssert.reverts(
+            housteca.removeToken('TUSD'),
+            'Housteca: The token is used by investment proposals or loans'
+        );
+
+        // the investors can still take back the tokens of a loan that ended
+        await loan.investWith('TUSD', toAmount(20000, 6), {from: investor});
+        await loan.abortLoan({from: localNode});
+        assert.equal((await housteca._tokenLoans('T20')).toString(), '0');
+        assert.equal((await gateway._tokenLoans('TUSD')).toString(), '0');
+        await truffleAssert.reverts(housteca.loanEnded(), 'Housteca: Only loans can perform this operation');
+        await truffleAssert.reverts(gateway.detachLoan(loan.address), 'Housteca Funding: Only Housteca can perform this operation');
+        await housteca.removeToken('TUSD');
+        await housteca.removeToken('T20');
+        await loan.collectInvestment({from: investor});
+        await assertBalance(stablecoin, investor, toAmount(1000000, 6));
+    });
+
+    it('should release the tokens of the removed proposals', async () => {
+        await createProposal();
+        await createProposal([]);
+        assert.isNotOk(await housteca.isTokenInUse('TUSD'));
+        await housteca.removeInvestmentProposal(borrower);
+        assert.isNotOk(await housteca.isTokenInUse('T20'));
+        await housteca.removeToken('T20');
+    });
+});
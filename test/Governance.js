@@ -0,0 +1,248 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const truffleAssert = require('truffle-assertions');
+const { HoustecaClient, loadContracts, encodeAction, pendingActions } = require('../src');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+const role = name => web3.utils.padRight(web3.utils.utf8ToHex(name), 64);
+
+const ROOT_LEVEL = 255;
+const ADMIN_LEVEL = 254;
+const LOCAL_NODE_LEVEL = 253;
+const KYC_OFFICER = role('KYC_OFFICER');
+const TREASURER = role('TREASURER');
+
+
+contract('Governance', accounts => {
+    const root = accounts[0];
+    const localNode = accounts[1];
+    const admin = accounts[2];
+    const otherAdmin = accounts[3];
+    const officer = accounts[4];
+    const newRoot = accounts[5];
+    const investor = accounts[7];
+    const borrower = accounts[8];
+    let housteca, governance, registry, erc20;
+
+    const submit = async (method, params, from) => {
+        const tx = await governance.submitAction(encodeAction(housteca, method, params), {from});
+        return tx.logs.find(log => log.event === 'ActionSubmitted').args.actionId;
+    };
+
+    beforeEach(async () => {
+        erc20 = await TestERC20Token.new();
+        ({ housteca, governance, registry } = await deployHousteca());
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addAdmin(admin, ADMIN_LEVEL, 0);
+        await housteca.addAdmin(otherAdmin, ADMIN_LEVEL, 0);
+    });
+
+    contract('Roles', () => {
+        it('should only let roots change the admins', async () => {
+            await truffleAssert.reverts(
+                housteca.addAdmin(accounts[6], LOCAL_NODE_LEVEL, 0, {from: admin}),
+                'Housteca: Insufficient administrator privileges'
+            );
+            await truffleAssert.reverts(
+                housteca.removeAdmin(localNode, {from: admin}),
+                'Housteca: Insufficient administrator privileges'
+            );
+            await housteca.addAdmin(accounts[6], LOCAL_NODE_LEVEL, 0, {from: root});
+            assert.isOk(await housteca.isLocalNode(accounts[6]));
+            await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, toAmount(1, 16), {from: root});
+            assert.equal((await housteca._admins(localNode)).feeRatio.toString(), toAmount(1, 16).toString());
+            await truffleAssert.reverts(
+                housteca.addAdmin(root, LOCAL_NODE_LEVEL, 0, {from: root}),
+                'Housteca: Roots are changed with transferRoot or removeRoot'
+            );
+        });
+
+        it('should not let anybody remove a root as an admin', async () => {
+            await truffleAssert.reverts(
+                housteca.removeAdmin(root, {from: investor}),
+                'Housteca: Roots are changed with transferRoot or removeRoot'
+            );
+            assert.isOk(await housteca.isRoot(root));
+        });
+
+        it('should let KYC officers verify investors', async () => {
+            await truffleAssert.reverts(
+                verifyInvestors(registry, [investor], {from: officer}),
+                'Housteca Registry: Insufficient administrator privileges'
+            );
+            await truffleAssert.reverts(
+                housteca.grantRole(KYC_OFFICER, officer, {from: admin}),
+                'Housteca: Insufficient administrator privileges'
+            );
+            const tx = await housteca.grantRole(KYC_OFFICER, officer, {from: root});
+            truffleAssert.eventEmitted(tx, 'RoleGranted', ev => ev.role === KYC_OFFICER && ev.account === officer);
+            assert.isOk(await housteca.hasRole(KYC_OFFICER, officer));
+            assert.isNotOk(await housteca.hasRole(TREASURER, officer));
+            assert.isOk(await housteca.hasRole(TREASURER, root));
+            await verifyInvestors(registry, [investor], {from: officer});
+            assert.isOk(await housteca.isInvestor(investor));
+            await truffleAssert.reverts(
+                housteca.revokeRole(KYC_OFFICER, officer, {from: admin}),
+                'Housteca: Insufficient administrator privileges'
+            );
+            await housteca.revokeRole(KYC_OFFICER, officer, {from: root});
+            await truffleAssert.reverts(
+                registry.removeInvestor(investor, {from: officer}),
+                'Housteca Registry: Insufficient administrator privileges'
+            );
+        });
+
+        it('should add, transfer and remove roots', async () => {
+            await truffleAssert.reverts(housteca.addRoot(newRoot, {from: admin}), 'Housteca: Insufficient administrator privileges');
+            await truffleAssert.reverts(housteca.removeRoot(root, {from: root}), 'Housteca: The last root cannot be removed');
+            let tx = await housteca.addRoot(newRoot, {from: root});
+            truffleAssert.eventEmitted(tx, 'AdminAdded', ev => ev.admin === newRoot && ev.level.eqn(ROOT_LEVEL));
+            assert.equal((await housteca._rootCount()).toNumber(), 2);
+            await housteca.removeRoot(root, {from: newRoot});
+            assert.isNotOk(await housteca.isAdmin(root));
+
+            await truffleAssert.reverts(
+                housteca.transferRoot(newRoot, accounts[6], {from: admin}),
+                'Housteca: Insufficient administrator privileges'
+            );
+            tx = await housteca.transferRoot(newRoot, accounts[6], {from: newRoot});
+            truffleAssert.eventEmitted(tx, 'AdminRemoved', ev => ev.admin === newRoot && ev.level.eqn(ROOT_LEVEL));
+            truffleAssert.eventEmitted(tx, 'AdminAdded', ev => ev.admin === accounts[6] && ev.level.eqn(ROOT_LEVEL));
+            assert.isNotOk(await housteca.isRoot(newRoot));
+            assert.isOk(await housteca.isRoot(accounts[6]));
+            assert.equal((await housteca._rootCount()).toNumber(), 1);
+        });
+    });
+
+    contract('Confirmations', () => {
+        beforeEach(async () => {
+            await housteca.addRoot(newRoot, {from: root});
+            await housteca.setRequiredConfirmations(2, {from: root});
+        });
+
+        it('should not let the admins call sensitive operations on their own', async () => {
+            await truffleAssert.reverts(
+                housteca.setHoustecaFeeRatio(toAmount(2, 16), {from: admin}),
+                'Housteca: The operation must be confirmed by the admins'
+            );
+            await truffleAssert.reverts(
+                housteca.addToken('T20', erc20.address, {from: root}),
+                'Housteca: The operation must be confirmed by the admins'
+            );
+            await truffleAssert.reverts(
+                governance.submitAction(encodeAction(housteca, 'addToken', ['T20', erc20.address]), {from: localNode}),
+                'Housteca Governance: Insufficient administrator privileges'
+            );
+        });
+
+        it('should execute an action once enough admins confirm it', async () => {
+            const fee = toAmount(2, 16);
+            const id = await submit('setHoustecaFeeRatio', [fee], admin);
+            const [pending] = await pendingActions(housteca, governance);
+            assert.equal(pending.id, id.toNumber());
+            assert.equal(pending.proposer, admin);
+            assert.equal(pending.method, 'setHoustecaFeeRatio');
+            assert.equal(pending.params.houstecaFeeRatio.toString(), fee.toString());
+            assert.deepEqual(pending.confirmers, [admin]);
+            assert.equal(pending.confirmations, 1);
+            assert.equal(pending.required, 2);
+
+            await truffleAssert.reverts(
+                governance.confirmAction(id, {from: admin}),
+                'Housteca Governance: The action was already confirmed'
+            );
+            const tx = await governance.confirmAction(id, {from: otherAdmin});
+            truffleAssert.eventEmitted(tx, 'ActionExecuted', ev => ev.actionId.eq(id));
+            assert.equal((await housteca._houstecaFeeRatio()).toString(), fee.toString());
+            assert.deepEqual(await pendingActions(housteca, governance), []);
+            await truffleAssert.reverts(
+                governance.confirmAction(id, {from: root}),
+                'Housteca Governance: The action was already executed'
+            );
+        });
+
+        it('should only count the confirmations of current admins', async () => {
+            const id = await submit('addToken', ['T20', erc20.address], admin);
+            await governance.revokeConfirmation(id, {from: admin});
+            assert.equal((await governance.confirmationCount(id)).toNumber(), 0);
+            await governance.confirmAction(id, {from: admin});
+            await truffleAssert.reverts(
+                housteca.removeAdmin(admin, {from: root}),
+                'Housteca: The operation must be confirmed by the admins'
+            );
+            await governance.confirmAction(await submit('removeAdmin', [admin], root), {from: newRoot});
+            assert.isNotOk(await housteca.isAdmin(admin));
+            await governance.confirmAction(id, {from: otherAdmin});
+            assert.equal(await housteca._tokens('T20'), '0x0000000000000000000000000000000000000000');
+            await governance.confirmAction(id, {from: root});
+            assert.equal(await housteca.getToken('T20'), erc20.address);
+        });
+
+        it('should only let admins with the level of the operation confirm it', async () => {
+            await truffleAssert.reverts(
+                submit('addRoot', [admin], admin),
+                'Housteca Governance: Insufficient administrator privileges'
+            );
+            const id = await submit('grantRole', [TREASURER, admin], root);
+            const [pending] = await pendingActions(housteca, governance);
+            assert.equal(pending.level, ROOT_LEVEL);
+            await truffleAssert.reverts(
+                governance.confirmAction(id, {from: admin}),
+                'Housteca Governance: Insufficient administrator privileges'
+            );
+            assert.isNotOk(await housteca.hasRole(TREASURER, admin));
+            await governance.confirmAction(id, {from: newRoot});
+            assert.isOk(await housteca.hasRole(TREASURER, admin));
+        });
+
+        it('should let the admins run admin operations but not root ones', async () => {
+            const id = await submit('setHoustecaFeeRatio', [0], admin);
+            const [pending] = await pendingActions(housteca, governance);
+            assert.equal(pending.level, ADMIN_LEVEL);
+            await governance.confirmAction(id, {from: otherAdmin});
+            assert.equal((await housteca._houstecaFeeRatio()).toString(), '0');
+            await truffleAssert.reverts(
+                governance.submitAction(encodeAction(housteca, 'setGovernance', [admin]), {from: admin}),
+                'Housteca Governance: Insufficient administrator privileges'
+            );
+        });
+
+        it('should keep the action pending when its call fails', async () => {
+            const id = await submit('removeRoot', [admin], root);
+            await truffleAssert.reverts(
+                governance.confirmAction(id, {from: newRoot}),
+                'Housteca: The address is not root'
+            );
+            const [pending] = await pendingActions(housteca, governance);
+            assert.equal(pending.method, 'removeRoot');
+            assert.equal(pending.confirmations, 1);
+        });
+
+        it('should remove proposals and change the governance itself through actions', async () => {
+            const tokenAction = await submit('addToken', ['T20', erc20.address], admin);
+            await governance.confirmAction(tokenAction, {from: otherAdmin});
+            const client = new HoustecaClient(loadContracts(artifacts), housteca);
+            await client.createInvestmentProposal({
+                borrower,
+                symbol: 'T20',
+                downpaymentRatio: toAmount(2, 17),
+                targetAmount: toAmount(96000, 18),
+                totalPayments: toBN(12),
+                insuredPayments: toBN(6),
+                paymentAmount: toAmount(8009, 18),
+                perPaymentInterestRatio: toAmount(1619, 11)
+            }, {from: localNode});
+            const removal = await submit('removeInvestmentProposal', [borrower], otherAdmin);
+            await governance.confirmAction(removal, {from: root});
+            assert.equal((await housteca.getProposal(borrower)).targetAmount, '0');
+
+            const confirmations = await submit('setRequiredConfirmations', [1], root);
+            const tx = await governance.confirmAction(confirmations, {from: newRoot});
+            const events = await housteca.getPastEvents('RequiredConfirmationsSet', {fromBlock: tx.receipt.blockNumber});
+            assert.equal(events[0].args.confirmations.toNumber(), 1);
+            await housteca.setHoustecaFeeRatio(0, {from: admin});
+        });
+    });
+});
@@ -1,10 +1,12 @@
-const Housteca = artifacts.require('Housteca');
-const Property = artifacts.require('Property');
 const Loan = artifacts.require('Loan');
 const TestERC20Token = artifacts.require('TestERC20Token');
 const truffleAssert = require('truffle-assertions');
 const { singletons, constants } = require('@openzeppelin/test-helpers');
 const { ZERO_ADDRESS } = constants;
+const { travel } = require('./helpers/time');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+const { amortizationSchedule } = require('../src/schedule');
 
 
 const toBN = web3.utils.toBN;
@@ -13,43 +15,8 @@ const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decima
 const ADMIN_LEVEL = 254;
 const LOCAL_NODE_LEVEL = 253;
 const DOCUMENT_HASH = '0x38d290a6790cc2d5fd9c26aef474521a0f2d01661247bd8ee6d8e836d93d20b4';
-const LOCAL_NODE_SIGNATURE = '0x8679bc6fcf639ebb037a8b0935cd37719069c73490d6a448287200abac82d54606ef5085640130235fcc001bd4d75f36079bb9bb459cac2e86839a3466cbb8ae1b';
-const BORROWER_SIGNATURE = '0xa4838ae7ad81bb84721a34884f6eae3c7ba690892ae60e304b788b58f2c118780fa8ccb629087ec0d5f67bc0bae4f7c5bf6d34c81d55f89e7ac595cd1961a9571b';
 const RATIO = toBN(10).pow(toBN(18));
-
-const travel = async days => {
-
-    const advanceTime = time => {
-        return new Promise((resolve, reject) => {
-            web3.currentProvider.send({
-                jsonrpc: '2.0',
-                method: 'evm_increaseTime',
-                params: [time],
-                id: new Date().getTime()
-            }, (err, result) => {
-                if (err) { return reject(err) }
-                return resolve(result)
-            })
-        })
-    };
-
-    const advanceBlock = () => {
-        return new Promise((resolve, reject) => {
-            web3.currentProvider.send({
-                jsonrpc: '2.0',
-                method: 'evm_mine',
-                id: new Date().getTime()
-            }, (err, _) => {
-                if (err) { return reject(err) }
-                const newBlockHash = web3.eth.getBlock('latest').hash;
-                return resolve(newBlockHash)
-            })
-        })
-    };
-    await advanceTime(days * 24 * 60 * 60);
-    await advanceBlock();
-};
-
+const DAY = 24 * 60 * 60;
 
 contract("Housteca", accounts => {
     const manager = accounts[0];
@@ -62,11 +29,22 @@ contract("Housteca", accounts => {
     const targetAmount = toAmount(96000, 18);  // Juan needs $96000
     const totalPayments = toBN(12);
     const insuredPayments = toBN(6);
-    const paymentAmount = toAmount(1058, 18);
+    const paymentAmount = toAmount(8009, 18);
     const perPaymentInterestRatio = toAmount(1619, 11);  // 0.01619% daily interest
-    let erc1820, erc20, propertyToken, housteca, loan;
+    const prepaymentPenaltyRatio = toAmount(1, 16);  // 1% over the prepaid principal
+    const lateFeeRatio = toAmount(2, 16);  // 2% over the payments made after their due date
+    const timing = {
+        proposalGracePeriod: 15 * DAY,
+        initialStakePeriod: 15 * DAY,
+        fundingPeriod: 90 * DAY,
+        signingPeriod: 30 * DAY,
+        paymentGracePeriod: 0,
+        periodicity: 30 * DAY,
+        periodUnit: 0  // seconds
+    };
+    let erc1820, erc20, propertyToken, housteca, treasury, registry, loan;
 
-    const createInvestmentProposal = async () => {
+    const createInvestmentProposal = async (proposalTiming = timing) => {
         const symbol = await erc20.symbol();
         return housteca.createInvestmentProposal(
             borrower,
@@ -77,6 +55,9 @@ contract("Housteca", accounts => {
             insuredPayments,
             paymentAmount,
             perPaymentInterestRatio,
+            prepaymentPenaltyRatio,
+            lateFeeRatio,
+            proposalTiming,
             {from: localNode}
         );
     };
@@ -105,10 +86,7 @@ contract("Housteca", accounts => {
     beforeEach(async () => {
         erc1820 = await singletons.ERC1820Registry(manager);
         erc20 = await TestERC20Token.new();
-        propertyToken = await Property.new();
-        housteca = await Housteca.new(propertyToken.address);
-        propertyToken.addMinter(housteca.address);
-        propertyToken.transferOwnership(housteca.address);
+        ({ housteca, propertyToken, treasury, registry } = await deployHousteca());
         await erc20.transfer(borrower, '1000000000000000000000000', {from: accounts[0]});
         await erc20.transfer(investor, '1000000000000000000000000', {from: accounts[0]});
     });
@@ -128,11 +106,11 @@ contract("Housteca", accounts => {
         it('should successfully add, check and delete an investor', async () => {
             let isInvestor = await housteca.isInvestor(investor);
             assert.isNotOk(isInvestor);
-            let tx = await housteca.addInvestor(investor);
+            let tx = await verifyInvestors(registry, [investor]);
             truffleAssert.eventEmitted(tx, 'InvestorAdded', {investor});
             isInvestor = await housteca.isInvestor(investor);
             assert.isOk(isInvestor);
-            tx = await housteca.removeInvestor(investor);
+            tx = await registry.removeInvestor(investor);
             truffleAssert.eventEmitted(tx, 'InvestorRemoved', {investor});
             isInvestor = await housteca.isInvestor(investor);
             assert.isNotOk(isInvestor);
@@ -216,27 +194,110 @@ contract("Housteca", accounts => {
                     paymentAmount,
                     perPaymentInterestRatio
                 });
-            let proposal = await housteca._proposals(borrower);
+            let proposal = await housteca.getProposal(borrower);
             assert.equal(proposal.localNode, localNode);
-            assert.deepEqual(proposal.targetAmount, targetAmount);
+            assert.equal(proposal.targetAmount.toString(), targetAmount.toString());
             assert.equal(proposal.symbol, symbol);
-            assert.deepEqual(proposal.downpaymentRatio, downpaymentRatio);
-            assert.deepEqual(proposal.insuredPayments, insuredPayments);
-            assert.deepEqual(proposal.paymentAmount, paymentAmount);
-            assert.deepEqual(proposal.perPaymentInterestRatio, perPaymentInterestRatio);
-            assert.deepEqual(proposal.houstecaFeeAmount, toAmount(960, 18));
-            assert.deepEqual(proposal.localNodeFeeAmount, toAmount(1920, 18));
+            assert.equal(proposal.downpaymentRatio.toString(), downpaymentRatio.toString());
+            assert.equal(proposal.insuredPayments.toString(), insuredPayments.toString());
+            assert.equal(proposal.paymentAmount.toString(), paymentAmount.toString());
+            assert.equal(proposal.perPaymentInterestRatio.toString(), perPaymentInterestRatio.toString());
+            assert.equal(proposal.houstecaFeeAmount.toString(), toAmount(960, 18).toString());
+            assert.equal(proposal.localNodeFeeAmount.toString(), toAmount(1920, 18).toString());
+            assert.equal(proposal.timing.periodicity.toString(), timing.periodicity.toString());
             tx = await housteca.removeInvestmentProposal(borrower);
             truffleAssert.eventEmitted(tx, 'InvestmentProposalRemoved', {borrower});
-            proposal = await housteca._proposals(borrower);
+            proposal = await housteca.getProposal(borrower);
             assert.equal(proposal.localNode, ZERO_ADDRESS);
         });
 
+        it('should reject proposals whose payments cannot amortize the target amount', async () => {
+            const symbol = await erc20.symbol();
+            const create = paymentAmount => housteca.createInvestmentProposal(
+                borrower,
+                symbol,
+                downpaymentRatio,
+                targetAmount,
+                totalPayments,
+                insuredPayments,
+                paymentAmount,
+                perPaymentInterestRatio,
+                prepaymentPenaltyRatio,
+                lateFeeRatio,
+                timing,
+                {from: localNode}
+            );
+            await truffleAssert.reverts(create(toAmount(1058, 18)), 'Housteca: The payments cannot amortize the target amount');
+            await truffleAssert.reverts(create(toAmount(8008, 18)), 'Housteca: The payments cannot amortize the target amount');
+            await truffleAssert.reverts(create(targetAmount), 'Housteca: The payments cannot amortize the target amount');
+        });
+
+        it('should reject proposals whose insurance or penalties are out of bounds', async () => {
+            const symbol = await erc20.symbol();
+            const create = (insuredPayments, prepaymentPenaltyRatio, lateFeeRatio) => housteca.createInvestmentProposal(
+                borrower,
+                symbol,
+                downpaymentRatio,
+                targetAmount,
+                totalPayments,
+                insuredPayments,
+                paymentAmount,
+                perPaymentInterestRatio,
+                prepaymentPenaltyRatio,
+                lateFeeRatio,
+                timing,
+                {from: localNode}
+            );
+            await truffleAssert.reverts(create(toBN(12), 0, 0), 'Housteca: Invalid insured payments');
+            await truffleAssert.reverts(create(insuredPayments, toAmount(1, 18).addn(1), 0), 'Housteca: Invalid penalty ratios');
+            await truffleAssert.reverts(create(insuredPayments, 0, toAmount(2, 18)), 'Housteca: Invalid penalty ratios');
+            await create(insuredPayments, toAmount(1, 18), toAmount(1, 18));
+            assert.equal((await housteca.getProposal(borrower)).lateFeeRatio.toString(), toAmount(1, 18).toString());
+        });
+
         it('should be able to create Investments from proposals', async () => {
             await createInvestmentProposal();
             await createInvestment();
         });
 
+        it('should reject proposals whose timing is out of bounds', async () => {
+            const message = 'Housteca: The loan timing is out of bounds';
+            await truffleAssert.reverts(createInvestmentProposal({...timing, periodicity: 1}), message);
+            await truffleAssert.reverts(createInvestmentProposal({...timing, fundingPeriod: 400 * DAY}), message);
+            await truffleAssert.reverts(createInvestmentProposal({...timing, periodicity: 13, periodUnit: 1}), message);
+            await createInvestmentProposal({...timing, periodicity: 12, periodUnit: 1});
+        });
+
+        it('should let only the root administrator change the timing bounds', async () => {
+            const minTiming = {...timing, periodicity: 1};
+            const maxTiming = {...timing, fundingPeriod: 400 * DAY};
+            await housteca.addAdmin(admin, ADMIN_LEVEL, 0);
+            await truffleAssert.reverts(
+                housteca.setTimingBounds(minTiming, maxTiming, {from: admin}),
+                'Housteca: Insufficient administrator privileges'
+            );
+            await truffleAssert.reverts(
+                housteca.setTimingBounds(maxTiming, minTiming),
+                'Housteca: The minimum timing cannot be greater than the maximum'
+            );
+            await housteca.setTimingBounds(minTiming, maxTiming);
+            await createInvestmentProposal({...timing, fundingPeriod: 90 * DAY, periodicity: 30 * DAY});
+            await truffleAssert.reverts(
+                createInvestmentProposal({...timing, fundingPeriod: 89 * DAY}),
+                'Housteca: The loan timing is out of bounds'
+            );
+            await createInvestmentProposal({...timing, periodicity: 1});
+        });
+
+        it('should not create Investments after the proposal grace period', async () => {
+            await createInvestmentProposal({...timing, proposalGracePeriod: DAY});
+            await travel(2);
+            await truffleAssert.reverts(
+                housteca.createInvestment({from: borrower}),
+                'Housteca: the period to create the investment has expired'
+            );
+        });
+
         contract('Loan', () => {
             const sendInitialStake = async () => {
                 const amount = await loan.initialStakeAmount();
@@ -266,21 +327,22 @@ contract("Housteca", accounts => {
                 await loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
                 hash = await loan._documentHash();
                 assert.equal(hash, DOCUMENT_HASH);
-                await loan.signDocument(LOCAL_NODE_SIGNATURE, {from: localNode});
-                await loan.signDocument(BORROWER_SIGNATURE, {from: borrower});
+                await loan.signDocument(await signDocument(loan, localNode), {from: localNode});
+                await loan.signDocument(await signDocument(loan, borrower), {from: borrower});
                 let localNodeBalance = await erc20.balanceOf(localNode);
-                let houstecaBalance = await erc20.balanceOf(housteca.address);
+                let houstecaBalance = await erc20.balanceOf(treasury.address);
                 assert.deepEqual(localNodeBalance, toBN(0));
                 assert.deepEqual(houstecaBalance, toBN(0));
                 const tx = await loan.collectAllFunds({from: localNode});
                 localNodeBalance = await erc20.balanceOf(localNode);
-                houstecaBalance = await erc20.balanceOf(housteca.address);
+                houstecaBalance = await erc20.balanceOf(treasury.address);
                 const localNodeFee = await loan._localNodeFeeAmount();
                 const houstecaFee = await loan._houstecaFeeAmount();
                 const insuranceAmount = paymentAmount.mul(insuredPayments);
                 const amount = targetAmount.add(localNodeFee).sub(insuranceAmount);
                 assert.equal(localNodeBalance.toString(), amount.toString());
                 assert.deepEqual(houstecaBalance, houstecaFee);
+                assert.equal((await treasury._feeBalances(erc20.address)).toString(), houstecaFee.toString());
                 truffleAssert.eventEmitted(tx, 'StatusChanged',
                     {
                         from: toBN(2),
@@ -291,7 +353,7 @@ contract("Housteca", accounts => {
             beforeEach(async () => {
                 await createInvestmentProposal();
                 loan = await createInvestment();
-                await housteca.addInvestor(investor);
+                await verifyInvestors(registry, [investor]);
             });
 
             contract('Status AWAITING_STAKE', () => {
@@ -340,19 +402,59 @@ contract("Housteca", accounts => {
                             await uploadAndSignDocument();
                         });
 
+                        it('should accept signatures relayed by somebody else', async () => {
+                            await loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+                            const signature = await signDocument(loan, borrower);
+                            assert.isOk(await loan.checkDocumentSignature(signature, borrower));
+                            const tx = await loan.signDocumentFor(borrower, signature, {from: investor});
+                            truffleAssert.eventEmitted(tx, 'DocumentSigned', ev => ev.signer === borrower);
+                            assert.isOk(await loan.hasSigned(borrower));
+                            await truffleAssert.reverts(
+                                loan.signDocumentFor(localNode, signature, {from: investor}),
+                                'Housteca Loan: Invalid signature'
+                            );
+                        });
+
+                        it('should not accept signatures of the document for another loan', async () => {
+                            await loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+                            const otherLoan = { address: housteca.address, getChainId: () => loan.getChainId(), _documentHash: () => DOCUMENT_HASH };
+                            const signature = await signDocument(otherLoan, borrower);
+                            assert.isNotOk(await loan.checkDocumentSignature(signature, borrower));
+                            await truffleAssert.reverts(
+                                loan.signDocument(signature, {from: borrower}),
+                                'Housteca Loan: Invalid signature'
+                            );
+                        });
+
                         it('should have the correct status', async () => {
                             const status = await loan._status();
                             assert.deepEqual(status, toBN(2));
                         });
 
+                        it('should become UNCOMPLETED when the signing period expires', async () => {
+                            const deadline = await loan._signingDeadline();
+                            assert.isAbove(deadline.toNumber(), 0);
+                            await loan.update();
+                            assert.deepEqual(await loan._status(), toBN(2));
+                            await travel(31);
+                            assert.isOk(await loan.signingPeriodExpired());
+                            await loan.update();
+                            assert.deepEqual(await loan._status(), toBN(5));
+                            const localNodeFee = await loan._localNodeFeeAmount();
+                            const houstecaFee = await loan._houstecaFeeAmount();
+                            assert.equal((await erc20.balanceOf(localNode)).toString(), localNodeFee.toString());
+                            assert.equal((await loan._extraAmount()).toString(), houstecaFee.toString());
+                        });
+
                         contract('Status ACTIVE', () => {
                             const pay = async () => {
                                 const oldNextPayment = await loan._nextPayment();
                                 const oldBalance = await erc20.balanceOf(borrower);
-                                await erc20.approve(loan.address, paymentAmount, {from: borrower});
+                                const amount = await loan.nextPaymentAmount();
+                                await erc20.approve(loan.address, amount, {from: borrower});
                                 await loan.pay({from: borrower});
                                 const newBalance = await erc20.balanceOf(borrower);
-                                assert.equal(newBalance.toString(), oldBalance.sub(paymentAmount).toString());
+                                assert.equal(newBalance.toString(), oldBalance.sub(amount).toString());
                                 const newNextPayment = await loan._nextPayment();
                                 const transferredTokens = await loan._transferredTokens();
                                 const tokens = await loan.propertyTokenAmount(borrower);
@@ -392,6 +494,22 @@ contract("Housteca", accounts => {
                                 assert.equal(tokens.toString(), downpaymentTokens.toString());
                             });
 
+                            it('should follow the amortization schedule', async () => {
+                                const schedule = amortizationSchedule({
+                                    targetAmount,
+                                    totalPayments,
+                                    paymentAmount,
+                                    perPaymentInterestRatio,
+                                    downpaymentRatio
+                                });
+                                await erc20.approve(loan.address, paymentAmount, {from: borrower});
+                                await loan.pay({from: borrower});
+                                const amortizedAmount = await loan._amortizedAmount();
+                                const transferredTokens = await loan._transferredTokens();
+                                assert.equal(amortizedAmount.toString(), targetAmount.sub(schedule[0].remainingPrincipal).toString());
+                                assert.equal(transferredTokens.toString(), schedule[0].transferredTokens.toString());
+                            });
+
                             it('should let the borrower pay the rent', async () => {
                                 await pay();
                             });
@@ -407,6 +525,72 @@ contract("Housteca", accounts => {
                                 assert.equal(oldBalance.add(paymentAmount).toString(), newBalance.toString());
                             });
 
+                            it('should let the borrower prepay part of the principal', async () => {
+                                const principal = toAmount(48000, 18);
+                                const amount = await loan.prepaymentAmount(principal);
+                                const penalty = principal.mul(prepaymentPenaltyRatio).div(RATIO);
+                                assert.equal(amount.toString(), principal.add(penalty).toString());
+                                await erc20.approve(loan.address, amount, {from: borrower});
+                                const tx = await loan.prepay(principal, {from: borrower});
+                                truffleAssert.eventEmitted(tx, 'Prepaid', ev => ev.borrower === borrower && ev.principal.eq(principal) && ev.penalty.eq(penalty));
+                                const outstandingPrincipal = await loan.outstandingPrincipal();
+                                assert.equal(outstandingPrincipal.toString(), targetAmount.sub(principal).toString());
+                                const transferredTokens = await loan._transferredTokens();
+                                const downpaymentTokens = totalTokens.mul(downpaymentRatio).div(RATIO);
+                                const prepaidTokens = totalTokens.sub(downpaymentTokens).div(toBN(2));
+                                assert.equal(transferredTokens.toString(), downpaymentTokens.add(prepaidTokens).toString());
+                                assert.deepEqual(await loan._status(), toBN(3));
+
+                                const oldBalance = await erc20.balanceOf(investor);
+                                await loan.collectEarnings({from: investor});
+                                const newBalance = await erc20.balanceOf(investor);
+                                assert.equal(newBalance.sub(oldBalance).toString(), amount.toString());
+                                await truffleAssert.fails(loan.collectEarnings({from: investor}));
+                            });
+
+                            it('should lower the last payment after a prepayment', async () => {
+                                const principal = targetAmount.sub(toAmount(1000, 18));
+                                await erc20.approve(loan.address, await loan.prepaymentAmount(principal), {from: borrower});
+                                await loan.prepay(principal, {from: borrower});
+                                const interest = toAmount(1000, 18).mul(perPaymentInterestRatio).div(RATIO);
+                                const amount = await loan.nextPaymentAmount();
+                                assert.equal(amount.toString(), toAmount(1000, 18).add(interest).toString());
+                                await erc20.approve(loan.address, amount, {from: borrower});
+                                await loan.pay({from: borrower});
+                                assert.deepEqual(await loan._status(), toBN(4));
+                                assert.equal((await loan._timesPaid()).toNumber(), 1);
+                            });
+
+                            it('should let the borrower repay the loan in full', async () => {
+                                await erc20.approve(loan.address, paymentAmount, {from: borrower});
+                                await loan.pay({from: borrower});
+                                const outstandingPrincipal = await loan.outstandingPrincipal();
+                                const amount = await loan.prepaymentAmount(outstandingPrincipal);
+                                await erc20.approve(loan.address, amount, {from: borrower});
+                                const tx = await loan.repayInFull({from: borrower});
+                                truffleAssert.eventEmitted(tx, 'Prepaid', {borrower, principal: outstandingPrincipal});
+                                truffleAssert.eventEmitted(tx, 'StatusChanged', {from: toBN(3), to: toBN(4)});
+                                assert.equal((await loan.outstandingPrincipal()).toNumber(), 0);
+                                assert.equal((await loan.propertyTokenAmount(borrower)).toString(), totalTokens.toString());
+
+                                const oldBalance = await erc20.balanceOf(investor);
+                                await loan.collectEarnings({from: investor});
+                                await loan.collectEarnings({from: investor});
+                                const newBalance = await erc20.balanceOf(investor);
+                                assert.equal(newBalance.sub(oldBalance).toString(), paymentAmount.add(amount).toString());
+                                await truffleAssert.fails(loan.collectEarnings({from: investor}));
+                                await truffleAssert.fails(loan.repayInFull({from: borrower}));
+                            });
+
+                            it('should only let the borrower prepay valid amounts', async () => {
+                                const principal = toAmount(1000, 18);
+                                await erc20.approve(loan.address, await loan.prepaymentAmount(principal), {from: investor});
+                                await truffleAssert.reverts(loan.prepay(principal, {from: investor}), 'Housteca Loan: Only the borrower can prepay');
+                                await erc20.approve(loan.address, await loan.prepaymentAmount(targetAmount.add(toBN(1))), {from: borrower});
+                                await truffleAssert.reverts(loan.prepay(targetAmount.add(toBN(1)), {from: borrower}), 'Housteca Loan: Invalid principal to prepay');
+                                await truffleAssert.reverts(loan.prepay(0, {from: borrower}), 'Housteca Loan: Invalid principal to prepay');
+                            });
+
                             contract('Status FINISHED', () => {
                                 beforeEach(async () => {
                                     for (let i = 0; i < totalPayments.toNumber(); i++) {
@@ -419,6 +603,16 @@ contract("Housteca", accounts => {
                                     const status = await loan._status();
                                     assert.deepEqual(status, toBN(4));
                                 });
+
+                                it('should let the borrower collect all the Property tokens', async () => {
+                                    const partition = await loan.partition();
+                                    const tx = await loan.collectProperty({from: borrower});
+                                    truffleAssert.eventEmitted(tx, 'PropertyCollected', {holder: borrower, amount: totalTokens});
+                                    const balance = await propertyToken.balanceOfByPartition(partition, borrower);
+                                    assert.equal(balance.toString(), totalTokens.toString());
+                                    await truffleAssert.fails(loan.collectProperty({from: borrower}));
+                                    await truffleAssert.fails(loan.collectProperty({from: investor}));
+                                });
                             });
 
                             contract('Status BANKRUPT', () => {
@@ -436,6 +630,31 @@ contract("Housteca", accounts => {
                                     status = await loan._status();
                                     assert.equal(status.toNumber(), 7);  // status BANKRUPT
                                 });
+
+                                it('should split the Property tokens between the borrower and the investors', async () => {
+                                    for (let i = 0; i <= insuredPayments.toNumber(); i++) {
+                                        await travel(31);
+                                        await loan.update({from: admin});
+                                    }
+                                    const partition = await loan.partition();
+                                    const borrowerTokens = await loan.propertyTokenAmount(borrower);
+                                    const investorTokens = await loan.propertyTokenAmount(investor);
+                                    await loan.collectProperty({from: borrower});
+                                    const tx = await loan.collectProperty({from: investor});
+                                    truffleAssert.eventEmitted(tx, 'PropertyCollected', {holder: investor, amount: investorTokens});
+                                    const borrowerBalance = await propertyToken.balanceOfByPartition(partition, borrower);
+                                    const investorBalance = await propertyToken.balanceOfByPartition(partition, investor);
+                                    assert.equal(borrowerBalance.toString(), borrowerTokens.toString());
+                                    assert.equal(investorBalance.toString(), investorTokens.toString());
+                                    assert.equal(borrowerBalance.add(investorBalance).toString(), totalTokens.toString());
+                                    await truffleAssert.fails(loan.collectProperty({from: investor}));
+                                    await truffleAssert.fails(loan.collectProperty({from: admin}));
+                                });
+
+                                it('should not let anyone collect Property tokens before BANKRUPT', async () => {
+                                    await truffleAssert.fails(loan.collectProperty({from: investor}));
+                                    await truffleAssert.fails(loan.collectProperty({from: borrower}));
+                                });
                             });
                         });
                     });
@@ -0,0 +1,112 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const TestERC777Token = artifacts.require('TestERC777Token');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { singletons } = require('@openzeppelin/test-helpers');
+const { HoustecaClient, loadContracts, hashFile } = require('../src');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { privateKeyOf } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+
+
+contract('HoustecaClient', accounts => {
+    const manager = accounts[0];
+    const localNode = accounts[1];
+    const investor = accounts[7];
+    const borrower = accounts[8];
+    const proposal = {
+        borrower,
+        downpaymentRatio: toAmount(2, 17),
+        targetAmount: toAmount(96000, 18),
+        totalPayments: toBN(12),
+        insuredPayments: toBN(6),
+        paymentAmount: toAmount(8009, 18),
+        perPaymentInterestRatio: toAmount(1619, 11)
+    };
+    let client;
+
+    const createLoan = async token => {
+        const symbol = await token.symbol();
+        await client.housteca.addToken(symbol, token.address);
+        await client.createInvestmentProposal({...proposal, symbol}, {from: localNode});
+        return client.createInvestment({from: borrower});
+    };
+
+    beforeEach(async () => {
+        await singletons.ERC1820Registry(manager);
+        const { housteca, registry } = await deployHousteca();
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, toAmount(2, 16));
+        await verifyInvestors(registry, [investor]);
+        client = new HoustecaClient(loadContracts(artifacts), housteca);
+    });
+
+    it('should decode the details of a new loan', async () => {
+        const erc20 = await TestERC20Token.new();
+        const loan = await createLoan(erc20);
+        const details = await loan.details();
+        assert.equal(details.borrower, borrower);
+        assert.equal(details.localNode, localNode);
+        assert.equal(details.token, erc20.address);
+        assert.equal(details.targetAmount.toString(), proposal.targetAmount.toString());
+        assert.equal(details.paymentAmount.toString(), proposal.paymentAmount.toString());
+        assert.equal(details.status, 'AWAITING_STAKE');
+        const loans = await client.loans();
+        assert.deepEqual(loans.map(loan => loan.address), [loan.address]);
+    });
+
+    it('should approve and call the loan with ERC20 tokens', async () => {
+        const erc20 = await TestERC20Token.new();
+        await erc20.transfer(borrower, toAmount(1000000, 18));
+        await erc20.transfer(investor, toAmount(1000000, 18));
+        const loan = await createLoan(erc20);
+        const token = await loan.token();
+        assert.isNotOk(token.isERC777);
+        await loan.sendInitialStake({from: borrower});
+        assert.equal(await loan.status(), 'FUNDING');
+        await loan.invest(proposal.targetAmount, {from: investor});
+        assert.equal(await loan.status(), 'AWAITING_SIGNATURES');
+    });
+
+    it('should send ERC777 tokens to the loan', async () => {
+        const erc777 = await TestERC777Token.new();
+        await erc777.transfer(borrower, toAmount(1000000, 18));
+        await erc777.transfer(investor, toAmount(1000000, 18));
+        const loan = await createLoan(erc777);
+        const token = await loan.token();
+        assert.isOk(token.isERC777);
+        await loan.sendInitialStake({from: borrower});
+        assert.equal(await loan.status(), 'FUNDING');
+        await loan.invest(proposal.targetAmount, {from: investor});
+        assert.equal(await loan.status(), 'AWAITING_SIGNATURES');
+    });
+
+    it('should sign the document of a loan with a local key and relay the signature', async () => {
+        const erc20 = await TestERC20Token.new();
+        await erc20.transfer(borrower, toAmount(1000000, 18));
+        await erc20.transfer(investor, toAmount(1000000, 18));
+        const loan = await createLoan(erc20);
+        await loan.sendInitialStake({from: borrower});
+        await loan.invest(proposal.targetAmount, {from: investor});
+        const file = path.join(os.tmpdir(), `housteca-deed-${Date.now()}.txt`);
+        fs.writeFileSync(file, 'Deed of the house');
+        try {
+            await loan.loan.submitDocumentHash(await hashFile(file), {from: localNode});
+            assert.isOk(await loan.isDocument(file));
+        } finally {
+            fs.unlinkSync(file);
+        }
+        for (const account of [localNode, borrower]) {
+            const { signer, signature } = await loan.signDocumentWithKey(privateKeyOf(account));
+            assert.equal(signer, account);
+            await loan.signDocumentFor(signer, signature, {from: investor});
+        }
+        await loan.collectAllFunds({from: localNode});
+        assert.equal(await loan.status(), 'ACTIVE');
+    });
+});
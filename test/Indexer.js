@@ -0,0 +1,105 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const { singletons } = require('@openzeppelin/test-helpers');
+const { HoustecaClient, Indexer, JsonStore, loadContracts } = require('../src');
+const { rpc } = require('./helpers/time');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+
+const silent = { log: () => {}, error: () => {} };
+
+
+contract('Indexer', accounts => {
+    const manager = accounts[0];
+    const localNode = accounts[1];
+    const notary = accounts[3];
+    const investor = accounts[7];
+    const borrower = accounts[8];
+    const targetAmount = toAmount(96000, 18);
+    let client, erc20, indexer, loan;
+
+    beforeEach(async () => {
+        await singletons.ERC1820Registry(manager);
+        const fromBlock = await web3.eth.getBlockNumber();
+        erc20 = await TestERC20Token.new();
+        await erc20.transfer(borrower, toAmount(1000000, 18));
+        await erc20.transfer(investor, toAmount(1000000, 18));
+        const { housteca, registry } = await deployHousteca();
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, toAmount(2, 16));
+        await verifyInvestors(registry, [investor]);
+        await housteca.addToken(await erc20.symbol(), erc20.address);
+        client = new HoustecaClient(loadContracts(artifacts), housteca);
+        await client.createInvestmentProposal({
+            borrower,
+            symbol: await erc20.symbol(),
+            downpaymentRatio: toAmount(2, 17),
+            targetAmount,
+            totalPayments: toBN(12),
+            insuredPayments: toBN(6),
+            paymentAmount: toAmount(8009, 18),
+            perPaymentInterestRatio: toAmount(1619, 11),
+            signers: [{address: notary, role: 'NOTARY'}]
+        }, {from: localNode});
+        loan = await client.createInvestment({from: borrower});
+        await loan.sendInitialStake({from: borrower});
+        indexer = new Indexer({
+            contracts: client.contracts,
+            address: housteca.address,
+            store: new JsonStore(),
+            fromBlock,
+            batchSize: 5,
+            logger: silent
+        });
+    });
+
+    it('should rebuild the platform state', async () => {
+        await loan.invest(targetAmount, {from: investor});
+        await indexer.sync();
+        const state = indexer.state;
+        assert.equal(state.admins[localNode.toLowerCase()], LOCAL_NODE_LEVEL);
+        assert.equal(state.investors[investor.toLowerCase()].jurisdiction, 'ES');
+        assert.equal(state.investors[investor.toLowerCase()].tier, 1);
+        assert.equal(state.tokens[await erc20.symbol()], erc20.address.toLowerCase());
+        assert.deepEqual(state.proposals, {});
+        const loans = indexer.loansByStatus('AWAITING_SIGNATURES');
+        assert.equal(loans.length, 1);
+        assert.equal(loans[0].address, loan.address.toLowerCase());
+        assert.equal(loans[0].investedAmount, targetAmount.toString());
+        assert.equal(loans[0].loanVersion, 1);
+        assert.deepEqual(loans[0].signers.map(signer => signer.role), ['BORROWER', 'LOCAL_NODE', 'NOTARY']);
+        assert.equal(loans[0].signers[2].address, notary.toLowerCase());
+        assert.equal(loans[0].signatureThreshold, 3);
+        assert.deepEqual(indexer.investmentsByInvestor(investor), [
+            {loan: loan.address.toLowerCase(), amount: targetAmount.toString(), earnings: '0'}
+        ]);
+    });
+
+    it('should resume from the last checkpoint', async () => {
+        await indexer.sync();
+        const checkpoint = indexer.store.checkpoint;
+        assert.equal(indexer.loansByStatus('FUNDING').length, 1);
+        await loan.invest(targetAmount, {from: investor});
+        await indexer.sync();
+        assert.isAbove(indexer.store.checkpoint.blockNumber, checkpoint.blockNumber);
+        assert.equal(indexer.loansByStatus('FUNDING').length, 0);
+        assert.equal(indexer.loansByStatus('AWAITING_SIGNATURES').length, 1);
+    });
+
+    it('should roll back the events of reorganized blocks', async () => {
+        await indexer.sync();
+        const snapshot = await rpc('evm_snapshot');
+        await loan.invest(targetAmount, {from: investor});
+        await indexer.sync();
+        assert.equal(indexer.investmentsByInvestor(investor).length, 1);
+        await rpc('evm_revert', [snapshot]);
+        await rpc('evm_mine');
+        await rpc('evm_mine');
+        await indexer.sync();
+        assert.equal(indexer.investmentsByInvestor(investor).length, 0);
+        assert.equal(indexer.loansByStatus('FUNDING').length, 1);
+    });
+});
@@ -0,0 +1,203 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const truffleAssert = require('truffle-assertions');
+const { HoustecaClient, RegistryClient, loadContracts } = require('../src');
+const { travel } = require('./helpers/time');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+const DAY = 24 * 60 * 60;
+const DOCUMENT_HASH = web3.utils.keccak256('InvestorRegistry test deed');
+const ES = web3.utils.asciiToHex('ES');
+const US = web3.utils.asciiToHex('US');
+const NO_DATA = '0x';
+
+
+contract('InvestorRegistry', accounts => {
+    const manager = accounts[0];
+    const localNode = accounts[1];
+    const otherLocalNode = accounts[2];
+    const outsider = accounts[4];
+    const investor = accounts[6];
+    const otherInvestor = accounts[7];
+    const borrower = accounts[8];
+    const targetAmount = toAmount(96000, 18);
+    let erc20, housteca, propertyToken, registry, registryClient, loan;
+
+    const now = async () => (await web3.eth.getBlock('latest')).timestamp;
+
+    beforeEach(async () => {
+        erc20 = await TestERC20Token.new();
+        ({ housteca, propertyToken, registry } = await deployHousteca());
+        await erc20.transfer(borrower, toAmount(1000000, 18));
+        await erc20.transfer(investor, toAmount(1000000, 18));
+        await erc20.transfer(otherInvestor, toAmount(1000000, 18));
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addToken(await erc20.symbol(), erc20.address);
+        const contracts = loadContracts(artifacts);
+        registryClient = new RegistryClient(contracts, registry);
+        const client = new HoustecaClient(contracts, housteca);
+        await client.createInvestmentProposal({
+            borrower,
+            symbol: await erc20.symbol(),
+            downpaymentRatio: toAmount(2, 17),
+            targetAmount,
+            totalPayments: toBN(12),
+            insuredPayments: toBN(6),
+            paymentAmount: toAmount(8009, 18),
+            perPaymentInterestRatio: toAmount(1619, 11)
+        }, {from: localNode});
+        loan = await client.createInvestment({from: borrower});
+        await loan.sendInitialStake({from: borrower});
+    });
+
+    it('should add and remove investors in batches', async () => {
+        const expiry = (await now()) + 30 * DAY;
+        const tx = await registryClient.addInvestors([
+            {address: investor, expiry, jurisdiction: 'ES', tier: 1},
+            {address: otherInvestor, expiry, jurisdiction: 'PT', tier: 2}
+        ], {from: localNode});
+        truffleAssert.eventEmitted(tx, 'InvestorAdded', ev => ev.investor === otherInvestor && ev.tier.eqn(2) && ev.officer === localNode);
+        const record = await registryClient.investor(otherInvestor);
+        assert.equal(record.jurisdiction, 'PT');
+        assert.equal(record.tier, 2);
+        assert.equal(record.expiry.toNumber(), expiry);
+        assert.isOk(record.verified);
+        assert.isNull(await registryClient.investor(outsider));
+        await truffleAssert.reverts(
+            registry.addInvestors([outsider], [expiry], [ES, US], [1], {from: localNode}),
+            'Housteca Registry: Every investor needs an expiry, a jurisdiction and a tier'
+        );
+        await truffleAssert.reverts(
+            registry.addInvestor(outsider, expiry, ES, 0, {from: localNode}),
+            'Housteca Registry: The tier must be greater than zero'
+        );
+        await truffleAssert.reverts(
+            registry.addInvestor(outsider, (await now()) - 1, ES, 1, {from: localNode}),
+            'Housteca Registry: The expiry must be in the future'
+        );
+        await registryClient.removeInvestors([investor, otherInvestor], {from: localNode});
+        assert.isNotOk(await housteca.isInvestor(investor));
+        assert.isNotOk(await housteca.isInvestor(otherInvestor));
+    });
+
+    it('should only let the verifier of an investor or an admin change its record', async () => {
+        const expiry = (await now()) + 30 * DAY;
+        await housteca.addAdmin(otherLocalNode, LOCAL_NODE_LEVEL, 0);
+        await registry.addInvestor(investor, expiry, ES, 1, {from: localNode});
+        assert.equal((await registryClient.investor(investor)).verifier, localNode);
+        await truffleAssert.reverts(
+            registry.addInvestor(investor, expiry, US, 2, {from: otherLocalNode}),
+            'Housteca Registry: The investor was verified by somebody else'
+        );
+        await truffleAssert.reverts(
+            registry.removeInvestor(investor, {from: otherLocalNode}),
+            'Housteca Registry: The investor was verified by somebody else'
+        );
+        await registry.addInvestor(investor, expiry, ES, 2, {from: localNode});
+        assert.equal((await registryClient.investor(investor)).tier, 2);
+
+        await registry.addInvestor(investor, expiry, US, 1, {from: manager});
+        assert.equal((await registryClient.investor(investor)).verifier, manager);
+        await registry.removeInvestor(investor, {from: manager});
+        await registry.addInvestor(investor, expiry, ES, 1, {from: otherLocalNode});
+        assert.equal((await registryClient.investor(investor)).verifier, otherLocalNode);
+    });
+
+    it('should not let expired investors invest', async () => {
+        await registry.addInvestor(investor, (await now()) + 2 * DAY, ES, 1, {from: localNode});
+        await loan.invest(toAmount(1000, 18), {from: investor});
+        await travel(3);
+        assert.isNotOk(await housteca.isInvestor(investor));
+        await truffleAssert.reverts(
+            loan.invest(toAmount(1000, 18), {from: investor}),
+            'Housteca Loan: An investor is required'
+        );
+    });
+
+    it('should not let the investors of a blocked jurisdiction invest', async () => {
+        await verifyInvestors(registry, [investor]);
+        await truffleAssert.reverts(
+            registry.setJurisdictionBlocked(ES, true, {from: localNode}),
+            'Housteca Registry: Insufficient administrator privileges'
+        );
+        const tx = await registry.setJurisdictionBlocked(ES, true);
+        truffleAssert.eventEmitted(tx, 'JurisdictionBlocked', ev => ev.blocked);
+        await truffleAssert.reverts(
+            loan.invest(toAmount(1000, 18), {from: investor}),
+            'Housteca Loan: An investor is required'
+        );
+        await registry.setJurisdictionBlocked(ES, false);
+        await loan.invest(toAmount(1000, 18), {from: investor});
+    });
+
+    it('should cap the share of each loan the investors of a tier can hold', async () => {
+        await registry.addInvestor(investor, (await now()) + 30 * DAY, ES, 2, {from: localNode});
+        await verifyInvestors(registry, [otherInvestor]);
+        await truffleAssert.reverts(
+            registry.setTierShareCap(2, toAmount(11, 17)),
+            'Housteca Registry: The cap cannot be greater than the whole loan'
+        );
+        await registry.setTierShareCap(2, toAmount(25, 16));
+        await loan.invest(toAmount(20000, 18), {from: investor});
+        await truffleAssert.reverts(
+            loan.invest(toAmount(4001, 18), {from: investor}),
+            'Housteca Registry: The investment exceeds the tier\'s loan share cap'
+        );
+        await loan.invest(toAmount(4000, 18), {from: investor});
+        await loan.invest(toAmount(72000, 18), {from: otherInvestor});
+
+        await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, localNode), {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, borrower), {from: borrower});
+        await loan.collectAllFunds({from: localNode});
+        await truffleAssert.reverts(
+            loan.transferPosition(investor, toAmount(1, 18), {from: otherInvestor}),
+            'Housteca Registry: The investment exceeds the tier\'s loan share cap'
+        );
+        await registry.setTierShareCap(2, 0);
+        await loan.transferPosition(investor, toAmount(1, 18), {from: otherInvestor});
+    });
+
+    it('should let the investors of a bankrupt loan collect their property after their records expire', async () => {
+        await verifyInvestors(registry, [investor, otherInvestor]);
+        await loan.invest(toAmount(24000, 18), {from: investor});
+        await loan.invest(toAmount(72000, 18), {from: otherInvestor});
+        await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, localNode), {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, borrower), {from: borrower});
+        await loan.collectAllFunds({from: localNode});
+        while (await loan.status() !== 'BANKRUPT') {
+            await travel(36);
+            await loan.update({from: outsider});
+        }
+        await registry.removeInvestor(investor, {from: manager});
+        assert.isNotOk(await registry.isVerified(investor));
+
+        const partition = await loan.loan.partition();
+        const amount = await loan.loan.propertyTokenAmount(investor);
+        await loan.collectProperty({from: investor});
+        assert.equal((await propertyToken.balanceOfByPartition(partition, investor)).toString(), amount.toString());
+        assert.isNotOk(await registry.canValidate('0x00000000', partition, loan.address, loan.address, outsider, 1, NO_DATA, NO_DATA));
+    });
+
+    it('should only let the property partitions go to loans and verified investors', async () => {
+        await verifyInvestors(registry, [investor]);
+        const partition = await loan.loan.partition();
+        assert.equal((await propertyToken.balanceOfByPartition(partition, loan.address)).toString(), toAmount(1, 18).toString());
+        const validate = to => registry.canValidate('0x00000000', partition, loan.address, loan.address, to, 1, NO_DATA, NO_DATA);
+        assert.isOk(await validate(investor));
+        assert.isOk(await validate(loan.address));
+        assert.isNotOk(await validate(outsider));
+        assert.isOk(await validate(borrower));
+        assert.isNotOk(await registry.canValidate('0x00000000', partition, investor, investor, borrower, 1, NO_DATA, NO_DATA));
+        await truffleAssert.reverts(
+            registry.tokensToValidate('0x00000000', partition, loan.address, loan.address, outsider, 1, NO_DATA, NO_DATA),
+            'Housteca Registry: The holder is not a verified investor'
+        );
+    });
+});
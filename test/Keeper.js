@@ -0,0 +1,72 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const { singletons } = require('@openzeppelin/test-helpers');
+const { HoustecaClient, Keeper, loadContracts } = require('../src');
+const { travel } = require('./helpers/time');
+const { deployHousteca } = require('./helpers/deploy');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+
+const silent = { log: () => {}, error: () => {} };
+
+
+contract('Keeper', accounts => {
+    const manager = accounts[0];
+    const localNode = accounts[1];
+    const keeperAccount = accounts[4];
+    const borrower = accounts[8];
+    let keeper, loan;
+
+    beforeEach(async () => {
+        await singletons.ERC1820Registry(manager);
+        const erc20 = await TestERC20Token.new();
+        const { housteca } = await deployHousteca();
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, toAmount(2, 16));
+        await housteca.addToken(await erc20.symbol(), erc20.address);
+        const client = new HoustecaClient(loadContracts(artifacts), housteca);
+        await client.createInvestmentProposal({
+            borrower,
+            symbol: await erc20.symbol(),
+            downpaymentRatio: toAmount(2, 17),
+            targetAmount: toAmount(96000, 18),
+            totalPayments: toBN(12),
+            insuredPayments: toBN(6),
+            paymentAmount: toAmount(8009, 18),
+            perPaymentInterestRatio: toAmount(1619, 11)
+        }, {from: localNode});
+        loan = await client.createInvestment({from: borrower});
+        keeper = new Keeper({
+            contracts: client.contracts,
+            housteca,
+            from: keeperAccount,
+            retryDelay: 0,
+            logger: silent
+        });
+    });
+
+    it('should not update loans before their deadlines', async () => {
+        const transitions = await keeper.tick();
+        assert.deepEqual(transitions, []);
+        assert.equal(await loan.status(), 'AWAITING_STAKE');
+    });
+
+    it('should update loans whose stake deposit period expired', async () => {
+        await travel(16);
+        assert.deepEqual(await keeper.expiredPeriods(loan.loan), ['stakeDepositPeriodExpired']);
+        const transitions = await keeper.tick();
+        assert.deepEqual(transitions, [{loan: loan.address, from: 'AWAITING_STAKE', to: 'UNCOMPLETED'}]);
+        assert.equal(await loan.status(), 'UNCOMPLETED');
+        assert.deepEqual(await keeper.tick(), []);
+    });
+
+    it('should keep track of its nonce', async () => {
+        await travel(16);
+        await web3.eth.sendTransaction({from: keeperAccount, to: manager, value: 1});
+        await keeper.tick();
+        const nonce = await web3.eth.getTransactionCount(keeperAccount);
+        assert.equal(keeper._nonce, nonce);
+    });
+});
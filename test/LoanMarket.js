@@ -0,0 +1,171 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const truffleAssert = require('truffle-assertions');
+const { singletons } = require('@openzeppelin/test-helpers');
+const { HoustecaClient, MarketClient, loadContracts } = require('../src');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+const DOCUMENT_HASH = web3.utils.keccak256('LoanMarket test deed');
+
+
+contract('LoanMarket', accounts => {
+    const manager = accounts[0];
+    const localNode = accounts[1];
+    const outsider = accounts[4];
+    const seller = accounts[5];
+    const investor = accounts[6];
+    const buyer = accounts[7];
+    const borrower = accounts[8];
+    const targetAmount = toAmount(96000, 18);
+    const paymentAmount = toAmount(8009, 18);
+    let erc20, housteca, market, client, loan;
+
+    const pay = async () => {
+        const amount = await loan.loan.nextPaymentAmount();
+        await erc20.approve(loan.address, amount, {from: borrower});
+        await loan.loan.pay({from: borrower});
+    };
+
+    beforeEach(async () => {
+        await singletons.ERC1820Registry(manager);
+        erc20 = await TestERC20Token.new();
+        let loanMarket, registry;
+        ({ housteca, market: loanMarket, registry } = await deployHousteca());
+        for (const account of [seller, investor, buyer, borrower]) {
+            await erc20.transfer(account, toAmount(1000000, 18));
+        }
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addToken(await erc20.symbol(), erc20.address);
+        await verifyInvestors(registry, [seller, investor, buyer]);
+        const contracts = loadContracts(artifacts);
+        client = new HoustecaClient(contracts, housteca);
+        market = new MarketClient(contracts, loanMarket);
+        await client.createInvestmentProposal({
+            borrower,
+            symbol: await erc20.symbol(),
+            downpaymentRatio: toAmount(2, 17),
+            targetAmount,
+            totalPayments: toBN(12),
+            insuredPayments: toBN(6),
+            paymentAmount,
+            perPaymentInterestRatio: toAmount(1619, 11)
+        }, {from: localNode});
+        loan = await client.createInvestment({from: borrower});
+        await loan.sendInitialStake({from: borrower});
+        await loan.invest(toAmount(64000, 18), {from: seller});
+        await loan.invest(toAmount(32000, 18), {from: investor});
+        await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, localNode), {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, borrower), {from: borrower});
+        await loan.collectAllFunds({from: localNode});
+        assert.equal(await loan.status(), 'ACTIVE');
+    });
+
+    it('should let an investor transfer part of their position', async () => {
+        const amount = toAmount(16000, 18);
+        const tx = await loan.transferPosition(buyer, amount, {from: seller});
+        truffleAssert.eventEmitted(tx, 'PositionTransferred', ev => ev.from === seller && ev.to === buyer && ev.amount.eq(amount));
+        assert.equal((await loan.loan._investments(seller)).toString(), toAmount(48000, 18).toString());
+        assert.equal((await loan.loan._investments(buyer)).toString(), amount.toString());
+        await pay();
+        const oldBalance = await erc20.balanceOf(buyer);
+        await loan.collectEarnings({from: buyer});
+        const newBalance = await erc20.balanceOf(buyer);
+        const ratio = await loan.loan.investmentRatio(buyer);
+        assert.equal(newBalance.sub(oldBalance).toString(), paymentAmount.mul(ratio).div(toAmount(1, 18)).toString());
+    });
+
+    it('should not let a position change hands with earnings pending', async () => {
+        await pay();
+        await truffleAssert.reverts(
+            loan.transferPosition(buyer, toAmount(16000, 18), {from: seller}),
+            'Housteca Loan: Earnings must be collected before transferring a position'
+        );
+        await loan.collectEarnings({from: seller});
+        await loan.transferPosition(buyer, toAmount(16000, 18), {from: seller});
+        assert.equal((await loan.loan._timesCollected(buyer)).toNumber(), 1);
+        await truffleAssert.reverts(loan.collectEarnings({from: buyer}), 'Housteca Loan: Not enough funds to collect');
+        await truffleAssert.reverts(
+            loan.transferPosition(seller, toAmount(1000, 18), {from: investor}),
+            'Housteca Loan: Earnings must be collected before transferring a position'
+        );
+    });
+
+    it('should only transfer positions to verified investors', async () => {
+        await truffleAssert.reverts(
+            loan.transferPosition(outsider, toAmount(1000, 18), {from: seller}),
+            'Housteca Loan: An investor is required'
+        );
+        await truffleAssert.reverts(
+            loan.transferPosition(buyer, toAmount(64001, 18), {from: seller}),
+            'Housteca Loan: Invalid amount to transfer'
+        );
+        await truffleAssert.reverts(
+            loan.loan.transferPositionFrom(seller, buyer, toAmount(1000, 18), {from: buyer}),
+            'Housteca Loan: Not allowed to transfer this position'
+        );
+    });
+
+    it('should sell positions through fixed price offers', async () => {
+        const amount = toAmount(32000, 18);
+        const price = toAmount(33000, 18);
+        const id = await market.list(loan.address, amount, price, {from: seller});
+        const offers = await market.offers(loan.address);
+        assert.equal(offers.length, 1);
+        assert.equal(offers[0].id, id);
+        assert.equal(offers[0].seller, seller);
+        assert.equal(offers[0].amount.toString(), amount.toString());
+        const sellerBalance = await erc20.balanceOf(seller);
+        const buyerBalance = await erc20.balanceOf(buyer);
+        const tx = await market.buy(id, {from: buyer});
+        truffleAssert.eventEmitted(tx, 'OfferTaken', ev => ev.offerId.toNumber() === id && ev.buyer === buyer);
+        assert.equal((await erc20.balanceOf(seller)).sub(sellerBalance).toString(), price.toString());
+        assert.equal(buyerBalance.sub(await erc20.balanceOf(buyer)).toString(), price.toString());
+        assert.equal((await loan.loan._investments(seller)).toString(), toAmount(32000, 18).toString());
+        assert.equal((await loan.loan._investments(buyer)).toString(), amount.toString());
+        assert.deepEqual(await market.offers(), []);
+        await truffleAssert.reverts(market.market.buy(id, {from: buyer}), 'Housteca Market: The offer is not open');
+    });
+
+    it('should let only the seller cancel an offer', async () => {
+        const id = await market.list(loan.address, toAmount(1000, 18), toAmount(1000, 18), {from: seller});
+        await truffleAssert.reverts(market.cancel(id, {from: buyer}), 'Housteca Market: Only the seller can cancel the offer');
+        await market.cancel(id, {from: seller});
+        assert.isNull(await market.offer(id));
+    });
+
+    it('should reject offers that cannot be fulfilled', async () => {
+        await truffleAssert.reverts(
+            market.market.createOffer(erc20.address, 1, 1, {from: seller}),
+            'Housteca Market: Unknown loan'
+        );
+        await truffleAssert.reverts(
+            market.market.createOffer(loan.address, toAmount(64001, 18), 1, {from: seller}),
+            'Housteca Market: Invalid amount'
+        );
+        await truffleAssert.reverts(
+            market.market.createOffer(loan.address, toAmount(1000, 18), 0, {from: seller}),
+            'Housteca Market: Invalid price'
+        );
+        const id = await market.list(loan.address, toAmount(1000, 18), toAmount(1000, 18), {from: seller});
+        await erc20.transfer(outsider, toAmount(1000, 18));
+        await erc20.approve(market.address, toAmount(1000, 18), {from: outsider});
+        await truffleAssert.reverts(market.market.buy(id, {from: outsider}), 'Housteca Loan: An investor is required');
+    });
+
+    it('should not sell a position the seller no longer holds', async () => {
+        const id = await market.list(loan.address, toAmount(64000, 18), toAmount(64000, 18), {from: seller});
+        await loan.transferPosition(investor, toAmount(32000, 18), {from: seller});
+        await erc20.approve(market.address, toAmount(64000, 18), {from: buyer});
+        await truffleAssert.reverts(
+            market.market.buy(id, {from: buyer}),
+            'Housteca Market: The seller no longer holds the position'
+        );
+        assert.isOk(await market.market.isOpen(id));
+    });
+});
@@ -0,0 +1,106 @@
+const Loan = artifacts.require('Loan');
+const TestERC20Token = artifacts.require('TestERC20Token');
+const truffleAssert = require('truffle-assertions');
+const { HoustecaClient, loadContracts } = require('../src');
+const { deployHousteca } = require('./helpers/deploy');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const ADMIN_LEVEL = 254;
+const LOCAL_NODE_LEVEL = 253;
+
+/** Gets the implementation an EIP-1167 clone delegates to, or null if the code is not a clone */
+const cloneImplementation = async address => {
+    const code = await web3.eth.getCode(address);
+    const match = code.match(/^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/);
+    return match ? web3.utils.toChecksumAddress(`0x${match[1]}`) : null;
+};
+
+
+contract('LoanVersions', accounts => {
+    const root = accounts[0];
+    const localNode = accounts[1];
+    const admin = accounts[2];
+    const borrower = accounts[8];
+    const otherBorrower = accounts[9];
+    let housteca, loanImplementation, client, symbol;
+
+    const createInvestment = async from => {
+        await client.createInvestmentProposal({
+            borrower: from,
+            symbol,
+            downpaymentRatio: toAmount(2, 17),
+            targetAmount: toAmount(96000, 18),
+            totalPayments: toBN(12),
+            insuredPayments: toBN(6),
+            paymentAmount: toAmount(8009, 18),
+            perPaymentInterestRatio: toAmount(1619, 11)
+        }, {from: localNode});
+        const tx = await housteca.createInvestment({from});
+        const event = tx.logs.find(log => log.event === 'InvestmentCreated');
+        return { tx, loan: await Loan.at(event.args.contractAddress), version: event.args.loanVersion.toNumber() };
+    };
+
+    beforeEach(async () => {
+        const erc20 = await TestERC20Token.new();
+        ({ housteca, loanImplementation } = await deployHousteca());
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addAdmin(admin, ADMIN_LEVEL, 0);
+        symbol = await erc20.symbol();
+        await housteca.addToken(symbol, erc20.address);
+        client = new HoustecaClient(loadContracts(artifacts), housteca);
+    });
+
+    it('should create the loans as clones of the current version', async () => {
+        assert.equal(await housteca.loanImplementation(), loanImplementation.address);
+        const { loan, version } = await createInvestment(borrower);
+        assert.equal(version, 1);
+        assert.equal(await cloneImplementation(loan.address), loanImplementation.address);
+        assert.equal(await loan._housteca(), housteca.address);
+        assert.equal(await loan._borrower(), borrower);
+        assert.equal((await loan._status()).toNumber(), 0);
+        await truffleAssert.reverts(
+            loan.initialize(otherBorrower, {from: otherBorrower}),
+            'Housteca Loan: The loan is already initialized'
+        );
+    });
+
+    it('should let the admins register and switch loan versions', async () => {
+        const { loan: oldLoan } = await createInvestment(borrower);
+        const newImplementation = await Loan.new({gas: 75e5});
+        await truffleAssert.reverts(
+            housteca.addLoanVersion(newImplementation.address, {from: admin}),
+            'Housteca: Insufficient administrator privileges'
+        );
+        await truffleAssert.reverts(
+            housteca.addLoanVersion(otherBorrower, {from: root}),
+            'Housteca: The loan implementation must be a contract'
+        );
+        const tx = await housteca.addLoanVersion(newImplementation.address, {from: root});
+        truffleAssert.eventEmitted(tx, 'LoanVersionAdded', ev => ev.version.eqn(2) && ev.implementation === newImplementation.address);
+        assert.equal(await housteca.loanImplementation(), loanImplementation.address);
+
+        await truffleAssert.reverts(housteca.setLoanVersion(3, {from: admin}), 'Housteca: Unknown loan version');
+        await truffleAssert.reverts(housteca.setLoanVersion(0, {from: admin}), 'Housteca: Unknown loan version');
+        await housteca.setLoanVersion(2, {from: admin});
+        assert.deepEqual(await client.loanVersions(), [
+            { version: 1, implementation: loanImplementation.address, current: false },
+            { version: 2, implementation: newImplementation.address, current: true }
+        ]);
+
+        const { loan: newLoan, version } = await createInvestment(otherBorrower);
+        assert.equal(version, 2);
+        assert.equal(await cloneImplementation(newLoan.address), newImplementation.address);
+        assert.equal(await cloneImplementation(oldLoan.address), loanImplementation.address);
+    });
+
+    it('should create loans for a fraction of the gas of deploying them', async () => {
+        const deployment = await web3.eth.getTransactionReceipt((await Loan.new({gas: 75e5})).transactionHash);
+        const { tx } = await createInvestment(borrower);
+        // creating a loan used to deploy the whole Loan contract and initialize it
+        // in its constructor, so deploying the code alone is a lower bound of that
+        assert.isBelow(tx.receipt.gasUsed, deployment.gasUsed / 4);
+    });
+});
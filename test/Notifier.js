@@ -0,0 +1,205 @@
+const http = require('http');
+const TestERC20Token = artifacts.require('TestERC20Token');
+const { HoustecaClient, Notifier, SubscriptionStore, StubTransport, WebhookTransport, loadContracts } = require('../src');
+const { travelTo } = require('./helpers/time');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+const DAY = 24 * 60 * 60;
+const DOCUMENT_HASH = web3.utils.keccak256('Notifier test deed');
+
+const silent = { log: () => {}, error: () => {} };
+
+
+contract('Notifier', accounts => {
+    const localNode = accounts[1];
+    const notary = accounts[3];
+    const investor = accounts[7];
+    const borrower = accounts[8];
+    const targetAmount = toAmount(96000, 18);
+    let loan, store, stub, notifier;
+
+    const kindsOf = (notifications, recipient) => notifications
+        .filter(notification => notification.recipient === recipient)
+        .map(notification => notification.kind);
+
+    const signAll = async () => {
+        await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+        for (const signer of [borrower, localNode, notary]) {
+            await loan.signDocument(await signDocument(loan.loan, signer), {from: signer});
+        }
+    };
+
+    beforeEach(async () => {
+        const fromBlock = await web3.eth.getBlockNumber();
+        const erc20 = await TestERC20Token.new();
+        await erc20.transfer(borrower, toAmount(1000000, 18));
+        await erc20.transfer(investor, toAmount(1000000, 18));
+        const { housteca, registry } = await deployHousteca();
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, toAmount(2, 16));
+        await housteca.addToken(await erc20.symbol(), erc20.address);
+        await verifyInvestors(registry, [investor]);
+        const client = new HoustecaClient(loadContracts(artifacts), housteca);
+        await client.createInvestmentProposal({
+            borrower,
+            symbol: await erc20.symbol(),
+            downpaymentRatio: toAmount(2, 17),
+            targetAmount,
+            totalPayments: toBN(12),
+            insuredPayments: toBN(6),
+            paymentAmount: toAmount(8009, 18),
+            perPaymentInterestRatio: toAmount(1619, 11),
+            signers: [{address: notary, role: 'NOTARY'}]
+        }, {from: localNode});
+        loan = await client.createInvestment({from: borrower});
+        await loan.sendInitialStake({from: borrower});
+
+        store = new SubscriptionStore();
+        for (const account of [borrower, localNode, notary, investor]) {
+            store.subscribe(account, {transport: 'stub', target: account});
+        }
+        stub = new StubTransport();
+        notifier = new Notifier({
+            contracts: client.contracts,
+            housteca,
+            store,
+            transports: {stub},
+            fromBlock,
+            logger: silent
+        });
+    });
+
+    it('should notify the status changes and the funding progress', async () => {
+        let delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, borrower), ['STATUS_CHANGED']);
+        assert.deepEqual(kindsOf(delivered, localNode), ['STATUS_CHANGED']);
+        assert.deepEqual(kindsOf(delivered, investor), []);
+        assert.equal(delivered[0].data.to, 'FUNDING');
+
+        await loan.invest(toAmount(48000, 18), {from: investor});
+        delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, borrower), ['FUNDING_PROGRESS']);
+        assert.deepEqual(kindsOf(delivered, localNode), ['FUNDING_PROGRESS']);
+        assert.equal(delivered[0].data.milestone, 50);
+        assert.deepEqual(await notifier.tick(), []);
+
+        await loan.invest(toAmount(48000, 18), {from: investor});
+        delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, borrower), ['STATUS_CHANGED', 'FUNDING_PROGRESS']);
+        assert.deepEqual(kindsOf(delivered, investor), ['STATUS_CHANGED']);
+        assert.equal(delivered[0].data.to, 'AWAITING_SIGNATURES');
+    });
+
+    it('should ask for the signatures and tell when they are ready', async () => {
+        await loan.invest(targetAmount, {from: investor});
+        await notifier.tick();
+        await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, borrower), {from: borrower});
+        let delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, notary), ['SIGNATURE_REQUIRED']);
+        assert.deepEqual(kindsOf(delivered, localNode), ['SIGNATURE_REQUIRED']);
+        assert.deepEqual(kindsOf(delivered, borrower), []);
+        assert.equal(delivered[0].data.documentHash, DOCUMENT_HASH);
+
+        for (const signer of [localNode, notary]) {
+            await loan.signDocument(await signDocument(loan.loan, signer), {from: signer});
+        }
+        delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, borrower), ['SIGNATURES_READY']);
+        assert.deepEqual(kindsOf(delivered, localNode), ['SIGNATURES_READY']);
+    });
+
+    it('should remind the borrower of his payments and the investors of their earnings', async () => {
+        await loan.invest(targetAmount, {from: investor});
+        await signAll();
+        await loan.collectAllFunds({from: localNode});
+        await notifier.tick();
+        stub.clear();
+
+        const nextPayment = (await loan.loan._nextPayment()).toNumber();
+        await travelTo(nextPayment - 4 * DAY);
+        assert.deepEqual(await notifier.tick(), []);
+        await travelTo(nextPayment - 2 * DAY);
+        let delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, borrower), ['PAYMENT_DUE']);
+        assert.equal(delivered[0].data.nextPayment, nextPayment);
+        assert.equal(delivered[0].data.amount, toAmount(8009, 18).toString());
+        assert.deepEqual(await notifier.tick(), []);
+
+        await loan.pay({from: borrower});
+        delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, investor), ['EARNINGS_COLLECTABLE']);
+        const [{ collectable }] = await notifier.client.portfolio(investor);
+        assert.equal(delivered[0].data.amount, collectable.toString());
+        await loan.collectEarnings({from: investor});
+        assert.deepEqual(kindsOf(await notifier.tick(), investor), []);
+    });
+
+    it('should only deliver the subscribed kinds', async () => {
+        store.subscribe(borrower, {transport: 'stub', target: borrower, kinds: ['PAYMENT_DUE']});
+        store.unsubscribe(localNode);
+        const delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, borrower), []);
+        assert.deepEqual(kindsOf(delivered, localNode), []);
+        assert.deepEqual(store.subscriptions(localNode), []);
+    });
+
+    it('should try the failed deliveries again', async () => {
+        let fail = true;
+        notifier.transports.flaky = {
+            deliver: async (target, notification) => {
+                if (fail) {
+                    throw new Error('Service unavailable');
+                }
+                return stub.deliver(target, notification);
+            }
+        };
+        store.subscribe(borrower, {transport: 'flaky', target: 'https://example.com/hook'});
+        let delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, borrower), ['STATUS_CHANGED']);
+        assert.isNull(store.lastBlock);
+
+        fail = false;
+        delivered = await notifier.tick();
+        assert.deepEqual(kindsOf(delivered, borrower), ['STATUS_CHANGED']);
+        assert.deepEqual(stub.delivered.filter(delivery => delivery.notification.recipient === borrower).map(delivery => delivery.target), [
+            borrower,
+            'https://example.com/hook'
+        ]);
+        assert.equal(store.lastBlock, await web3.eth.getBlockNumber());
+    });
+
+    it('should post the notifications to webhooks', async () => {
+        const received = [];
+        const server = http.createServer((request, response) => {
+            let body = '';
+            request.on('data', chunk => { body += chunk; });
+            request.on('end', () => {
+                received.push({url: request.url, secret: request.headers['x-secret'], body: JSON.parse(body)});
+                response.statusCode = request.url === '/down' ? 503 : 204;
+                response.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${server.address().port}`;
+        try {
+            const webhook = new WebhookTransport({headers: {'X-Secret': 'secret'}});
+            const notification = {kind: 'PAYMENT_DUE', loan: loan.address, recipient: borrower};
+            assert.equal(await webhook.deliver(`${url}/hook`, notification), 204);
+            assert.deepEqual(received, [{url: '/hook', secret: 'secret', body: notification}]);
+            try {
+                await webhook.deliver(`${url}/down`, notification);
+                assert.fail('a failed delivery should reject');
+            } catch (error) {
+                assert.match(error.message, /answered 503/);
+            }
+        } finally {
+            server.close();
+        }
+    });
+});
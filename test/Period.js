@@ -0,0 +1,47 @@
+const TestPeriod = artifacts.require('TestPeriod');
+
+
+const SECONDS = 0;
+const MONTHS = 1;
+
+const timestamp = (date) => Math.floor(Date.parse(date) / 1000);
+
+
+contract('Period', () => {
+    let period;
+
+    before(async () => {
+        period = await TestPeriod.new();
+    });
+
+    const addMonths = async (date, months) => {
+        const result = await period.add(timestamp(date), months, MONTHS);
+        return new Date(result.toNumber() * 1000).toISOString();
+    };
+
+    it('should add seconds', async () => {
+        const result = await period.add(1000, 30 * 24 * 60 * 60, SECONDS);
+        assert.equal(result.toNumber(), 1000 + 30 * 24 * 60 * 60);
+    });
+
+    it('should convert timestamps to dates', async () => {
+        const date = await period.toDate(timestamp('2024-02-29T12:00:00Z'));
+        assert.deepEqual(Object.values(date).map(value => value.toNumber()), [2024, 2, 29]);
+        const epoch = await period.toDate(0);
+        assert.deepEqual(Object.values(epoch).map(value => value.toNumber()), [1970, 1, 1]);
+    });
+
+    it('should keep the day of the month and the time of the day', async () => {
+        assert.equal(await addMonths('2020-01-15T10:30:00Z', 1), '2020-02-15T10:30:00.000Z');
+        assert.equal(await addMonths('2020-11-15T10:30:00Z', 3), '2021-02-15T10:30:00.000Z');
+        assert.equal(await addMonths('2020-06-01T00:00:00Z', 12), '2021-06-01T00:00:00.000Z');
+    });
+
+    it('should fall back to the last day of shorter months', async () => {
+        assert.equal(await addMonths('2021-01-31T08:00:00Z', 1), '2021-02-28T08:00:00.000Z');
+        assert.equal(await addMonths('2024-01-31T08:00:00Z', 1), '2024-02-29T08:00:00.000Z');
+        assert.equal(await addMonths('2021-01-31T08:00:00Z', 2), '2021-03-31T08:00:00.000Z');
+        assert.equal(await addMonths('2021-03-31T08:00:00Z', 1), '2021-04-30T08:00:00.000Z');
+        assert.equal(await addMonths('2100-01-29T00:00:00Z', 1), '2100-02-28T00:00:00.000Z');
+    });
+});
@@ -0,0 +1,133 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const truffleAssert = require('truffle-assertions');
+const { singletons } = require('@openzeppelin/test-helpers');
+const { HoustecaClient, loadContracts } = require('../src');
+const { travel } = require('./helpers/time');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+const RATIO = toAmount(1, 18);
+const DOCUMENT_HASH = web3.utils.keccak256('Portfolio test deed');
+
+
+contract('Portfolio', accounts => {
+    const manager = accounts[0];
+    const localNode = accounts[1];
+    const outsider = accounts[4];
+    const buyer = accounts[5];
+    const investor = accounts[6];
+    const otherInvestor = accounts[7];
+    const borrowers = [accounts[8], accounts[9]];
+    const targetAmount = toAmount(96000, 18);
+    const paymentAmount = toAmount(8009, 18);
+    let erc20, housteca, registry, client, loans;
+
+    const createActiveLoan = async borrower => {
+        await client.createInvestmentProposal({
+            borrower,
+            symbol: await erc20.symbol(),
+            downpaymentRatio: toAmount(2, 17),
+            targetAmount,
+            totalPayments: toBN(12),
+            insuredPayments: toBN(6),
+            paymentAmount,
+            perPaymentInterestRatio: toAmount(1619, 11)
+        }, {from: localNode});
+        const loan = await client.createInvestment({from: borrower});
+        await loan.sendInitialStake({from: borrower});
+        await loan.invest(toAmount(32000, 18), {from: investor});
+        await loan.invest(toAmount(64000, 18), {from: otherInvestor});
+        await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, localNode), {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, borrower), {from: borrower});
+        await loan.collectAllFunds({from: localNode});
+        return loan;
+    };
+
+    const pay = async (loan, borrower) => {
+        await travel(31);
+        await loan.pay({from: borrower});
+    };
+
+    const share = amount => amount.mul(toAmount(32000, 18).mul(RATIO).div(targetAmount)).div(RATIO);
+
+    beforeEach(async () => {
+        await singletons.ERC1820Registry(manager);
+        erc20 = await TestERC20Token.new();
+        ({ housteca, registry } = await deployHousteca());
+        for (const account of [investor, otherInvestor, ...borrowers]) {
+            await erc20.transfer(account, toAmount(1000000, 18));
+        }
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addToken(await erc20.symbol(), erc20.address);
+        await verifyInvestors(registry, [investor, otherInvestor]);
+        client = new HoustecaClient(loadContracts(artifacts), housteca);
+        loans = [await createActiveLoan(borrowers[0]), await createActiveLoan(borrowers[1])];
+    });
+
+    it('should list the positions of an investor with what he can collect', async () => {
+        await pay(loans[0], borrowers[0]);
+        await pay(loans[0], borrowers[0]);
+        await loans[1].update({from: outsider});
+        assert.equal(await loans[1].status(), 'DEFAULT');
+        const portfolio = await client.portfolio(investor);
+        assert.deepEqual(portfolio.map(position => position.loan), loans.map(loan => loan.address));
+        const [first, second] = portfolio;
+        assert.equal(first.status, 'ACTIVE');
+        assert.equal(first.invested.toString(), toAmount(32000, 18).toString());
+        assert.equal(first.collectablePayments.toString(), share(paymentAmount).muln(2).toString());
+        assert.equal(first.collectableInsurance.toString(), '0');
+        assert.equal(second.status, 'DEFAULT');
+        assert.equal(second.collectablePayments.toString(), '0');
+        assert.equal(second.collectableInsurance.toString(), share(paymentAmount).toString());
+        assert.equal(second.collectable.toString(), second.collectableInsurance.toString());
+        assert.equal(second.propertyTokens.toString(), (await loans[1].loan.propertyTokenAmount(investor)).toString());
+        assert.deepEqual(await client.portfolio(outsider), []);
+    });
+
+    it('should collect the earnings of every loan at once', async () => {
+        await pay(loans[0], borrowers[0]);
+        await pay(loans[0], borrowers[0]);
+        await loans[1].update({from: outsider});
+        const expected = (await client.portfolio(investor))
+            .reduce((total, position) => total.add(position.collectable), toBN(0));
+        const oldBalance = await erc20.balanceOf(investor);
+        await client.collectAll({from: investor});
+        const newBalance = await erc20.balanceOf(investor);
+        assert.equal(newBalance.sub(oldBalance).toString(), expected.toString());
+        const events = await loans[0].loan.getPastEvents('EarningsCollected', {fromBlock: 0});
+        assert.equal(events.filter(event => event.args.investor === investor).length, 2);
+        for (const position of await client.portfolio(investor)) {
+            assert.equal(position.collectable.toString(), '0');
+        }
+        assert.isOk(await loans[1].loan.hasCollectedEarnings(investor));
+        await client.collectAll({from: investor});
+        assert.equal((await erc20.balanceOf(investor)).toString(), newBalance.toString());
+    });
+
+    it('should list the positions an investor receives and drop the ones transferred', async () => {
+        await verifyInvestors(registry, [buyer]);
+        await loans[1].transferPosition(buyer, toAmount(32000, 18), {from: investor});
+        assert.deepEqual((await client.portfolio(investor)).map(position => position.loan), [loans[0].address]);
+        assert.deepEqual((await client.portfolio(buyer)).map(position => position.loan), [loans[1].address]);
+        await pay(loans[1], borrowers[1]);
+        const oldBalance = await erc20.balanceOf(buyer);
+        await client.collectAll({from: buyer});
+        assert.equal((await erc20.balanceOf(buyer)).sub(oldBalance).toString(), share(paymentAmount).toString());
+    });
+
+    it('should only let the investor or Housteca collect all his earnings from a loan', async () => {
+        await pay(loans[0], borrowers[0]);
+        await truffleAssert.reverts(
+            loans[0].loan.collectAllEarnings(investor, {from: outsider}),
+            'Housteca Loan: permission denied'
+        );
+        await loans[0].collectAllEarnings(otherInvestor);
+        await truffleAssert.reverts(loans[0].collectEarnings({from: otherInvestor}), 'Housteca Loan: Not enough funds to collect');
+    });
+});
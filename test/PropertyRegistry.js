@@ -0,0 +1,178 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const truffleAssert = require('truffle-assertions');
+const { HoustecaClient, PropertyRegistryClient, loadContracts, resolveListing } = require('../src');
+const { deployHousteca } = require('./helpers/deploy');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+const role = name => web3.utils.padRight(web3.utils.utf8ToHex(name), 64);
+
+const LOCAL_NODE_LEVEL = 253;
+const APPRAISER = role('APPRAISER');
+const IMAGES = ['QmFront', 'QmKitchen', 'QmGarden', 'QmPool'];
+const DETAILS_HASH = 'QmDetails';
+
+const METADATA = {
+    location: 'Calle Mayor 1, 28013 Madrid',
+    cadastralReference: '9872023VH5797S0001WX',
+    valuation: toAmount(120000, 18),
+    appraisalHash: web3.utils.sha3('appraisal'),
+    surface: 85,
+    propertyType: 'APARTMENT',
+    detailsHash: DETAILS_HASH
+};
+
+
+contract('PropertyRegistry', accounts => {
+    const localNode = accounts[1];
+    const otherLocalNode = accounts[2];
+    const appraiser = accounts[3];
+    const outsider = accounts[4];
+    const borrower = accounts[8];
+    let housteca, client, properties;
+
+    const createProposal = async () => client.createInvestmentProposal({
+        borrower,
+        symbol: 'T20',
+        downpaymentRatio: toAmount(2, 17),
+        targetAmount: toAmount(96000, 18),
+        totalPayments: toBN(12),
+        insuredPayments: toBN(6),
+        paymentAmount: toAmount(8009, 18),
+        perPaymentInterestRatio: toAmount(1619, 11)
+    }, {from: localNode});
+
+    const createLoan = async () => (await client.createInvestment({from: borrower})).address;
+
+    beforeEach(async () => {
+        const erc20 = await TestERC20Token.new();
+        let propertyRegistry;
+        ({ housteca, propertyRegistry } = await deployHousteca());
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addAdmin(otherLocalNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addToken('T20', erc20.address);
+        const contracts = loadContracts(artifacts);
+        client = new HoustecaClient(contracts, housteca);
+        properties = new PropertyRegistryClient(contracts, propertyRegistry);
+    });
+
+    it('should carry the metadata of the proposal over to its loan', async () => {
+        await truffleAssert.reverts(
+            properties.setProposalMetadata(borrower, METADATA, {from: localNode}),
+            'Housteca Properties: There is no investment proposal for this address'
+        );
+        await createProposal();
+        await truffleAssert.reverts(
+            properties.setProposalMetadata(borrower, METADATA, {from: otherLocalNode}),
+            'Housteca Properties: permission denied'
+        );
+        await truffleAssert.reverts(
+            properties.setProposalMetadata(borrower, {...METADATA, valuation: 0}, {from: localNode}),
+            'Housteca Properties: The valuation must be greater than zero'
+        );
+        await properties.setProposalMetadata(borrower, METADATA, {from: localNode});
+
+        const loan = await createLoan();
+        const events = await properties.registry.getPastEvents('MetadataUpdated', {fromBlock: 0});
+        assert.equal(events.length, 1);
+        assert.equal(events[0].args.loan, loan);
+        assert.equal(events[0].args.editor, localNode);
+        const metadata = await properties.metadata(loan);
+        assert.equal(metadata.version, 1);
+        assert.equal(metadata.cadastralReference, METADATA.cadastralReference);
+        assert.equal(metadata.valuation.toString(), METADATA.valuation.toString());
+        assert.equal(metadata.surface, 85);
+        assert.equal(metadata.propertyType, 'APARTMENT');
+        assert.equal((await properties.registry.proposalMetadata(borrower)).cadastralReference, '');
+    });
+
+    it('should not give a loan the metadata of a former proposal', async () => {
+        await createProposal();
+        await properties.setProposalMetadata(borrower, METADATA, {from: localNode});
+        // a new proposal replaces the former one, metadata included
+        await createProposal();
+        const loan = await createLoan();
+        assert.isNull(await properties.metadata(loan));
+        await truffleAssert.reverts(
+            properties.registry.metadataAt(loan, 1),
+            'Housteca Properties: Unknown metadata version'
+        );
+    });
+
+    it('should keep every version of the metadata', async () => {
+        await createProposal();
+        await properties.setProposalMetadata(borrower, METADATA, {from: localNode});
+        const loan = await createLoan();
+        const appraisal = {...METADATA, valuation: toAmount(115000, 18), appraisalHash: web3.utils.sha3('new appraisal')};
+        await truffleAssert.reverts(
+            properties.updateMetadata(loan, appraisal, {from: appraiser}),
+            'Housteca Properties: permission denied'
+        );
+        await truffleAssert.reverts(
+            properties.updateMetadata(loan, appraisal, {from: otherLocalNode}),
+            'Housteca Properties: permission denied'
+        );
+        await housteca.grantRole(APPRAISER, appraiser);
+        const tx = await properties.updateMetadata(loan, appraisal, {from: appraiser});
+        truffleAssert.eventEmitted(tx, 'MetadataUpdated', ev => ev.loan === loan && ev.version.eqn(2) && ev.editor === appraiser);
+        await properties.updateMetadata(loan, {...appraisal, propertyType: 'HOUSE'}, {from: localNode});
+
+        const history = await properties.metadataHistory(loan);
+        assert.deepEqual(history.map(metadata => metadata.version), [1, 2, 3]);
+        assert.deepEqual(history.map(metadata => metadata.propertyType), ['APARTMENT', 'APARTMENT', 'HOUSE']);
+        assert.equal(history[0].valuation.toString(), METADATA.valuation.toString());
+        assert.equal(history[1].valuation.toString(), appraisal.valuation.toString());
+        assert.equal((await properties.metadata(loan)).version, 3);
+    });
+
+    it('should let the borrower and the local node add, remove and reorder the images', async () => {
+        await createProposal();
+        const loan = await createLoan();
+        for (const hash of IMAGES) {
+            await properties.addImage(loan, hash, {from: borrower});
+        }
+        await truffleAssert.reverts(
+            properties.addImage(loan, 'QmOther', {from: outsider}),
+            'Housteca Properties: permission denied'
+        );
+        await truffleAssert.reverts(
+            properties.addImage(outsider, 'QmOther', {from: borrower}),
+            'Housteca Properties: Unknown loan'
+        );
+
+        await properties.moveImage(loan, 3, 0, {from: localNode});
+        assert.deepEqual(await properties.images(loan), ['QmPool', 'QmFront', 'QmKitchen', 'QmGarden']);
+        await properties.moveImage(loan, 1, 2, {from: borrower});
+        assert.deepEqual(await properties.images(loan), ['QmPool', 'QmKitchen', 'QmFront', 'QmGarden']);
+
+        const tx = await properties.removeImage(loan, 1, {from: localNode});
+        truffleAssert.eventEmitted(tx, 'ImageRemoved', ev => ev.index.eqn(1) && ev.hash === 'QmKitchen');
+        assert.deepEqual(await properties.images(loan), ['QmPool', 'QmFront', 'QmGarden']);
+        await truffleAssert.reverts(
+            properties.removeImage(loan, 3, {from: localNode}),
+            'Housteca Properties: Unknown image'
+        );
+    });
+
+    it('should resolve the listing from an IPFS store', async () => {
+        await createProposal();
+        await properties.setProposalMetadata(borrower, METADATA, {from: localNode});
+        const loan = await createLoan();
+        await properties.addImage(loan, IMAGES[0], {from: borrower});
+        await properties.addImage(loan, IMAGES[1], {from: borrower});
+        const files = new Map([
+            [DETAILS_HASH, Buffer.from(JSON.stringify({ rooms: 3, description: 'Bright flat' }))],
+            [IMAGES[0], Buffer.from('front')]
+        ]);
+        const store = { get: async hash => files.get(hash) || null };
+
+        const listing = await resolveListing(properties, loan, store);
+        assert.equal(listing.loan, loan);
+        assert.equal(listing.metadata.location, METADATA.location);
+        assert.deepEqual(listing.details, { rooms: 3, description: 'Bright flat' });
+        assert.equal(listing.images.length, 2);
+        assert.equal(listing.images[0].content.toString(), 'front');
+        assert.isNull(listing.images[1].content);
+    });
+});
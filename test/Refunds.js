@@ -0,0 +1,172 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const TestERC777Token = artifacts.require('TestERC777Token');
+const truffleAssert = require('truffle-assertions');
+const { HoustecaClient, loadContracts } = require('../src');
+const { travel } = require('./helpers/time');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+const DOCUMENT_HASH = web3.utils.keccak256('Refunds test deed');
+const TOKENS = [
+    ['ERC20', TestERC20Token],
+    ['ERC777', TestERC777Token]
+];
+
+
+contract('Refunds', accounts => {
+    const localNode = accounts[1];
+    const investor = accounts[6];
+    const otherInvestor = accounts[7];
+    const borrower = accounts[8];
+    const targetAmount = toAmount(96000, 18);
+
+    for (const [name, Token] of TOKENS) {
+        contract(name, () => {
+            let token, treasury, loan, stake, localNodeFee, houstecaFee;
+
+            const balance = address => token.balanceOf(address);
+            const assertBalance = async (address, expected) => {
+                assert.equal((await balance(address)).toString(), expected.toString());
+            };
+
+            const invest = async investments => {
+                for (const [account, amount] of investments) {
+                    await loan.invest(toAmount(amount, 18), {from: account});
+                }
+            };
+
+            /** Every investor collects his refund, which must match the expected amount */
+            const collectRefunds = async refunds => {
+                for (const [account, expected] of refunds) {
+                    const before = await balance(account);
+                    assert.equal((await loan.refundAmount(account)).toString(), expected.toString());
+                    const tx = await loan.collectInvestment({from: account});
+                    truffleAssert.eventEmitted(tx, 'InvestmentCollected', ev => ev.investor === account && ev.amount.eq(expected));
+                    await assertBalance(account, before.add(expected));
+                }
+                await assertBalance(loan.address, 0);
+                assert.equal((await loan.loan._investedAmount()).toString(), '0');
+                assert.equal((await loan.loan._extraAmount()).toString(), '0');
+            };
+
+            beforeEach(async () => {
+                token = await Token.new();
+                let housteca, registry;
+                ({ housteca, treasury, registry } = await deployHousteca());
+                for (const account of [borrower, investor, otherInvestor]) {
+                    await token.transfer(account, toAmount(1000000, 18));
+                }
+                await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, toAmount(2, 16));
+                await housteca.addToken(await token.symbol(), token.address);
+                await verifyInvestors(registry, [investor, otherInvestor]);
+                const client = new HoustecaClient(loadContracts(artifacts), housteca);
+                await client.createInvestmentProposal({
+                    borrower,
+                    symbol: await token.symbol(),
+                    downpaymentRatio: toAmount(2, 17),
+                    targetAmount,
+                    totalPayments: toBN(12),
+                    insuredPayments: toBN(6),
+                    paymentAmount: toAmount(8009, 18),
+                    perPaymentInterestRatio: toAmount(1619, 11)
+                }, {from: localNode});
+                loan = await client.createInvestment({from: borrower});
+                stake = await loan.loan.initialStakeAmount();
+                localNodeFee = await loan.loan._localNodeFeeAmount();
+                houstecaFee = await loan.loan._houstecaFeeAmount();
+                await loan.sendInitialStake({from: borrower});
+            });
+
+            it('should let an investor leave while funding', async () => {
+                await invest([[investor, 24000], [otherInvestor, 48000]]);
+                assert.equal((await loan.loan._investments(investor)).toString(), toAmount(24000, 18).toString());
+                assert.equal((await loan.loan._investments(otherInvestor)).toString(), toAmount(48000, 18).toString());
+                assert.isNotOk(await loan.loan.hasInvested(token.address));
+
+                const tx = await loan.collectInvestment({from: investor});
+                truffleAssert.eventEmitted(tx, 'InvestmentCollected', ev => ev.investor === investor && ev.amount.eq(toAmount(24000, 18)));
+                assert.equal((await loan.loan._investedAmount()).toString(), toAmount(48000, 18).toString());
+                assert.equal((await loan.refundAmount(otherInvestor)).toString(), toAmount(48000, 18).toString());
+                assert.equal(await loan.status(), 'FUNDING');
+                await truffleAssert.reverts(
+                    loan.collectInvestment({from: investor}),
+                    'Housteca Loan: No amount invested'
+                );
+            });
+
+            it('should refund the stake and the investments when the funding period expires', async () => {
+                const borrowerBalance = await balance(borrower);
+                await invest([[investor, 24000], [otherInvestor, 48000]]);
+                assert.isNotOk(await loan.loan.fundingPeriodExpired());
+                await travel(91);
+                assert.isOk(await loan.loan.fundingPeriodExpired());
+                await loan.update({from: investor});
+                assert.equal(await loan.status(), 'UNCOMPLETED');
+                await assertBalance(borrower, borrowerBalance.add(stake));
+                await collectRefunds([[investor, toAmount(24000, 18)], [otherInvestor, toAmount(48000, 18)]]);
+            });
+
+            it('should share the stake among the investors when the local node aborts', async () => {
+                await invest([[investor, 24000], [otherInvestor, 48000]]);
+                await loan.abortLoan({from: localNode});
+                assert.equal(await loan.status(), 'UNCOMPLETED');
+                await assertBalance(localNode, localNodeFee);
+                assert.equal((await loan.loan._extraAmount()).toString(), houstecaFee.toString());
+                await collectRefunds([
+                    [investor, toAmount(24000, 18).add(houstecaFee.divn(3))],
+                    [otherInvestor, toAmount(48000, 18).add(houstecaFee.sub(houstecaFee.divn(3)))]
+                ]);
+            });
+
+            it('should send the lost stake to the treasury when nobody invested', async () => {
+                await invest([[investor, 24000]]);
+                await loan.collectInvestment({from: investor});
+                await loan.abortLoan({from: localNode});
+                await assertBalance(localNode, localNodeFee);
+                await assertBalance(treasury.address, houstecaFee);
+                assert.equal((await treasury._feeBalances(token.address)).toString(), houstecaFee.toString());
+                await assertBalance(loan.address, 0);
+            });
+
+            contract('Signing period expired', () => {
+                beforeEach(async () => {
+                    await invest([[investor, 24000], [otherInvestor, 72000]]);
+                    assert.equal(await loan.status(), 'AWAITING_SIGNATURES');
+                    await truffleAssert.reverts(
+                        loan.collectInvestment({from: investor}),
+                        'Housteca Loan: Invalid status'
+                    );
+                    await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+                });
+
+                it('should refund the stake if the borrower signed', async () => {
+                    const borrowerBalance = await balance(borrower);
+                    await loan.signDocument(await signDocument(loan.loan, borrower), {from: borrower});
+                    await travel(31);
+                    await loan.update({from: investor});
+                    assert.equal(await loan.status(), 'UNCOMPLETED');
+                    await assertBalance(borrower, borrowerBalance.add(stake));
+                    await assertBalance(localNode, 0);
+                    await collectRefunds([[otherInvestor, toAmount(72000, 18)], [investor, toAmount(24000, 18)]]);
+                });
+
+                it('should share the stake among the investors if the borrower did not sign', async () => {
+                    await loan.signDocument(await signDocument(loan.loan, localNode), {from: localNode});
+                    await travel(31);
+                    await loan.update({from: investor});
+                    assert.equal(await loan.status(), 'UNCOMPLETED');
+                    await assertBalance(localNode, localNodeFee);
+                    await collectRefunds([
+                        [investor, toAmount(24000, 18).add(houstecaFee.divn(4))],
+                        [otherInvestor, toAmount(72000, 18).add(houstecaFee.sub(houstecaFee.divn(4)))]
+                    ]);
+                });
+            });
+        });
+    }
+});
@@ -0,0 +1,165 @@
+const { runScenario } = require('./helpers/simulation');
+
+
+/** Whole loan lifecycles, see `helpers/simulation.js` for their format */
+const SCENARIOS = [
+    {
+        name: 'Three investors are paid back on time',
+        investments: [24000, 24000, 48000],
+        steps: [
+            {action: 'stake', status: 'FUNDING'},
+            {action: 'invest', status: 'AWAITING_SIGNATURES'},
+            'sign',
+            {action: 'collectFunds', status: 'ACTIVE'},
+            {action: 'pay', times: 6},
+            'collectEarnings',
+            {action: 'pay', times: 6, status: 'FINISHED'},
+            'collectEarnings',
+            'collectProperty'
+        ]
+    },
+    {
+        name: 'The borrower of an ERC777 loan misses a payment and catches up',
+        token: 'ERC777',
+        investments: [48000, 48000],
+        steps: [
+            'stake',
+            'invest',
+            'sign',
+            'collectFunds',
+            {action: 'pay', times: 2},
+            {action: 'miss', status: 'DEFAULT'},
+            'collectEarnings',
+            {action: 'pay', status: 'DEFAULT'},
+            {action: 'payArrears', status: 'ACTIVE'},
+            {action: 'pay', late: true, status: 'ACTIVE'},
+            'collectEarnings',
+            {action: 'repayInFull', status: 'FINISHED'},
+            'collectEarnings',
+            'collectProperty'
+        ]
+    },
+    {
+        name: 'The loan goes bankrupt once the insurance runs out',
+        investments: [96000],
+        proposal: {insuredPayments: 2},
+        steps: [
+            'stake',
+            'invest',
+            'sign',
+            'collectFunds',
+            'pay',
+            {action: 'miss', times: 2, status: 'DEFAULT'},
+            'collectEarnings',
+            {action: 'miss', status: 'BANKRUPT'},
+            'collectEarnings',
+            'collectProperty'
+        ]
+    },
+    {
+        name: 'The insurance the arrears replenish covers the next defaults',
+        investments: [48000, 48000],
+        proposal: {insuredPayments: 2},
+        steps: [
+            'stake',
+            'invest',
+            'sign',
+            'collectFunds',
+            'pay',
+            {action: 'miss', times: 2, status: 'DEFAULT'},
+            'collectEarnings',
+            {action: 'payArrears', status: 'ACTIVE'},
+            {action: 'miss', times: 2, status: 'DEFAULT'},
+            'collectEarnings',
+            {action: 'miss', status: 'BANKRUPT'},
+            'collectEarnings',
+            'collectProperty'
+        ]
+    },
+    {
+        name: 'The borrower misses a payment and pays the arrears after the rest of the schedule',
+        investments: [48000, 48000],
+        steps: [
+            'stake',
+            'invest',
+            'sign',
+            'collectFunds',
+            {action: 'pay', times: 2},
+            {action: 'miss', status: 'DEFAULT'},
+            'collectEarnings',
+            {action: 'pay', times: 9, status: 'DEFAULT'},
+            'collectEarnings',
+            {action: 'miss', status: 'DEFAULT'},
+            {action: 'payArrears', status: 'FINISHED'},
+            'collectEarnings',
+            'collectProperty'
+        ]
+    },
+    {
+        name: 'The borrower of an ERC777 loan prepays part of the principal',
+        token: 'ERC777',
+        investments: [30000, 30000, 36000],
+        steps: [
+            'stake',
+            'invest',
+            'sign',
+            'collectFunds',
+            {action: 'pay', times: 2},
+            {action: 'prepay', principal: 20000},
+            'collectEarnings',
+            {action: 'pay', times: 3},
+            {action: 'repayInFull', status: 'FINISHED'},
+            'collectEarnings',
+            'collectProperty'
+        ]
+    },
+    {
+        name: 'An investor leaves and the local node aborts the loan',
+        investments: [24000, 24000, 48000],
+        steps: [
+            'stake',
+            {action: 'invest', investors: [0, 1]},
+            {action: 'leave', investor: 0, status: 'FUNDING'},
+            {action: 'abort', status: 'UNCOMPLETED'},
+            'refund'
+        ]
+    },
+    {
+        name: 'The funding period of an ERC777 loan expires',
+        token: 'ERC777',
+        investments: [24000, 48000],
+        steps: [
+            'stake',
+            'invest',
+            {action: 'expire', deadline: 'funding', status: 'UNCOMPLETED'},
+            'refund'
+        ]
+    },
+    {
+        name: 'The signing period expires without the signature of the borrower',
+        investments: [48000, 48000],
+        steps: [
+            'stake',
+            'invest',
+            {action: 'sign', signers: ['localNode']},
+            {action: 'expire', deadline: 'signing', status: 'UNCOMPLETED'},
+            'refund'
+        ]
+    },
+    {
+        name: 'The borrower never sends the stake',
+        investments: [96000],
+        steps: [
+            {action: 'expire', deadline: 'stake', status: 'UNCOMPLETED'}
+        ]
+    }
+];
+
+
+for (const scenario of SCENARIOS) {
+    contract(scenario.name, accounts => {
+        it('should keep the accounting invariants after every step', async () => {
+            await runScenario(accounts, scenario);
+        });
+    });
+}
@@ -0,0 +1,218 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const truffleAssert = require('truffle-assertions');
+const { singletons } = require('@openzeppelin/test-helpers');
+const { HoustecaClient, loadContracts, reconcileFees } = require('../src');
+const { travel } = require('./helpers/time');
+const { deployHousteca, verifyInvestors } = require('./helpers/deploy');
+const { signDocument } = require('./helpers/keys');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+const DAY = 24 * 60 * 60;
+const DOCUMENT_HASH = web3.utils.keccak256('Treasury test deed');
+
+
+contract('Treasury', accounts => {
+    const manager = accounts[0];
+    const localNode = accounts[1];
+    const admin = accounts[2];
+    const accountant = accounts[3];
+    const partner = accounts[4];
+    const investor = accounts[7];
+    const borrower = accounts[8];
+    const targetAmount = toAmount(96000, 18);
+    let erc20, housteca, treasury, client, loan, fee;
+
+    const createLoan = async () => {
+        await client.createInvestmentProposal({
+            borrower,
+            symbol: await erc20.symbol(),
+            downpaymentRatio: toAmount(2, 17),
+            targetAmount,
+            totalPayments: toBN(12),
+            insuredPayments: toBN(6),
+            paymentAmount: toAmount(8009, 18),
+            perPaymentInterestRatio: toAmount(1619, 11)
+        }, {from: localNode});
+        const loan = await client.createInvestment({from: borrower});
+        await loan.sendInitialStake({from: borrower});
+        await loan.invest(targetAmount, {from: investor});
+        await loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, localNode), {from: localNode});
+        await loan.signDocument(await signDocument(loan.loan, borrower), {from: borrower});
+        return loan;
+    };
+
+    beforeEach(async () => {
+        await singletons.ERC1820Registry(manager);
+        erc20 = await TestERC20Token.new();
+        let registry;
+        ({ housteca, treasury, registry } = await deployHousteca());
+        await erc20.transfer(borrower, toAmount(1000000, 18));
+        await erc20.transfer(investor, toAmount(1000000, 18));
+        await housteca.addAdmin(localNode, LOCAL_NODE_LEVEL, 0);
+        await housteca.addAdmin(admin, 254, 0);
+        await housteca.addToken(await erc20.symbol(), erc20.address);
+        await verifyInvestors(registry, [investor]);
+        client = new HoustecaClient(loadContracts(artifacts), housteca);
+        loan = await createLoan();
+        fee = await loan.loan._houstecaFeeAmount();
+    });
+
+    it('should keep the fee of every loan that collects its funds', async () => {
+        assert.equal((await reconcileFees(housteca, treasury))[0].status, 'PENDING');
+        const tx = await loan.collectAllFunds({from: localNode});
+        const events = await treasury.getPastEvents('FeeReceived', {fromBlock: tx.receipt.blockNumber});
+        assert.equal(events.length, 1);
+        assert.equal(events[0].args.loan, loan.address);
+        assert.equal(events[0].args.token, erc20.address);
+        assert.equal(events[0].args.amount.toString(), fee.toString());
+        assert.equal((await treasury._feeBalances(erc20.address)).toString(), fee.toString());
+        assert.equal((await erc20.balanceOf(treasury.address)).toString(), fee.toString());
+        assert.equal((await erc20.balanceOf(housteca.address)).toString(), '0');
+        const [reconciliation] = await reconcileFees(housteca, treasury);
+        assert.equal(reconciliation.loan, loan.address);
+        assert.equal(reconciliation.status, 'RECEIVED');
+        assert.equal(reconciliation.received.toString(), fee.toString());
+        await truffleAssert.reverts(housteca.receiveFee(1), 'Housteca: Only loans can perform this operation');
+        await truffleAssert.reverts(
+            treasury.receiveFee(loan.address, erc20.address, 1),
+            'Housteca Treasury: Only Housteca can perform this operation'
+        );
+    });
+
+    it('should hold the fee while there is no treasury', async () => {
+        await housteca.setTreasury('0x0000000000000000000000000000000000000000');
+        await loan.collectAllFunds({from: localNode});
+        assert.equal((await housteca._heldFees(loan.address)).toString(), fee.toString());
+        assert.equal((await erc20.balanceOf(housteca.address)).toString(), fee.toString());
+        assert.equal((await reconcileFees(housteca, treasury))[0].status, 'HELD');
+        await truffleAssert.reverts(housteca.sendHeldFee(loan.address), 'Housteca: The treasury is not set');
+
+        await housteca.setTreasury(treasury.address);
+        const tx = await housteca.sendHeldFee(loan.address, {from: partner});
+        const events = await treasury.getPastEvents('FeeReceived', {fromBlock: tx.receipt.blockNumber});
+        assert.equal(events[0].args.loan, loan.address);
+        assert.equal((await treasury._feeBalances(erc20.address)).toString(), fee.toString());
+        assert.equal((await erc20.balanceOf(housteca.address)).toString(), '0');
+        assert.equal((await reconcileFees(housteca, treasury))[0].status, 'RECEIVED');
+        await truffleAssert.reverts(housteca.sendHeldFee(loan.address), 'Housteca: There is no fee held for the loan');
+    });
+
+    it('should let root administrators withdraw the fees', async () => {
+        await loan.collectAllFunds({from: localNode});
+        const amount = fee.divn(4);
+        await truffleAssert.reverts(
+            treasury.withdrawFees(erc20.address, accountant, amount, {from: admin}),
+            'Housteca Treasury: Insufficient administrator privileges'
+        );
+        await truffleAssert.reverts(
+            treasury.withdrawFees(erc20.address, accountant, fee.addn(1)),
+            'Housteca Treasury: Not enough fees to withdraw'
+        );
+        const tx = await treasury.withdrawFees(erc20.address, accountant, amount);
+        truffleAssert.eventEmitted(tx, 'FeesWithdrawn', ev => ev.to === accountant && ev.amount.eq(amount));
+        assert.equal((await erc20.balanceOf(accountant)).toString(), amount.toString());
+        assert.equal((await treasury._feeBalances(erc20.address)).toString(), fee.sub(amount).toString());
+    });
+
+    it('should let treasurers withdraw the fees', async () => {
+        await loan.collectAllFunds({from: localNode});
+        await housteca.grantRole(await housteca.TREASURER_ROLE(), accountant);
+        await treasury.withdrawFees(erc20.address, accountant, fee, {from: accountant});
+        assert.equal((await erc20.balanceOf(accountant)).toString(), fee.toString());
+    });
+
+    it('should lock the withdrawals when there is a delay', async () => {
+        await loan.collectAllFunds({from: localNode});
+        await treasury.setWithdrawalDelay(2 * DAY);
+        let tx = await treasury.withdrawFees(erc20.address, accountant, fee);
+        truffleAssert.eventEmitted(tx, 'WithdrawalScheduled', ev => ev.withdrawalId.eqn(0) && ev.amount.eq(fee));
+        truffleAssert.eventNotEmitted(tx, 'FeesWithdrawn');
+        assert.equal((await treasury._feeBalances(erc20.address)).toString(), '0');
+        await truffleAssert.reverts(treasury.executeWithdrawal(0), 'Housteca Treasury: The withdrawal is still locked');
+        await travel(2);
+        tx = await treasury.executeWithdrawal(0);
+        truffleAssert.eventEmitted(tx, 'FeesWithdrawn');
+        assert.equal((await erc20.balanceOf(accountant)).toString(), fee.toString());
+        await truffleAssert.reverts(treasury.executeWithdrawal(0), 'Housteca Treasury: The withdrawal is not pending');
+    });
+
+    it('should give the fees of a cancelled withdrawal back', async () => {
+        await loan.collectAllFunds({from: localNode});
+        await treasury.setWithdrawalDelay(DAY);
+        await treasury.withdrawFees(erc20.address, accountant, fee);
+        const tx = await treasury.cancelWithdrawal(0);
+        truffleAssert.eventEmitted(tx, 'WithdrawalCancelled');
+        assert.equal((await treasury._feeBalances(erc20.address)).toString(), fee.toString());
+        await travel(1);
+        await truffleAssert.reverts(treasury.executeWithdrawal(0), 'Housteca Treasury: The withdrawal is not pending');
+    });
+
+    it('should split the fees among the beneficiaries', async () => {
+        await loan.collectAllFunds({from: localNode});
+        await truffleAssert.reverts(treasury.distributeFees(erc20.address), 'Housteca Treasury: There are no beneficiaries');
+        await truffleAssert.reverts(
+            treasury.setBeneficiaries([accountant, partner], [toAmount(7, 17), toAmount(2, 17)]),
+            'Housteca Treasury: The shares must add up to 100%'
+        );
+        await treasury.setBeneficiaries([accountant, partner], [toAmount(1, 18).divn(3), toAmount(1, 18).sub(toAmount(1, 18).divn(3))]);
+        assert.equal((await treasury.beneficiaryCount()).toNumber(), 2);
+        const tx = await treasury.distributeFees(erc20.address, {from: partner});
+        const accountantShare = fee.mul(toAmount(1, 18).divn(3)).div(toAmount(1, 18));
+        truffleAssert.eventEmitted(tx, 'FeesDistributed', ev => ev.beneficiary === accountant && ev.amount.eq(accountantShare));
+        assert.equal((await erc20.balanceOf(accountant)).toString(), accountantShare.toString());
+        assert.equal((await erc20.balanceOf(partner)).toString(), fee.sub(accountantShare).toString());
+        assert.equal((await erc20.balanceOf(treasury.address)).toString(), '0');
+    });
+
+    it('should lock the changes of the delay and the beneficiaries', async () => {
+        await treasury.setWithdrawalDelay(2 * DAY);
+        assert.equal((await treasury._withdrawalDelay()).toNumber(), 2 * DAY);
+        let tx = await treasury.setWithdrawalDelay(0);
+        truffleAssert.eventEmitted(tx, 'WithdrawalDelayScheduled', ev => ev.delay.eqn(0));
+        truffleAssert.eventNotEmitted(tx, 'WithdrawalDelaySet');
+        assert.equal((await treasury._withdrawalDelay()).toNumber(), 2 * DAY);
+        await truffleAssert.reverts(treasury.applyWithdrawalDelay(), 'Housteca Treasury: The change is still locked');
+
+        tx = await treasury.setBeneficiaries([partner], [toAmount(1, 18)]);
+        truffleAssert.eventEmitted(tx, 'BeneficiariesScheduled');
+        assert.equal((await treasury.beneficiaryCount()).toNumber(), 0);
+        assert.equal((await treasury.pendingBeneficiaryCount()).toNumber(), 1);
+        await truffleAssert.reverts(treasury.applyBeneficiaries(), 'Housteca Treasury: The change is still locked');
+
+        await truffleAssert.reverts(treasury.cancelChanges({from: partner}), 'Housteca Treasury: Insufficient administrator privileges');
+        await treasury.cancelChanges();
+        await travel(2);
+        await truffleAssert.reverts(treasury.applyWithdrawalDelay(), 'Housteca Treasury: There is no pending change');
+        await truffleAssert.reverts(treasury.applyBeneficiaries(), 'Housteca Treasury: There is no pending change');
+
+        await treasury.setBeneficiaries([partner], [toAmount(1, 18)]);
+        await travel(2);
+        tx = await treasury.applyBeneficiaries({from: partner});
+        truffleAssert.eventEmitted(tx, 'BeneficiariesSet', ev => ev.accounts[0] === partner);
+        assert.equal((await treasury._beneficiaries(0)).account, partner);
+        assert.equal((await treasury.pendingBeneficiaryCount()).toNumber(), 0);
+    });
+
+    it('should lock the distributions when there is a delay', async () => {
+        await loan.collectAllFunds({from: localNode});
+        await treasury.setBeneficiaries([accountant, partner], [toAmount(5, 17), toAmount(5, 17)]);
+        await treasury.setWithdrawalDelay(2 * DAY);
+        const tx = await treasury.distributeFees(erc20.address, {from: partner});
+        truffleAssert.eventEmitted(tx, 'WithdrawalScheduled', ev => ev.withdrawalId.eqn(1) && ev.to === partner);
+        truffleAssert.eventNotEmitted(tx, 'FeesWithdrawn');
+        assert.equal((await treasury._feeBalances(erc20.address)).toString(), '0');
+        assert.equal((await erc20.balanceOf(partner)).toString(), '0');
+
+        await treasury.cancelWithdrawal(1);
+        await travel(2);
+        await treasury.executeWithdrawal(0, {from: partner});
+        assert.equal((await erc20.balanceOf(accountant)).toString(), fee.divn(2).toString());
+        assert.equal((await erc20.balanceOf(partner)).toString(), '0');
+        assert.equal((await treasury._feeBalances(erc20.address)).toString(), fee.sub(fee.divn(2)).toString());
+    });
+});
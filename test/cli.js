@@ -0,0 +1,182 @@
+const TestERC20Token = artifacts.require('TestERC20Token');
+const { FLAGS, parseAmount, parseRatio, parseDuration, run } = require('../src/cli');
+const { parseArgs } = require('../src/args');
+const { deployHousteca } = require('./helpers/deploy');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+
+contract('Command line tool', accounts => {
+    const manager = accounts[0];
+    const localNode = accounts[1];
+    const investor = accounts[7];
+    const borrower = accounts[8];
+    let housteca, treasury, governance, registry, erc20;
+
+    const cli = (...argv) => {
+        const output = [];
+        const print = line => output.push(line);
+        return run([...argv, '--housteca', housteca.address], { artifacts, web3, print })
+            .then(result => ({ result, output }));
+    };
+
+    beforeEach(async () => {
+        erc20 = await TestERC20Token.new();
+        ({ housteca, treasury, governance, registry } = await deployHousteca());
+        await housteca.addToken(await erc20.symbol(), erc20.address);
+    });
+
+    it('should parse arguments and multi-value options', () => {
+        const { args, options } = parseArgs(['create-proposal', '--target', '250000', 'T20', '--json', '--payments', '12'], FLAGS);
+        assert.deepEqual(args, ['create-proposal']);
+        assert.deepEqual(options, {target: ['250000', 'T20'], json: true, payments: ['12']});
+    });
+
+    it('should parse amounts and ratios', () => {
+        assert.equal(parseAmount('250000', 18).toString(), toAmount(250000, 18).toString());
+        assert.equal(parseAmount('1058.5', 2).toString(), '105850');
+        assert.throws(() => parseAmount('1.234', 2));
+        assert.throws(() => parseAmount('abc', 18));
+        assert.equal(parseRatio('2%').toString(), toAmount(2, 16).toString());
+        assert.equal(parseRatio('0.02').toString(), toAmount(2, 16).toString());
+        assert.equal(parseRatio('0.01619%').toString(), toAmount(1619, 11).toString());
+    });
+
+    it('should parse durations and calendar periods', () => {
+        assert.deepEqual(parseDuration('3600'), {periodicity: 3600, periodUnit: 'SECONDS'});
+        assert.deepEqual(parseDuration('15d'), {periodicity: 15 * 24 * 3600, periodUnit: 'SECONDS'});
+        assert.deepEqual(parseDuration('3months'), {periodicity: 3, periodUnit: 'MONTHS'});
+        assert.deepEqual(parseDuration('1y'), {periodicity: 12, periodUnit: 'MONTHS'});
+        assert.throws(() => parseDuration('2 fortnights'));
+    });
+
+    it('should print the encoded call without sending it in dry-run mode', async () => {
+        const { result, output } = await cli('add-investor', investor, '--dry-run', '--json');
+        assert.equal(result.to, registry.address);
+        assert.equal(result.method, 'addInvestors');
+        assert.isAbove(result.gas, 0);
+        assert.deepEqual(JSON.parse(output[0]), result);
+        assert.isNotOk(await housteca.isInvestor(investor));
+    });
+
+    it('should verify investors in the registry', async () => {
+        const { result } = await cli('add-investor', investor, borrower, '--jurisdiction', 'PT', '--tier', '2', '--valid-for', '30d');
+        assert.deepEqual(result.events, ['InvestorAdded', 'InvestorAdded']);
+        assert.isOk(await housteca.isInvestor(borrower));
+        const record = await registry._investors(investor);
+        assert.equal(record.jurisdiction, web3.utils.asciiToHex('PT'));
+        assert.equal(record.tier.toNumber(), 2);
+        await cli('set-tier-share-cap', '2', '25%');
+        assert.equal((await registry._tierShareCaps(2)).toString(), toAmount(25, 16).toString());
+        await cli('block-jurisdiction', 'PT');
+        assert.isNotOk(await housteca.isInvestor(investor));
+        await cli('remove-investor', investor, borrower);
+        assert.equal((await registry._investors(borrower)).tier.toNumber(), 0);
+    });
+
+    it('should send admin transactions', async () => {
+        const { result } = await cli('add-admin', localNode, 'local-node', '--fee', '2%');
+        assert.deepEqual(result.events, ['AdminAdded']);
+        const admin = await housteca._admins(localNode);
+        assert.equal(admin.level.toNumber(), 253);
+        assert.equal(admin.feeRatio.toString(), toAmount(2, 16).toString());
+    });
+
+    it('should create proposals converting amounts with the token decimals', async () => {
+        await housteca.addAdmin(localNode, 253, 0, {from: manager});
+        await cli(
+            'create-proposal',
+            '--borrower', borrower,
+            '--target', '96000', 'T20',
+            '--payment', '8009', 'T20',
+            '--payments', '12',
+            '--insured', '6',
+            '--downpayment', '20%',
+            '--interest', '0.01619%',
+            '--prepayment-penalty', '1%',
+            '--periodicity', '3months',
+            '--funding-period', '60d',
+            '--from', localNode
+        );
+        const proposal = await housteca.getProposal(borrower);
+        assert.equal(proposal.symbol, 'T20');
+        assert.equal(proposal.targetAmount.toString(), toAmount(96000, 18).toString());
+        assert.equal(proposal.paymentAmount.toString(), toAmount(8009, 18).toString());
+        assert.equal(proposal.downpaymentRatio.toString(), toAmount(2, 17).toString());
+        assert.equal(proposal.perPaymentInterestRatio.toString(), toAmount(1619, 11).toString());
+        assert.equal(proposal.prepaymentPenaltyRatio.toString(), toAmount(1, 16).toString());
+        assert.equal(proposal.timing.periodicity.toString(), '3');
+        assert.equal(proposal.timing.periodUnit.toString(), '1');
+        assert.equal(proposal.timing.fundingPeriod.toString(), String(60 * 24 * 3600));
+        assert.equal(proposal.timing.initialStakePeriod.toString(), String(15 * 24 * 3600));
+
+        const notary = accounts[3];
+        const seller = accounts[4];
+        await cli('set-signers', borrower, `NOTARY:${notary}`, `SELLER:${seller}`, '--threshold', '3', '--from', localNode);
+        const { signers, roles, threshold } = await housteca.getProposalSigners(borrower);
+        assert.deepEqual(signers, [notary, seller]);
+        assert.deepEqual(roles.map(role => web3.utils.hexToUtf8(role)), ['NOTARY', 'SELLER']);
+        assert.equal(threshold.toString(), '3');
+        try {
+            await cli('set-signers', borrower, notary, '--from', localNode);
+            assert.fail('signers without a role should be rejected');
+        } catch (error) {
+            assert.match(error.message, /Invalid signer/);
+        }
+    });
+
+    it('should configure the treasury', async () => {
+        await cli('set-beneficiaries', `${accounts[3]}:70%`, `${accounts[4]}:30%`);
+        const beneficiary = await treasury._beneficiaries(1);
+        assert.equal(beneficiary.account, accounts[4]);
+        assert.equal(beneficiary.share.toString(), toAmount(3, 17).toString());
+        const { result } = await cli('set-withdrawal-delay', '2d');
+        assert.equal(result.method, 'setWithdrawalDelay');
+        assert.equal((await treasury._withdrawalDelay()).toNumber(), 2 * 24 * 3600);
+        await cli('set-beneficiaries', `${accounts[3]}:100%`);
+        assert.equal((await treasury.pendingBeneficiaryCount()).toNumber(), 1);
+        const { result: cancelled } = await cli('cancel-treasury-changes');
+        assert.equal(cancelled.method, 'cancelChanges');
+        assert.equal((await treasury.pendingBeneficiaryCount()).toNumber(), 0);
+        const { result: dryRun } = await cli('distribute-fees', 'T20', '--dry-run');
+        assert.equal(dryRun.to, treasury.address);
+        assert.equal(dryRun.data, treasury.contract.methods.distributeFees(erc20.address).encodeABI());
+        try {
+            await cli('withdraw-fees', 'T20', accounts[3], '10');
+            assert.fail('there are no fees to withdraw');
+        } catch (error) {
+            assert.match(error.message, /Not enough fees to withdraw/);
+        }
+    });
+
+    it('should propose sensitive calls for the admins to confirm them', async () => {
+        await housteca.addAdmin(accounts[2], 254, 0, {from: manager});
+        await cli('grant-role', 'TREASURER', accounts[3]);
+        assert.isOk(await housteca.hasRole(web3.utils.padRight(web3.utils.utf8ToHex('TREASURER'), 64), accounts[3]));
+        await cli('set-confirmations', '2');
+        const { result } = await cli('set-fee', '2%', '--propose');
+        assert.equal(result.method, 'submitAction');
+        assert.deepEqual(result.events, ['ActionSubmitted', 'ActionConfirmed']);
+        await cli('confirm-action', String(result.actionId), '--from', accounts[2]);
+        assert.equal((await housteca._houstecaFeeRatio()).toString(), toAmount(2, 16).toString());
+        assert.isOk(await governance.getAction(result.actionId).then(action => action.executed));
+    });
+
+    it('should change some of the timing bounds', async () => {
+        await cli('set-timing-bounds', '--funding-period', '1d', '400d', '--periodicity', '1h', '52w');
+        const min = await housteca._minTiming();
+        const max = await housteca._maxTiming();
+        assert.equal(min.fundingPeriod.toString(), String(24 * 3600));
+        assert.equal(max.fundingPeriod.toString(), String(400 * 24 * 3600));
+        assert.equal(min.periodicity.toString(), '3600');
+        assert.equal(max.signingPeriod.toString(), String(180 * 24 * 3600));
+        try {
+            await cli('set-timing-bounds', '--periodicity', '1h', '2y');
+            assert.fail('calendar bounds should be rejected');
+        } catch (error) {
+            assert.match(error.message, /must be given in seconds/);
+        }
+    });
+});
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { hashFile, signDocumentHash, recoverDocumentSigner } = require('../src/documents');
+const { PRIVATE_KEYS } = require('./helpers/keys');
+
+
+contract('Document signatures', accounts => {
+    const document = {
+        loan: '0x5b1869D9A4C187F2EAa108f3062412ecf0526b24',
+        chainId: 1,
+        documentHash: web3.utils.sha3('deed')
+    };
+
+    it('should hash files with SHA-256', async () => {
+        const file = path.join(os.tmpdir(), `housteca-deed-${Date.now()}.txt`);
+        fs.writeFileSync(file, 'abc');
+        try {
+            assert.equal(await hashFile(file), '0xba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+        } finally {
+            fs.unlinkSync(file);
+        }
+    });
+
+    it('should recover the signer of a document', () => {
+        const signature = signDocumentHash(document, PRIVATE_KEYS[8]);
+        assert.equal(web3.utils.toChecksumAddress(recoverDocumentSigner(document, signature)), accounts[8]);
+        const otherChain = {...document, chainId: 3};
+        assert.notEqual(web3.utils.toChecksumAddress(recoverDocumentSigner(otherChain, signature)), accounts[8]);
+    });
+});
@@ -0,0 +1,67 @@
+/**
+ * Deploys a fresh Housteca, the way the migrations do.
+ */
+const FundingGateway = artifacts.require('FundingGateway');
+const Governance = artifacts.require('Governance');
+const Housteca = artifacts.require('Housteca');
+const InvestorRegistry = artifacts.require('InvestorRegistry');
+const Loan = artifacts.require('Loan');
+const LoanMarket = artifacts.require('LoanMarket');
+const Property = artifacts.require('Property');
+const PropertyRegistry = artifacts.require('PropertyRegistry');
+const TestPriceOracle = artifacts.require('TestPriceOracle');
+const Treasury = artifacts.require('Treasury');
+const { singletons } = require('@openzeppelin/test-helpers');
+
+
+const YEAR = 365 * 24 * 60 * 60;
+
+
+const deployHousteca = async () => {
+    const [deployer] = await web3.eth.getAccounts();
+    await singletons.ERC1820Registry(deployer);
+    const propertyToken = await Property.new({gas: 75e5});
+    const loanImplementation = await Loan.new({gas: 75e5});
+    const housteca = await Housteca.new(propertyToken.address, loanImplementation.address, {gas: 75e5});
+    const market = await LoanMarket.new(housteca.address);
+    const treasury = await Treasury.new(housteca.address);
+    const governance = await Governance.new(housteca.address);
+    const registry = await InvestorRegistry.new(housteca.address);
+    const propertyRegistry = await PropertyRegistry.new(housteca.address);
+    const fundingGateway = await FundingGateway.new(housteca.address);
+    const priceOracle = await TestPriceOracle.new();
+    await housteca.setTreasury(treasury.address);
+    await housteca.setGovernance(governance.address);
+    await housteca.setInvestorRegistry(registry.address);
+    await housteca.setPropertyRegistry(propertyRegistry.address);
+    await housteca.setFundingGateway(fundingGateway.address);
+    await housteca.setPriceOracle(priceOracle.address);
+    await propertyToken.addMinter(housteca.address);
+    await propertyToken.setHookContract(registry.address, 'ERC1400TokensValidator');
+    await propertyToken.transferOwnership(housteca.address);
+    return { housteca, propertyToken, loanImplementation, market, treasury, governance, registry, propertyRegistry, fundingGateway, priceOracle };
+};
+
+/**
+ * Verifies investors in Spain with the first accreditation tier for a year.
+ *
+ * @param {object} registry deployed InvestorRegistry instance
+ * @param {string[]} investors
+ */
+const verifyInvestors = async (registry, investors, txParams = {}) => {
+    const [deployer] = await web3.eth.getAccounts();
+    const { timestamp } = await web3.eth.getBlock('latest');
+    return registry.addInvestors(
+        investors,
+        investors.map(() => timestamp + YEAR),
+        investors.map(() => web3.utils.asciiToHex('ES')),
+        investors.map(() => 1),
+        {from: deployer, ...txParams}
+    );
+};
+
+
+module.exports = {
+    deployHousteca,
+    verifyInvestors
+};
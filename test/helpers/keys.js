@@ -0,0 +1,45 @@
+const { signDocumentHash } = require('../../src/documents');
+
+
+/**
+ * Private keys of the accounts of the development mnemonic (see `yarn ganache`),
+ * used by the tests that sign typed data locally.
+ */
+
+const PRIVATE_KEYS = [
+    '0xf7ce16ff4cd48106c203e34bb5da1929da870e5e4d383e326e763888d9f37530',
+    '0xc9af3fac9847006a2b05940225f12bf344b0556cf91a04b8cf59a89e8bf3dea1',
+    '0xa11e22f55b3ddaf600e320a23145fdb81b6d77376d1004a32895c981589f2d45',
+    '0x20e42323cddf4c73666cb7f33e230b73490865f9b7aa735b535631a69f0f32cd',
+    '0x14e1f1906b9b4a217c4d5c8e81c2f25d4120331931b35b7be403fbb1df36c8d7',
+    '0x9232fd0a76d361a7638639e891b97c663054871ad4195b179da3cb015bc2a234',
+    '0xc0c2a440bd611920457c3f3f48b7b67ad3ef1d091e52d26473b8ccf9072959c8',
+    '0xe52f55becac1c8196b0be3c31d36d2fcfd0ce4525be1ed68ec3245ce422bf71e',
+    '0x831d5ae647d69b02923d7b7de07dbb9d8f71fc14aaaf1b4c518f28c0af31d2fc',
+    '0x962c914f5e53a426b64f32ed9415c923efe8a853c68747b70aa377c67a20a69e'
+];
+
+const privateKeyOf = account => {
+    const key = PRIVATE_KEYS.find(key => web3.eth.accounts.privateKeyToAccount(key).address === account);
+    if (!key) {
+        throw new Error(`Unknown private key of ${account}`);
+    }
+    return key;
+};
+
+/** Signs the document of a loan as the given account */
+const signDocument = async (loan, account) => {
+    const document = {
+        loan: loan.address,
+        chainId: await loan.getChainId(),
+        documentHash: await loan._documentHash()
+    };
+    return signDocumentHash(document, privateKeyOf(account));
+};
+
+
+module.exports = {
+    PRIVATE_KEYS,
+    privateKeyOf,
+    signDocument
+};
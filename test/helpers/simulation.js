@@ -0,0 +1,409 @@
+/**
+ * Declarative simulations of whole loan lifecycles, which check the accounting
+ * invariants of the loan after every step.
+ *
+ * The simulations use the contracts the migrations deploy, so every scenario
+ * must run in its own `contract()` block, which deploys them again. A scenario
+ * looks like this:
+ *
+ *     {
+ *         token: 'ERC777',                  // ERC20 by default
+ *         investments: [24000, 72000],      // whole tokens each investor invests
+ *         proposal: {insuredPayments: 2},   // overrides of `DEFAULT_PROPOSAL`
+ *         steps: [
+ *             'stake',
+ *             'invest',
+ *             'sign',
+ *             'collectFunds',
+ *             {action: 'pay', times: 3},
+ *             {action: 'miss', status: 'DEFAULT'},
+ *             ...
+ *         ]
+ *     }
+ *
+ * A step is the name of one of `ACTIONS`, or an object with the `action`, its
+ * options and, optionally, the `status` the loan must be in afterwards.
+ */
+const Housteca = artifacts.require('Housteca');
+const InvestorRegistry = artifacts.require('InvestorRegistry');
+const Property = artifacts.require('Property');
+const TestERC20Token = artifacts.require('TestERC20Token');
+const TestERC777Token = artifacts.require('TestERC777Token');
+const { HoustecaClient, loadContracts } = require('../../src');
+const { verifyInvestors } = require('./deploy');
+const { signDocument } = require('./keys');
+const { travelTo } = require('./time');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals = 18) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+const LOCAL_NODE_LEVEL = 253;
+const RATIO = toAmount(1);
+const TOTAL_PROPERTY_TOKENS = toAmount(1);
+const DAY = 24 * 60 * 60;
+const DOCUMENT_HASH = web3.utils.keccak256('Simulated deed');
+const TOKENS = {
+    ERC20: TestERC20Token,
+    ERC777: TestERC777Token
+};
+/** Statuses in which the investors are paid back, rather than refunded */
+const PAYING_STATUSES = ['ACTIVE', 'DEFAULT', 'FINISHED', 'BANKRUPT'];
+
+/** Proposal of the scenarios, in whole tokens and with payments every 30 days */
+const DEFAULT_PROPOSAL = {
+    downpaymentRatio: toAmount(2, 17),
+    targetAmount: 96000,
+    totalPayments: 12,
+    insuredPayments: 6,
+    paymentAmount: 8009,
+    perPaymentInterestRatio: toAmount(1619, 11),
+    prepaymentPenaltyRatio: toAmount(1, 16),
+    lateFeeRatio: toAmount(2, 16),
+    timing: { periodicity: 30 * DAY, periodUnit: 0, paymentGracePeriod: 5 * DAY }
+};
+
+const sum = values => values.reduce((total, value) => total.add(value), toBN(0));
+
+
+/**
+ * What the simulation can do with the loan. Each action gets the simulation
+ * and the options of its step.
+ */
+const ACTIONS = {
+    /** The borrower sends the initial stake */
+    stake: sim => sim.loan.sendInitialStake({from: sim.borrower}),
+
+    /** The given investors, all by default, invest their amount */
+    invest: async (sim, { investors = sim.investorIndexes() }) => {
+        for (const index of investors) {
+            await sim.loan.invest(toAmount(sim.scenario.investments[index]), {from: sim.investors[index]});
+        }
+    },
+
+    /** An investor takes his investment back while the loan is funding */
+    leave: (sim, { investor }) => sim.collect(sim.investors[investor], 'refunded', () => (
+        sim.loan.collectInvestment({from: sim.investors[investor]})
+    )),
+
+    /** The local node submits the document, and the given signers, both by default, sign it */
+    sign: async (sim, { signers = ['localNode', 'borrower'] }) => {
+        await sim.loan.loan.submitDocumentHash(DOCUMENT_HASH, {from: sim.localNode});
+        for (const signer of signers) {
+            await sim.loan.signDocument(await signDocument(sim.loan.loan, sim[signer]), {from: sim[signer]});
+        }
+    },
+
+    collectFunds: sim => sim.loan.collectAllFunds({from: sim.localNode}),
+
+    /** The borrower makes the given number of payments on their due date, or late within the grace period */
+    pay: async (sim, { times = 1, late = false }) => {
+        for (let i = 0; i < times; i++) {
+            const loan = sim.loan.loan;
+            const payment = (await loan._timesPaid()).add(await loan._timesDefault());
+            await travelTo((late ? await loan._nextPayment() : await loan.dueDate(payment)).toNumber());
+            await sim.loan.pay({from: sim.borrower});
+        }
+    },
+
+    /** The borrower misses the given number of payments, grace period included */
+    miss: async (sim, { times = 1 }) => {
+        for (let i = 0; i < times; i++) {
+            const loan = sim.loan.loan;
+            await travelTo((await loan._nextPayment()).add(await loan._paymentGracePeriod()).toNumber());
+            await sim.loan.update({from: sim.localNode});
+        }
+    },
+
+    /** The borrower pays the arrears, whose payments replenish the insurance */
+    payArrears: async sim => {
+        const amount = await sim.loan.loan.arrearsAmount();
+        const prepaid = await sim.loan.loan._prepaidAmount();
+        await sim.loan.payArrears({from: sim.borrower});
+        const lateFees = (await sim.loan.loan._prepaidAmount()).sub(prepaid);
+        sim.replenished = sim.replenished.add(amount.sub(lateFees));
+    },
+
+    /** The borrower returns the given principal, in whole tokens, in advance */
+    prepay: (sim, { principal }) => sim.loan.prepay(toAmount(principal), {from: sim.borrower}),
+
+    repayInFull: sim => sim.loan.repayInFull({from: sim.borrower}),
+
+    /** Every investor collects his pending earnings */
+    collectEarnings: async sim => {
+        for (const investor of sim.investors) {
+            if (await sim.loan.loan.hasInvested(investor) && !(await sim.loan.loan.hasCollectedEarnings(investor))) {
+                await sim.collect(investor, 'earned', () => sim.loan.collectAllEarnings(investor));
+            }
+        }
+    },
+
+    /** The borrower and every investor collect their Property tokens */
+    collectProperty: async sim => {
+        for (const holder of sim.holders()) {
+            const loan = sim.loan.loan;
+            if ((await loan.propertyTokenAmount(holder)).gtn(0) && !(await loan._propertyCollected(holder))) {
+                await sim.loan.collectProperty({from: holder});
+            }
+        }
+    },
+
+    abort: sim => sim.loan.abortLoan({from: sim.localNode}),
+
+    /** The `stake`, `funding` or `signing` deadline expires, and the loan is updated */
+    expire: async (sim, { deadline }) => {
+        const getters = { stake: '_stakeDepositDeadline', funding: '_fundingDeadline', signing: '_signingDeadline' };
+        await travelTo((await sim.loan.loan[getters[deadline]]()).toNumber());
+        await sim.loan.update({from: sim.localNode});
+    },
+
+    /** Every investor of a failed loan collects his refund */
+    refund: async sim => {
+        for (const investor of sim.investors) {
+            if (await sim.loan.loan.hasInvested(investor)) {
+                await sim.collect(investor, 'refunded', () => sim.loan.collectInvestment({from: investor}));
+            }
+        }
+    }
+};
+
+
+/**
+ * Invariants checked after every step. Each one gets the simulation and a
+ * snapshot of the loan, and throws an `AssertionError` if it does not hold.
+ */
+const INVARIANTS = {
+    /** The loan holds exactly what it owes, give or take the rounding of the investors' shares */
+    balanceMatchesOwedAmounts: async (sim, snapshot) => {
+        const balance = await sim.token.balanceOf(sim.loan.address);
+        const owed = await sim.owedAmount(snapshot);
+        const dust = toBN(sim.investors.length * (snapshot.timesPaid + snapshot.timesDefault + 2));
+        assert.isOk(balance.gte(owed), `The loan holds ${balance} but owes ${owed}`);
+        assert.isOk(balance.sub(owed).lte(dust), `The loan holds ${balance.sub(owed)} more than it owes`);
+    },
+
+    /** The Property tokens of the loan's partition are neither created nor lost */
+    propertyTokensAddUp: async (sim, snapshot) => {
+        const holders = [sim.loan.address, ...sim.holders()];
+        const balances = await Promise.all(holders.map(holder => sim.propertyToken.balanceOfByPartition(snapshot.partition, holder)));
+        assert.equal(sum(balances).toString(), TOTAL_PROPERTY_TOKENS.toString());
+        if (!PAYING_STATUSES.includes(snapshot.status)) {
+            return;
+        }
+        const amounts = await Promise.all(sim.holders().map(holder => sim.loan.loan.propertyTokenAmount(holder)));
+        const total = sum(amounts);
+        assert.isOk(total.lte(TOTAL_PROPERTY_TOKENS), `The holders own ${total} Property tokens`);
+        assert.isOk(TOTAL_PROPERTY_TOKENS.sub(total).lten(sim.investors.length), `The holders own ${total} Property tokens`);
+    },
+
+    /** The insurance covers the missed payments with what it holds, never more */
+    insuranceIsNeverOverdrawn: async (sim, snapshot) => {
+        if (!PAYING_STATUSES.includes(snapshot.status)) {
+            return;
+        }
+        const insurance = sim.insurance(snapshot);
+        assert.isOk(!insurance.isNeg(), `The insurance is overdrawn by ${insurance.neg()}`);
+        assert.equal(snapshot.insuranceBalance.toString(), insurance.toString());
+    },
+
+    /** No investor collects more than his share of what the loan received */
+    noInvestorCollectsMoreThanHisShare: async (sim, snapshot) => {
+        for (const investor of sim.investors) {
+            const { earned, refunded, investment } = sim.collected[investor];
+            const received = sum(snapshot.paidAmounts).add(snapshot.prepaidAmount).add(snapshot.paymentAmount.muln(snapshot.timesDefault));
+            const share = investment.mul(RATIO).div(snapshot.targetAmount).mul(received).div(RATIO);
+            assert.isOk(earned.lte(share), `${investor} collected ${earned} out of ${share}`);
+            const { failure } = sim;
+            const extra = failure && failure.investedAmount.gtn(0)
+                ? failure.extraAmount.mul(investment).div(failure.investedAmount).addn(1)
+                : toBN(0);
+            assert.isOk(refunded.lte(investment.add(extra)), `${investor} was refunded ${refunded} out of ${investment.add(extra)}`);
+        }
+    }
+};
+
+
+class Simulation {
+    /**
+     * @param {string[]} accounts
+     * @param {object} scenario see the top of this file
+     */
+    constructor(accounts, scenario) {
+        this.scenario = scenario;
+        this.root = accounts[0];
+        this.localNode = accounts[1];
+        this.borrower = accounts[9];
+        this.investors = accounts.slice(2, 2 + scenario.investments.length);
+        if (this.investors.length < scenario.investments.length) {
+            throw new Error(`There are only ${this.investors.length} accounts for the investors`);
+        }
+        this.collected = {};
+        for (const [index, investor] of this.investors.entries()) {
+            this.collected[investor] = { earned: toBN(0), refunded: toBN(0), investment: toBN(0), index };
+        }
+        this.replenished = toBN(0);
+        this.failure = null;
+    }
+
+    /** Creates the loan of the scenario with the deployed contracts */
+    async setup() {
+        const Token = TOKENS[this.scenario.token || 'ERC20'];
+        this.token = await Token.deployed();
+        this.propertyToken = await Property.deployed();
+        const housteca = await Housteca.deployed();
+        for (const account of [this.borrower, ...this.investors]) {
+            await this.token.transfer(account, toAmount(1000000), {from: this.root});
+        }
+        await housteca.addAdmin(this.localNode, LOCAL_NODE_LEVEL, toAmount(2, 16), {from: this.root});
+        await verifyInvestors(await InvestorRegistry.deployed(), this.investors);
+
+        const proposal = {...DEFAULT_PROPOSAL, ...this.scenario.proposal};
+        const client = new HoustecaClient(loadContracts(artifacts), housteca);
+        await client.createInvestmentProposal({
+            ...proposal,
+            borrower: this.borrower,
+            symbol: await this.token.symbol(),
+            targetAmount: toAmount(proposal.targetAmount),
+            totalPayments: toBN(proposal.totalPayments),
+            insuredPayments: toBN(proposal.insuredPayments),
+            paymentAmount: toAmount(proposal.paymentAmount)
+        }, {from: this.localNode});
+        this.loan = await client.createInvestment({from: this.borrower});
+        await this.check('setup');
+    }
+
+    /** Runs every step of the scenario, checking the invariants after each one */
+    async run() {
+        for (const [index, step] of this.scenario.steps.entries()) {
+            const { action, status, ...options } = typeof step === 'string' ? { action: step } : step;
+            if (ACTIONS[action] === undefined) {
+                throw new Error(`Unknown action ${action}`);
+            }
+            const description = `step ${index + 1} (${action})`;
+            await ACTIONS[action](this, options);
+            if (status !== undefined) {
+                assert.equal(await this.loan.status(), status, `Unexpected status after ${description}`);
+            }
+            await this.check(description);
+        }
+    }
+
+    /** Checks every invariant, telling which step broke it */
+    async check(description) {
+        const snapshot = await this.snapshot();
+        if (snapshot.status === 'UNCOMPLETED' && this.failure === null) {
+            this.failure = { extraAmount: snapshot.extraAmount, investedAmount: snapshot.investedAmount };
+        }
+        for (const [name, invariant] of Object.entries(INVARIANTS)) {
+            try {
+                await invariant(this, snapshot);
+            } catch (error) {
+                error.message = `${name} does not hold after ${description}: ${error.message}`;
+                throw error;
+            }
+        }
+    }
+
+    /** Reads the state of the loan the invariants use */
+    async snapshot() {
+        const loan = this.loan.loan;
+        const timesPaid = (await loan._timesPaid()).toNumber();
+        const paidAmounts = [];
+        for (let payment = 1; payment <= timesPaid; payment++) {
+            paidAmounts.push(await loan._paidAmounts(payment));
+        }
+        for (const investor of this.investors) {
+            const investment = await loan._investments(investor);
+            if (investment.gtn(0)) {
+                this.collected[investor].investment = investment;
+            }
+        }
+        return {
+            status: await this.loan.status(),
+            partition: await loan.partition(),
+            timesPaid,
+            timesDefault: (await loan._timesDefault()).toNumber(),
+            paidAmounts,
+            paymentAmount: await loan._paymentAmount(),
+            insuredPayments: await loan._insuredPayments(),
+            insuranceBalance: await loan._insuranceBalance(),
+            prepaidAmount: await loan._prepaidAmount(),
+            targetAmount: await loan._targetAmount(),
+            investedAmount: await loan._investedAmount(),
+            extraAmount: await loan._extraAmount(),
+            stakeAmount: await loan.initialStakeAmount()
+        };
+    }
+
+    /** Computes what the loan owes to the investors, plus the funds it has to keep */
+    async owedAmount(snapshot) {
+        const loan = this.loan.loan;
+        switch (snapshot.status) {
+            case 'AWAITING_STAKE':
+                return toBN(0);
+            case 'FUNDING':
+            case 'AWAITING_SIGNATURES':
+                return snapshot.stakeAmount.add(snapshot.investedAmount);
+            case 'UNCOMPLETED':
+                return snapshot.investedAmount.add(snapshot.extraAmount);
+        }
+        let owed = this.insurance(snapshot);
+        for (const investor of this.investors) {
+            const ratio = await loan.investmentRatio(investor);
+            const timesCollected = (await loan._timesCollected(investor)).toNumber();
+            const pendingPayments = sum(snapshot.paidAmounts.slice(timesCollected));
+            const pendingDefaults = snapshot.timesDefault - (await loan._timesCollectedDefault(investor)).toNumber();
+            owed = owed
+                .add(pendingPayments.mul(ratio).div(RATIO))
+                .add(snapshot.paymentAmount.muln(pendingDefaults).mul(ratio).div(RATIO))
+                .add(await loan.pendingPrepayment(investor));
+        }
+        return owed;
+    }
+
+    /** Computes the insurance that is left, which the paid arrears replenish */
+    insurance(snapshot) {
+        return snapshot.paymentAmount.mul(snapshot.insuredPayments).add(this.replenished).sub(snapshot.paymentAmount.muln(snapshot.timesDefault));
+    }
+
+    /** Calls a function that sends tokens to the investor, adding them to what he collected */
+    async collect(investor, kind, call) {
+        const before = await this.token.balanceOf(investor);
+        await call();
+        const amount = (await this.token.balanceOf(investor)).sub(before);
+        this.collected[investor][kind] = this.collected[investor][kind].add(amount);
+    }
+
+    /** @returns {number[]} indexes of every investor */
+    investorIndexes() {
+        return this.investors.map((_, index) => index);
+    }
+
+    /** @returns {string[]} everybody who can hold the Property tokens of the loan */
+    holders() {
+        return [this.borrower, ...this.investors];
+    }
+}
+
+/**
+ * Runs a scenario from the beginning, with the contracts the migrations deploy.
+ *
+ * @param {string[]} accounts
+ * @param {object} scenario
+ * @returns {Promise<Simulation>} the finished simulation, to make further assertions
+ */
+const runScenario = async (accounts, scenario) => {
+    const simulation = new Simulation(accounts, scenario);
+    await simulation.setup();
+    await simulation.run();
+    return simulation;
+};
+
+
+module.exports = {
+    ACTIONS,
+    INVARIANTS,
+    DEFAULT_PROPOSAL,
+    Simulation,
+    runScenario
+};
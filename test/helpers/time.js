@@ -0,0 +1,38 @@
+/**
+ * Helpers to move ganache's clock, used by the tests that depend on deadlines.
+ */
+
+const rpc = (method, params = []) => {
+    return new Promise((resolve, reject) => {
+        web3.currentProvider.send({
+            jsonrpc: '2.0',
+            method,
+            params,
+            id: new Date().getTime()
+        }, (err, result) => {
+            if (err) { return reject(err) }
+            return resolve(result.result)
+        })
+    })
+};
+
+const travel = async days => {
+    await rpc('evm_increaseTime', [days * 24 * 60 * 60]);
+    await rpc('evm_mine');
+};
+
+/** Moves the clock right past the given timestamp, if it is not there yet */
+const travelTo = async timestamp => {
+    const { timestamp: now } = await web3.eth.getBlock('latest');
+    if (timestamp >= now) {
+        await rpc('evm_increaseTime', [timestamp - now + 1]);
+    }
+    await rpc('evm_mine');
+};
+
+
+module.exports = {
+    rpc,
+    travel,
+    travelTo
+};
@@ -0,0 +1,52 @@
+const { annuityPayment, amortizationSchedule, validateProposal, TOTAL_PROPERTY_TOKENS } = require('../src/schedule');
+
+
+const toBN = web3.utils.toBN;
+const toAmount = (amount, decimals) => toBN(amount).mul(toBN(10).pow(toBN(decimals)));
+
+
+contract('Amortization schedule', () => {
+    const proposal = {
+        targetAmount: toAmount(96000, 18),
+        totalPayments: 12,
+        perPaymentInterestRatio: toAmount(1619, 11),
+        downpaymentRatio: toAmount(2, 17)
+    };
+
+    it('should compute the annuity payment', () => {
+        const payment = annuityPayment(proposal);
+        assert.equal(payment.toString(), '8008421298637735803252');
+        assert.isOk(validateProposal({...proposal, paymentAmount: payment}).valid);
+        assert.isNotOk(validateProposal({...proposal, paymentAmount: payment.subn(1)}).valid);
+    });
+
+    it('should split the amount evenly without interest', () => {
+        const payment = annuityPayment({...proposal, perPaymentInterestRatio: 0});
+        assert.equal(payment.toString(), toAmount(8000, 18).toString());
+    });
+
+    it('should return the whole principal and Property tokens', () => {
+        const schedule = amortizationSchedule({...proposal, paymentAmount: toAmount(8009, 18)});
+        assert.equal(schedule.length, 12);
+        const first = schedule[0];
+        assert.equal(first.interest.toString(), '15542400000000000000');
+        assert.equal(first.amortization.toString(), toAmount(8009, 18).sub(first.interest).toString());
+        const last = schedule[schedule.length - 1];
+        assert.equal(last.remainingPrincipal.toString(), '0');
+        assert.equal(last.amount.toString(), last.amortization.add(last.interest).toString());
+        assert.isOk(last.amount.lt(toAmount(8009, 18)));
+        assert.equal(last.transferredTokens.toString(), TOTAL_PROPERTY_TOKENS.toString());
+        for (let i = 1; i < schedule.length; i++) {
+            assert.isOk(schedule[i].remainingPrincipal.lt(schedule[i - 1].remainingPrincipal));
+        }
+    });
+
+    it('should reject payments that do not amortize the loan', () => {
+        const tooSmall = validateProposal({...proposal, paymentAmount: toAmount(1058, 18)});
+        assert.isNotOk(tooSmall.valid);
+        const belowInterest = validateProposal({...proposal, paymentAmount: toAmount(15, 18)});
+        assert.match(belowInterest.reason, /does not amortize anything/);
+        const tooBig = validateProposal({...proposal, paymentAmount: toAmount(96100, 18)});
+        assert.match(tooBig.reason, /more than the remaining principal/);
+    });
+});
@@ -74,7 +74,9 @@ module.exports = {
                 optimizer: {
                     enabled: true,
                     runs: 200
-                }
+                },
+                // the document signatures need the CHAINID opcode
+                evmVersion: "istanbul"
             }
         }
     }